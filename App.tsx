@@ -27,6 +27,8 @@ import { PanelRoles } from './components/PanelRoles.tsx';
 import { MikrotikFiles } from './components/MikrotikFiles.tsx';
 import { License } from './components/License.tsx';
 import { SuperAdmin } from './components/SuperAdmin.tsx';
+import { AccountSecurity } from './components/AccountSecurity.tsx';
+import { Provisioning } from './components/Provisioning.tsx';
 import { UnlicensedComponent } from './components/UnlicensedComponent.tsx';
 import { DhcpPortal } from './components/DhcpPortal.tsx';
 import { CaptivePortalPage } from './components/CaptivePortalPage.tsx';
@@ -41,6 +43,7 @@ import { usePayrollData } from './hooks/usePayrollData.ts';
 import { LocalizationProvider, useLocalization } from './contexts/LocalizationContext.tsx';
 import { ThemeProvider } from './contexts/ThemeContext.tsx';
 import { NotificationProvider } from './contexts/NotificationContext.tsx';
+import { EventStreamProvider } from './contexts/EventStreamContext.tsx';
 import { useAuth } from './contexts/AuthContext.tsx';
 import type { View, LicenseStatus, PanelSettings } from './types.ts';
 import { getAuthHeader, getPanelSettings } from './services/databaseService.ts';
@@ -231,6 +234,10 @@ const AppContent: React.FC<AppContentProps> = ({ licenseStatus, onLicenseChange
           return <License onLicenseChange={onLicenseChange} licenseStatus={licenseStatus} />;
       case 'super_admin':
           return <SuperAdmin />;
+      case 'account':
+          return <AccountSecurity />;
+      case 'provisioning':
+          return <Provisioning routers={routers} />;
       default:
         return <Dashboard selectedRouter={selectedRouter} />;
     }
@@ -386,9 +393,11 @@ const AppRouter: React.FC = () => {
     return (
         <ThemeProvider>
             <LocalizationProvider>
-                <NotificationProvider>
-                    <AppContent licenseStatus={licenseStatus} onLicenseChange={handleLicenseChange} />
-                </NotificationProvider>
+                <EventStreamProvider>
+                    <NotificationProvider>
+                        <AppContent licenseStatus={licenseStatus} onLicenseChange={handleLicenseChange} />
+                    </NotificationProvider>
+                </EventStreamProvider>
             </LocalizationProvider>
         </ThemeProvider>
     );
@@ -0,0 +1,252 @@
+// Long-lived RouterOS connections, one pool entry per router. Legacy API
+// sessions stay logged in between requests and REST calls reuse keep-alive
+// sockets. Each router runs only a few commands at a time and the rest wait
+// their turn, so dashboards polling several menus don't open parallel logins
+// on small devices.
+const { RouterOSAPI } = require('node-routeros-v2');
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+
+const envMs = (name, fallback) => Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback;
+
+const CONFIG_TTL_MS = envMs('ROUTER_CONFIG_TTL_MS', 5 * 60 * 1000);
+const IDLE_TIMEOUT_MS = envMs('ROUTER_IDLE_TIMEOUT_MS', 5 * 60 * 1000);
+const HEALTH_INTERVAL_MS = envMs('ROUTER_HEALTH_INTERVAL_MS', 30 * 1000);
+const QUEUE_TIMEOUT_MS = envMs('ROUTER_QUEUE_TIMEOUT_MS', 30 * 1000);
+const MAX_CONCURRENT = Number(process.env.ROUTER_MAX_CONCURRENT) > 0 ? Number(process.env.ROUTER_MAX_CONCURRENT) : 4;
+
+// Helper to create router instance based on config. Pooled REST instances
+// keep their sockets open between calls.
+const createRouterInstance = (config, { keepAlive = false } = {}) => {
+    if (!config || !config.host || !config.user) {
+        throw new Error('Invalid router configuration');
+    }
+
+    if (config.api_type === 'legacy') {
+        const isTls = config.port === 8729;
+        return new RouterOSAPI({
+            host: config.host,
+            user: config.user,
+            password: config.password || '',
+            port: config.port || 8728,
+            timeout: 15,
+            tls: isTls,
+            tlsOptions: isTls ? { rejectUnauthorized: false, minVersion: 'TLSv1.2' } : undefined,
+        });
+    }
+
+    const protocol = config.port === 443 ? 'https' : 'http';
+    const baseURL = `${protocol}://${config.host}:${config.port}/rest`;
+    const auth = { username: config.user, password: config.password || '' };
+
+    const instance = axios.create({
+        baseURL,
+        auth,
+        httpAgent: new http.Agent({ keepAlive }),
+        httpsAgent: new https.Agent({ keepAlive, rejectUnauthorized: false, minVersion: 'TLSv1.2' }),
+        timeout: 15000
+    });
+
+    // Normalize ID fields
+    instance.interceptors.response.use(response => {
+        const mapId = (item) => {
+            if (item && typeof item === 'object' && '.id' in item) {
+                return { ...item, id: item['.id'] };
+            }
+            return item;
+        };
+
+        if (response.data && typeof response.data === 'object') {
+            if (Array.isArray(response.data)) {
+                response.data = response.data.map(mapId);
+            } else {
+                response.data = mapId(response.data);
+            }
+        }
+        return response;
+    }, error => Promise.reject(error));
+
+    return instance;
+};
+
+// Anything that changes how we log in means a new connection.
+const connectionKey = (config) => JSON.stringify([config.api_type, config.host, config.port, config.user, config.password]);
+
+const createRouterPool = () => {
+    const configs = new Map();   // routerId -> { config, expiresAt }
+    const fetching = new Map();  // routerId -> in-flight config fetch
+    const entries = new Map();   // routerId -> connection entry
+
+    // Router configs are cached for a few minutes; the panel invalidates
+    // them as soon as a router is edited or deleted.
+    const getConfig = async (routerId, fetchConfig) => {
+        const cached = configs.get(routerId);
+        if (cached && cached.expiresAt > Date.now()) return cached.config;
+        if (!fetching.has(routerId)) {
+            fetching.set(routerId, fetchConfig()
+                .then(config => {
+                    if (config) configs.set(routerId, { config, expiresAt: Date.now() + CONFIG_TTL_MS });
+                    return config;
+                })
+                .finally(() => fetching.delete(routerId)));
+        }
+        return fetching.get(routerId);
+    };
+
+    const closeClient = (entry) => {
+        const client = entry.client;
+        entry.client = null;
+        if (!client) return;
+        if (entry.legacy) {
+            client.close().catch(() => { /* already closed */ });
+        } else {
+            client.defaults.httpAgent.destroy();
+            client.defaults.httpsAgent.destroy();
+        }
+    };
+
+    // Entries replaced by a config change are closed once their in-flight
+    // commands have finished.
+    const retire = (entry) => {
+        if (entries.get(entry.routerId) === entry) entries.delete(entry.routerId);
+        entry.retired = true;
+        entry.waiters.splice(0).forEach(w => w.reject(new Error('Router configuration changed, please retry')));
+        if (entry.active === 0) closeClient(entry);
+    };
+
+    const ensureClient = async (entry) => {
+        if (!entry.client) {
+            const client = createRouterInstance(entry.config, { keepAlive: true });
+            if (entry.legacy) {
+                // A dropped session is forgotten so the next command reconnects.
+                const drop = () => { if (entry.client === client) entry.client = null; };
+                client.on('error', drop);
+                client.on('close', drop);
+            }
+            entry.client = client;
+        }
+        if (!entry.legacy || entry.client.connected) return entry.client;
+        if (!entry.connecting) {
+            const client = entry.client;
+            entry.connecting = client.connect()
+                .catch((e) => {
+                    if (entry.client === client) entry.client = null;
+                    throw e;
+                })
+                .finally(() => { entry.connecting = null; });
+        }
+        await entry.connecting;
+        return entry.client;
+    };
+
+    const takeSlot = (entry) => {
+        if (entry.active < MAX_CONCURRENT) {
+            entry.active++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => { clearTimeout(waiter.timer); resolve(); },
+                reject: (e) => { clearTimeout(waiter.timer); reject(e); },
+            };
+            waiter.timer = setTimeout(() => {
+                entry.waiters.splice(entry.waiters.indexOf(waiter), 1);
+                reject(Object.assign(new Error('Router is busy, please try again.'), { status: 503 }));
+            }, QUEUE_TIMEOUT_MS);
+            entry.waiters.push(waiter);
+        });
+    };
+
+    const releaseSlot = (entry) => {
+        entry.lastUsed = Date.now();
+        const next = entry.waiters.shift();
+        if (next) return next.resolve();
+        entry.active--;
+        if (entry.retired && entry.active === 0) closeClient(entry);
+    };
+
+    // Waits for a free slot on the router and returns its ready client.
+    // `release` must be called once the request is done with it.
+    const acquire = async (routerId, config) => {
+        let entry = entries.get(routerId);
+        if (entry && entry.key !== connectionKey(config)) {
+            retire(entry);
+            entry = null;
+        }
+        if (!entry) {
+            entry = {
+                routerId, config, key: connectionKey(config), legacy: config.api_type === 'legacy',
+                client: null, connecting: null, active: 0, waiters: [], lastUsed: Date.now(), retired: false,
+            };
+            entries.set(routerId, entry);
+        }
+        await takeSlot(entry);
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            releaseSlot(entry);
+        };
+        try {
+            return { client: await ensureClient(entry), release };
+        } catch (e) {
+            release();
+            throw e;
+        }
+    };
+
+    const invalidate = (routerId) => {
+        configs.delete(routerId);
+        const entry = entries.get(routerId);
+        if (entry) retire(entry);
+    };
+
+    // Closes idle connections and pings idle legacy sessions so a dead one
+    // is noticed here rather than by the next user request.
+    const sweep = async () => {
+        const now = Date.now();
+        for (const entry of [...entries.values()]) {
+            if (entry.active > 0 || entry.connecting) continue;
+            if (now - entry.lastUsed > IDLE_TIMEOUT_MS) {
+                retire(entry);
+                continue;
+            }
+            if (!entry.legacy || !entry.client || !entry.client.connected) continue;
+            entry.active++;
+            const client = entry.client;
+            try {
+                await client.write('/system/identity/print');
+            } catch (e) {
+                console.warn(`[Pool] Health check failed for router ${entry.routerId}: ${e.message}`);
+                if (entry.client === client) closeClient(entry);
+            } finally {
+                entry.active--;
+                const next = entry.waiters.shift();
+                if (next) {
+                    entry.active++;
+                    next.resolve();
+                }
+            }
+        }
+        for (const [routerId, cached] of configs) {
+            if (cached.expiresAt <= now) configs.delete(routerId);
+        }
+    };
+
+    const timer = setInterval(() => { sweep().catch(e => console.error('[Pool] Sweep failed:', e.message)); }, HEALTH_INTERVAL_MS);
+    timer.unref();
+
+    const stats = () => [...entries.values()].map(entry => ({
+        routerId: entry.routerId,
+        apiType: entry.legacy ? 'legacy' : 'rest',
+        connected: entry.legacy ? !!(entry.client && entry.client.connected) : !!entry.client,
+        active: entry.active,
+        queued: entry.waiters.length,
+        lastUsed: new Date(entry.lastUsed).toISOString(),
+    }));
+
+    return { getConfig, acquire, invalidate, stats, maxConcurrent: MAX_CONCURRENT };
+};
+
+module.exports = { createRouterPool, createRouterInstance };
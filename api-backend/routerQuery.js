@@ -0,0 +1,220 @@
+// One request format for both RouterOS APIs. The generic proxy route and the
+// custom endpoints describe what they want (print with filters, add, set,
+// remove, enable, disable or any other menu command) and this module turns
+// it into REST calls or legacy API sentences, normalising the replies so
+// callers cannot tell which API a router speaks.
+//
+//   GET    ppp/secret/print?where={"profile":"10mb"}&proplist=name,profile
+//   GET    ppp/secret/print?count-only
+//   GET    ppp/secret/*1A                      (single item)
+//   POST   ppp/secret/add     { name, ... }    or  PUT    ppp/secret
+//   POST   ppp/secret/set     { .id, ... }     or  PATCH  ppp/secret/*1A
+//   POST   ppp/secret/remove  { .id }          or  DELETE ppp/secret/*1A
+//   POST   ppp/secret/enable  { .id }
+//   POST   ip/dhcp-server/lease/make-static { .id }   (any other command)
+
+const VERBS = new Set(['print', 'add', 'set', 'remove', 'enable', 'disable']);
+const FIELD_NAME = /^[a-z0-9.-]+$/i;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+const isItemId = (segment) => /^\*[0-9a-f]+$/i.test(segment);
+
+// Values sent to the router: RouterOS wants strings everywhere, and
+// booleans in the same 'true'/'false' form it prints them in so they also
+// work as filters.
+const toRosValue = (value) => {
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (Array.isArray(value)) return value.join(',');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const toRosParams = (data = {}) => {
+    const params = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (key === 'id' || key === '.id' || value === undefined || value === null) continue;
+        params[key] = toRosValue(value);
+    }
+    return params;
+};
+
+// Values read from the router come back as strings on both APIs; anything
+// else (booleans, numbers) is coerced the same way so types never depend on
+// the API. `.id` is mirrored to `id`.
+const normalizeItem = (item, { legacy = false } = {}) => {
+    if (!item || typeof item !== 'object') return item;
+    const out = {};
+    for (const [key, value] of Object.entries(item)) {
+        const name = legacy ? key.replace(/_/g, '-') : key;
+        out[name] = typeof value === 'boolean' || typeof value === 'number' ? String(value) : value;
+    }
+    if (out['.id']) out.id = out['.id'];
+    return out;
+};
+
+// A print of a singleton menu (system/resource, ip/dns...) returns the
+// object itself, as REST does; list menus always return arrays.
+const shapePrint = (items) => (items.length === 1 && !items[0]['.id'] ? items[0] : items);
+
+const parseFlag = (value) => value !== undefined && value !== 'false' && value !== '0' && value !== false;
+
+const parseWhere = (where) => {
+    if (where === undefined || where === '') return {};
+    let parsed = where;
+    if (typeof where === 'string') {
+        try { parsed = JSON.parse(where); } catch (e) { throw badRequest("'where' must be a JSON object of field/value pairs"); }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw badRequest("'where' must be a JSON object of field/value pairs");
+    for (const [field, value] of Object.entries(parsed)) {
+        if (!FIELD_NAME.test(field)) throw badRequest(`Invalid filter field '${field}'`);
+        if (value === null || typeof value === 'object') throw badRequest(`Filter '${field}' must be a single value`);
+    }
+    return parsed;
+};
+
+const parseProplist = (proplist) => {
+    if (proplist === undefined || proplist === '') return null;
+    const fields = (Array.isArray(proplist) ? proplist : String(proplist).split(',')).map(f => String(f).trim()).filter(Boolean);
+    for (const field of fields) {
+        if (!FIELD_NAME.test(field)) throw badRequest(`Invalid proplist field '${field}'`);
+    }
+    // Keep .id so list items can still be addressed afterwards.
+    return fields.includes('.id') ? fields : ['.id', ...fields];
+};
+
+// Turns an HTTP request against `/:routerId/<endpoint>` into an operation.
+const parseRouterRequest = (method, endpoint, query = {}, body) => {
+    const segments = String(endpoint || '').split('/').filter(Boolean);
+    if (!segments.length) throw badRequest('Endpoint missing');
+    if (segments.some(s => s === '.' || s === '..')) throw badRequest("Endpoints cannot contain '.' or '..' segments");
+    const data = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const last = segments[segments.length - 1];
+    let menu = segments.slice(0, -1).join('/');
+    let verb;
+    let id = data['.id'] || data.id;
+
+    if (isItemId(last)) {
+        id = last;
+        verb = { GET: 'get', PATCH: 'set', PUT: 'set', DELETE: 'remove' }[method];
+        if (!verb) throw badRequest(`${method} is not supported on a single item`);
+    } else if (VERBS.has(last)) {
+        verb = last;
+        // A GET must never change the router, whatever its last segment says.
+        if ((method === 'GET' || method === 'HEAD') && verb !== 'print') throw badRequest(`'${verb}' needs POST, not ${method}`);
+    } else {
+        menu = segments.join('/');
+        if (method === 'GET') verb = 'print';
+        else if (method === 'PUT') verb = 'add';
+        else if (method === 'POST') {
+            verb = 'command';
+            menu = segments.slice(0, -1).join('/');
+        } else throw badRequest(`${method} needs an item id, e.g. ${menu}/*1`);
+    }
+    if (['set', 'remove', 'enable', 'disable'].includes(verb) && !id) throw badRequest(`'.id' is required to ${verb} an item`);
+
+    const options = { ...query, ...(verb === 'print' ? data : {}) };
+    return {
+        menu,
+        verb,
+        command: verb === 'command' ? last : undefined,
+        id,
+        where: verb === 'print' ? parseWhere(options.where) : {},
+        proplist: verb === 'print' ? parseProplist(options.proplist !== undefined ? options.proplist : options['.proplist']) : null,
+        countOnly: verb === 'print' && parseFlag(options['count-only'] !== undefined ? options['count-only'] : options.count),
+        params: verb === 'print' ? {} : data,
+    };
+};
+
+// Operations on one router through an already-connected client: an axios
+// instance for REST, a RouterOSAPI session for legacy.
+const createRouterQuery = (router, client, writeLegacySafe) => {
+    const legacy = router.api_type === 'legacy';
+
+    const rest = async (method, url, data) => (await client.request({ method, url: `/${url}`, data })).data;
+
+    const print = async (menu, { where = {}, proplist = null, countOnly = false } = {}) => {
+        const fields = countOnly ? ['.id'] : proplist;
+        const conditions = Object.entries(where).map(([k, v]) => `${k}=${toRosValue(v)}`);
+        let items;
+        if (legacy) {
+            const words = [`/${menu}/print`];
+            if (fields) words.push(`=.proplist=${fields.join(',')}`);
+            conditions.forEach(c => words.push(`?${c}`));
+            items = await writeLegacySafe(client, words);
+        } else if (!fields && !conditions.length) {
+            items = await rest('GET', menu);
+        } else {
+            const payload = {};
+            if (fields) payload['.proplist'] = fields;
+            if (conditions.length) payload['.query'] = conditions;
+            items = await rest('POST', `${menu}/print`, payload);
+        }
+        items = (Array.isArray(items) ? items : [items]).map(item => normalizeItem(item, { legacy }));
+        if (countOnly) return { count: items.length };
+        return shapePrint(items);
+    };
+
+    const get = async (menu, id) => {
+        if (legacy) {
+            const [item] = await writeLegacySafe(client, [`/${menu}/print`, `?.id=${id}`]);
+            if (!item) throw notFound(`No such item ${id} in ${menu}`);
+            return normalizeItem(item, { legacy });
+        }
+        return normalizeItem(await rest('GET', `${menu}/${id}`));
+    };
+
+    const add = async (menu, data) => {
+        if (legacy) {
+            const [reply] = await client.write(`/${menu}/add`, toRosParams(data));
+            const id = reply && reply.ret;
+            return id ? get(menu, id).catch(() => ({ '.id': id, id })) : {};
+        }
+        return normalizeItem(await rest('PUT', menu, toRosParams(data)));
+    };
+
+    const set = async (menu, id, data) => {
+        if (legacy) {
+            await client.write(`/${menu}/set`, { '.id': id, ...toRosParams(data) });
+            return get(menu, id);
+        }
+        return normalizeItem(await rest('PATCH', `${menu}/${id}`, toRosParams(data)));
+    };
+
+    const remove = async (menu, id) => {
+        if (legacy) await client.write(`/${menu}/remove`, { '.id': id });
+        else await rest('DELETE', `${menu}/${id}`);
+        return { message: 'Removed', id };
+    };
+
+    const enable = (menu, id) => set(menu, id, { disabled: false });
+    const disable = (menu, id) => set(menu, id, { disabled: true });
+
+    const command = async (menu, name, data) => {
+        const params = toRosParams(data);
+        if (data && (data['.id'] || data.id)) params['.id'] = data['.id'] || data.id;
+        const result = legacy
+            ? await writeLegacySafe(client, [`/${menu}/${name}`, ...Object.entries(params).map(([k, v]) => `=${k}=${v}`)])
+            : await rest('POST', `${menu}/${name}`, params);
+        return Array.isArray(result) ? result.map(item => normalizeItem(item, { legacy })) : normalizeItem(result, { legacy });
+    };
+
+    // Runs a request parsed by parseRouterRequest.
+    const execute = (request) => {
+        switch (request.verb) {
+            case 'print': return print(request.menu, request);
+            case 'get': return get(request.menu, request.id);
+            case 'add': return add(request.menu, request.params);
+            case 'set': return set(request.menu, request.id, request.params);
+            case 'remove': return remove(request.menu, request.id);
+            case 'enable': return enable(request.menu, request.id);
+            case 'disable': return disable(request.menu, request.id);
+            default: return command(request.menu, request.command, request.params);
+        }
+    };
+
+    return { print, get, add, set, remove, enable, disable, command, execute };
+};
+
+module.exports = { createRouterQuery, parseRouterRequest, normalizeItem };
@@ -1,97 +1,101 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const cors = require('cors');
-const { RouterOSAPI } = require('node-routeros-v2');
 const axios = require('axios');
-const https = require('https');
+const jwt = require('jsonwebtoken');
+const { createRouterPool, createRouterInstance } = require('./routerPool');
+const { createRouterQuery, parseRouterRequest } = require('./routerQuery');
 
 const app = express();
 const PORT = 3002;
+// Only the panel on this host talks to this service. It trusts any valid
+// panel token and leaves permission checks to the panel's /mt-api, so it
+// must not be reachable from other machines.
+const HOST = process.env.API_BACKEND_HOST || '127.0.0.1';
+const PANEL_URL = 'http://localhost:3001';
+// The panel's token signing key: JWT_SECRET when set, otherwise the key file
+// the panel generates on first start. Read on use so this service can start
+// before the panel has created it.
+const SECRET_FILE = process.env.PANEL_JWT_SECRET_FILE || path.join(__dirname, '..', 'proxy', 'jwt.secret');
+let fileSecret = null;
+const secretKey = () => {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (!fileSecret) {
+        try {
+            fileSecret = fs.readFileSync(SECRET_FILE, 'utf8').trim() || null;
+        } catch (e) {
+            throw new Error(`No JWT_SECRET is set and ${SECRET_FILE} could not be read; start the panel first or set JWT_SECRET: ${e.message}`);
+        }
+    }
+    return fileSecret;
+};
+const pool = createRouterPool();
 
 app.use(cors());
 app.use(express.json());
 
-// Helper to create router instance based on config
-const createRouterInstance = (config) => {
-    if (!config || !config.host || !config.user) {
-        throw new Error('Invalid router configuration');
-    }
-    
-    if (config.api_type === 'legacy') {
-        const isTls = config.port === 8729;
-        return new RouterOSAPI({
-            host: config.host,
-            user: config.user,
-            password: config.password || '',
-            port: config.port || 8728,
-            timeout: 15,
-            tls: isTls,
-            tlsOptions: isTls ? { rejectUnauthorized: false, minVersion: 'TLSv1.2' } : undefined,
-        });
+// Verifies the panel-issued token locally, since cached router configs mean
+// most requests no longer round-trip through the panel. Access tokens live
+// for 15 minutes, so a session revoked in the panel stops working here
+// within that time.
+const verifyToken = (req) => {
+    const h = req.headers.authorization || '';
+    try {
+        return h.startsWith('Bearer ') ? jwt.verify(h.slice(7), secretKey()) : null;
+    } catch (e) {
+        return null;
     }
+};
 
-    const protocol = config.port === 443 ? 'https' : 'http';
-    const baseURL = `${protocol}://${config.host}:${config.port}/rest`;
-    const auth = { username: config.user, password: config.password || '' };
-
-    const instance = axios.create({ 
-        baseURL, 
-        auth,
-        httpsAgent: new https.Agent({ rejectUnauthorized: false, minVersion: 'TLSv1.2' }),
-        timeout: 15000
+// Router credentials come from the panel's internal endpoint, which only
+// answers this service on the same host; the browser never sees them.
+const fetchRouterConfig = async (routerId) => {
+    const token = jwt.sign({ sub: 'api-backend', system: true, scope: 'router-credentials' }, secretKey(), { expiresIn: '1m' });
+    const response = await axios.get(`${PANEL_URL}/api/internal/routers/${encodeURIComponent(routerId)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
     });
+    return response.data;
+};
 
-    // Normalize ID fields
-    instance.interceptors.response.use(response => {
-        const mapId = (item) => {
-            if (item && typeof item === 'object' && '.id' in item) {
-                return { ...item, id: item['.id'] };
-            }
-            return item;
-        };
-
-        if (response.data && typeof response.data === 'object') {
-            if (Array.isArray(response.data)) {
-                response.data = response.data.map(mapId);
-            } else {
-                response.data = mapId(response.data);
-            }
-        }
-        return response;
-    }, error => Promise.reject(error));
-
-    return instance;
+const requireSystem = (req, res, next) => {
+    const auth = verifyToken(req);
+    if (!auth || !auth.system) return res.status(403).json({ message: 'Forbidden' });
+    next();
 };
 
-// Middleware to attach router config based on ID by calling the proxy server
+// Middleware to attach the (cached) router config and a pooled connection.
+// The connection slot is held until the response has been sent.
 const getRouter = async (req, res, next) => {
+    const routerId = req.params.routerId;
+    if (!routerId) {
+        return res.status(400).json({ message: 'Router ID missing' });
+    }
+    if (!verifyToken(req)) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
     try {
-        const routerId = req.params.routerId;
-        if (!routerId) {
-            return res.status(400).json({ message: 'Router ID missing' });
-        }
-        
-        const proxyUrl = 'http://localhost:3001'; 
-        const response = await axios.get(`${proxyUrl}/api/db/routers/${routerId}`, {
-            headers: {
-                'Authorization': req.headers.authorization
-            }
-        });
-        
-        const routerConfig = response.data;
-        if (!routerConfig) {
+        req.router = await pool.getConfig(routerId, () => fetchRouterConfig(routerId));
+        if (!req.router) {
              console.warn(`[Backend] Router ID ${routerId} not found via proxy.`);
              return res.status(404).json({ message: 'Router not found' });
         }
-        
-        req.router = routerConfig;
-        req.routerInstance = createRouterInstance(req.router);
-        next();
     } catch (e) {
-        console.error(`[Backend] Error fetching router config from proxy for ID ${req.params.routerId}:`, e.message);
+        console.error(`[Backend] Error fetching router config from proxy for ID ${routerId}:`, e.message);
         if (e.response) {
             return res.status(e.response.status).json({ message: e.response.data.message || 'Router not found' });
         }
-        res.status(500).json({ message: 'Internal Server Error: Could not communicate with main panel service.' });
+        return res.status(500).json({ message: 'Internal Server Error: Could not communicate with main panel service.' });
+    }
+    try {
+        const { client, release } = await pool.acquire(routerId, req.router);
+        res.once('finish', release);
+        res.once('close', release);
+        req.routerInstance = client;
+        next();
+    } catch (e) {
+        console.error(`[Backend] Could not connect to router ${routerId}:`, e.message);
+        res.status(e.status || 500).json({ message: e.message });
     }
 };
 
@@ -120,19 +124,169 @@ const normalizeLegacyObject = (obj) => {
     return newObj;
 }
 
+// Runs `fn` with find/add/set/remove helpers that behave the same on both APIs.
+const withRouterOps = async (req, fn) => {
+    const query = createRouterQuery(req.router, req.routerInstance, writeLegacySafe);
+    return fn({
+        find: async (menu, where = {}) => {
+            const items = await query.print(menu, { where });
+            return Array.isArray(items) ? items : [items];
+        },
+        add: query.add,
+        set: query.set,
+        remove: query.remove,
+    });
+};
+
+// Panel DB client that acts with the caller's own token.
+const panelDb = (req) => axios.create({
+    baseURL: `${PANEL_URL}/api/db`,
+    headers: { 'Authorization': req.headers.authorization }
+});
+
+const ROS_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Scheduler start-date/start-time in the router's local format.
+const toRosDateTime = (date) => ({
+    date: `${ROS_MONTHS[date.getMonth()]}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`,
+    time: date.toTimeString().split(' ')[0],
+});
+
+// Quotes a value for use inside a RouterOS script string.
+const rosQuote = (value) => `"${String(value).replace(/[\\"$]/g, '\\$&')}"`;
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const MAC = /^[0-9A-F]{2}(:[0-9A-F]{2}){5}$/i;
+// Free text that ends up in scheduler scripts, queue names and item queries.
+const UNSAFE_TEXT = /["\\$;&?#\[\]{}\x00-\x1f]/;
+const DHCP_PLAN_TYPES = ['prepaid', 'postpaid'];
+
+// Checks a dhcp-client/update body before any of it reaches the router.
+// Returns the first problem, or null.
+const dhcpUpdateProblem = (body) => {
+    const { macAddress, address, customerInfo, contactNumber, email, plan, planType, graceDays, graceTime, expiresAt, speedLimit } = body || {};
+    if (typeof address !== 'string' || !IPV4.test(address)) return 'address must be an IPv4 address';
+    if (typeof macAddress !== 'string' || !MAC.test(macAddress)) return 'macAddress must be a MAC address such as AA:BB:CC:DD:EE:FF';
+    if (typeof customerInfo !== 'string' || !customerInfo.trim() || customerInfo.length > 100) return 'customerInfo is required and may be at most 100 characters';
+    for (const [field, value] of Object.entries({ customerInfo, contactNumber, email, planName: plan && plan.name })) {
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string' || UNSAFE_TEXT.test(value)) return `${field} contains characters RouterOS scripts cannot hold`;
+    }
+    if (planType !== undefined && !DHCP_PLAN_TYPES.includes(planType)) return `planType must be one of ${DHCP_PLAN_TYPES.join(', ')}`;
+    if (plan && plan.cycle_days !== undefined && !(Number(plan.cycle_days) > 0)) return 'plan.cycle_days must be a positive number';
+    if (graceDays !== undefined && graceDays !== null && !(Number(graceDays) >= 0)) return 'graceDays must be a non-negative number';
+    if (graceTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(graceTime)) return 'graceTime must be HH:MM';
+    if (expiresAt && isNaN(new Date(expiresAt))) return 'expiresAt must be a date';
+    if (speedLimit !== undefined && speedLimit !== null && speedLimit !== '' && !/^\d+(\.\d+)?$/.test(String(speedLimit))) return 'speedLimit must be a number of Mbps';
+    return null;
+};
+
+const dhcpSchedulerName = (address) => `deactivate-dhcp-${address.replace(/\./g, '-')}`;
+
+const parseComment = (comment) => {
+    try {
+        const parsed = JSON.parse(comment || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const CYCLE_MONTHS = { Monthly: 1, Quarterly: 3, Yearly: 12 };
+const CYCLE_DAYS = { Monthly: 30, Quarterly: 90, Yearly: 365 };
+
+// Adds whole months, clamping to the last day so Jan 31 + 1 month is Feb 28/29.
+const addMonths = (from, months) => {
+    const d = new Date(from);
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+    return d;
+};
+
+const getCommentDue = (comment) => {
+    if (comment.dueDateTime) return new Date(comment.dueDateTime);
+    if (comment.dueDate) return new Date(`${comment.dueDate}T23:59:59`);
+    return null;
+};
+
+// A renewal paid before the due date extends from the due date; a late one
+// extends from the payment date, keeping the subscriber's usual cut-off time.
+const nextPppDueDate = (comment, cycle, paymentDate) => {
+    const currentDue = getCommentDue(comment);
+    const time = currentDue && !isNaN(currentDue) ? currentDue.toTimeString().slice(0, 8) : '23:59:59';
+    const paidAt = paymentDate ? new Date(`${paymentDate}T${time}`) : new Date();
+    if (isNaN(paidAt)) throw Object.assign(new Error('Invalid paymentDate'), { status: 400 });
+    const base = currentDue && !isNaN(currentDue) && currentDue > paidAt ? currentDue : paidAt;
+    return addMonths(base, CYCLE_MONTHS[cycle] || 1);
+};
+
+const setCommentDue = (comment, due) => {
+    comment.dueDate = due.toISOString().split('T')[0];
+    comment.dueDateTime = due.toISOString();
+};
+
+const pppSchedulerName = (name) => `ppp-expire-${name}`;
+
+const removePppExpiry = async (ops, name) => {
+    const scheds = await ops.find('system/scheduler', { name: pppSchedulerName(name) });
+    for (const s of scheds) await ops.remove('system/scheduler', s.id);
+};
+
+// One-shot scheduler that moves the secret to the non-payment profile (or
+// disables it when none is given) and drops the live session at `due`.
+const schedulePppExpiry = async (ops, name, due, nonPaymentProfile) => {
+    await removePppExpiry(ops, name);
+    if (due <= new Date()) return;
+    const action = nonPaymentProfile ? `profile=${rosQuote(nonPaymentProfile)}` : 'disabled=yes';
+    const { date, time } = toRosDateTime(due);
+    await ops.add('system/scheduler', {
+        name: pppSchedulerName(name),
+        'start-date': date,
+        'start-time': time,
+        interval: '0s',
+        'on-event': `/ppp secret set [find name=${rosQuote(name)}] ${action}; /ppp active remove [find name=${rosQuote(name)}]`
+    });
+};
+
 // --- SPECIAL ENDPOINTS (must come before the generic proxy) ---
 
+// Connection pool status and invalidation, used by the panel itself.
+app.get('/pool', requireSystem, (req, res) => {
+    res.json({ maxConcurrent: pool.maxConcurrent, routers: pool.stats() });
+});
+
+app.delete('/pool/:routerId', requireSystem, (req, res) => {
+    pool.invalidate(req.params.routerId);
+    res.json({ message: 'Invalidated' });
+});
+
 app.post('/test/test-connection', async (req, res) => {
-    const config = req.body;
+    let config = req.body;
     try {
         if (!config || !config.host || !config.user || !config.api_type) {
             return res.status(400).json({ success: false, message: 'Incomplete router configuration provided for testing.' });
         }
+        // Testing a saved router without retyping its password uses the stored
+        // one, but only against the address and login it was saved for.
+        if (config.id && !config.password) {
+            if (!verifyToken(req)) return res.status(401).json({ success: false, message: 'Unauthorized' });
+            const saved = await fetchRouterConfig(config.id);
+            const same = ['host', 'user', 'port', 'api_type'].every(k => String(saved[k]) === String(config[k]));
+            if (!same) {
+                return res.status(400).json({ success: false, message: 'Enter the password to test a changed host, port, username or API type.' });
+            }
+            config = { ...config, password: saved.password };
+        }
         const client = createRouterInstance(config);
         if (config.api_type === 'legacy') {
-            await client.connect();
-            await writeLegacySafe(client, ['/system/resource/print']);
-            await client.close();
+            try {
+                await client.connect();
+                await writeLegacySafe(client, ['/system/resource/print']);
+            } finally {
+                client.close().catch(() => { /* never connected or already closed */ });
+            }
         } else {
             await client.get('/system/resource');
         }
@@ -148,14 +302,8 @@ app.post('/test/test-connection', async (req, res) => {
 app.get('/:routerId/interface/stats', getRouter, async (req, res) => {
     try {
         if (req.router.api_type === 'legacy') {
-            const client = req.routerInstance;
-            await client.connect();
-            try {
-                const result = await writeLegacySafe(client, ['/interface/print', 'stats', 'detail', 'without-paging']);
-                res.json(result.map(normalizeLegacyObject));
-            } finally {
-                await client.close();
-            }
+            const result = await writeLegacySafe(req.routerInstance, ['/interface/print', 'stats', 'detail', 'without-paging']);
+            res.json(result.map(normalizeLegacyObject));
         } else {
             const response = await req.routerInstance.post('/interface/print', { 'stats': true, 'detail': true });
             res.json(response.data);
@@ -172,6 +320,10 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
         plan, downtimeDays, planType, graceDays, graceTime, 
         expiresAt: manualExpiresAt, contactNumber, email, speedLimit 
     } = req.body;
+    const problem = dhcpUpdateProblem(req.body);
+    if (problem) {
+        return res.status(400).json({ message: problem });
+    }
     try {
         let expiresAt;
         if (manualExpiresAt) {
@@ -182,7 +334,7 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
                 const [hours, minutes] = graceTime.split(':').map(Number);
                 now.setHours(hours, minutes, 0, 0);
             }
-            expiresAt = new Date(now.getTime() + (graceDays * 24 * 60 * 60 * 1000));
+            expiresAt = new Date(now.getTime() + (Number(graceDays) * 24 * 60 * 60 * 1000));
         } else if (plan && plan.cycle_days) {
             const now = new Date();
             expiresAt = new Date(now.getTime() + (plan.cycle_days * 24 * 60 * 60 * 1000));
@@ -191,6 +343,7 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
         }
         const commentData = {
             customerInfo,
+            macAddress: macAddress.toUpperCase(),
             contactNumber,
             email,
             planName: plan ? plan.name : '',
@@ -198,14 +351,14 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
             dueDateTime: expiresAt.toISOString(),
             planType: planType || 'prepaid'
         };
-        const schedName = `deactivate-dhcp-${address.replace(/\./g, '-')}`;
-        const onEvent = `/ip firewall address-list remove [find where address="${address}" and list="authorized-dhcp-users"]; /ip firewall connection remove [find where src-address~"^${address}"]; :local leaseId [/ip dhcp-server lease find where address="${address}"]; if ([:len $leaseId] > 0) do={ /ip firewall address-list add address="${address}" list="pending-dhcp-users" timeout=1d comment="${macAddress}"; }`;
-        const months = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
-        const rosDate = `${months[expiresAt.getMonth()]}/${String(expiresAt.getDate()).padStart(2,'0')}/${expiresAt.getFullYear()}`;
-        const rosTime = expiresAt.toTimeString().split(' ')[0];
+        const schedName = dhcpSchedulerName(address);
+        // address and macAddress were validated above; quoting them as well
+        // keeps the script intact whatever the checks let through.
+        const addr = rosQuote(address);
+        const onEvent = `/ip firewall address-list remove [find where address=${addr} and list="authorized-dhcp-users"]; /ip firewall connection remove [find where src-address~${rosQuote(`^${address.replace(/\./g, '\\.')}(:|$)`)}]; :local leaseId [/ip dhcp-server lease find where address=${addr}]; if ([:len $leaseId] > 0) do={ /ip firewall address-list add address=${addr} list="pending-dhcp-users" timeout=1d comment=${rosQuote(macAddress.toUpperCase())}; }`;
+        const { date: rosDate, time: rosTime } = toRosDateTime(expiresAt);
         if (req.router.api_type === 'legacy') {
             const client = req.routerInstance;
-            await client.connect();
             const addressLists = await writeLegacySafe(client, ['/ip/firewall/address-list/print', '?address=' + address, '?list=authorized-dhcp-users']);
             if (addressLists.length > 0) {
                 await client.write('/ip/firewall/address-list/set', {
@@ -240,11 +393,10 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
                 interval: '0s',
                 'on-event': onEvent
             });
-            await client.close();
         } else {
             const instance = req.routerInstance;
             try {
-                const alRes = await instance.get(`/ip/firewall/address-list?address=${address}&list=authorized-dhcp-users`);
+                const alRes = await instance.get(`/ip/firewall/address-list?address=${encodeURIComponent(address)}&list=authorized-dhcp-users`);
                 if (alRes.data && alRes.data.length > 0) {
                     await instance.patch(`/ip/firewall/address-list/${alRes.data[0]['.id']}`, {
                         comment: JSON.stringify(commentData)
@@ -254,7 +406,7 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
             if (speedLimit) {
                  const limitString = `${speedLimit}M/${speedLimit}M`;
                  try {
-                    const qRes = await instance.get(`/queue/simple?name=${customerInfo}`);
+                    const qRes = await instance.get(`/queue/simple?name=${encodeURIComponent(customerInfo)}`);
                     if (qRes.data && qRes.data.length > 0) {
                         await instance.patch(`/queue/simple/${qRes.data[0]['.id']}`, { 'max-limit': limitString });
                     } else {
@@ -267,7 +419,7 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
                  } catch (e) { console.error("Queue update error", e.message); }
             }
             try {
-                const sRes = await instance.get(`/system/scheduler?name=${schedName}`);
+                const sRes = await instance.get(`/system/scheduler?name=${encodeURIComponent(schedName)}`);
                 if (sRes.data && sRes.data.length > 0) {
                     await instance.delete(`/system/scheduler/${sRes.data[0]['.id']}`);
                 }
@@ -288,14 +440,157 @@ app.post('/:routerId/dhcp-client/update', getRouter, async (req, res) => {
     }
 });
 
+app.post('/:routerId/ppp/payment/process', getRouter, async (req, res) => {
+    const { secret, plan, nonPaymentProfile, discountDays, paymentDate } = req.body || {};
+    if (!secret || !secret.name) {
+        return res.status(400).json({ message: 'secret.name is required' });
+    }
+    if (!plan || !plan.pppoeProfile) {
+        return res.status(400).json({ message: 'plan with a pppoeProfile is required' });
+    }
+    try {
+        const due = await withRouterOps(req, async (ops) => {
+            const [current] = await ops.find('ppp/secret', { name: secret.name });
+            if (!current) {
+                throw Object.assign(new Error(`PPP secret '${secret.name}' not found`), { status: 404 });
+            }
+            const comment = parseComment(current.comment);
+            const nextDue = nextPppDueDate(comment, plan.cycle, paymentDate);
+            setCommentDue(comment, nextDue);
+            Object.assign(comment, { plan: plan.name, price: plan.price, currency: plan.currency });
+            if (nonPaymentProfile) comment.nonPaymentProfile = nonPaymentProfile;
+
+            // Also re-enables a secret the expiry scheduler disabled for lack
+            // of a non-payment profile.
+            await ops.set('ppp/secret', current.id, { profile: plan.pppoeProfile, disabled: 'no', comment: JSON.stringify(comment) });
+            await schedulePppExpiry(ops, secret.name, nextDue, nonPaymentProfile || comment.nonPaymentProfile);
+            // Kick the live session so it reconnects with the paid profile.
+            const sessions = await ops.find('ppp/active', { name: secret.name });
+            for (const session of sessions) await ops.remove('ppp/active', session.id);
+            return nextDue;
+        });
+
+        const customer = secret.customer || {};
+        const days = CYCLE_DAYS[plan.cycle] || 30;
+        const planPrice = Number(plan.price) || 0;
+        const discountAmount = (planPrice / days) * (Number(discountDays) || 0);
+        const sale = {
+            id: `sale_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+            date: new Date().toISOString(),
+            clientName: customer.fullName || secret.name,
+            planName: plan.name,
+            planPrice,
+            discountAmount,
+            finalAmount: Math.max(0, planPrice - discountAmount),
+            routerName: req.router.name,
+            currency: plan.currency,
+            routerId: req.params.routerId,
+            clientAddress: customer.address,
+            clientContact: customer.contactNumber,
+            clientEmail: customer.email,
+        };
+        try {
+            await panelDb(req).post('/sales', sale);
+        } catch (e) {
+            const msg = e.response?.data?.message || e.message;
+            return res.status(502).json({ message: `Payment applied on the router but the sale could not be recorded: ${msg}` });
+        }
+        res.json({ message: 'Payment processed', dueDateTime: due.toISOString(), sale });
+    } catch (e) {
+        console.error("PPP Payment Error:", e.message);
+        res.status(e.status || 500).json({ message: e.message });
+    }
+});
+
+app.post('/:routerId/ppp/user/save', getRouter, async (req, res) => {
+    const { initialSecret, secretData, subscriptionData = {}, customerData } = req.body || {};
+    if (!secretData || !secretData.name) {
+        return res.status(400).json({ message: 'secretData.name is required' });
+    }
+    const { routerId } = req.params;
+    const name = secretData.name;
+    const api = panelDb(req);
+    try {
+        // Look the customer up first so a panel DB problem fails before the router is touched.
+        const previousName = initialSecret?.name || name;
+        const { data: matches } = await api.get('/customers', { params: { routerId, username: previousName } });
+        const existingCustomer = matches[0];
+
+        const comment = parseComment(secretData.comment);
+        let due = null;
+        if (subscriptionData.dueDate) {
+            due = new Date(subscriptionData.dueDate);
+        } else if (subscriptionData.graceDays) {
+            due = new Date();
+            if (subscriptionData.graceTime) {
+                const [hours, minutes] = subscriptionData.graceTime.split(':').map(Number);
+                due.setHours(hours, minutes, 0, 0);
+            }
+            due = new Date(due.getTime() + (subscriptionData.graceDays * 24 * 60 * 60 * 1000));
+        }
+        if (due && isNaN(due)) {
+            return res.status(400).json({ message: 'Invalid due date' });
+        }
+        if (due) setCommentDue(comment, due);
+        if (subscriptionData.planType) comment.planType = subscriptionData.planType;
+        if (subscriptionData.nonPaymentProfile) comment.nonPaymentProfile = subscriptionData.nonPaymentProfile;
+
+        const payload = {
+            name,
+            service: secretData.service || 'pppoe',
+            profile: secretData.profile || 'default',
+            comment: JSON.stringify(comment),
+        };
+        if (secretData.password) payload.password = secretData.password;
+        // 'false' or false re-enables a secret the expiry scheduler disabled.
+        if (secretData.disabled !== undefined) payload.disabled = String(secretData.disabled);
+
+        await withRouterOps(req, async (ops) => {
+            const [existing] = initialSecret?.id ? [initialSecret] : await ops.find('ppp/secret', { name });
+            if (existing) {
+                await ops.set('ppp/secret', existing.id, payload);
+            } else {
+                await ops.add('ppp/secret', payload);
+            }
+            if (previousName !== name) await removePppExpiry(ops, previousName);
+            if (due) {
+                await schedulePppExpiry(ops, name, due, subscriptionData.nonPaymentProfile);
+            } else {
+                await removePppExpiry(ops, name);
+            }
+        });
+
+        const fields = {};
+        for (const key of ['fullName', 'address', 'contactNumber', 'email']) {
+            if (customerData && customerData[key] !== undefined) fields[key] = customerData[key];
+        }
+        let customer = existingCustomer || null;
+        try {
+            if (existingCustomer) {
+                await api.patch(`/customers/${existingCustomer.id}`, { ...fields, username: name });
+                customer = { ...existingCustomer, ...fields, username: name };
+            } else if (Object.values(fields).some(v => v && String(v).trim() !== '')) {
+                customer = { id: `cust_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`, routerId, username: name, ...fields };
+                await api.post('/customers', customer);
+            }
+        } catch (e) {
+            const msg = e.response?.data?.message || e.message;
+            return res.status(502).json({ message: `Secret saved on the router but the customer record could not be saved: ${msg}` });
+        }
+        res.json({ message: 'User saved', dueDateTime: due ? due.toISOString() : null, customer });
+    } catch (e) {
+        console.error("PPP User Save Error:", e.message);
+        const status = e.status || (e.response ? e.response.status : 500);
+        const msg = e.response?.data?.message || e.response?.data?.detail || e.message;
+        res.status(status).json({ message: msg });
+    }
+});
+
 app.get('/:routerId/system/script/wan-failover-status', getRouter, async (req, res) => {
     try {
         let routes;
         if (req.router.api_type === 'legacy') {
-            const client = req.routerInstance;
-            await client.connect();
-            routes = await writeLegacySafe(client, ['/ip/route/print', '?check-gateway']);
-            await client.close();
+            routes = await writeLegacySafe(req.routerInstance, ['/ip/route/print', '?check-gateway']);
         } else {
             const response = await req.routerInstance.get('/ip/route');
             routes = response.data;
@@ -318,7 +613,6 @@ app.post('/:routerId/system/script/configure-wan-failover', getRouter, async (re
         let routesToModify;
         if (req.router.api_type === 'legacy') {
             const client = req.routerInstance;
-            await client.connect();
             const routes = await writeLegacySafe(client, ['/ip/route/print', '?check-gateway']);
             routesToModify = routes.filter(r => r['check-gateway']);
             for (const route of routesToModify) {
@@ -327,7 +621,6 @@ app.post('/:routerId/system/script/configure-wan-failover', getRouter, async (re
                     'disabled': enabled ? 'no' : 'yes'
                 });
             }
-            await client.close();
         } else {
             const response = await req.routerInstance.get('/ip/route');
             routesToModify = response.data.filter(r => r['check-gateway']);
@@ -344,44 +637,21 @@ app.post('/:routerId/system/script/configure-wan-failover', getRouter, async (re
     }
 });
 
+// Generic pass-through; see routerQuery.js for the request format.
 app.all('/:routerId/:endpoint(*)', getRouter, async (req, res) => {
     const { endpoint } = req.params;
-    const method = req.method;
-    const body = req.body;
     try {
-        if (req.router.api_type === 'legacy') {
-             const client = req.routerInstance;
-             await client.connect();
-             const cmd = '/' + endpoint; 
-             if (method === 'POST' && body) {
-                  await client.write(cmd, body);
-                  res.json({ message: 'Command executed' });
-             } else {
-                  const data = await writeLegacySafe(client, [cmd]);
-                  res.json(data.map(normalizeLegacyObject));
-             }
-             await client.close();
-        } else {
-            const instance = req.routerInstance;
-            let finalEndpoint = endpoint;
-            if (method === 'GET' && finalEndpoint.endsWith('/print')) {
-                finalEndpoint = finalEndpoint.replace(/\/print$/, '');
-            }
-            const response = await instance.request({
-                method: method,
-                url: `/${finalEndpoint}`,
-                data: body
-            });
-            res.json(response.data);
-        }
+        const request = parseRouterRequest(req.method, endpoint, req.query, req.body);
+        const query = createRouterQuery(req.router, req.routerInstance, writeLegacySafe);
+        res.json(await query.execute(request));
     } catch (e) {
         console.error(`Proxy Error (${endpoint}):`, e.message);
-        const status = e.response ? e.response.status : 500;
+        const status = e.status || (e.response ? e.response.status : 500);
         const msg = e.response && e.response.data ? (e.response.data.message || e.response.data.detail) : e.message;
         res.status(status).json({ message: msg });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`MikroTik API Backend listening on port ${PORT}`);
+app.listen(PORT, HOST, () => {
+    console.log(`MikroTik API Backend listening on ${HOST}:${PORT}`);
 });
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { AccountSecurity as AccountSecurityInfo, AuthSession, TotpSetup } from '../types.ts';
+import { Loader } from './Loader.tsx';
+import { SECURITY_QUESTIONS } from './Register.tsx';
+import {
+    getAccountSecurity, getSessions, revokeSession, changePassword,
+    saveSecurityQuestions, setupTotp, enableTotp, disableTotp,
+} from '../services/accountService.ts';
+
+type Message = { type: 'error' | 'success'; text: string } | null;
+
+const inputClass = 'mt-1 block w-full bg-slate-100 dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md p-2';
+const buttonClass = 'px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white font-semibold rounded-lg disabled:opacity-50';
+
+const Card: React.FC<{ title: string; children: React.ReactNode }> = ({ title, children }) => (
+    <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+        <div className="p-4 border-b border-slate-200 dark:border-slate-700"><h3 className="text-lg font-semibold">{title}</h3></div>
+        <div className="p-6 space-y-4">{children}</div>
+    </div>
+);
+
+const Notice: React.FC<{ message: Message }> = ({ message }) => message ? (
+    <div className={`p-3 rounded-md text-sm ${message.type === 'success' ? 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' : 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'}`}>
+        {message.text}
+    </div>
+) : null;
+
+const ChangePasswordForm: React.FC = () => {
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<Message>(null);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (newPassword !== confirmPassword) {
+            setMessage({ type: 'error', text: 'New passwords do not match.' });
+            return;
+        }
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            await changePassword(currentPassword, newPassword);
+            setMessage({ type: 'success', text: 'Password updated. Your other sessions have been signed out.' });
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+        } catch (err) {
+            setMessage({ type: 'error', text: (err as Error).message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <Notice message={message} />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="block text-sm font-medium">Current Password</label>
+                    <input type="password" autoComplete="current-password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} required className={inputClass} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">New Password</label>
+                    <input type="password" autoComplete="new-password" value={newPassword} onChange={e => setNewPassword(e.target.value)} required className={inputClass} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium">Confirm New Password</label>
+                    <input type="password" autoComplete="new-password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} required className={inputClass} />
+                </div>
+            </div>
+            <div className="flex justify-end">
+                <button type="submit" disabled={isSaving} className={buttonClass}>{isSaving ? 'Saving...' : 'Change Password'}</button>
+            </div>
+        </form>
+    );
+};
+
+const TwoFactorSection: React.FC<{ enabled: boolean; onChange: () => void }> = ({ enabled, onChange }) => {
+    const [password, setPassword] = useState('');
+    const [code, setCode] = useState('');
+    const [setup, setSetup] = useState<TotpSetup | null>(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<Message>(null);
+
+    const run = async (action: () => Promise<void>) => {
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            await action();
+        } catch (err) {
+            setMessage({ type: 'error', text: (err as Error).message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSetup = (e: React.FormEvent) => {
+        e.preventDefault();
+        run(async () => {
+            setSetup(await setupTotp(password));
+            setPassword('');
+        });
+    };
+
+    const handleEnable = (e: React.FormEvent) => {
+        e.preventDefault();
+        run(async () => {
+            const { message: text } = await enableTotp(code);
+            setSetup(null);
+            setCode('');
+            setMessage({ type: 'success', text });
+            onChange();
+        });
+    };
+
+    const handleDisable = (e: React.FormEvent) => {
+        e.preventDefault();
+        run(async () => {
+            const { message: text } = await disableTotp(password, code);
+            setPassword('');
+            setCode('');
+            setMessage({ type: 'success', text });
+            onChange();
+        });
+    };
+
+    const codeInput = (
+        <div>
+            <label className="block text-sm font-medium">Authentication Code</label>
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" pattern="[0-9]{6}" maxLength={6} value={code} onChange={e => setCode(e.target.value.replace(/\D/g, ''))} required className={`${inputClass} font-mono tracking-widest`} />
+        </div>
+    );
+
+    return (
+        <div className="space-y-4">
+            <Notice message={message} />
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+                Two-factor authentication is <span className="font-semibold">{enabled ? 'on' : 'off'}</span>.
+                {enabled ? ' Logging in asks for a code from your authenticator app.' : ' Turn it on to require a code from an authenticator app when you log in.'}
+            </p>
+            {enabled ? (
+                <form onSubmit={handleDisable} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                    <div>
+                        <label className="block text-sm font-medium">Current Password</label>
+                        <input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} required className={inputClass} />
+                    </div>
+                    {codeInput}
+                    <button type="submit" disabled={isSaving || code.length !== 6} className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white font-semibold rounded-lg disabled:opacity-50">Turn Off</button>
+                </form>
+            ) : setup ? (
+                <form onSubmit={handleEnable} className="space-y-4">
+                    <p className="text-sm">Add this key to your authenticator app, or open the setup link on the device that has the app, then enter the code it shows.</p>
+                    <div className="p-3 rounded-md bg-slate-100 dark:bg-slate-900 font-mono text-sm break-all">{setup.secret.replace(/(.{4})/g, '$1 ').trim()}</div>
+                    <a href={setup.otpauthUrl} className="text-sm text-[--color-primary-600] hover:underline break-all">{setup.otpauthUrl}</a>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                        {codeInput}
+                        <button type="submit" disabled={isSaving || code.length !== 6} className={buttonClass}>Turn On</button>
+                        <button type="button" onClick={() => setSetup(null)} className="px-4 py-2 rounded-lg border border-slate-300 dark:border-slate-600">Cancel</button>
+                    </div>
+                </form>
+            ) : (
+                <form onSubmit={handleSetup} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                    <div className="md:col-span-2">
+                        <label className="block text-sm font-medium">Current Password</label>
+                        <input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} required className={inputClass} />
+                    </div>
+                    <button type="submit" disabled={isSaving} className={buttonClass}>Set Up</button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+const SecurityQuestionsForm: React.FC<{ current: string[]; onChange: () => void }> = ({ current, onChange }) => {
+    const [questions, setQuestions] = useState<string[]>(() => current.length === 3 ? current : SECURITY_QUESTIONS.slice(0, 3));
+    const [answers, setAnswers] = useState<string[]>(['', '', '']);
+    const [password, setPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState<Message>(null);
+
+    const setAt = (list: string[], index: number, value: string) => list.map((v, i) => (i === index ? value : v));
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (new Set(questions).size !== questions.length) {
+            setMessage({ type: 'error', text: 'Please select three unique security questions.' });
+            return;
+        }
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            const { message: text } = await saveSecurityQuestions(password, questions.map((question, i) => ({ question, answer: answers[i] })));
+            setMessage({ type: 'success', text });
+            setAnswers(['', '', '']);
+            setPassword('');
+            onChange();
+        } catch (err) {
+            setMessage({ type: 'error', text: (err as Error).message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <Notice message={message} />
+            <p className="text-sm text-slate-600 dark:text-slate-400">
+                {current.length ? 'Your answers are stored hashed and let you reset a forgotten password. Saving replaces all three.' : 'You have no security questions yet, so only an administrator can reset your password.'}
+            </p>
+            {questions.map((question, i) => (
+                <div key={i} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <select value={question} onChange={e => setQuestions(setAt(questions, i, e.target.value))} className={inputClass}>
+                        {SECURITY_QUESTIONS.map(q => <option key={q} value={q}>{q}</option>)}
+                    </select>
+                    <input type="text" placeholder="Answer" value={answers[i]} onChange={e => setAnswers(setAt(answers, i, e.target.value))} required className={inputClass} />
+                </div>
+            ))}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                <div className="md:col-span-2">
+                    <label className="block text-sm font-medium">Current Password</label>
+                    <input type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} required className={inputClass} />
+                </div>
+                <button type="submit" disabled={isSaving} className={buttonClass}>{isSaving ? 'Saving...' : 'Save Questions'}</button>
+            </div>
+        </form>
+    );
+};
+
+const SessionsList: React.FC = () => {
+    const [sessions, setSessions] = useState<AuthSession[]>([]);
+    const [error, setError] = useState<string | null>(null);
+
+    const load = useCallback(async () => {
+        try {
+            setSessions(await getSessions());
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleRevoke = async (id: string) => {
+        try {
+            await revokeSession(id);
+            load();
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    return (
+        <div className="overflow-x-auto">
+            {error && <Notice message={{ type: 'error', text: error }} />}
+            <table className="w-full text-sm text-left">
+                <thead className="text-xs uppercase bg-slate-50 dark:bg-slate-900/50">
+                    <tr>
+                        <th className="px-4 py-3">Device</th><th className="px-4 py-3">Address</th><th className="px-4 py-3">Signed In</th><th className="px-4 py-3">Last Active</th><th className="px-4 py-3 text-right">Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {sessions.map(s => (
+                        <tr key={s.id} className="border-b dark:border-slate-700 last:border-b-0">
+                            <td className="px-4 py-3 max-w-xs truncate" title={s.userAgent || ''}>{s.userAgent || 'Unknown'}</td>
+                            <td className="px-4 py-3 font-mono">{s.ip || '-'}</td>
+                            <td className="px-4 py-3">{new Date(s.createdAt).toLocaleString()}</td>
+                            <td className="px-4 py-3">{new Date(s.lastUsedAt).toLocaleString()}</td>
+                            <td className="px-4 py-3 text-right">
+                                {s.current ? (
+                                    <span className="text-xs font-semibold text-green-600 dark:text-green-400">This session</span>
+                                ) : (
+                                    <button onClick={() => handleRevoke(s.id)} className="px-3 py-1 text-xs bg-red-600 hover:bg-red-500 text-white rounded-md font-semibold">Sign Out</button>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export const AccountSecurity: React.FC = () => {
+    const [account, setAccount] = useState<AccountSecurityInfo | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const load = useCallback(async () => {
+        try {
+            setAccount(await getAccountSecurity());
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    if (error) return <Notice message={{ type: 'error', text: error }} />;
+    if (!account) return <div className="flex justify-center p-8"><Loader /></div>;
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-8">
+            <h2 className="text-3xl font-bold text-slate-900 dark:text-slate-100">Account Security: {account.username}</h2>
+            <Card title="Password">
+                {account.passwordChangedAt && (
+                    <p className="text-sm text-slate-500 dark:text-slate-400">Last changed {new Date(account.passwordChangedAt).toLocaleString()}.</p>
+                )}
+                <ChangePasswordForm />
+            </Card>
+            <Card title="Two-Factor Authentication">
+                <TwoFactorSection enabled={account.totpEnabled} onChange={load} />
+            </Card>
+            <Card title="Security Questions">
+                <SecurityQuestionsForm key={account.securityQuestions.join('|')} current={account.securityQuestions} onChange={load} />
+            </Card>
+            <Card title="Active Sessions">
+                <SessionsList />
+            </Card>
+        </div>
+    );
+};
@@ -34,12 +34,16 @@ const PlanForm: React.FC<{
 
     const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
         const { name, value } = e.target;
-        setPlan(prev => ({ ...prev, [name]: name === 'price' ? parseFloat(value) || 0 : value }));
+        setPlan(prev => ({
+            ...prev,
+            [name]: name === 'price' ? parseFloat(value) || 0 : name === 'quotaGb' ? (value ? parseFloat(value) : null) : value,
+        }));
     };
 
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
-        onSave(initialData ? { ...initialData, ...plan } : plan);
+        const saved = { ...plan, fupLimit: plan.fupLimit || null };
+        onSave(initialData ? { ...initialData, ...saved } : saved);
     };
 
     return (
@@ -72,6 +76,16 @@ const PlanForm: React.FC<{
                         </select>
                     </div>
                 </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="quotaGb" className="block text-sm font-medium text-slate-700 dark:text-slate-300">{t('billing.quota_gb')}</label>
+                        <input type="number" name="quotaGb" value={plan.quotaGb ?? ''} onChange={handleChange} min="0" step="0.1" className="mt-1 block w-full bg-white dark:bg-slate-900/50 border border-slate-300 dark:border-slate-600 rounded-md py-2 px-3 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-[--color-primary-500] focus:border-[--color-primary-500]" placeholder={t('billing.quota_placeholder')} />
+                    </div>
+                    <div>
+                        <label htmlFor="fupLimit" className="block text-sm font-medium text-slate-700 dark:text-slate-300">{t('billing.fup_limit')}</label>
+                        <input type="text" name="fupLimit" value={plan.fupLimit || ''} onChange={handleChange} required={!!plan.quotaGb} pattern="\d+[kMG]?/\d+[kMG]?" className="mt-1 block w-full bg-white dark:bg-slate-900/50 border border-slate-300 dark:border-slate-600 rounded-md py-2 px-3 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-[--color-primary-500] focus:border-[--color-primary-500]" placeholder={t('billing.fup_limit_placeholder')} />
+                    </div>
+                </div>
                 <div>
                     <label htmlFor="description" className="block text-sm font-medium text-slate-700 dark:text-slate-300">{t('billing.description')}</label>
                     <textarea name="description" value={plan.description} onChange={handleChange} rows={2} className="mt-1 block w-full bg-white dark:bg-slate-900/50 border border-slate-300 dark:border-slate-600 rounded-md py-2 px-3 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-[--color-primary-500] focus:border-[--color-primary-500]" placeholder={t('billing.description_placeholder')}></textarea>
@@ -198,6 +212,12 @@ export const Billing: React.FC<BillingProps> = ({ selectedRouter }) => {
                                             <span className="font-bold text-slate-800 dark:text-slate-200">{formatCurrency(plan.price)}</span> / {t(`billing.${plan.cycle.toLowerCase()}`)}
                                             <span className="mx-2 text-slate-300 dark:text-slate-600">|</span>
                                             {t('billing.profile')}: <span className="font-mono bg-slate-200 dark:bg-slate-700 px-1.5 py-0.5 rounded text-xs">{plan.pppoeProfile}</span>
+                                            {plan.quotaGb ? (
+                                                <>
+                                                    <span className="mx-2 text-slate-300 dark:text-slate-600">|</span>
+                                                    {t('billing.quota')}: {plan.quotaGb} GB &rarr; <span className="font-mono">{plan.fupLimit}</span>
+                                                </>
+                                            ) : null}
                                         </p>
                                     </div>
                                 </div>
@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import type { BulkImportKind, BulkImportResult, BulkImportRow } from '../types.ts';
+import { getImportTemplateCsv, importSubscribersCsv } from '../services/bulkImportService.ts';
+
+interface BulkImportModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  kind: BulkImportKind;
+  routerId: string;
+  onApplied: () => void;
+}
+
+const ACTION_STYLES: Record<BulkImportRow['action'], string> = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-500/20 dark:text-green-300',
+  update: 'bg-sky-100 text-sky-800 dark:bg-sky-500/20 dark:text-sky-300',
+  unchanged: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300',
+  conflict: 'bg-red-100 text-red-800 dark:bg-red-500/20 dark:text-red-300',
+};
+
+const STATUS_STYLES: Record<NonNullable<BulkImportRow['status']>, string> = {
+  created: 'text-green-600 dark:text-green-400',
+  updated: 'text-sky-600 dark:text-sky-400',
+  skipped: 'text-slate-500',
+  failed: 'text-red-600 dark:text-red-400',
+};
+
+export const downloadCsv = (csv: string, filename: string) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Preview first, then apply: the server re-checks every row against the
+// router when applying, so the preview can't go stale in a harmful way.
+export const BulkImportModal: React.FC<BulkImportModalProps> = ({ isOpen, onClose, kind, routerId, onApplied }) => {
+  const [csv, setCsv] = useState<string | null>(null);
+  const [fileName, setFileName] = useState('');
+  const [result, setResult] = useState<BulkImportResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [working, setWorking] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setCsv(null);
+    setFileName('');
+    setResult(null);
+    setError(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const run = async (text: string, dryRun: boolean) => {
+    setWorking(dryRun ? 'Checking rows against the router…' : 'Applying changes to the router…');
+    setError(null);
+    try {
+      const res = await importSubscribersCsv(kind, routerId, text, dryRun);
+      setResult(res);
+      if (!dryRun) onApplied();
+    } catch (e) {
+      setError((e as Error).message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setCsv(text);
+    setFileName(file.name);
+    await run(text, true);
+  };
+
+  const handleTemplate = async () => {
+    try {
+      downloadCsv(await getImportTemplateCsv(kind), `${kind}-import-template.csv`);
+    } catch (e) { setError((e as Error).message); }
+  };
+
+  const pending = result ? result.summary.create + result.summary.update : 0;
+  const applied = result && !result.dryRun;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-slate-800 rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="px-4 py-3 border-b dark:border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Import {kind === 'pppoe' ? 'PPPoE Users' : 'DHCP Clients'} from CSV</h3>
+          <button onClick={handleTemplate} className="text-sm text-[--color-primary-600] hover:underline">Download template</button>
+        </div>
+        <div className="p-4 space-y-4 overflow-y-auto">
+          {error && <div className="text-red-600 text-sm">{error}</div>}
+          <div className="flex items-center gap-3">
+            <label className="px-3 py-2 rounded-md border cursor-pointer text-sm">
+              Choose CSV file
+              <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" disabled={!!working} />
+            </label>
+            <span className="text-sm text-slate-500">{fileName || 'Blank cells keep the current value.'}</span>
+          </div>
+          {working && <p className="text-sm text-slate-500">{working}</p>}
+          {result && (
+            <>
+              <div className="flex flex-wrap gap-4 text-sm">
+                <span>{result.summary.total} rows</span>
+                <span className="text-green-600">{result.summary.create} new</span>
+                <span className="text-sky-600">{result.summary.update} updated</span>
+                <span className="text-slate-500">{result.summary.unchanged} unchanged</span>
+                <span className="text-red-600">{result.summary.conflict} conflicts</span>
+                {applied && <span className="font-semibold">{result.summary.applied} applied, {result.summary.failed} failed</span>}
+              </div>
+              <table className="w-full text-sm">
+                <thead className="text-xs uppercase bg-slate-50 dark:bg-slate-900/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Line</th>
+                    <th className="px-3 py-2 text-left">{kind === 'pppoe' ? 'Username' : 'Address'}</th>
+                    <th className="px-3 py-2 text-left">Action</th>
+                    <th className="px-3 py-2 text-left">Details</th>
+                    {applied && <th className="px-3 py-2 text-left">Result</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.rows.map(row => (
+                    <tr key={row.line} className="border-b dark:border-slate-700 align-top">
+                      <td className="px-3 py-2 font-mono">{row.line}</td>
+                      <td className="px-3 py-2 font-mono">{row.key || '—'}</td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${ACTION_STYLES[row.action]}`}>{row.action}</span>
+                      </td>
+                      <td className="px-3 py-2 space-y-0.5">
+                        {row.problems.map(p => <p key={p} className="text-red-600 dark:text-red-400">{p}</p>)}
+                        {row.changes.map(c => (
+                          <p key={c.field} className="text-slate-600 dark:text-slate-300">
+                            <span className="font-medium">{c.field}</span>{c.to !== undefined ? `: ${c.from || '(blank)'} → ${c.to || '(blank)'}` : ' changed'}
+                          </p>
+                        ))}
+                        {row.warnings.map(w => <p key={w} className="text-amber-600 dark:text-amber-400">{w}</p>)}
+                      </td>
+                      {applied && (
+                        <td className={`px-3 py-2 capitalize ${row.status ? STATUS_STYLES[row.status] : ''}`}>
+                          {row.status}{row.message ? `: ${row.message}` : ''}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+        <div className="px-4 py-3 border-t dark:border-slate-700 flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="px-3 py-2 rounded-md border">{applied ? 'Close' : 'Cancel'}</button>
+          {result?.dryRun && (
+            <button
+              onClick={() => csv && run(csv, false)}
+              disabled={!!working || pending === 0}
+              className="px-3 py-2 rounded-md bg-[--color-primary-600] text-white disabled:opacity-50"
+            >
+              {working ? 'Applying…' : `Apply ${pending} change${pending === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
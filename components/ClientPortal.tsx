@@ -1,45 +1,61 @@
 import React, { useEffect, useState } from 'react';
-import type { RouterConfigWithId } from '../types.ts';
+import type { RouterConfigWithId, ClientUsage, ClientSession, ClientStatus, ClientPayment } from '../types.ts';
+import {
+  getPortalRouters, clientLogin, clientRegister, loadClientSession, clearClientSession,
+  getClientStatus, getClientPayments, getClientUsage, renewSubscription,
+} from '../services/clientPortalService.ts';
+import { DataUsage, formatUsageBytes } from './DataUsage.tsx';
 
-// Password hashing handled server-side
+const formatMoney = (amount: number | null | undefined, currency: string | null | undefined) =>
+  amount === null || amount === undefined ? '—' : `${currency || ''} ${Number(amount).toFixed(2)}`.trim();
 
 export const ClientPortal: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
   const [routers, setRouters] = useState<{id: string, name: string}[]>([]);
   const [routerId, setRouterId] = useState<string | null>(null);
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [session, setSession] = useState<ClientSession | null>(() => loadClientSession());
   const [mode, setMode] = useState<'login' | 'register'>('login');
-  const [view, setView] = useState<'login' | 'dashboard'>('login');
   const [feedback, setFeedback] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [status, setStatus] = useState<any | null>(null);
-  const [payments, setPayments] = useState<any[]>([]);
+  const [status, setStatus] = useState<ClientStatus | null>(null);
+  const [payments, setPayments] = useState<ClientPayment[]>([]);
+  const [usage, setUsage] = useState<ClientUsage | null>(null);
+  const [isRenewing, setIsRenewing] = useState(false);
 
   useEffect(() => {
     const loadRouters = async () => {
       try {
-        const res = await fetch('/api/public/routers');
-        const data = await res.json();
-        setRouters(Array.isArray(data) ? data : []);
+        const data = await getPortalRouters();
+        setRouters(data);
         setRouterId(selectedRouter?.id || data[0]?.id || null);
       } catch (e) { setError('Failed to load routers'); }
     };
     loadRouters();
   }, [selectedRouter]);
 
+  useEffect(() => {
+    if (!session) return;
+    const loadDashboard = async () => {
+      try {
+        setStatus(await getClientStatus(session));
+        setPayments(await getClientPayments(session).catch(() => []));
+        setUsage(await getClientUsage(session).catch(() => null));
+      } catch (e) {
+        setSession(null);
+        setError((e as Error).message);
+      }
+    };
+    loadDashboard();
+  }, [session]);
+
   const handleRegister = async () => {
-    if (!routerId || !username || !password) { setFeedback('Please fill router, username, and password'); return; }
+    if (!routerId || !username || !code || !password) { setFeedback('Please fill router, username, code, and password'); return; }
     setError(null); setFeedback(null);
     try {
-      const resp = await fetch('/api/public/client-portal/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ routerId, username, password })
-      });
-      const data = await resp.json();
-      if (!resp.ok) { setError(data.message || 'Registration failed'); return; }
-      setFeedback('Account registered. You can now log in.');
-      setMode('login');
+      setSession(await clientRegister(routerId, username, code, password));
+      setCode(''); setPassword('');
     } catch (e) {
       setError((e as Error).message);
     }
@@ -47,49 +63,66 @@ export const ClientPortal: React.FC<{ selectedRouter: RouterConfigWithId | null
 
   const handleLogin = async () => {
     if (!routerId || !username || !password) { setFeedback('Please fill router, username, and password'); return; }
-    setError(null); setFeedback(null); setStatus(null);
+    setError(null); setFeedback(null);
+    try {
+      setSession(await clientLogin(routerId, username, password));
+      setPassword('');
+    } catch (e) {
+      setError((e as Error).message);
+    }
+  };
+
+  const handleLogout = () => {
+    clearClientSession();
+    setSession(null); setStatus(null); setPayments([]); setUsage(null);
+  };
+
+  // Xendit sends the subscriber back here once they have paid; the renewal
+  // itself is applied when the payment is confirmed.
+  const handleRenew = async () => {
+    if (!session) return;
+    setIsRenewing(true); setError(null);
     try {
-      const routerName = routers.find(r => r.id === routerId)?.name || '';
-      const res = await fetch(`/api/public/ppp/status?routerId=${encodeURIComponent(routerId)}&routerName=${encodeURIComponent(routerName)}&username=${encodeURIComponent(username)}`);
-      const data = await res.json();
-      if (!res.ok) { setError(data.message || 'Failed to query status'); return; }
-      setFeedback('Login successful');
-      setStatus(data);
-      const payRes = await fetch(`/api/public/client/payments?routerId=${encodeURIComponent(routerId)}&routerName=${encodeURIComponent(routerName)}&username=${encodeURIComponent(username)}`);
-      const payData = await payRes.json();
-      setPayments(Array.isArray(payData) ? payData : []);
-      setView('dashboard');
+      const invoice = await renewSubscription(session, window.location.href);
+      window.location.href = invoice.invoiceUrl;
     } catch (e) {
       setError((e as Error).message);
+      setIsRenewing(false);
     }
   };
 
-  if (view === 'dashboard') {
-    const planName = status?.profile || 'Unknown';
-    const planPrice = payments[0]?.planPrice ?? payments[0]?.finalAmount ?? null;
-    const isActive = !!status?.active;
+  if (session) {
+    if (!status) return <div className="max-w-5xl mx-auto text-sm text-slate-600">Loading your account...</div>;
+    const due = status.dueDateTime ? new Date(status.dueDateTime) : null;
+    const isActive = !status.disabled && (!due || due > new Date());
     const overallStatus = isActive ? 'Active' : 'Expired';
-    const lastPayment = payments[0] || null;
-    const expires = status?.comment || (lastPayment?.newExpiry || lastPayment?.date);
     return (
       <div className="max-w-5xl mx-auto space-y-6">
         <div className="flex justify-between items-center">
-          <h1 className="text-2xl font-semibold">Welcome, {username}!</h1>
-          <a href="/portal" className="px-4 py-2 bg-red-600 text-white rounded">Logout</a>
+          <h1 className="text-2xl font-semibold">Welcome, {status.fullName || status.username}!</h1>
+          <button onClick={handleLogout} className="px-4 py-2 bg-red-600 text-white rounded">Logout</button>
         </div>
         <hr />
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="border rounded shadow-sm">
             <div className="px-4 py-3 border-b font-semibold">Account Status</div>
             <div className="p-4 space-y-2 text-sm">
-              <div><span className="font-medium">Username:</span> {username}</div>
+              <div><span className="font-medium">Username:</span> {status.username}</div>
               <div><span className="font-medium">Account Type:</span> PPPoE</div>
-              <div><span className="font-medium">Current Plan:</span> {planName}{planPrice ? ` (₱${Number(planPrice).toFixed(2)}/mo)` : ''}</div>
+              <div><span className="font-medium">Current Plan:</span> {status.plan || status.profile}{status.price ? ` (${formatMoney(status.price, status.currency)})` : ''}</div>
               <div><span className="font-medium">Overall Status:</span> <span className={`px-2 py-1 rounded ${isActive ? 'bg-emerald-100 text-emerald-700' : 'bg-yellow-100 text-yellow-700'}`}>{overallStatus}</span></div>
-              <div><span className="font-medium">Subscription Expires:</span> {expires || 'Unknown'}</div>
+              <div><span className="font-medium">Subscription Expires:</span> {due ? due.toLocaleString() : 'No due date'}</div>
+              <div>
+                <span className="font-medium">Connection:</span>{' '}
+                {status.online ? `Online since ${status.uptime} ago (${status.address})` : `Offline${status.lastLoggedOut ? `, last seen ${status.lastLoggedOut}` : ''}`}
+              </div>
               <div className="pt-2">
-                <button className="px-4 py-2 bg-emerald-600 text-white rounded">Pay Now / Renew Subscription</button>
+                <button onClick={handleRenew} disabled={!status.canRenew || isRenewing} className="px-4 py-2 bg-emerald-600 text-white rounded disabled:opacity-50">
+                  {isRenewing ? 'Opening payment page...' : 'Pay Now / Renew Subscription'}
+                </button>
+                {!status.canRenew && <div className="text-xs text-slate-500 mt-1">Online payment is not available for your plan. Please contact us to renew.</div>}
               </div>
+              {error && <div className="text-red-600">{error}</div>}
             </div>
           </div>
           <div className="border rounded shadow-sm">
@@ -99,25 +132,60 @@ export const ClientPortal: React.FC<{ selectedRouter: RouterConfigWithId | null
                 <thead>
                   <tr className="text-left border-b">
                     <th className="py-2">Date</th>
+                    <th className="py-2">Plan</th>
                     <th className="py-2">Amount</th>
-                    <th className="py-2">Months</th>
-                    <th className="py-2">New Expiry</th>
                   </tr>
                 </thead>
                 <tbody>
                   {payments.map((p, i) => (
-                    <tr key={i} className={i % 2 ? 'bg-slate-50' : ''}>
-                      <td className="py-2">{p.date || '—'}</td>
-                      <td className="py-2">₱{Number(p.finalAmount ?? p.planPrice ?? 0).toFixed(2)}</td>
-                      <td className="py-2">{p.months ?? p.cycle ?? '1'}</td>
-                      <td className="py-2">{p.newExpiry || '—'}</td>
+                    <tr key={p.id} className={i % 2 ? 'bg-slate-50' : ''}>
+                      <td className="py-2">{new Date(p.date).toLocaleDateString()}</td>
+                      <td className="py-2">{p.planName}</td>
+                      <td className="py-2">{formatMoney(p.finalAmount, p.currency)}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
+              {payments.length === 0 && <div className="text-sm text-slate-600 mt-2">No payments recorded yet.</div>}
             </div>
           </div>
         </div>
+        <div className="border rounded shadow-sm">
+          <div className="px-4 py-3 border-b font-semibold">Data Usage</div>
+          <div className="p-4 space-y-3 text-sm">
+            {usage?.current ? (
+              <>
+                <DataUsage usage={usage.current} />
+                <div className="text-slate-600">
+                  Current cycle {usage.current.cycleEnd ? `ends ${new Date(usage.current.cycleEnd).toLocaleDateString()}` : 'has no end date'}.
+                  {usage.current.throttled && ` Your quota is used up, so your speed is limited to ${usage.current.fupLimit} until renewal.`}
+                </div>
+                {usage.previous.length > 0 && (
+                  <table className="w-full">
+                    <thead>
+                      <tr className="text-left border-b">
+                        <th className="py-2">Previous Cycle Ended</th>
+                        <th className="py-2">Download</th>
+                        <th className="py-2">Upload</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {usage.previous.map((c, i) => (
+                        <tr key={c.id} className={i % 2 ? 'bg-slate-50' : ''}>
+                          <td className="py-2">{c.cycleEnd ? new Date(c.cycleEnd).toLocaleDateString() : '—'}</td>
+                          <td className="py-2">{formatUsageBytes(c.downloadBytes)}</td>
+                          <td className="py-2">{formatUsageBytes(c.uploadBytes)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            ) : (
+              <div className="text-slate-600">No usage recorded yet.</div>
+            )}
+          </div>
+        </div>
         <hr />
         <div>
           <div className="flex justify-between items-center">
@@ -147,9 +215,15 @@ export const ClientPortal: React.FC<{ selectedRouter: RouterConfigWithId | null
           <label className="block text-sm font-medium text-slate-700">PPPoE Username</label>
           <input value={username} onChange={e => setUsername(e.target.value)} className="w-full px-3 py-2 border rounded" placeholder="e.g. client123" />
         </div>
+        {mode === 'register' && (
+          <div>
+            <label className="block text-sm font-medium text-slate-700">One-time Code</label>
+            <input value={code} onChange={e => setCode(e.target.value)} className="w-full px-3 py-2 border rounded" placeholder="Ask us for a code" autoComplete="one-time-code" />
+          </div>
+        )}
         <div>
-          <label className="block text-sm font-medium text-slate-700">Password</label>
-          <input type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full px-3 py-2 border rounded" />
+          <label className="block text-sm font-medium text-slate-700">{mode === 'login' ? 'PPPoE or Portal Password' : 'New Portal Password'}</label>
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} className="w-full px-3 py-2 border rounded" autoComplete={mode === 'login' ? 'current-password' : 'new-password'} />
         </div>
       </div>
       <div className="flex gap-3">
@@ -161,19 +235,6 @@ export const ClientPortal: React.FC<{ selectedRouter: RouterConfigWithId | null
       </div>
       {feedback && <div className="text-sm text-green-600">{feedback}</div>}
       {error && <div className="text-sm text-red-600">{error}</div>}
-      {status && (
-        <div className="mt-6 bg-white dark:bg-slate-800 border p-4 rounded">
-          <h4 className="font-semibold mb-2">Account Status</h4>
-          <ul className="text-sm space-y-1">
-            <li>Exists: {String(status.exists)}</li>
-            <li>Active: {String(status.active)}</li>
-            <li>Profile: {status.profile || 'N/A'}</li>
-            <li>Disabled: {status.disabled || 'N/A'}</li>
-            <li>Comment: {status.comment || 'N/A'}</li>
-            <li>Last Logged Out: {status.lastLoggedOut || 'N/A'}</li>
-          </ul>
-        </div>
-      )}
     </div>
   );
 };
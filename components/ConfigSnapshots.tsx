@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { RouterConfigWithId, ConfigSnapshot, ConfigSnapshotDetail, ConfigSnapshotDiff, ConfigRestorePreview, ConfigRestoreResult } from '../types.ts';
+import {
+    getConfigSnapshots, getConfigSnapshot, takeConfigSnapshot, deleteConfigSnapshot, diffConfigSnapshots,
+    previewConfigRestore, restoreConfigSnapshot,
+} from '../services/configSnapshotService.ts';
+import { Loader } from './Loader.tsx';
+import { TrashIcon, EyeIcon } from '../constants.tsx';
+
+const formatBytes = (bytes: number) => bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const DIFF_LINE_CLASS: Record<string, string> = {
+    '+': 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+    '-': 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+    ' ': 'text-slate-600 dark:text-slate-400',
+};
+
+const DiffView: React.FC<{ diff: ConfigSnapshotDiff; onClose: () => void }> = ({ diff, onClose }) => (
+    <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+        <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+            <div>
+                <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Changes from v{diff.from.version} to v{diff.to.version}</h3>
+                <p className="text-sm text-slate-500">
+                    <span className="text-green-600">+{diff.added}</span> / <span className="text-red-500">-{diff.removed}</span> lines
+                    {' · '}{new Date(diff.from.createdAt).toLocaleString()} → {new Date(diff.to.createdAt).toLocaleString()}
+                </p>
+            </div>
+            <button onClick={onClose} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Close</button>
+        </div>
+        {diff.hunks.length === 0 ? (
+            <p className="p-8 text-center text-slate-500">The two snapshots have the same configuration.</p>
+        ) : (
+            <div className="p-4 space-y-4">
+                <div className="flex flex-wrap gap-2">
+                    {diff.sections.map(s => (
+                        <span key={s.section} className="px-2 py-1 text-xs font-mono rounded-md bg-slate-100 dark:bg-slate-700">
+                            {s.section} <span className="text-green-600">+{s.added}</span> <span className="text-red-500">-{s.removed}</span>
+                        </span>
+                    ))}
+                </div>
+                {diff.hunks.map((hunk, i) => (
+                    <div key={i} className="border border-slate-200 dark:border-slate-700 rounded-md overflow-x-auto">
+                        <div className="px-2 py-1 text-xs font-mono bg-slate-50 dark:bg-slate-900 text-slate-500">@@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@</div>
+                        <pre className="text-xs font-mono">
+                            {hunk.lines.map((line, j) => (
+                                <div key={j} className={`px-2 whitespace-pre ${DIFF_LINE_CLASS[line.type]}`}>{line.type} {line.text}</div>
+                            ))}
+                        </pre>
+                    </div>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+const RestorePanel: React.FC<{ snapshot: ConfigSnapshotDetail; router: RouterConfigWithId; onClose: () => void; onRestored: () => void }> = ({ snapshot, router, onClose, onRestored }) => {
+    const [sections, setSections] = useState<string[]>([]);
+    const [replace, setReplace] = useState(false);
+    const [preview, setPreview] = useState<ConfigRestorePreview | null>(null);
+    const [result, setResult] = useState<ConfigRestoreResult | null>(null);
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    // Any change to the selection invalidates the previewed script.
+    useEffect(() => { setPreview(null); }, [sections, replace]);
+
+    const toggleSection = (section: string) => {
+        setSections(prev => prev.includes(section) ? prev.filter(s => s !== section) : [...prev, section]);
+    };
+
+    const handlePreview = async () => {
+        setIsWorking(true);
+        setError(null);
+        try {
+            setPreview(await previewConfigRestore(snapshot.id, { sections, replace }));
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!preview) return;
+        const scope = sections.length ? `${sections.length} section(s)` : 'the whole snapshot';
+        if (!window.confirm(`Push ${scope} of v${snapshot.version} to ${router.name}? A snapshot of the current configuration is taken first.`)) return;
+        setIsWorking(true);
+        setError(null);
+        try {
+            setResult(await restoreConfigSnapshot(snapshot.id, { sections, replace }, preview.confirmToken));
+            onRestored();
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+            <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Restore v{snapshot.version} to {router.name}</h3>
+                <button onClick={onClose} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Close</button>
+            </div>
+            <div className="p-4 space-y-4">
+                <p className="text-sm text-slate-500">Pick the sections to push, or none for the whole snapshot. Items are added on top of what the router has unless you replace the chosen sections.</p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-1 max-h-64 overflow-y-auto">
+                    {snapshot.sections.map(s => (
+                        <label key={s.section} className="flex items-center gap-2 text-sm font-mono">
+                            <input type="checkbox" checked={sections.includes(s.section)} onChange={() => toggleSection(s.section)} />
+                            {s.section} <span className="text-slate-400">({s.lines})</span>
+                        </label>
+                    ))}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                    <input type="checkbox" checked={replace} disabled={sections.length === 0} onChange={e => setReplace(e.target.checked)} />
+                    Remove the existing items in the chosen sections first
+                </label>
+                <div className="flex gap-2">
+                    <button onClick={handlePreview} disabled={isWorking} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">Preview script</button>
+                    <button onClick={handleRestore} disabled={isWorking || !preview || !!result} className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg text-sm font-semibold disabled:opacity-50">
+                        {isWorking && preview ? 'Pushing...' : 'Push to router'}
+                    </button>
+                </div>
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                {preview && !result && (
+                    <div>
+                        <h4 className="text-xs font-semibold uppercase text-slate-500 mb-1">Script ({preview.lineCount} lines)</h4>
+                        <pre className="text-xs font-mono whitespace-pre bg-slate-100 dark:bg-slate-900 rounded-md p-2 max-h-96 overflow-auto">{preview.script}</pre>
+                    </div>
+                )}
+                {result && (
+                    <div>
+                        <p className={`text-sm font-semibold ${result.success ? 'text-green-600' : 'text-red-500'}`}>
+                            {result.success ? 'The script ran on the router.' : 'The router reported an error; the import stopped at the failing line.'}
+                            {' '}The configuration before the restore was saved as v{result.snapshotBefore.version}.
+                        </p>
+                        <pre className="mt-2 text-xs font-mono whitespace-pre bg-slate-100 dark:bg-slate-900 rounded-md p-2 max-h-96 overflow-auto">{result.output}</pre>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export const ConfigSnapshots: React.FC<{ selectedRouter: RouterConfigWithId }> = ({ selectedRouter }) => {
+    const [snapshots, setSnapshots] = useState<ConfigSnapshot[]>([]);
+    const [selected, setSelected] = useState<string[]>([]);
+    const [note, setNote] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isTaking, setIsTaking] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [viewing, setViewing] = useState<ConfigSnapshotDetail | null>(null);
+    const [restoring, setRestoring] = useState<ConfigSnapshotDetail | null>(null);
+    const [diff, setDiff] = useState<ConfigSnapshotDiff | null>(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setSnapshots(await getConfigSnapshots(selectedRouter.id));
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [selectedRouter.id]);
+
+    useEffect(() => {
+        setSelected([]);
+        setViewing(null);
+        setRestoring(null);
+        setDiff(null);
+        load();
+    }, [load]);
+
+    const handleTake = async () => {
+        setIsTaking(true);
+        setError(null);
+        try {
+            const snapshot = await takeConfigSnapshot(selectedRouter.id, note || undefined);
+            setNote('');
+            if (snapshot.unchanged) alert(`Saved as v${snapshot.version}. Nothing changed since the previous snapshot.`);
+            await load();
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsTaking(false);
+        }
+    };
+
+    const toggleSelected = (id: string) => {
+        setSelected(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id].slice(-2));
+    };
+
+    const handleCompare = async () => {
+        // Older version on the left.
+        const [from, to] = snapshots.filter(s => selected.includes(s.id)).sort((a, b) => a.version - b.version);
+        setError(null);
+        try {
+            setDiff(await diffConfigSnapshots(from.id, to.id));
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    const openSnapshot = async (id: string, mode: 'view' | 'restore') => {
+        setError(null);
+        try {
+            const detail = await getConfigSnapshot(id);
+            if (mode === 'view') setViewing(detail);
+            else setRestoring(detail);
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    const handleDownload = (snapshot: ConfigSnapshotDetail) => {
+        const url = URL.createObjectURL(new Blob([snapshot.content], { type: 'text/plain' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${selectedRouter.name}-v${snapshot.version}.rsc`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    const handleDelete = async (snapshot: ConfigSnapshot) => {
+        if (!window.confirm(`Delete snapshot v${snapshot.version}?`)) return;
+        try {
+            await deleteConfigSnapshot(snapshot.id);
+            setSelected(prev => prev.filter(id => id !== snapshot.id));
+            await load();
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    if (diff) return <DiffView diff={diff} onClose={() => setDiff(null)} />;
+    if (restoring) return <RestorePanel snapshot={restoring} router={selectedRouter} onClose={() => setRestoring(null)} onRestored={load} />;
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex flex-wrap gap-2 justify-between items-center">
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Configuration Snapshots</h3>
+                        <p className="text-sm text-slate-500">Saved daily, before WAN failover changes and portal installers, and on demand. Read over SSH.</p>
+                    </div>
+                    <div className="flex gap-2">
+                        <input value={note} onChange={e => setNote(e.target.value)} placeholder="Note (optional)" className="px-3 py-2 text-sm bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md" />
+                        <button onClick={handleTake} disabled={isTaking} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold disabled:opacity-50">
+                            {isTaking ? 'Exporting...' : 'Take snapshot'}
+                        </button>
+                        <button onClick={handleCompare} disabled={selected.length !== 2} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">Compare selected</button>
+                    </div>
+                </div>
+                {error && <div className="text-red-500 p-4">{error}</div>}
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-slate-600 dark:text-slate-300">
+                        <thead className="text-xs text-slate-700 dark:text-slate-400 uppercase bg-slate-50 dark:bg-slate-700">
+                            <tr>
+                                <th className="px-4 py-2"></th>
+                                <th className="px-4 py-2">Version</th>
+                                <th className="px-4 py-2">Taken</th>
+                                <th className="px-4 py-2">Reason</th>
+                                <th className="px-4 py-2">Lines</th>
+                                <th className="px-4 py-2">Size</th>
+                                <th className="px-4 py-2 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {snapshots.map(s => (
+                                <tr key={s.id} className="border-b dark:border-slate-700">
+                                    <td className="px-4 py-2"><input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggleSelected(s.id)} title="Select two to compare" /></td>
+                                    <td className="px-4 py-2 font-mono">v{s.version}{s.rosVersion && <span className="text-xs text-slate-400"> (ROS {s.rosVersion})</span>}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{new Date(s.createdAt).toLocaleString()}{s.createdBy && <span className="text-xs text-slate-400"> by {s.createdBy}</span>}</td>
+                                    <td className="px-4 py-2">{s.reason}{s.note && <span className="block text-xs text-slate-400">{s.note}</span>}</td>
+                                    <td className="px-4 py-2">{s.lineCount}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap">{formatBytes(s.size)} <span className="text-xs text-slate-400">({formatBytes(s.compressedSize)} stored)</span></td>
+                                    <td className="px-4 py-2">
+                                        <div className="flex justify-end gap-2">
+                                            <button onClick={() => openSnapshot(s.id, 'view')} title="View" className="p-1 text-slate-500 hover:text-[--color-primary-500]"><EyeIcon className="w-5 h-5" /></button>
+                                            <button onClick={() => openSnapshot(s.id, 'restore')} className="px-2 py-1 text-xs bg-slate-200 dark:bg-slate-600 rounded-md font-semibold">Restore...</button>
+                                            <button onClick={() => handleDelete(s)} title="Delete" className="p-1 text-slate-500 hover:text-red-500"><TrashIcon className="w-5 h-5" /></button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {!isLoading && snapshots.length === 0 && <p className="text-center p-8 text-slate-500">No snapshots of {selectedRouter.name} yet.</p>}
+                    {isLoading && <div className="flex justify-center p-8"><Loader /></div>}
+                </div>
+            </div>
+            {viewing && (
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                    <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">v{viewing.version} export</h3>
+                        <div className="flex gap-2">
+                            <button onClick={() => handleDownload(viewing)} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold">Download .rsc</button>
+                            <button onClick={() => setViewing(null)} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Close</button>
+                        </div>
+                    </div>
+                    {viewing.redacted && <p className="px-4 pt-4 text-sm text-slate-500">Passwords and keys are hidden; viewing them needs write access to router configuration.</p>}
+                    <pre className="p-4 text-xs font-mono whitespace-pre max-h-[32rem] overflow-auto">{viewing.content}</pre>
+                </div>
+            )}
+        </div>
+    );
+};
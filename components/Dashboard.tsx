@@ -1,16 +1,26 @@
 
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import type { RouterConfigWithId, SystemInfo, Interface, TrafficHistoryPoint, PanelHostStatus } from '../types.ts';
-import { getSystemInfo, getInterfaceStats, getPppActiveConnections } from '../services/mikrotikService.ts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import type { RouterConfigWithId, SystemInfo, Interface, TrafficHistoryPoint, PanelHostStatus, MetricsHistory, MetricsRange, RouterStatsEvent, PppActiveEvent } from '../types.ts';
 import { getPanelHostStatus } from '../services/panelService.ts';
+import { getMetricsHistory } from '../services/metricsService.ts';
 import { Loader } from './Loader.tsx';
 import { TrafficChart } from './chart.tsx';
 import { RouterIcon, ExclamationTriangleIcon, UsersIcon, ChipIcon, SignalIcon, ShareIcon } from '../constants.tsx';
 import { AIFixer } from './AIFixer.tsx';
+import { useRouterTopic } from '../contexts/EventStreamContext.tsx';
 
 // --- CONSTANTS ---
 const MAX_HISTORY_POINTS = 60;
-const POLL_INTERVAL_MS = 2000;
+const HISTORY_POLL_INTERVAL_MS = 60000;
+
+type ViewRange = 'live' | Extract<MetricsRange, '24h' | '7d' | '30d'>;
+const VIEW_RANGES: { id: ViewRange; label: string }[] = [
+    { id: 'live', label: 'Live' },
+    { id: '24h', label: '24h' },
+    { id: '7d', label: '7d' },
+    { id: '30d', label: '30d' },
+];
 
 // --- UTILITY ---
 const formatBits = (bits: number): string => {
@@ -22,8 +32,52 @@ const formatBits = (bits: number): string => {
     return `${(bits / Math.pow(k, i)).toFixed(2)} ${sizes[i - 1] || 'Kbps'}`;
 };
 
+const formatBucketLabel = (ts: number, range: ViewRange): string => {
+    const d = new Date(ts);
+    const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+    return range === '24h' ? time : `${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+};
+
+// Points of one or more metrics merged by bucket, keyed by metric name.
+const mergeSeries = (history: MetricsHistory | null, range: ViewRange, wanted: { metric: string; series?: string; key: string }[]) => {
+    const rows = new Map<number, Record<string, number | string>>();
+    for (const { metric, series = '', key } of wanted) {
+        const found = history?.series.find(s => s.metric === metric && s.series === series);
+        for (const p of found?.points || []) {
+            const row = rows.get(p.ts) || { name: formatBucketLabel(p.ts, range) };
+            row[key] = p.avg;
+            rows.set(p.ts, row);
+        }
+    }
+    return [...rows.entries()].sort((a, b) => a[0] - b[0]).map(([, row]) => row);
+};
+
+const trafficFromHistory = (history: MetricsHistory | null, range: ViewRange, iface: string): TrafficHistoryPoint[] =>
+    mergeSeries(history, range, [{ metric: 'rx_bps', series: iface, key: 'rx' }, { metric: 'tx_bps', series: iface, key: 'tx' }])
+        .map(row => ({ name: String(row.name), rx: Number(row.rx ?? 0), tx: Number(row.tx ?? 0) }));
+
 // --- COMPONENTS ---
 
+const HistoryLineChart: React.FC<{ data: Record<string, number | string>[]; lines: { key: string; label: string; color: string }[]; unit?: string }> = ({ data, lines, unit }) => {
+    if (data.length === 0) {
+        return <div className="h-[200px] flex items-center justify-center text-sm text-slate-400">No history recorded yet.</div>;
+    }
+    return (
+        <div style={{ width: '100%', height: 200 }}>
+            <ResponsiveContainer>
+                <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="currentColor" className="text-slate-200 dark:text-slate-700" opacity={0.5} />
+                    <XAxis dataKey="name" tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} minTickGap={30} />
+                    <YAxis tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} width={40} unit={unit} allowDecimals={false} />
+                    <Tooltip formatter={(value: number) => `${value.toFixed(unit === '%' ? 1 : 0)}${unit || ''}`} contentStyle={{ fontSize: 12 }} />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    {lines.map(l => <Line key={l.key} type="monotone" dataKey={l.key} name={l.label} stroke={l.color} strokeWidth={2} dot={false} isAnimationActive={false} />)}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
 const StatCard: React.FC<{ title: string; children: React.ReactNode; className?: string }> = ({ title, children, className }) => (
     <div className={`bg-white dark:bg-slate-800 p-6 rounded-xl border border-slate-200 dark:border-slate-700 shadow-sm ${className}`}>
         <h3 className="text-sm font-bold uppercase tracking-wider text-slate-500 dark:text-slate-400 mb-4">{title}</h3>
@@ -59,7 +113,8 @@ const TrafficCard: React.FC<{
     data: TrafficHistoryPoint[];
     currentRx: number;
     currentTx: number;
-}> = ({ interfaceName, allInterfaces, onSelect, data, currentRx, currentTx }) => {
+    range: ViewRange;
+}> = ({ interfaceName, allInterfaces, onSelect, data, currentRx, currentTx, range }) => {
     if (!interfaceName) return <div className="h-full bg-slate-100 dark:bg-slate-800 rounded-xl animate-pulse"></div>;
 
     return (
@@ -72,9 +127,13 @@ const TrafficCard: React.FC<{
                     </div>
                     <div>
                         <div className="flex items-center gap-2">
-                            <span className="text-xs font-bold text-emerald-500 uppercase tracking-wider flex items-center gap-1">
-                                <span className="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></span> Live
-                            </span>
+                            {range === 'live' ? (
+                                <span className="text-xs font-bold text-emerald-500 uppercase tracking-wider flex items-center gap-1">
+                                    <span className="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></span> Live
+                                </span>
+                            ) : (
+                                <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">Average, last {range}</span>
+                            )}
                         </div>
                         <select 
                             value={interfaceName} 
@@ -102,7 +161,7 @@ const TrafficCard: React.FC<{
 
             {/* Chart Area */}
             <div className="flex-grow p-4 min-h-[250px]">
-                <TrafficChart data={data} height={250} />
+                <TrafficChart data={data} height={250} emptyMessage={range === 'live' ? undefined : 'No history recorded for this interface yet.'} />
             </div>
         </div>
     );
@@ -129,6 +188,11 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
     // Host States
     const [hostStatus, setHostStatus] = useState<PanelHostStatus | null>(null);
 
+    // Server-side history for the 24h/7d/30d views
+    const [range, setRange] = useState<ViewRange>('live');
+    const [history, setHistory] = useState<MetricsHistory | null>(null);
+    const [historyError, setHistoryError] = useState<string | null>(null);
+
     // General States
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState<{ message: string; details?: any } | null>(null);
@@ -154,19 +218,11 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
         return () => clearInterval(interval);
     }, []);
 
-    // 2. Fetch Router System Info & Interfaces (Main Logic)
-    const fetchRouterData = useCallback(async () => {
-        if (!selectedRouter) return;
-
+    // 2. Router System Info & Interfaces (Main Logic). The panel server polls
+    // the router once for every open dashboard and pushes each result.
+    const applyRouterStats = useCallback((info: SystemInfo, interfacesData: any[]) => {
         try {
-            const [info, interfacesData, pppoeActive] = await Promise.all([
-                getSystemInfo(selectedRouter),
-                getInterfaceStats(selectedRouter),
-                getPppActiveConnections(selectedRouter).catch(() => []),
-            ]);
-
             setSystemInfo(info);
-            setPppoeCount(Array.isArray(pppoeActive) ? pppoeActive.length : 0);
 
             // Process Interfaces
             if (Array.isArray(interfacesData)) {
@@ -248,7 +304,7 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
             setError({ message: err.message || "Failed to fetch router data", details: err });
             setIsLoading(false);
         }
-    }, [selectedRouter]);
+    }, []);
 
     // --- EFFECTS ---
 
@@ -259,18 +315,45 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
         setAvailableInterfaces([]);
         setTrafficHistory({});
         setCurrentRates({});
+        setPppoeCount(0);
         lastBytesRef.current = {};
         isInitialLoad.current = true;
         setError(null);
+        if (!selectedRouter) setIsLoading(false);
+    }, [selectedRouter]);
 
-        if (selectedRouter) {
-            fetchRouterData(); // Initial fetch
-            const interval = setInterval(fetchRouterData, POLL_INTERVAL_MS);
-            return () => clearInterval(interval);
-        } else {
-            setIsLoading(false);
-        }
-    }, [selectedRouter, fetchRouterData]);
+    useRouterTopic<RouterStatsEvent>(selectedRouter?.id, 'stats', data => applyRouterStats(data.resource, data.interfaces), message => {
+        setError({ message: message || "Failed to fetch router data" });
+        setIsLoading(false);
+    });
+    // The router keeps being polled; this waits for its next result.
+    const retryRouterData = () => {
+        isInitialLoad.current = true;
+        setIsLoading(true);
+        setError(null);
+    };
+    // PPP may not be set up, or the role may not see it; the count stays 0 then.
+    useRouterTopic<PppActiveEvent>(selectedRouter?.id, 'ppp', data => setPppoeCount(data.active.length), () => setPppoeCount(0));
+
+    useEffect(() => {
+        setHistory(null);
+        setHistoryError(null);
+        if (!selectedRouter || range === 'live') return;
+        let cancelled = false;
+        const fetchHistory = () => {
+            getMetricsHistory(selectedRouter.id, range)
+                .then(data => { if (!cancelled) { setHistory(data); setHistoryError(null); } })
+                .catch(err => { if (!cancelled) setHistoryError((err as Error).message); });
+        };
+        fetchHistory();
+        const interval = setInterval(fetchHistory, HISTORY_POLL_INTERVAL_MS);
+        return () => { cancelled = true; clearInterval(interval); };
+    }, [selectedRouter, range]);
+
+    const chartData = (iface: string | null): TrafficHistoryPoint[] => {
+        if (!iface) return [];
+        return range === 'live' ? (trafficHistory[iface] || []) : trafficFromHistory(history, range, iface);
+    };
 
     // Auto-select defaults for charts if not set
     useEffect(() => {
@@ -319,7 +402,7 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
                     <h3 className="text-xl font-bold">Connection Error</h3>
                     <p className="mt-2 text-lg">{errorMessage}</p>
                     <div className="flex justify-center gap-4 mt-6">
-                        <button onClick={() => fetchRouterData()} className="px-6 py-2 bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg hover:bg-slate-300 dark:hover:bg-slate-600 font-semibold">
+                        <button onClick={retryRouterData} className="px-6 py-2 bg-slate-200 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg hover:bg-slate-300 dark:hover:bg-slate-600 font-semibold">
                            Retry Connection
                         </button>
                         <button onClick={() => setShowFixer(!showFixer)} className="px-6 py-2 bg-sky-100 dark:bg-sky-900/50 text-sky-700 dark:text-sky-300 rounded-lg hover:bg-sky-200 dark:hover:bg-sky-800 font-semibold">
@@ -365,27 +448,56 @@ export const Dashboard: React.FC<{ selectedRouter: RouterConfigWithId | null }>
             
             {/* BOTTOM: TRAFFIC TELEMETRY */}
             <div>
-                <h2 className="text-xl font-bold text-slate-800 dark:text-slate-200 mb-4 flex items-center gap-2">
-                    <SignalIcon className="w-6 h-6 text-sky-500" /> Live Traffic Telemetry
-                </h2>
+                <div className="mb-4 flex flex-wrap justify-between items-center gap-2">
+                    <h2 className="text-xl font-bold text-slate-800 dark:text-slate-200 flex items-center gap-2">
+                        <SignalIcon className="w-6 h-6 text-sky-500" /> {range === 'live' ? 'Live Traffic Telemetry' : 'Traffic History'}
+                    </h2>
+                    <div className="flex rounded-lg border border-slate-300 dark:border-slate-600 overflow-hidden text-sm">
+                        {VIEW_RANGES.map(r => (
+                            <button key={r.id} onClick={() => setRange(r.id)} className={`px-3 py-1 font-semibold ${range === r.id ? 'bg-sky-600 text-white' : 'bg-white dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700'}`}>
+                                {r.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {historyError && <p className="mb-4 text-sm text-red-500">{historyError}</p>}
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                     <TrafficCard 
                         interfaceName={chart1Interface}
                         allInterfaces={availableInterfaces}
                         onSelect={setChart1Interface}
-                        data={chart1Interface ? (trafficHistory[chart1Interface] || []) : []}
+                        data={chartData(chart1Interface)}
                         currentRx={chart1Interface ? (currentRates[chart1Interface]?.rx || 0) : 0}
                         currentTx={chart1Interface ? (currentRates[chart1Interface]?.tx || 0) : 0}
+                        range={range}
                     />
                     <TrafficCard 
                         interfaceName={chart2Interface}
                         allInterfaces={availableInterfaces}
                         onSelect={setChart2Interface}
-                        data={chart2Interface ? (trafficHistory[chart2Interface] || []) : []}
+                        data={chartData(chart2Interface)}
                         currentRx={chart2Interface ? (currentRates[chart2Interface]?.rx || 0) : 0}
                         currentTx={chart2Interface ? (currentRates[chart2Interface]?.tx || 0) : 0}
+                        range={range}
                     />
                 </div>
+                {range !== 'live' && (
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+                        <StatCard title={`CPU & Memory, last ${range}`}>
+                            <HistoryLineChart
+                                unit="%"
+                                data={mergeSeries(history, range, [{ metric: 'cpu', key: 'cpu' }, { metric: 'memory', key: 'memory' }])}
+                                lines={[{ key: 'cpu', label: 'CPU', color: '#10b981' }, { key: 'memory', label: 'Memory', color: '#3b82f6' }]}
+                            />
+                        </StatCard>
+                        <StatCard title={`Active Sessions, last ${range}`}>
+                            <HistoryLineChart
+                                data={mergeSeries(history, range, [{ metric: 'ppp_active', key: 'ppp' }, { metric: 'hotspot_active', key: 'hotspot' }])}
+                                lines={[{ key: 'ppp', label: 'PPPoE', color: '#f97316' }, { key: 'hotspot', label: 'Hotspot', color: '#8b5cf6' }]}
+                            />
+                        </StatCard>
+                    </div>
+                )}
             </div>
         </div>
     );
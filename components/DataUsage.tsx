@@ -0,0 +1,39 @@
+import React from 'react';
+import type { UsageCycle } from '../types.ts';
+
+// Quotas are set in decimal GB, so usage is shown in decimal units too.
+export const formatUsageBytes = (bytes: number) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log10(bytes) / 3), units.length - 1);
+    return `${(bytes / Math.pow(1000, i)).toFixed(i ? 2 : 0)} ${units[i]}`;
+};
+
+// Used / quota for the current billing cycle, with a bar when the plan has a quota.
+export const DataUsage: React.FC<{ usage?: UsageCycle | null }> = ({ usage }) => {
+    if (!usage) return <span className="text-xs text-slate-400">No data yet</span>;
+    const percent = usage.quotaBytes ? Math.min(100, (usage.totalBytes / usage.quotaBytes) * 100) : null;
+    return (
+        <div className="min-w-[8rem]">
+            <div className="flex items-center gap-2 text-sm">
+                <span className="font-mono">
+                    {formatUsageBytes(usage.totalBytes)}
+                    {usage.quotaBytes ? <span className="text-slate-500 dark:text-slate-400"> / {formatUsageBytes(usage.quotaBytes)}</span> : null}
+                </span>
+                {usage.throttled && (
+                    <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-300" title={`Limited to ${usage.fupLimit}`}>
+                        Throttled
+                    </span>
+                )}
+            </div>
+            {percent !== null && (
+                <div className="mt-1 h-1.5 w-full rounded-full bg-slate-200 dark:bg-slate-700">
+                    <div className={`h-1.5 rounded-full ${usage.throttled ? 'bg-amber-500' : 'bg-[--color-primary-500]'}`} style={{ width: `${percent}%` }} />
+                </div>
+            )}
+            <div className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">
+                &uarr; {formatUsageBytes(usage.uploadBytes)} &darr; {formatUsageBytes(usage.downloadBytes)}
+            </div>
+        </div>
+    );
+};
@@ -1,211 +1,269 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useLocalization } from '../contexts/LocalizationContext.tsx';
+import { CircleStackIcon } from '../constants.tsx';
+import { Loader } from './Loader.tsx';
+import {
+  getStorageStatus, getStorageCopyStatus, saveStorageSettings, testMariaDb, initMariaDb, migrateSqliteToMariaDb,
+} from '../services/storageService.ts';
+import type { DatabaseEngine, StorageCopyStatus, StorageStatus } from '../types.ts';
 
+interface ConnectionForm {
+  host: string;
+  port: number;
+  user: string;
+  password: string;
+  database: string;
+}
 
+const COPY_STATUS_LABELS: Record<StorageCopyStatus['status'], string> = {
+  none: 'Not copied yet',
+  starting: 'Taking a snapshot of panel.db…',
+  copying: 'Copying…',
+  verified: 'Copied and verified',
+  mismatch: 'Copied, but some tables do not match',
+  failed: 'Stopped with an error',
+};
 
-import React, { useEffect, useState } from 'react';
-import { useLocalization } from '../contexts/LocalizationContext.tsx';
-import { CircleStackIcon } from '../constants.tsx';
-// FIX: Import missing functions for MariaDB operations.
-import { getPanelSettings, savePanelSettings, initMariaDb, migrateSqliteToMariaDb } from '../services/databaseService.ts';
-import type { PanelSettings } from '../types.ts';
+const TABLE_STATUS_CLASSES: Record<string, string> = {
+  verified: 'text-green-600 dark:text-green-400',
+  mismatch: 'text-red-600 dark:text-red-400',
+  error: 'text-red-600 dark:text-red-400',
+};
+
+const inputClass = 'mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2 disabled:opacity-60';
 
 export const DatabaseSettings: React.FC = () => {
   const { t } = useLocalization();
-  const [settings, setSettings] = useState<PanelSettings | null>(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState<StorageStatus | null>(null);
+  const [form, setForm] = useState<ConnectionForm | null>(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [busy, setBusy] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [isMigrating, setIsMigrating] = useState(false);
-  const [migrationMsg, setMigrationMsg] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    const s = await getStorageStatus();
+    setStatus(s);
+    setForm({ host: s.mariadb.host, port: s.mariadb.port, user: s.mariadb.user, password: '', database: s.mariadb.database });
+    setIsDirty(false);
+  }, []);
+
+  useEffect(() => {
+    load().catch(e => setError((e as Error).message));
+  }, [load]);
 
+  // Follow a running copy until it finishes.
+  const copyRunning = !!status?.copy.running;
   useEffect(() => {
-    (async () => {
+    if (!copyRunning) return;
+    const timer = setInterval(async () => {
       try {
-        const s = await getPanelSettings();
-        setSettings({
-          ...s,
-          databaseEngine: s.databaseEngine || 'sqlite',
-        });
+        const copy = await getStorageCopyStatus();
+        setStatus(prev => (prev ? { ...prev, copy } : prev));
       } catch (e) {
         setError((e as Error).message);
-      } finally {
-        setIsLoading(false);
       }
-    })();
-  }, []);
+    }, 2000);
+    return () => clearInterval(timer);
+  }, [copyRunning]);
 
-  const updateField = (key: keyof PanelSettings, value: any) => {
-    setSettings(prev => (prev ? { ...prev, [key]: value } : prev));
+  const updateField = <K extends keyof ConnectionForm>(key: K, value: ConnectionForm[K]) => {
+    setForm(prev => (prev ? { ...prev, [key]: value } : prev));
+    setIsDirty(true);
   };
 
-  const handleSave = async () => {
-    if (!settings) return;
-    setIsSaving(true);
-    setError(null);
-    try {
-      const payload: Partial<PanelSettings> = {
-        databaseEngine: settings.databaseEngine,
-        dbHost: settings.dbHost,
-        dbPort: settings.dbPort,
-        dbUser: settings.dbUser,
-        dbPassword: settings.dbPassword,
-        dbName: settings.dbName,
-      };
-      const res = await savePanelSettings(payload);
-      alert(res.message);
-    } catch (e) {
-      setError((e as Error).message);
-    } finally {
-      setIsSaving(false);
-    }
+  // An empty password field keeps the saved password.
+  const connectionInput = () => {
+    if (!form) return undefined;
+    const { password, ...rest } = form;
+    return password ? { ...rest, password } : rest;
   };
 
-  const handleMigrate = async () => {
-    if (!settings) return;
-    setIsMigrating(true);
+  const run = async (label: string, action: () => Promise<string | null>) => {
+    setBusy(label);
     setError(null);
-    setMigrationMsg(null);
+    setMessage(null);
     try {
-      if (settings.databaseEngine !== 'mariadb') {
-        setMigrationMsg('Migration is available when MariaDB is selected.');
-        return;
-      }
-      const initRes = await initMariaDb();
-      const migRes = await migrateSqliteToMariaDb();
-      setMigrationMsg(`${initRes.message} \n${migRes.message}`);
+      setMessage(await action());
     } catch (e) {
       setError((e as Error).message);
     } finally {
-      setIsMigrating(false);
+      setBusy(null);
     }
   };
 
-  if (isLoading) {
-    return <div className="text-slate-600 dark:text-slate-300">{t('app.loading_data')}</div>;
-  }
+  // Schema creation and the copy use the saved settings.
+  const saveIfChanged = async () => {
+    if (!isDirty) return;
+    await saveStorageSettings({ mariadb: connectionInput() });
+    await load();
+  };
+
+  const handleSave = () => run('save', async () => {
+    await saveStorageSettings({ mariadb: connectionInput() });
+    await load();
+    return 'Connection settings saved.';
+  });
+
+  const handleTest = () => run('test', async () => {
+    const result = await testMariaDb(connectionInput());
+    return result.schemaVersion === null
+      ? `Connected to MariaDB ${result.serverVersion}. The database has no panel tables yet.`
+      : `Connected to MariaDB ${result.serverVersion}. The panel tables are at schema version ${result.schemaVersion}.`;
+  });
+
+  const handleInit = () => run('init', async () => {
+    await saveIfChanged();
+    const result = await initMariaDb();
+    return result.message;
+  });
+
+  const handleCopy = (fresh: boolean) => run('copy', async () => {
+    await saveIfChanged();
+    const { copy } = await migrateSqliteToMariaDb(fresh);
+    setStatus(prev => (prev ? { ...prev, copy } : prev));
+    return null;
+  });
 
-  if (error) {
-    return <div className="text-red-600">{error}</div>;
+  const handleSwitch = (engine: DatabaseEngine) => {
+    const prompt = engine === 'mariadb'
+      ? 'Switch the panel to MariaDB? It restarts on the copied data; changes made since the copy was taken are not in MariaDB.'
+      : 'Switch the panel back to SQLite? It restarts on panel.db, which does not have the changes made while running on MariaDB.';
+    if (!window.confirm(prompt)) return;
+    run('switch', async () => {
+      const result = await saveStorageSettings({ engine });
+      if (result.restarting) setTimeout(() => window.location.reload(), 5000);
+      return [...result.warnings, result.restarting ? 'The panel is restarting…' : 'Saved.'].join('\n');
+    });
+  };
+
+  if (!status || !form) {
+    return error
+      ? <div className="p-3 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-md">{error}</div>
+      : <div className="text-slate-600 dark:text-slate-300">{t('app.loading_data')}</div>;
   }
 
+  const fixed = (field: string) => status.fromEnv.includes(field);
+  const copy = status.copy;
+  const canSwitch = status.engine === 'sqlite' && copy.status === 'verified' && copy.schemaVersion === status.latestSchemaVersion && !copy.running;
+  const isWorking = !!busy || copy.running;
+
   return (
-    <div className="max-w-3xl w-full mx-auto">
-      <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
-        <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex items-center gap-3">
-          <CircleStackIcon className="w-6 h-6 text-[--color-primary-500] dark:text-[--color-primary-400]" />
-          <h3 className="text-lg font-semibold text-[--color-primary-500] dark:text-[--color-primary-400]">{t('titles.database')}</h3>
-        </div>
-        <div className="p-6 space-y-6">
+    <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-6">
+      <div className="flex items-center gap-3">
+        <CircleStackIcon className="w-6 h-6 text-[--color-primary-500] dark:text-[--color-primary-400]" />
+        <h2 className="text-2xl font-bold text-slate-900 dark:text-slate-100">{t('titles.database')}</h2>
+      </div>
+      <p className="text-sm text-slate-500 mt-1">
+        The panel is running on <span className="font-semibold">{status.engine === 'mariadb' ? 'MariaDB' : 'SQLite (panel.db)'}</span>.
+        {status.savedEngine !== status.engine && ` It will use ${status.savedEngine === 'mariadb' ? 'MariaDB' : 'SQLite'} after the next restart.`}
+      </p>
+      {status.fromEnv.length > 0 && (
+        <p className="text-xs text-slate-500 mt-1">Set by environment variables and locked here: {status.fromEnv.join(', ')}.</p>
+      )}
+
+      {error && <p className="mt-4 p-3 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-md whitespace-pre-wrap">{error}</p>}
+      {message && <p className="mt-4 p-3 bg-slate-100 dark:bg-slate-700/50 text-slate-700 dark:text-slate-200 rounded-md whitespace-pre-wrap">{message}</p>}
+
+      <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
+        <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200 mb-2">MariaDB Connection</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
           <div>
-            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Database Engine</label>
-            <div className="flex items-center gap-4">
-              <label className="inline-flex items-center gap-2">
-                <input
-                  type="radio"
-                  name="dbEngine"
-                  checked={settings?.databaseEngine === 'sqlite'}
-                  onChange={() => updateField('databaseEngine', 'sqlite')}
-                />
-                <span>SQLite (default)</span>
-              </label>
-              <label className="inline-flex items-center gap-2">
-                <input
-                  type="radio"
-                  name="dbEngine"
-                  checked={settings?.databaseEngine === 'mariadb'}
-                  onChange={() => updateField('databaseEngine', 'mariadb')}
-                />
-                <span>MariaDB</span>
-              </label>
-            </div>
-            <p className="text-xs text-slate-500 mt-2">
-              MariaDB requires server support and credentials. If switching engines, ensure the backend is configured accordingly.
-            </p>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Host</label>
+            <input type="text" className={inputClass} value={form.host} onChange={e => updateField('host', e.target.value)} disabled={fixed('host')} placeholder="localhost" />
           </div>
-
-          <div className="space-y-3">
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Host</label>
-                <input
-                  type="text"
-                  className="mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2"
-                  value={settings?.dbHost || ''}
-                  onChange={(e) => updateField('dbHost', e.target.value)}
-                  disabled={settings?.databaseEngine !== 'mariadb'}
-                  placeholder="localhost"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Port</label>
-                <input
-                  type="number"
-                  className="mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2"
-                  value={settings?.dbPort ?? 3306}
-                  onChange={(e) => updateField('dbPort', Number(e.target.value))}
-                  disabled={settings?.databaseEngine !== 'mariadb'}
-                  placeholder="3306"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">User</label>
-                <input
-                  type="text"
-                  className="mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2"
-                  value={settings?.dbUser || ''}
-                  onChange={(e) => updateField('dbUser', e.target.value)}
-                  disabled={settings?.databaseEngine !== 'mariadb'}
-                  placeholder="db_user"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Password</label>
-                <input
-                  type="password"
-                  className="mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2"
-                  value={settings?.dbPassword || ''}
-                  onChange={(e) => updateField('dbPassword', e.target.value)}
-                  disabled={settings?.databaseEngine !== 'mariadb'}
-                  placeholder="••••••••"
-                />
-              </div>
-              <div className="sm:col-span-2">
-                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Database Name</label>
-                <input
-                  type="text"
-                  className="mt-1 w-full rounded-md border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-900 p-2"
-                  value={settings?.dbName || ''}
-                  onChange={(e) => updateField('dbName', e.target.value)}
-                  disabled={settings?.databaseEngine !== 'mariadb'}
-                  placeholder="panel_db"
-                />
-              </div>
-            </div>
-            <p className="text-xs text-slate-500">
-              These settings are stored securely in the panel's configuration database.
-            </p>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Port</label>
+            <input type="number" className={inputClass} value={form.port} onChange={e => updateField('port', Number(e.target.value))} disabled={fixed('port')} placeholder="3306" />
           </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">User</label>
+            <input type="text" className={inputClass} value={form.user} onChange={e => updateField('user', e.target.value)} disabled={fixed('user')} placeholder="panel" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Password</label>
+            <input
+              type="password"
+              className={inputClass}
+              value={form.password}
+              onChange={e => updateField('password', e.target.value)}
+              disabled={fixed('password')}
+              placeholder={status.mariadb.hasPassword ? 'Saved, leave blank to keep' : ''}
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Database Name</label>
+            <input type="text" className={inputClass} value={form.database} onChange={e => updateField('database', e.target.value)} disabled={fixed('database')} placeholder="panel_db" />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">The password is stored encrypted with the panel's secret key.</p>
+        <div className="flex flex-wrap gap-3 mt-4">
+          <button onClick={handleSave} disabled={isWorking || !isDirty} className="px-4 py-2 rounded-md bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white font-semibold disabled:opacity-50">
+            {busy === 'save' ? 'Saving…' : t('common.save')}
+          </button>
+          <button onClick={handleTest} disabled={isWorking} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-700 text-white font-semibold disabled:opacity-50">
+            {busy === 'test' ? 'Testing…' : 'Test Connection'}
+          </button>
+          <button onClick={handleInit} disabled={isWorking} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-700 text-white font-semibold disabled:opacity-50">
+            {busy === 'init' ? 'Creating…' : 'Create Tables'}
+          </button>
+        </div>
+      </div>
 
-          <div className="flex gap-3">
-            <button
-              onClick={handleSave}
-              disabled={isSaving}
-              className="px-4 py-2 rounded-md bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white font-semibold disabled:opacity-50"
-            >
-              {isSaving ? 'Saving…' : t('common.save')}
-            </button>
-            <button
-              onClick={handleMigrate}
-              disabled={isMigrating || settings?.databaseEngine !== 'mariadb'}
-              className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-700 text-white font-semibold disabled:opacity-50"
-            >
-              {isMigrating ? 'Migrating…' : 'Run Migration'}
+      {status.engine === 'sqlite' && (
+        <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
+          <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Copy panel.db to MariaDB</h3>
+          <p className="text-sm text-slate-500 my-2">
+            A snapshot of panel.db is copied table by table, then every table's row count is checked. An interrupted copy resumes where it stopped.
+            Changes made after the snapshot are not copied.
+          </p>
+          <p className="text-sm">
+            <span className="font-semibold">{COPY_STATUS_LABELS[copy.status]}</span>
+            {copy.snapshotAt && <span className="text-slate-500"> · snapshot of {new Date(copy.snapshotAt).toLocaleString()}</span>}
+          </p>
+          {copy.error && <p className="text-sm text-red-600 dark:text-red-400 mt-1">{copy.error}</p>}
+          {copy.tables.length > 0 && (
+            <ul className="mt-3 space-y-1 max-h-60 overflow-y-auto pr-2 text-sm">
+              {copy.tables.map(table => (
+                <li key={table.tableName} className="bg-slate-100 dark:bg-slate-700/50 px-2 py-1 rounded-md flex justify-between gap-2">
+                  <span className="font-mono break-all">{table.tableName}</span>
+                  <span className={`flex-shrink-0 ${TABLE_STATUS_CLASSES[table.status] || 'text-slate-500'}`} title={table.error || undefined}>
+                    {table.copiedRows}/{table.sourceRows} · {table.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap gap-3 mt-4">
+            {copy.running ? (
+              <div className="flex items-center gap-2 text-sm text-slate-500"><Loader /> Copying…</div>
+            ) : copy.status === 'failed' ? (
+              <>
+                <button onClick={() => handleCopy(false)} disabled={isWorking} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-500 text-white font-semibold disabled:opacity-50">Resume Copy</button>
+                <button onClick={() => handleCopy(true)} disabled={isWorking} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-700 text-white font-semibold disabled:opacity-50">Start Over</button>
+              </>
+            ) : (
+              <button onClick={() => handleCopy(true)} disabled={isWorking} className="px-4 py-2 rounded-md bg-sky-600 hover:bg-sky-500 text-white font-semibold disabled:opacity-50">
+                {copy.status === 'none' ? 'Copy panel.db to MariaDB' : 'Copy Again'}
+              </button>
+            )}
+            <button onClick={() => handleSwitch('mariadb')} disabled={isWorking || !canSwitch || fixed('engine')} className="px-4 py-2 rounded-md bg-orange-600 hover:bg-orange-500 text-white font-semibold disabled:opacity-50">
+              {busy === 'switch' ? 'Switching…' : 'Switch to MariaDB'}
             </button>
           </div>
-          {migrationMsg && (
-            <p className="text-xs text-slate-500 mt-2 whitespace-pre-wrap">{migrationMsg}</p>
-          )}
         </div>
-      </div>
+      )}
+
+      {status.engine === 'mariadb' && (
+        <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
+          <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Switch Back to SQLite</h3>
+          <p className="text-sm text-yellow-600 dark:text-yellow-400 my-2">panel.db still holds the data from before the switch to MariaDB. Full panel backups only cover panel.db; back up MariaDB with mariadb-dump.</p>
+          <button onClick={() => handleSwitch('sqlite')} disabled={isWorking || fixed('engine')} className="px-4 py-2 rounded-md bg-orange-600 hover:bg-orange-500 text-white font-semibold disabled:opacity-50">
+            {busy === 'switch' ? 'Switching…' : 'Switch to SQLite'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -26,7 +26,8 @@ const DhcpPlanForm: React.FC<{
 
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
-        onSave(plan as DhcpBillingPlanWithId);
+        // Cleared fields are sent as null so an existing quota can be removed.
+        onSave({ ...plan, quotaGb: plan.quotaGb || null, fupLimit: plan.fupLimit || null } as DhcpBillingPlanWithId);
     };
 
     return (
@@ -53,6 +54,16 @@ const DhcpPlanForm: React.FC<{
                         <input type="number" name="speedLimit" value={plan.speedLimit || ''} onChange={handleChange} placeholder="e.g., 5 for 5Mbps" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
                     </div>
                 </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium">Data Quota per Cycle (GB)</label>
+                        <input type="number" name="quotaGb" value={plan.quotaGb || ''} onChange={handleChange} min="0" step="0.1" placeholder="Unlimited" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">Speed After Quota (max-limit)</label>
+                        <input type="text" name="fupLimit" value={plan.fupLimit || ''} onChange={handleChange} required={!!plan.quotaGb} pattern="\d+[kMG]?/\d+[kMG]?" placeholder="e.g., 1M/1M" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                </div>
                 <div className="flex justify-end gap-4 pt-4">
                     <button type="button" onClick={onCancel} className="px-4 py-2 text-sm rounded-md">Cancel</button>
                     <button type="submit" className="px-4 py-2 text-sm bg-[--color-primary-600] text-white rounded-md">Save Plan</button>
@@ -116,6 +127,7 @@ export const DhcpBillingPlans: React.FC<{ routerId: string }> = ({ routerId }) =
                                         <p className="text-sm text-slate-500">
                                             <span className="font-bold">{formatCurrency(plan.price)}</span> for {plan.cycle_days} days
                                             {plan.speedLimit && ` | Speed: ${plan.speedLimit}Mbps`}
+                                            {plan.quotaGb ? ` | Quota: ${plan.quotaGb} GB, then ${plan.fupLimit}` : ''}
                                         </p>
                                     </div>
                                 </div>
@@ -1,12 +1,16 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { dbApi } from '../services/databaseService.ts';
 import { getDhcpClients, updateDhcpClientDetails, deleteDhcpClient } from '../services/mikrotikService.ts';
-import type { DhcpClient, DhcpClientDbRecord, DhcpClientActionParams, RouterConfigWithId, SaleRecord, DhcpBillingPlanWithId } from '../types.ts';
+import type { DhcpClient, DhcpClientDbRecord, DhcpClientActionParams, RouterConfigWithId, SaleRecord, DhcpBillingPlanWithId, UsageCycle } from '../types.ts';
 import { useDhcpBillingPlans } from '../hooks/useDhcpBillingPlans.ts';
 import { Loader } from './Loader.tsx';
+import { DataUsage } from './DataUsage.tsx';
+import { getCurrentUsage, resetUsage } from '../services/usageService.ts';
 import { EditIcon, TrashIcon, ExclamationTriangleIcon } from '../constants.tsx';
 import { ActivationPaymentModal } from './ActivationPaymentModal.tsx';
 import { GracePeriodModal } from './GracePeriodModal.tsx';
+import { BulkImportModal, downloadCsv } from './BulkImportModal.tsx';
+import { exportSubscribersCsv } from '../services/bulkImportService.ts';
 
 // New modal for manual editing
 const EditClientModal: React.FC<{
@@ -110,6 +114,8 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
     const [isEditModalOpen, setEditModalOpen] = useState(false);
     const [isGraceModalOpen, setGraceModalOpen] = useState(false);
     const [selectedClient, setSelectedClient] = useState<DhcpClient | null>(null);
+    const [usage, setUsage] = useState<Record<string, UsageCycle>>({});
+    const [isImportOpen, setImportOpen] = useState(false);
 
     const isLegacyApi = selectedRouter.api_type === 'legacy';
 
@@ -117,12 +123,14 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
         setIsLoading(true);
         setError(null);
         try {
-            const [routerClients, localClients] = await Promise.all([
+            const [routerClients, localClients, usageData] = await Promise.all([
                 getDhcpClients(selectedRouter),
-                dbApi.get<DhcpClientDbRecord[]>(`/dhcp_clients?routerId=${selectedRouter.id}`)
+                dbApi.get<DhcpClientDbRecord[]>(`/dhcp_clients?routerId=${selectedRouter.id}`),
+                getCurrentUsage('dhcp', selectedRouter.id).catch(() => [] as UsageCycle[])
             ]);
             setClients(routerClients);
             setDbClients(localClients);
+            setUsage(Object.fromEntries(usageData.map(u => [u.subscriber, u])));
         } catch (err) {
             setError((err as Error).message);
         } finally {
@@ -256,6 +264,20 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
          }
     };
 
+    const handleExport = async () => {
+        try {
+            downloadCsv(await exportSubscribersCsv('dhcp', selectedRouter.id), `dhcp-clients-${selectedRouter.name}.csv`);
+        } catch (err) { alert(`Export failed: ${(err as Error).message}`); }
+    };
+
+    const handleResetUsage = async (client: DhcpClient) => {
+        if (!window.confirm(`Reset this cycle's data usage for ${client.customerInfo || client.address}? Their normal speed returns within a few minutes.`)) return;
+        try {
+            const cycle = await resetUsage('dhcp', selectedRouter.id, client.address);
+            setUsage(prev => ({ ...prev, [client.address]: cycle }));
+        } catch (err) { alert(`Failed to reset usage: ${(err as Error).message}`); }
+    };
+
     const getExpirationDisplay = (client: DhcpClient) => {
         if (client.status !== 'active') return 'N/A';
         
@@ -303,8 +325,15 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
                 subject={selectedClient}
                 onSave={handleGraceSave as any}
             />
+            <BulkImportModal isOpen={isImportOpen} onClose={() => setImportOpen(false)} kind="dhcp" routerId={selectedRouter.id} onApplied={fetchData} />
 
-            <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-200">DHCP Client Management</h2>
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-200">DHCP Client Management</h2>
+                <div className="flex gap-2">
+                    <button onClick={handleExport} className="px-4 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg font-semibold">Export CSV</button>
+                    <button onClick={() => setImportOpen(true)} disabled={isLegacyApi} title={isLegacyApi ? "Feature requires RouterOS v7+ (REST API)" : "Import clients from CSV"} className="px-4 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed">Import CSV</button>
+                </div>
+            </div>
 
             {isLegacyApi && (
                 <div className="p-4 bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-700 text-yellow-800 dark:text-yellow-300 rounded-lg flex items-start gap-3">
@@ -326,6 +355,7 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
                                 <th className="px-6 py-3">MAC Address</th>
                                 <th className="px-6 py-3">Customer Info</th>
                                 <th className="px-6 py-3">Expires In</th>
+                                <th className="px-6 py-3">Data Usage</th>
                                 <th className="px-6 py-3 text-right">Action</th>
                             </tr>
                         </thead>
@@ -347,6 +377,12 @@ export const DhcpClientManagement: React.FC<DhcpClientManagementProps> = ({ sele
                                     <td className="px-6 py-4 font-mono text-sm text-slate-500 dark:text-slate-400">
                                         {getExpirationDisplay(client)}
                                     </td>
+                                    <td className="px-6 py-4">
+                                        {client.status === 'active' ? <DataUsage usage={usage[client.address]} /> : <span className="text-xs text-slate-400">N/A</span>}
+                                        {client.status === 'active' && usage[client.address]?.throttled && (
+                                            <button onClick={() => handleResetUsage(client)} className="text-xs text-[--color-primary-600] hover:underline">Reset usage</button>
+                                        )}
+                                    </td>
                                     <td className="px-6 py-4 text-right space-x-1">
                                          {client.status === 'pending' ? (
                                              <>
@@ -5,8 +5,9 @@ import { DhcpCaptivePortalInstaller } from './DhcpCaptivePortalInstaller.tsx';
 import { DhcpPortalServerManager } from './DhcpPortalServerManager.tsx';
 import { DhcpPortalPageEditor } from './DhcpPortalPageEditor.tsx';
 import { DhcpBillingPlans } from './DhcpBillingPlans.tsx';
+import { DhcpReconciliation } from './DhcpReconciliation.tsx';
 // FIX: Import missing CodeBracketIcon.
-import { UsersIcon, ServerIcon, RouterIcon, CodeBracketIcon, SignalIcon } from '../constants.tsx';
+import { UsersIcon, ServerIcon, RouterIcon, CodeBracketIcon, SignalIcon, ArrowPathIcon } from '../constants.tsx';
 import { useLocalization } from '../contexts/LocalizationContext.tsx';
 
 const TabButton: React.FC<{ label: string, icon: React.ReactNode, isActive: boolean, onClick: () => void }> = ({ label, icon, isActive, onClick }) => (
@@ -23,7 +24,7 @@ const TabButton: React.FC<{ label: string, icon: React.ReactNode, isActive: bool
     </button>
 );
 
-type ActiveTab = 'clients' | 'plans' | 'server' | 'installer' | 'page';
+type ActiveTab = 'clients' | 'plans' | 'reconcile' | 'server' | 'installer' | 'page';
 
 interface DhcpPortalProps {
     selectedRouter: RouterConfigWithId | null;
@@ -50,6 +51,7 @@ export const DhcpPortal: React.FC<DhcpPortalProps> = ({ selectedRouter, addSale
                 <nav className="flex space-x-2 -mb-px overflow-x-auto" aria-label="Tabs">
                     <TabButton label={t('dhcp-portal.client_management')} icon={<UsersIcon className="w-5 h-5"/>} isActive={activeTab === 'clients'} onClick={() => setActiveTab('clients')} />
                     <TabButton label="Billing Plans" icon={<SignalIcon className="w-5 h-5"/>} isActive={activeTab === 'plans'} onClick={() => setActiveTab('plans')} />
+                    <TabButton label="Reconciliation" icon={<ArrowPathIcon className="w-5 h-5"/>} isActive={activeTab === 'reconcile'} onClick={() => setActiveTab('reconcile')} />
                     <TabButton label={t('dhcp-portal.portal_server')} icon={<ServerIcon className="w-5 h-5"/>} isActive={activeTab === 'server'} onClick={() => setActiveTab('server')} />
                     <TabButton label={t('dhcp-portal.portal_page')} icon={<CodeBracketIcon className="w-5 h-5"/>} isActive={activeTab === 'page'} onClick={() => setActiveTab('page')} />
                     <TabButton label={t('dhcp-portal.portal_installer')} icon={<ServerIcon className="w-5 h-5"/>} isActive={activeTab === 'installer'} onClick={() => setActiveTab('installer')} />
@@ -58,6 +60,7 @@ export const DhcpPortal: React.FC<DhcpPortalProps> = ({ selectedRouter, addSale
             <div>
                 {activeTab === 'clients' && <DhcpClientManagement selectedRouter={selectedRouter} addSale={addSale} />}
                 {activeTab === 'plans' && <DhcpBillingPlans routerId={selectedRouter.id} />}
+                {activeTab === 'reconcile' && <DhcpReconciliation routerId={selectedRouter.id} />}
                 {activeTab === 'server' && <DhcpPortalServerManager selectedRouter={selectedRouter} />}
                 {activeTab === 'page' && <DhcpPortalPageEditor selectedRouter={selectedRouter} />}
                 {activeTab === 'installer' && <DhcpCaptivePortalInstaller selectedRouter={selectedRouter} />}
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type { DhcpReconcileFixResult, DhcpReconcileIssue, DhcpReconcileIssueType, DhcpReconcileReport } from '../types.ts';
+import { getDhcpReconciliation, fixDhcpReconciliation } from '../services/dhcpReconcileService.ts';
+import { ArrowPathIcon, CheckCircleIcon, ExclamationTriangleIcon } from '../constants.tsx';
+import { Loader } from './Loader.tsx';
+
+const TYPE_LABELS: Record<DhcpReconcileIssueType, string> = {
+    'clock-skew': 'Router clock',
+    'record-mismatch': 'Panel record differs',
+    'missing-record': 'Not in panel',
+    'ip-changed': 'IP changed',
+    'no-due-date': 'No due date',
+    'expired-authorized': 'Expired but authorized',
+    'missing-scheduler': 'No expiry scheduler',
+    'scheduler-mismatch': 'Scheduler out of date',
+    'missing-queue': 'No speed queue',
+    'queue-target': 'Queue on wrong IP',
+    'orphan-scheduler': 'Orphan scheduler',
+};
+
+const IssueRow: React.FC<{ issue: DhcpReconcileIssue; result?: DhcpReconcileFixResult; isFixing: boolean; onFix: () => void }> = ({ issue, result, isFixing, onFix }) => (
+    <li className="p-4 flex justify-between items-start gap-4">
+        <div className="flex items-start gap-3 min-w-0">
+            <ExclamationTriangleIcon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${issue.fix ? 'text-yellow-500' : 'text-red-500'}`} />
+            <div className="min-w-0">
+                <p className="font-semibold">
+                    {TYPE_LABELS[issue.type] || issue.type}
+                    {issue.address && <span className="ml-2 font-mono text-sm text-slate-500">{issue.address}{issue.newAddress && ` → ${issue.newAddress}`}</span>}
+                </p>
+                <p className="text-sm text-slate-600 dark:text-slate-400 break-words">{issue.message}</p>
+                {issue.fix && <p className="text-xs text-slate-500 mt-1">Fix: {issue.fix}</p>}
+                {result?.error && <p className="text-xs text-red-500 mt-1">{result.error}</p>}
+            </div>
+        </div>
+        {issue.fix && (
+            <button onClick={onFix} disabled={isFixing} className="px-3 py-1 text-sm bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white rounded-md disabled:opacity-50 flex-shrink-0">
+                Fix
+            </button>
+        )}
+    </li>
+);
+
+// Compares each DHCP portal client's address-list entry, queue and expiry
+// scheduler on the router with the panel's records.
+export const DhcpReconciliation: React.FC<{ routerId: string }> = ({ routerId }) => {
+    const [report, setReport] = useState<DhcpReconcileReport | null>(null);
+    const [results, setResults] = useState<Record<string, DhcpReconcileFixResult>>({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isFixing, setIsFixing] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setReport(await getDhcpReconciliation(routerId));
+            setResults({});
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [routerId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleFix = async (issueIds?: string[]) => {
+        if (!issueIds && !window.confirm('Apply every available fix on this router?')) return;
+        setIsFixing(true);
+        setError(null);
+        try {
+            const { results: fixed, report: next } = await fixDhcpReconciliation(routerId, issueIds);
+            setReport(next);
+            setResults(Object.fromEntries(fixed.filter(r => r.error).map(r => [r.id, r])));
+            const failed = fixed.filter(r => r.status === 'failed').length;
+            if (failed) setError(`${failed} fix${failed === 1 ? '' : 'es'} failed. See the issues below.`);
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsFixing(false);
+        }
+    };
+
+    const fixable = report?.issues.filter(i => i.fix).length || 0;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <p className="text-sm text-slate-500">
+                    {report ? `${report.clients} authorized clients checked at ${new Date(report.checkedAt).toLocaleString()}.` : 'Checking the router...'}
+                </p>
+                <div className="flex gap-2">
+                    <button onClick={load} disabled={isLoading || isFixing} className="px-4 py-2 text-sm bg-slate-200 dark:bg-slate-700 rounded-lg flex items-center gap-2 disabled:opacity-50">
+                        <ArrowPathIcon className="w-4 h-4" /> Check Again
+                    </button>
+                    <button onClick={() => handleFix()} disabled={!fixable || isLoading || isFixing} className="px-4 py-2 text-sm bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white font-bold rounded-lg disabled:opacity-50">
+                        {isFixing ? 'Fixing...' : `Fix All (${fixable})`}
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="p-3 bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300 rounded-md text-sm">{error}</div>}
+
+            {isLoading ? <div className="flex justify-center p-8"><Loader /></div> : report && (
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                    <ul role="list" className="divide-y divide-slate-200 dark:divide-slate-700">
+                        {report.issues.map(issue => (
+                            <IssueRow key={issue.id} issue={issue} result={results[issue.id]} isFixing={isFixing} onFix={() => handleFix([issue.id])} />
+                        ))}
+                        {report.issues.length === 0 && (
+                            <li className="p-6 flex items-center justify-center gap-2 text-slate-500">
+                                <CheckCircleIcon className="w-5 h-5 text-green-500" /> The router matches the panel.
+                            </li>
+                        )}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
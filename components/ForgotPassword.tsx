@@ -11,6 +11,8 @@ export const ForgotPassword: React.FC<ForgotPasswordProps> = ({ onSwitchToLogin
     const [username, setUsername] = useState('');
     const [questions, setQuestions] = useState<string[]>([]);
     const [answers, setAnswers] = useState<string[]>(['', '', '']);
+    const [useResetCode, setUseResetCode] = useState(false);
+    const [resetCode, setResetCode] = useState('');
     const [newPassword, setNewPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [message, setMessage] = useState<{ type: 'error' | 'success', text: string } | null>(null);
@@ -21,12 +23,16 @@ export const ForgotPassword: React.FC<ForgotPasswordProps> = ({ onSwitchToLogin
         e.preventDefault();
         setMessage(null);
         clearError();
+        if (useResetCode) {
+            setStep(2);
+            return;
+        }
         const fetchedQuestions = await getSecurityQuestions(username);
         if (fetchedQuestions.length > 0) {
             setQuestions(fetchedQuestions);
             setStep(2);
         } else {
-            setMessage({ type: 'error', text: 'Username not found or no security questions set up.' });
+            setMessage({ type: 'error', text: 'Could not load the security questions. Please try again later.' });
         }
     };
 
@@ -38,7 +44,7 @@ export const ForgotPassword: React.FC<ForgotPasswordProps> = ({ onSwitchToLogin
             setMessage({ type: 'error', text: 'New passwords do not match.' });
             return;
         }
-        const result = await resetPassword(username, answers, newPassword);
+        const result = await resetPassword(username, useResetCode ? { resetCode } : { answers }, newPassword);
         if (result.success) {
             setMessage({ type: 'success', text: result.message });
             setStep(3);
@@ -72,6 +78,13 @@ export const ForgotPassword: React.FC<ForgotPasswordProps> = ({ onSwitchToLogin
                         <label htmlFor="username" className="block text-sm font-medium text-slate-700 dark:text-slate-300">Username</label>
                         <input id="username" type="text" value={username} onChange={(e) => setUsername(e.target.value)} required className="mt-1 block w-full bg-slate-100 dark:bg-slate-700 rounded-md p-2"/>
                     </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                        <input type="checkbox" checked={useResetCode} onChange={(e) => setUseResetCode(e.target.checked)} />
+                        I have a reset code from an administrator
+                    </label>
+                    {!useResetCode && (
+                        <p className="text-xs text-slate-500 dark:text-slate-400">If you never set up security questions, ask an administrator for a reset code.</p>
+                    )}
                     <div>
                         <button type="submit" disabled={isLoading} className="w-full flex justify-center py-2 px-4 rounded-md text-white bg-[--color-primary-600] hover:bg-[--color-primary-700] disabled:opacity-50">
                             {isLoading ? <Loader /> : 'Next'}
@@ -82,7 +95,12 @@ export const ForgotPassword: React.FC<ForgotPasswordProps> = ({ onSwitchToLogin
 
             {step === 2 && (
                 <form onSubmit={handleResetSubmit} className="space-y-4">
-                     {questions.map((q, i) => (
+                     {useResetCode ? (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">Reset code</label>
+                            <input type="text" inputMode="numeric" autoComplete="one-time-code" value={resetCode} onChange={(e) => setResetCode(e.target.value.trim())} required className="mt-1 block w-full bg-slate-100 dark:bg-slate-700 rounded-md p-2 font-mono tracking-widest" />
+                        </div>
+                     ) : questions.map((q, i) => (
                         <div key={i}>
                             <label className="block text-sm font-medium text-slate-700 dark:text-slate-300">{q}</label>
                             <input type="text" value={answers[i]} onChange={(e) => handleAnswerChange(i, e.target.value)} required className="mt-1 block w-full bg-slate-100 dark:bg-slate-700 rounded-md p-2" />
@@ -10,11 +10,10 @@ import type {
     HotspotUserProfileData,
     Interface,
     SslCertificate,
-    HotspotSetupParams
+    HotspotSetupParams,
+    HotspotActiveEvent
 } from '../types.ts';
 import { 
-    getHotspotActiveUsers, 
-    getHotspotHosts, 
     removeHotspotActiveUser,
     getHotspotProfiles, addHotspotProfile, updateHotspotProfile, deleteHotspotProfile,
     getHotspotUserProfiles, addHotspotUserProfile, updateHotspotUserProfile, deleteHotspotUserProfile,
@@ -23,12 +22,14 @@ import {
 } from '../services/mikrotikService.ts';
 import { generateHotspotSetupScript } from '../services/geminiService.ts';
 import { Loader } from './Loader.tsx';
+import { useRouterTopic } from '../contexts/EventStreamContext.tsx';
 import { CodeBlock } from './CodeBlock.tsx';
 // FIX: Import missing CodeBracketIcon.
-import { RouterIcon, UsersIcon, ServerIcon, EditIcon, TrashIcon, ChipIcon, CodeBracketIcon, ExclamationTriangleIcon } from '../constants.tsx';
+import { RouterIcon, UsersIcon, ServerIcon, EditIcon, TrashIcon, ChipIcon, CodeBracketIcon, ExclamationTriangleIcon, CurrencyDollarIcon } from '../constants.tsx';
 import { NodeMcuManager } from './NodeMcuManager.tsx';
 import { HotspotEditor } from './HotspotEditor.tsx';
 import { HotspotInstaller } from './HotspotInstaller.tsx';
+import { PanelHotspot } from './VoucherHotspot.tsx';
 
 // --- Reusable Components ---
 
@@ -408,7 +409,7 @@ const HotspotUserProfilesManager: React.FC<{ selectedRouter: RouterConfigWithId
 // --- Main Hotspot Component ---
 
 export const Hotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
-    const [activeTab, setActiveTab] = useState<'user-activity' | 'nodemcu' | 'editor' | 'server-profiles' | 'user-profiles' | 'setup'>('user-activity');
+    const [activeTab, setActiveTab] = useState<'user-activity' | 'vouchers' | 'nodemcu' | 'editor' | 'server-profiles' | 'user-profiles' | 'setup'>('user-activity');
     
     // --- LIFTED STATE & LOGIC for user-activity and nodemcu ---
     const [activeUsers, setActiveUsers] = useState<HotspotActiveUser[]>([]);
@@ -417,61 +418,36 @@ export const Hotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState<Record<string, string> | null>(null);
 
-    const fetchData = useCallback(async (isInitial = false) => {
-        if (!selectedRouter) {
-            setActiveUsers([]);
-            setHosts([]);
-            if (isInitial) setIsLoading(false);
-            return;
-        }
-
-        if (isInitial) setIsLoading(true);
-        setError(null);
-        
-        const [activeRes, hostsRes] = await Promise.allSettled([
-            getHotspotActiveUsers(selectedRouter),
-            getHotspotHosts(selectedRouter)
-        ]);
-
-        const newErrors: Record<string, string> = {};
-        if (activeRes.status === 'fulfilled') {
-            setActiveUsers(activeRes.value);
-        } else {
-            console.error("Failed to fetch Hotspot active users:", activeRes.reason);
-            newErrors.active = "Could not fetch active users. The Hotspot package might not be configured.";
-            setActiveUsers([]);
-        }
-
-        if (hostsRes.status === 'fulfilled') {
-            setHosts(hostsRes.value);
-        } else {
-            console.error("Failed to fetch Hotspot hosts:", hostsRes.reason);
-            newErrors.hosts = "Could not fetch device hosts.";
-            setHosts([]);
-        }
-
-        if (Object.keys(newErrors).length > 0) {
-            setError(newErrors);
-        }
-
-        if (isInitial) setIsLoading(false);
-    }, [selectedRouter]);
+    const isWatching = activeTab === 'user-activity' || activeTab === 'nodemcu';
 
     useEffect(() => {
-        if (!selectedRouter) return;
-        if (activeTab === 'user-activity' || activeTab === 'nodemcu') {
-            fetchData(true);
-            const interval = setInterval(() => fetchData(false), 5000);
-            return () => clearInterval(interval);
-        }
-    }, [selectedRouter, fetchData, activeTab]);
+        setActiveUsers([]);
+        setHosts([]);
+        setError(null);
+        setIsLoading(true);
+    }, [selectedRouter?.id, isWatching]);
+
+    // The panel server polls active users and hosts while one of the tabs
+    // showing them is open, and pushes every result.
+    useRouterTopic<HotspotActiveEvent>(isWatching ? selectedRouter?.id : undefined, 'hotspot', data => {
+        setActiveUsers(data.active);
+        setHosts(data.hosts || []);
+        setError(data.hosts ? null : { hosts: 'Could not fetch device hosts.' });
+        setIsLoading(false);
+    }, message => {
+        console.error("Failed to fetch Hotspot active users:", message);
+        setActiveUsers([]);
+        setHosts([]);
+        setError({ active: "Could not fetch active users. The Hotspot package might not be configured." });
+        setIsLoading(false);
+    });
 
     const handleKickUser = async (userId: string) => {
         if (!selectedRouter || !window.confirm("Are you sure you want to kick this user?")) return;
         setIsSubmitting(true);
         try {
             await removeHotspotActiveUser(selectedRouter, userId);
-            await fetchData(true); // Force a full refresh
+            setActiveUsers(prev => prev.filter(user => user.id !== userId));
         } catch(err) {
             alert(`Error kicking user: ${(err as Error).message}`);
         } finally {
@@ -516,6 +492,8 @@ export const Hotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
         switch (activeTab) {
             case 'user-activity': 
                 return <HotspotUserActivity activeUsers={activeUsers} hosts={hosts} onKickUser={handleKickUser} isSubmitting={isSubmitting} />;
+            case 'vouchers':
+                return <PanelHotspot selectedRouter={selectedRouter} />;
             case 'nodemcu': 
                 return <NodeMcuManager hosts={hosts} />;
             case 'editor': 
@@ -535,6 +513,7 @@ export const Hotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
              <div className="border-b border-slate-200 dark:border-slate-700">
                 <nav className="flex space-x-2 -mb-px overflow-x-auto" aria-label="Tabs">
                     <TabButton label="User Activity" icon={<UsersIcon className="w-5 h-5"/>} isActive={activeTab === 'user-activity'} onClick={() => setActiveTab('user-activity')} />
+                    <TabButton label="Vouchers" icon={<CurrencyDollarIcon className="w-5 h-5"/>} isActive={activeTab === 'vouchers'} onClick={() => setActiveTab('vouchers')} />
                     <TabButton label="NodeMCU Vendo" icon={<ChipIcon className="w-5 h-5"/>} isActive={activeTab === 'nodemcu'} onClick={() => setActiveTab('nodemcu')} />
                     <TabButton label="Login Page Editor" icon={<CodeBracketIcon className="w-5 h-5"/>} isActive={activeTab === 'editor'} onClick={() => setActiveTab('editor')} />
                     <TabButton label="Server Profiles" icon={<ServerIcon className="w-5 h-5"/>} isActive={activeTab === 'server-profiles'} onClick={() => setActiveTab('server-profiles')} />
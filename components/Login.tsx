@@ -9,13 +9,69 @@ interface LoginProps {
 export const Login: React.FC<LoginProps> = ({ onSwitchToForgotPassword }) => {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
-    const { login, error, isLoading } = useAuth();
+    const [code, setCode] = useState('');
+    const { login, verifyTotp, cancelTotp, totpRequired, error, isLoading } = useAuth();
 
     const handleSubmit = async (e: React.FormEvent) => {
         e.preventDefault();
         await login(username, password);
     };
 
+    const handleCodeSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        await verifyTotp(code);
+        setCode('');
+    };
+
+    if (totpRequired) {
+        return (
+            <div className="w-full max-w-md">
+                <h2 className="text-2xl font-bold text-center text-slate-800 dark:text-slate-200 mb-6">
+                    Two-Factor Authentication
+                </h2>
+                <form onSubmit={handleCodeSubmit} className="space-y-4">
+                    {error && (
+                        <div className="p-3 bg-red-100 dark:bg-red-900/30 border border-red-300 dark:border-red-600 rounded-md text-red-700 dark:text-red-300 text-sm">
+                            {error}
+                        </div>
+                    )}
+                    <p className="text-sm text-center text-slate-600 dark:text-slate-400">Enter the 6-digit code from your authenticator app.</p>
+                    <div>
+                        <label htmlFor="totp-code" className="block text-sm font-medium text-slate-700 dark:text-slate-300">Authentication code</label>
+                        <input
+                            id="totp-code"
+                            name="totp-code"
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            pattern="[0-9]{6}"
+                            maxLength={6}
+                            required
+                            autoFocus
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                            className="mt-1 block w-full bg-slate-100 dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm py-2 px-3 text-center tracking-widest font-mono text-slate-900 dark:text-white focus:outline-none focus:ring-[--color-primary-500] focus:border-[--color-primary-500]"
+                        />
+                    </div>
+                    <div>
+                        <button
+                            type="submit"
+                            disabled={isLoading || code.length !== 6}
+                            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-[--color-primary-600] hover:bg-[--color-primary-700] focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[--color-primary-500] disabled:opacity-50"
+                        >
+                            {isLoading ? <Loader /> : 'Verify'}
+                        </button>
+                    </div>
+                </form>
+                <p className="mt-4 text-center text-sm text-slate-600 dark:text-slate-400">
+                    <button onClick={cancelTotp} className="font-medium text-[--color-primary-600] hover:text-[--color-primary-500]">
+                        Back to Login
+                    </button>
+                </p>
+            </div>
+        );
+    }
+
     return (
         <div className="w-full max-w-md">
             <h2 className="text-2xl font-bold text-center text-slate-800 dark:text-slate-200 mb-6">
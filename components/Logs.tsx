@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import type { RouterConfigWithId, MikroTikLogEntry } from '../types.ts';
+import type { RouterConfigWithId, MikroTikLogEntry, AuditLogEntry, AuditLogFilters } from '../types.ts';
 import { getRouterLogs } from '../services/mikrotikService.ts';
-import { getHostLog } from '../services/panelService.ts';
+import { getHostLog, getAuditLog, exportAuditLogCsv, getSshTranscript } from '../services/panelService.ts';
+import { useAuth } from '../contexts/AuthContext.tsx';
 import { Loader } from './Loader.tsx';
 // FIX: Import missing CodeBracketIcon.
 import { RouterIcon, CodeBracketIcon } from '../constants.tsx';
@@ -64,10 +65,198 @@ const LogViewer: React.FC<{ logs: string, title: string, onRefresh: () => void,
     </div>
 );
 
+const AUDIT_PAGE_SIZE = 100;
+
+// Strips colour and cursor escape sequences so a recorded terminal session reads as plain text.
+const stripAnsi = (text: string) => text.replace(/\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07]*(\x07|\x1b\\)|\x1b[@-_]/g, '').replace(/\r(?!\n)/g, '');
+
+const SshTranscript: React.FC<{ sessionId: string }> = ({ sessionId }) => {
+    const [transcript, setTranscript] = useState<string | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const load = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setTranscript(stripAnsi(await getSshTranscript(sessionId)));
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="mt-4">
+            {transcript === null ? (
+                <button onClick={load} disabled={isLoading} className="px-3 py-1 bg-slate-200 dark:bg-slate-600 rounded-md text-xs font-semibold disabled:opacity-50">
+                    {isLoading ? 'Loading...' : 'Show session transcript'}
+                </button>
+            ) : (
+                <pre className="text-xs font-mono whitespace-pre-wrap break-all bg-slate-900 text-slate-100 rounded-md p-2 max-h-96 overflow-y-auto">{transcript || 'The session produced no output.'}</pre>
+            )}
+            {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+        </div>
+    );
+};
+
+const AuditLogViewer: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
+    const [filters, setFilters] = useState<AuditLogFilters>({});
+    const [thisRouterOnly, setThisRouterOnly] = useState(false);
+    const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [expandedId, setExpandedId] = useState<number | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const activeFilters = useCallback((): AuditLogFilters => (
+        thisRouterOnly && selectedRouter ? { ...filters, routerId: selectedRouter.id } : filters
+    ), [filters, thisRouterOnly, selectedRouter]);
+
+    const load = useCallback(async (offset: number) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const page = await getAuditLog(activeFilters(), AUDIT_PAGE_SIZE, offset);
+            setEntries(prev => offset === 0 ? page : [...prev, ...page]);
+            setHasMore(page.length === AUDIT_PAGE_SIZE);
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [activeFilters]);
+
+    useEffect(() => { load(0); }, [load]);
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleExport = async () => {
+        try {
+            const csv = await exportAuditLogCsv(activeFilters());
+            const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    const inputClass = "px-3 py-2 text-sm bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md";
+
+    return (
+        <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+            <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Audit Log</h3>
+                <div className="flex gap-2">
+                    <button onClick={handleExport} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold">Export CSV</button>
+                    <button onClick={() => load(0)} disabled={isLoading} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">
+                        {isLoading ? 'Loading...' : 'Refresh'}
+                    </button>
+                </div>
+            </div>
+            <div className="p-4 grid grid-cols-2 md:grid-cols-6 gap-2 items-center border-b border-slate-200 dark:border-slate-700">
+                <input name="username" placeholder="User" value={filters.username || ''} onChange={handleFilterChange} className={inputClass} />
+                <input name="customer" placeholder="Customer" value={filters.customer || ''} onChange={handleFilterChange} className={inputClass} />
+                <select name="source" value={filters.source || ''} onChange={handleFilterChange} className={inputClass}>
+                    <option value="">All sources</option>
+                    <option value="router">Router</option>
+                    <option value="db">Panel database</option>
+                    <option value="ledger">Ledger</option>
+                    <option value="vouchers">Vouchers</option>
+                    <option value="xendit">Xendit</option>
+                    <option value="telegram">Telegram</option>
+                    <option value="ssh">Terminal sessions</option>
+                    <option value="snapshots">Config snapshots</option>
+                    <option value="backups">Panel backups</option>
+                    <option value="usage">Data usage</option>
+                    <option value="imports">Bulk imports</option>
+                    <option value="portal">Client portal</option>
+                    <option value="provisioning">Provisioning</option>
+                    <option value="storage">Database engine</option>
+                    <option value="reconcile">DHCP reconciliation</option>
+                    <option value="roles">Roles and permissions</option>
+                    <option value="panel-users">Panel users</option>
+                    <option value="jobs">Scheduled jobs</option>
+                </select>
+                <input type="date" name="from" value={filters.from || ''} onChange={handleFilterChange} className={inputClass} title="From" />
+                <input type="date" name="to" value={filters.to || ''} onChange={handleFilterChange} className={inputClass} title="To" />
+                <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                    <input type="checkbox" checked={thisRouterOnly} disabled={!selectedRouter} onChange={e => setThisRouterOnly(e.target.checked)} />
+                    {selectedRouter ? `Only ${selectedRouter.name}` : 'No router selected'}
+                </label>
+            </div>
+            {error && <div className="text-red-500 p-4">{error}</div>}
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left text-slate-600 dark:text-slate-300">
+                    <thead className="text-xs text-slate-700 dark:text-slate-400 uppercase bg-slate-50 dark:bg-slate-700">
+                        <tr>
+                            <th className="px-4 py-2">Time</th>
+                            <th className="px-4 py-2">User</th>
+                            <th className="px-4 py-2">Action</th>
+                            <th className="px-4 py-2">Target</th>
+                            <th className="px-4 py-2">Customer</th>
+                            <th className="px-4 py-2">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => (
+                            <React.Fragment key={entry.id}>
+                                <tr onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} className="border-b dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700/50 cursor-pointer">
+                                    <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                                    <td className="px-4 py-2">{entry.username || entry.userId || '-'}</td>
+                                    <td className="px-4 py-2 font-mono text-xs">{entry.source} {entry.method}</td>
+                                    <td className="px-4 py-2 font-mono text-xs">{entry.routerId ? `${entry.routerId}: ` : ''}{entry.target}{entry.recordId ? ` (${entry.recordId})` : ''}</td>
+                                    <td className="px-4 py-2">{entry.customer || '-'}</td>
+                                    <td className={`px-4 py-2 font-semibold ${entry.status && entry.status >= 400 ? 'text-red-500' : 'text-green-600'}`}>{entry.status ?? '-'}</td>
+                                </tr>
+                                {expandedId === entry.id && (
+                                    <tr className="bg-slate-50 dark:bg-slate-900">
+                                        <td colSpan={6} className="p-4">
+                                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                                {(['payload', 'before', 'after'] as const).map(key => (
+                                                    <div key={key}>
+                                                        <h4 className="text-xs font-semibold uppercase text-slate-500 mb-1">{key}</h4>
+                                                        <pre className="text-xs font-mono whitespace-pre-wrap break-all bg-slate-100 dark:bg-slate-800 rounded-md p-2 max-h-64 overflow-y-auto">
+                                                            {entry[key] === null ? 'Not recorded' : JSON.stringify(entry[key], null, 2)}
+                                                        </pre>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            {entry.source === 'ssh' && entry.recordId && entry.payload?.transcriptRecorded && <SshTranscript sessionId={entry.recordId} />}
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+                {!isLoading && entries.length === 0 && <p className="text-center p-8 text-slate-500">No changes recorded for these filters.</p>}
+                {isLoading && <div className="flex justify-center p-8"><Loader /></div>}
+            </div>
+            {hasMore && !isLoading && (
+                <div className="p-4 text-center">
+                    <button onClick={() => load(entries.length)} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Load more</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
 export const Logs: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
-    type MainTab = 'router' | 'panel' | 'nginx';
+    type MainTab = 'router' | 'panel' | 'nginx' | 'audit';
     type SubTab = 'panel-ui' | 'panel-api' | 'nginx-access' | 'nginx-error';
 
+    const { hasPermission } = useAuth();
     const [activeTab, setActiveTab] = useState<MainTab>('router');
     const [activeSubTab, setActiveSubTab] = useState<SubTab>('panel-ui');
 
@@ -111,7 +300,7 @@ export const Logs: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({
             if (isCancelled) return;
             if (activeTab === 'router') {
                 if (selectedRouter) fetchRouterLogs();
-            } else {
+            } else if (activeTab !== 'audit') {
                 const type = activeSubTab as SubTab;
                 fetchHostLogs(type);
             }
@@ -170,6 +359,10 @@ export const Logs: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({
             );
         }
 
+        if (activeTab === 'audit') {
+            return <AuditLogViewer selectedRouter={selectedRouter} />;
+        }
+
         if (activeTab === 'panel' || activeTab === 'nginx') {
             const isPanel = activeTab === 'panel';
             const subTabs = isPanel 
@@ -200,6 +393,7 @@ export const Logs: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({
                     <TabButton label="Router Logs" isActive={activeTab === 'router'} onClick={() => handleTabClick('router')} />
                     <TabButton label="Panel Logs" isActive={activeTab === 'panel'} onClick={() => handleTabClick('panel')} />
                     <TabButton label="Nginx Logs" isActive={activeTab === 'nginx'} onClick={() => handleTabClick('nginx')} />
+                    {hasPermission('audit:read') && <TabButton label="Audit Log" isActive={activeTab === 'audit'} onClick={() => handleTabClick('audit')} />}
                 </nav>
             </div>
             {renderContent()}
@@ -2,13 +2,14 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import type { RouterConfigWithId, MikroTikFile } from '../types.ts';
 import { listFiles, getFileContent, saveFileContent } from '../services/mikrotikService.ts';
 import { Loader } from './Loader.tsx';
+import { ConfigSnapshots } from './ConfigSnapshots.tsx';
 // FIX: Import missing FolderIcon and FileIcon.
 import { RouterIcon, FolderIcon, FileIcon } from '../constants.tsx';
 
 type View = 'browser' | 'editor';
 type Status = 'loading' | 'editing' | 'saving' | 'error' | 'idle';
 
-export const MikrotikFiles: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
+const FileBrowser: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
     const [allFiles, setAllFiles] = useState<MikroTikFile[]>([]);
     const [path, setPath] = useState<string[]>(['flash']);
     const [status, setStatus] = useState<Status>('loading');
@@ -195,4 +196,24 @@ export const MikrotikFiles: React.FC<{ selectedRouter: RouterConfigWithId | null
             )}
         </div>
     );
+};
+
+export const MikrotikFiles: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
+    const [tab, setTab] = useState<'files' | 'snapshots'>('files');
+
+    if (!selectedRouter) return <FileBrowser selectedRouter={selectedRouter} />;
+
+    const tabClass = (active: boolean) => `px-4 py-2 text-sm font-medium focus:outline-none ${
+        active ? 'border-b-2 border-[--color-primary-500] text-[--color-primary-500]' : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-200'
+    }`;
+
+    return (
+        <div className="space-y-4">
+            <div className="border-b border-slate-200 dark:border-slate-700 flex">
+                <button onClick={() => setTab('files')} className={tabClass(tab === 'files')}>Files</button>
+                <button onClick={() => setTab('snapshots')} className={tabClass(tab === 'snapshots')}>Config Snapshots</button>
+            </div>
+            {tab === 'files' ? <FileBrowser selectedRouter={selectedRouter} /> : <ConfigSnapshots selectedRouter={selectedRouter} />}
+        </div>
+    );
 };
\ No newline at end of file
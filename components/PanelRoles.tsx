@@ -3,6 +3,7 @@ import { useAuth } from '../contexts/AuthContext.tsx';
 import { Loader } from './Loader.tsx';
 import { TrashIcon, UsersIcon, EyeIcon, EyeSlashIcon, EditIcon } from '../constants.tsx';
 import { getAuthHeader } from '../services/databaseService.ts';
+import { createPasswordResetCode } from '../services/accountService.ts';
 
 interface PanelUser {
     id: string;
@@ -224,6 +225,15 @@ export const PanelRoles: React.FC = () => {
         }
     };
     
+    // A code the user enters on the login page's recovery form. It also turns
+    // off their two-factor authentication, for when they lost the device.
+    const handleResetCode = async (panelUser: PanelUser) => {
+        try {
+            const { code, expiresAt } = await createPasswordResetCode(panelUser.id);
+            alert(`Password reset code for ${panelUser.username}: ${code}\n\nIt can be used once and expires ${new Date(expiresAt).toLocaleString()}.`);
+        } catch (err) { alert(`Error creating reset code: ${(err as Error).message}`); }
+    };
+
     const handlePermissionsSaveSuccess = () => {
         if (token) {
             verifyToken(token);
@@ -281,6 +291,7 @@ export const PanelRoles: React.FC = () => {
                                     <td className="px-6 py-4 font-medium flex items-center gap-2"><UsersIcon className="w-5 h-5 text-slate-400"/>{user.username}</td>
                                     <td className="px-6 py-4"><span className={`px-2 py-1 text-xs font-semibold rounded-full ${user.role.name === 'Administrator' ? 'bg-sky-100 dark:bg-sky-900 text-sky-800 dark:text-sky-200' : 'bg-slate-200 dark:bg-slate-600 text-slate-700 dark:text-slate-300'}`}>{user.role.name}</span></td>
                                     <td className="px-6 py-4 text-right">
+                                        <button onClick={() => handleResetCode(user)} disabled={isSubmitting || currentUser?.id === user.id} className="px-3 py-1 text-xs bg-slate-600 text-white rounded-md font-semibold hover:bg-slate-700 disabled:opacity-50 disabled:cursor-not-allowed" title="Create a one-time password reset code">Reset Code</button>
                                         <button onClick={() => handleDeleteUser(user.id)} disabled={isSubmitting || currentUser?.id === user.id} className="p-2 text-slate-500 hover:text-red-500 disabled:opacity-50 disabled:cursor-not-allowed" title={currentUser?.id === user.id ? 'Cannot delete yourself' : 'Delete user'}><TrashIcon className="h-5 w-5" /></button>
                                     </td>
                                 </tr>
@@ -299,7 +310,7 @@ export const PanelRoles: React.FC = () => {
                                 <p className="font-bold text-slate-800 dark:text-slate-200">{role.name}</p>
                                 <p className="text-xs text-slate-500 dark:text-slate-400">{role.description}</p>
                             </div>
-                            {role.name.toLowerCase() !== 'administrator' && (
+                            {!['administrator', 'superadmin'].includes(role.name.toLowerCase()) && (
                                 <button onClick={() => setEditingRole(role)} className="p-2 text-slate-500 hover:text-[--color-primary-500] rounded-full" title={`Edit permissions for ${role.name}`}>
                                     <EditIcon className="w-5 h-5" />
                                 </button>
@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import type { RouterConfigWithId, PppProfile, IpPool, PppProfileData, PppSecret, PppActiveConnection, SaleRecord, BillingPlanWithId, Customer, PppSecretData, PppServer, PppServerData, Interface } from '../types.ts';
+import type { RouterConfigWithId, PppProfile, IpPool, PppProfileData, PppSecret, PppActiveConnection, PppActiveEvent, SaleRecord, BillingPlanWithId, Customer, PppSecretData, PppServer, PppServerData, Interface, UsageCycle } from '../types.ts';
 import { 
     getPppProfiles, getIpPools, addPppProfile, updatePppProfile, deletePppProfile,
-    getPppSecrets, getPppActiveConnections, addPppSecret, updatePppSecret, deletePppSecret, processPppPayment,
+    getPppSecrets, addPppSecret, updatePppSecret, deletePppSecret, processPppPayment,
     deletePppActiveConnection,
     getPppServers, addPppServer, updatePppServer, deletePppServer, getInterfaces,
     savePppUser // Import the new service function
@@ -10,9 +10,15 @@ import {
 import { useBillingPlans } from '../hooks/useBillingPlans.ts';
 import { useCustomers } from '../hooks/useCustomers.ts';
 import { Loader } from './Loader.tsx';
+import { useRouterTopic } from '../contexts/EventStreamContext.tsx';
+import { DataUsage } from './DataUsage.tsx';
+import { getCurrentUsage, resetUsage } from '../services/usageService.ts';
+import { createPortalCode } from '../services/clientPortalService.ts';
 import { RouterIcon, EditIcon, TrashIcon, ExclamationTriangleIcon, UsersIcon, SignalIcon, CurrencyDollarIcon, KeyIcon, SearchIcon, EyeIcon, EyeSlashIcon, ServerIcon } from '../constants.tsx';
 import { PaymentModal } from './PaymentModal.tsx';
 import { GracePeriodModal } from './GracePeriodModal.tsx';
+import { BulkImportModal, downloadCsv } from './BulkImportModal.tsx';
+import { exportSubscribersCsv } from '../services/bulkImportService.ts';
 import { useLocalization } from '../contexts/LocalizationContext.tsx';
 import { useCompanySettings } from '../hooks/useCompanySettings.ts';
 import { useAuth } from '../contexts/AuthContext.tsx';
@@ -335,7 +341,7 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
     const [secrets, setSecrets] = useState<PppSecret[]>([]);
     const [profiles, setProfiles] = useState<PppProfile[]>([]);
     const { plans } = useBillingPlans(selectedRouter.id);
-    const { customers, addCustomer, updateCustomer, fetchCustomers } = useCustomers(selectedRouter.id);
+    const { customers, fetchCustomers } = useCustomers(selectedRouter.id);
     const { settings: companySettings } = useCompanySettings();
 
     const [isLoading, setIsLoading] = useState(true);
@@ -346,18 +352,23 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
     const [isPaymentModalOpen, setPaymentModalOpen] = useState(false);
     const [isGraceModalOpen, setGraceModalOpen] = useState(false);
     const [selectedSecret, setSelectedSecret] = useState<PppSecret | null>(null);
+    const [usage, setUsage] = useState<Record<string, UsageCycle>>({});
+    const [isImportOpen, setImportOpen] = useState(false);
 
     const fetchData = useCallback(async () => {
         setIsLoading(true);
         setError(null);
         try {
-            const [secretsData, profilesData] = await Promise.all([
+            const [secretsData, profilesData, usageData] = await Promise.all([
                 getPppSecrets(selectedRouter),
                 getPppProfiles(selectedRouter),
+                // Usage is collected by the panel server; the list still works without it.
+                getCurrentUsage('pppoe', selectedRouter.id).catch(() => [] as UsageCycle[]),
                 fetchCustomers() // from useCustomers hook
             ]);
             setSecrets(secretsData);
             setProfiles(profilesData);
+            setUsage(Object.fromEntries(usageData.map(u => [u.subscriber, u])));
         } catch (err) {
             setError(`Failed to fetch PPPoE users: ${(err as Error).message}`);
         } finally {
@@ -400,8 +411,6 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
     const handleSaveUser = async (secretData: PppSecretData, customerData: Partial<Customer>, subscriptionData: { dueDate: string; nonPaymentProfile: string; planId: string; planType?: 'prepaid' | 'postpaid' }) => {
         setIsSubmitting(true);
         try {
-            const existingCustomer = customers.find(c => c.username === secretData.name);
-
             // Construct comment based on subscription data
             let commentJson: any = {};
             try {
@@ -430,26 +439,13 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
             }
             secretData.comment = JSON.stringify(commentJson);
 
-            // This new service function handles secret creation/update and scheduler management
+            // Saves the secret, its expiry scheduler and the linked customer record in one call
             await savePppUser(selectedRouter, {
                 initialSecret: selectedSecret,
                 secretData,
                 subscriptionData,
+                customerData,
             });
-
-            // Update local customer DB
-            if (existingCustomer) {
-                await updateCustomer({ ...existingCustomer, ...customerData });
-            } else {
-                const hasCustomerInfo = Object.values(customerData).some(val => val && String(val).trim() !== '');
-                if (hasCustomerInfo) {
-                    await addCustomer({ 
-                        routerId: selectedRouter.id, 
-                        username: secretData.name, 
-                        ...customerData 
-                    });
-                }
-            }
             
             setUserModalOpen(false);
             setSelectedSecret(null);
@@ -469,11 +465,34 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
         } catch (err) { alert(`Error deleting user: ${(err as Error).message}`); }
     };
 
-    const handlePayment = async ({ sale, payment }: any) => {
+    const handleExport = async () => {
+        try {
+            downloadCsv(await exportSubscribersCsv('pppoe', selectedRouter.id), `pppoe-users-${selectedRouter.name}.csv`);
+        } catch (err) { alert(`Export failed: ${(err as Error).message}`); }
+    };
+
+    const handleResetUsage = async (username: string) => {
+        if (!window.confirm(`Reset this cycle's data usage for ${username}? Their normal speed returns within a few minutes.`)) return;
+        try {
+            const cycle = await resetUsage('pppoe', selectedRouter.id, username);
+            setUsage(prev => ({ ...prev, [username]: cycle }));
+        } catch (err) { alert(`Error resetting usage: ${(err as Error).message}`); }
+    };
+
+    // A code the subscriber enters in the client portal to set their own
+    // portal password. Issuing one replaces any earlier code.
+    const handlePortalCode = async (username: string) => {
+        try {
+            const { code, expiresAt } = await createPortalCode(selectedRouter.id, username);
+            alert(`Client portal code for ${username}: ${code}\n\nIt can be used once and expires ${new Date(expiresAt).toLocaleString()}.`);
+        } catch (err) { alert(`Error creating portal code: ${(err as Error).message}`); }
+    };
+
+    const handlePayment = async ({ payment }: any) => {
         if (!selectedSecret) return false;
         try {
+            // The backend extends the due date, restores the profile and records the sale
             await processPppPayment(selectedRouter, { secret: selectedSecret, ...payment });
-            await addSale({ ...sale, routerName: selectedRouter.name, date: new Date().toISOString() });
             await fetchData();
             return true;
         } catch (err) {
@@ -525,8 +544,11 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
             />
             <PaymentModal isOpen={isPaymentModalOpen} onClose={() => setPaymentModalOpen(false)} secret={selectedSecret} plans={plans} profiles={profiles} onSave={handlePayment} companySettings={companySettings} />
             <GracePeriodModal isOpen={isGraceModalOpen} onClose={() => setGraceModalOpen(false)} subject={selectedSecret} profiles={profiles} onSave={handleGraceSave} />
+            <BulkImportModal isOpen={isImportOpen} onClose={() => setImportOpen(false)} kind="pppoe" routerId={selectedRouter.id} onApplied={fetchData} />
 
-             <div className="flex justify-end mb-4">
+             <div className="flex justify-end gap-2 mb-4">
+                <button onClick={handleExport} className="px-4 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg font-semibold">Export CSV</button>
+                <button onClick={() => setImportOpen(true)} className="px-4 py-2 text-sm border border-slate-300 dark:border-slate-600 rounded-lg font-semibold">Import CSV</button>
                 <button onClick={() => { setSelectedSecret(null); setUserModalOpen(true); }} className="bg-[--color-primary-600] text-white font-bold py-2 px-4 rounded-lg">Add New User</button>
             </div>
             <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md overflow-hidden">
@@ -537,6 +559,7 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
                             <th className="px-6 py-3">Profile</th>
                             <th className="px-6 py-3">Plan Type</th>
                             <th className="px-6 py-3">Subscription Due</th>
+                            <th className="px-6 py-3">Data Usage</th>
                             <th className="px-6 py-3 text-right">Actions</th>
                         </tr>
                     </thead>
@@ -556,6 +579,12 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
                                     )}
                                 </td>
                                 <td>{user.subscription.dueDate}</td>
+                                <td className="py-2">
+                                    <DataUsage usage={usage[user.name]} />
+                                    {usage[user.name]?.throttled && (
+                                        <button onClick={() => handleResetUsage(user.name)} className="text-xs text-[--color-primary-600] hover:underline">Reset usage</button>
+                                    )}
+                                </td>
                                 <td className="px-6 py-4 text-right space-x-2">
                                     <button
                                         onClick={() => { setSelectedSecret(user); setPaymentModalOpen(true); }}
@@ -597,6 +626,13 @@ const UsersManager: React.FC<{ selectedRouter: RouterConfigWithId, addSale: (sal
                                     >
                                         Edit
                                     </button>
+                                    <button
+                                        onClick={() => handlePortalCode(user.name)}
+                                        className="px-3 py-1 text-sm bg-slate-600 text-white rounded-md font-semibold hover:bg-slate-700 transition-colors"
+                                        title="Create a one-time client portal code"
+                                    >
+                                        Portal Code
+                                    </button>
                                     {hasPermission('pppoe_users:delete') && (
                                         <button
                                             onClick={() => handleDeleteUser(user.id)}
@@ -623,31 +659,28 @@ const ActiveUsersManager: React.FC<{ selectedRouter: RouterConfigWithId }> = ({
     const [error, setError] = useState<string | null>(null);
     const [isKicking, setIsKicking] = useState<string | null>(null);
 
-    const fetchData = useCallback(async () => {
+    useEffect(() => {
+        setActiveUsers([]);
         setIsLoading(true);
         setError(null);
-        try {
-            const data = await getPppActiveConnections(selectedRouter);
-            setActiveUsers(data);
-        } catch (err) {
-            setError(`Failed to fetch active connections: ${(err as Error).message}`);
-        } finally {
-            setIsLoading(false);
-        }
-    }, [selectedRouter]);
+    }, [selectedRouter.id]);
 
-    useEffect(() => {
-        fetchData();
-        const interval = setInterval(fetchData, 5000); // Poll every 5 seconds
-        return () => clearInterval(interval);
-    }, [fetchData]);
+    // The panel server polls the active sessions and pushes every result.
+    useRouterTopic<PppActiveEvent>(selectedRouter.id, 'ppp', data => {
+        setActiveUsers(data.active);
+        setError(null);
+        setIsLoading(false);
+    }, message => {
+        setError(`Failed to fetch active connections: ${message}`);
+        setIsLoading(false);
+    });
 
     const handleKickUser = async (connectionId: string) => {
         if (!window.confirm("Are you sure you want to kick this user?")) return;
         setIsKicking(connectionId);
         try {
             await deletePppActiveConnection(selectedRouter, connectionId);
-            await fetchData(); // Refresh data after kicking
+            setActiveUsers(prev => prev.filter(user => user.id !== connectionId));
         } catch (err) {
             alert(`Failed to kick user: ${(err as Error).message}`);
         } finally {
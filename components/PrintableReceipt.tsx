@@ -1,42 +1,179 @@
-
 import React from 'react';
-import type { SaleRecord, CompanySettings } from '../types.ts';
+import type { SaleRecord, CompanySettings, Invoice, Customer, CustomerStatement, LedgerEntry } from '../types.ts';
 import { useLocalization } from '../contexts/LocalizationContext.tsx';
 
 interface PrintableReceiptProps {
-    sale: SaleRecord | null;
+    sale?: SaleRecord | null;
+    invoice?: (Invoice & { customer?: Customer | null }) | null;
+    statement?: CustomerStatement | null;
     companySettings: CompanySettings;
 }
 
-export const PrintableReceipt: React.FC<PrintableReceiptProps> = ({ sale, companySettings }) => {
+const CompanyHeader: React.FC<{ companySettings: CompanySettings }> = ({ companySettings }) => (
+    <header className="flex justify-between items-start pb-4 border-b-2 border-black">
+        <div className="w-2/3">
+            <h1 className="text-3xl font-bold">{companySettings.companyName || 'Your Company'}</h1>
+            <p className="text-sm">{companySettings.address}</p>
+            <p className="text-sm">{companySettings.contactNumber}</p>
+            <p className="text-sm">{companySettings.email}</p>
+        </div>
+        {companySettings.logoBase64 && (
+            <div className="w-1/3 flex justify-end">
+                <img src={companySettings.logoBase64} alt="Company Logo" className="h-16 w-auto object-contain" />
+            </div>
+        )}
+    </header>
+);
+
+const BilledTo: React.FC<{ name: string; address?: string; contact?: string }> = ({ name, address, contact }) => (
+    <div>
+        <h2 className="font-bold">BILLED TO:</h2>
+        <p>{name}</p>
+        {address && <p className="text-sm text-gray-700">{address}</p>}
+        {contact && <p className="text-sm text-gray-700">{contact}</p>}
+    </div>
+);
+
+export const describeLedgerEntry = (entry: LedgerEntry): string => {
+    switch (entry.type) {
+        case 'invoice': return entry.note || 'Invoice';
+        case 'payment': return `Payment${entry.reference ? ` (${entry.reference})` : ''}`;
+        case 'credit': return entry.note ? `Credit - ${entry.note}` : 'Credit';
+        case 'adjustment': return entry.note ? `Adjustment - ${entry.note}` : 'Adjustment';
+        case 'void': return entry.note || 'Void';
+    }
+};
+
+export const PrintableReceipt: React.FC<PrintableReceiptProps> = ({ sale, invoice, statement, companySettings }) => {
     const { formatCurrency } = useLocalization();
-    
+
+    if (invoice) {
+        const paid = invoice.paidAmount || 0;
+        const customer = invoice.customer;
+        return (
+            <div className="p-8 font-sans text-black bg-white">
+                <CompanyHeader companySettings={companySettings} />
+
+                <section className="my-6">
+                    <div className="flex justify-between">
+                        <BilledTo name={customer?.fullName || customer?.username || ''} address={customer?.address} contact={customer?.contactNumber} />
+                        <div className="text-right">
+                            <h2 className="font-bold">INVOICE #: {invoice.id.slice(-6).toUpperCase()}</h2>
+                            <p>Issued: {invoice.issueDate}</p>
+                            <p>Due: {invoice.dueDate}</p>
+                            {invoice.status === 'void' && <p className="font-bold text-xl">VOID</p>}
+                        </div>
+                    </div>
+                </section>
+
+                <table className="w-full text-left border-collapse">
+                    <thead className="bg-gray-200">
+                        <tr>
+                            <th className="p-2 border border-black">DESCRIPTION</th>
+                            <th className="p-2 border border-black text-right">AMOUNT</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td className="p-2 border border-black">
+                                <p className="font-semibold">{invoice.planName}</p>
+                                <p className="text-xs text-gray-600">Service period {invoice.periodStart} to {invoice.periodEnd}</p>
+                            </td>
+                            <td className="p-2 border border-black text-right">{formatCurrency(invoice.amount)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+
+                <section className="my-6 flex justify-end">
+                    <div className="w-1/2">
+                        <div className="flex justify-between">
+                            <span>Total:</span>
+                            <span>{formatCurrency(invoice.amount)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span>Paid:</span>
+                            <span>- {formatCurrency(paid)}</span>
+                        </div>
+                        <div className="flex justify-between font-bold text-xl mt-2 pt-2 border-t-2 border-black">
+                            <span>BALANCE DUE:</span>
+                            <span>{formatCurrency(invoice.status === 'void' ? 0 : Math.max(0, invoice.amount - paid))}</span>
+                        </div>
+                    </div>
+                </section>
+
+                <footer className="mt-8 pt-4 border-t-2 border-dashed border-black text-center">
+                    <p className="text-xs">Please settle on or before the due date to avoid service interruption.</p>
+                </footer>
+            </div>
+        );
+    }
+
+    if (statement) {
+        const { customer } = statement;
+        return (
+            <div className="p-8 font-sans text-black bg-white">
+                <CompanyHeader companySettings={companySettings} />
+
+                <section className="my-6">
+                    <div className="flex justify-between">
+                        <BilledTo name={customer.fullName || customer.username} address={customer.address} contact={customer.contactNumber} />
+                        <div className="text-right">
+                            <h2 className="font-bold">STATEMENT OF ACCOUNT</h2>
+                            <p>Account: {customer.username}</p>
+                            {(statement.from || statement.to) && <p>Period: {statement.from || '...'} to {statement.to || '...'}</p>}
+                            <p>Date: {new Date(statement.generatedAt).toLocaleDateString()}</p>
+                        </div>
+                    </div>
+                </section>
+
+                <table className="w-full text-left border-collapse text-sm">
+                    <thead className="bg-gray-200">
+                        <tr>
+                            <th className="p-2 border border-black">DATE</th>
+                            <th className="p-2 border border-black">DESCRIPTION</th>
+                            <th className="p-2 border border-black text-right">CHARGES</th>
+                            <th className="p-2 border border-black text-right">PAYMENTS</th>
+                            <th className="p-2 border border-black text-right">BALANCE</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td className="p-2 border border-black" colSpan={4}>Opening balance</td>
+                            <td className="p-2 border border-black text-right">{formatCurrency(statement.openingBalance)}</td>
+                        </tr>
+                        {statement.entries.map(entry => (
+                            <tr key={entry.id} className={entry.voidedAt ? 'line-through text-gray-500' : ''}>
+                                <td className="p-2 border border-black">{entry.date}</td>
+                                <td className="p-2 border border-black">{describeLedgerEntry(entry)}</td>
+                                <td className="p-2 border border-black text-right">{entry.amount > 0 ? formatCurrency(entry.amount) : ''}</td>
+                                <td className="p-2 border border-black text-right">{entry.amount < 0 ? formatCurrency(-entry.amount) : ''}</td>
+                                <td className="p-2 border border-black text-right">{formatCurrency(entry.balance ?? 0)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <section className="my-6 flex justify-end">
+                    <div className="w-1/2">
+                        <div className="flex justify-between font-bold text-xl mt-2 pt-2 border-t-2 border-black">
+                            <span>{statement.closingBalance < 0 ? 'CREDIT:' : 'AMOUNT DUE:'}</span>
+                            <span>{formatCurrency(Math.abs(statement.closingBalance))}</span>
+                        </div>
+                    </div>
+                </section>
+            </div>
+        );
+    }
+
     if (!sale) return null;
 
     return (
         <div className="p-8 font-sans text-black bg-white">
-            <header className="flex justify-between items-start pb-4 border-b-2 border-black">
-                <div className="w-2/3">
-                    <h1 className="text-3xl font-bold">{companySettings.companyName || 'Your Company'}</h1>
-                    <p className="text-sm">{companySettings.address}</p>
-                    <p className="text-sm">{companySettings.contactNumber}</p>
-                    <p className="text-sm">{companySettings.email}</p>
-                </div>
-                {companySettings.logoBase64 && (
-                    <div className="w-1/3 flex justify-end">
-                        <img src={companySettings.logoBase64} alt="Company Logo" className="h-16 w-auto object-contain" />
-                    </div>
-                )}
-            </header>
+            <CompanyHeader companySettings={companySettings} />
 
             <section className="my-6">
                 <div className="flex justify-between">
-                    <div>
-                        <h2 className="font-bold">BILLED TO:</h2>
-                        <p>{sale.clientName}</p>
-                        {sale.clientAddress && <p className="text-sm text-gray-700">{sale.clientAddress}</p>}
-                        {sale.clientContact && <p className="text-sm text-gray-700">{sale.clientContact}</p>}
-                    </div>
+                    <BilledTo name={sale.clientName} address={sale.clientAddress} contact={sale.clientContact} />
                     <div className="text-right">
                         <h2 className="font-bold">RECEIPT #: {sale.id.slice(-6).toUpperCase()}</h2>
                         <p>Date: {new Date(sale.date).toLocaleDateString()}</p>
@@ -79,7 +216,7 @@ export const PrintableReceipt: React.FC<PrintableReceiptProps> = ({ sale, compan
 
                 </div>
             </section>
-            
+
             <footer className="mt-8 pt-4 border-t-2 border-dashed border-black text-center">
                 <p className="font-bold">Thank you for your payment!</p>
                 <p className="text-xs mt-2">This is an official receipt.</p>
@@ -1,14 +1,104 @@
 import React from 'react';
-import type { SaleRecord, CompanySettings } from '../types.ts';
+import type { SaleRecord, CompanySettings, Invoice, Customer, CustomerStatement } from '../types.ts';
 import { useLocalization } from '../contexts/LocalizationContext.tsx';
+import { describeLedgerEntry } from './PrintableReceipt.tsx';
 
 interface PrintableThermalReceiptProps {
-    sale: SaleRecord | null;
+    sale?: SaleRecord | null;
+    invoice?: (Invoice & { customer?: Customer | null }) | null;
+    statement?: CustomerStatement | null;
     companySettings: CompanySettings;
 }
 
-export const PrintableThermalReceipt: React.FC<PrintableThermalReceiptProps> = ({ sale, companySettings }) => {
+const paperStyle: React.CSSProperties = {
+    width: '280px',
+    padding: '8px',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+    lineHeight: '1.2',
+    margin: '0 auto',
+    backgroundColor: 'white',
+    color: 'black'
+};
+const rowStyle: React.CSSProperties = { display: 'flex', justifyContent: 'space-between', marginBottom: '2px' };
+const clipStyle: React.CSSProperties = { maxWidth: '160px', overflow: 'hidden', textOverflow: 'ellipsis' };
+const Divider = () => <div style={{ borderTop: '1px solid black', margin: '8px 0' }} />;
+
+const ThermalHeader: React.FC<{ companySettings: CompanySettings; title: string }> = ({ companySettings, title }) => (
+    <>
+        <div style={{ textAlign: 'center', marginBottom: '8px' }}>
+            <div style={{ fontSize: '14px', fontWeight: 'bold', textTransform: 'uppercase', marginBottom: '4px' }}>
+                {companySettings.companyName || 'Your Company'}
+            </div>
+            {companySettings.address && <div style={{ fontSize: '10px', marginBottom: '2px' }}>{companySettings.address}</div>}
+            {companySettings.contactNumber && <div style={{ fontSize: '10px', marginBottom: '2px' }}>{companySettings.contactNumber}</div>}
+            {companySettings.email && <div style={{ fontSize: '10px' }}>{companySettings.email}</div>}
+        </div>
+        <div style={{ textAlign: 'center', fontSize: '11px', fontWeight: 'bold', textTransform: 'uppercase', marginBottom: '6px' }}>{title}</div>
+    </>
+);
+
+export const PrintableThermalReceipt: React.FC<PrintableThermalReceiptProps> = ({ sale, invoice, statement, companySettings }) => {
     const { formatCurrency } = useLocalization();
+
+    if (invoice) {
+        const paid = invoice.paidAmount || 0;
+        const balanceDue = invoice.status === 'void' ? 0 : Math.max(0, invoice.amount - paid);
+        return (
+            <div className="thermal-receipt" style={paperStyle}>
+                <ThermalHeader companySettings={companySettings} title={invoice.status === 'void' ? 'INVOICE - VOID' : 'INVOICE'} />
+                <Divider />
+                <div style={{ marginBottom: '8px' }}>
+                    <div style={rowStyle}><span>Invoice:</span><span>{invoice.id.slice(-6).toUpperCase()}</span></div>
+                    <div style={rowStyle}><span>Issued:</span><span>{invoice.issueDate}</span></div>
+                    <div style={rowStyle}><span>Due:</span><span>{invoice.dueDate}</span></div>
+                    <div style={rowStyle}><span>Account:</span><span style={clipStyle}>{invoice.customer?.fullName || invoice.customer?.username || ''}</span></div>
+                </div>
+                <Divider />
+                <div style={{ marginBottom: '8px' }}>
+                    <div style={rowStyle}><span>{invoice.planName}</span><span>{formatCurrency(invoice.amount)}</span></div>
+                    <div style={{ fontSize: '10px' }}>{invoice.periodStart} to {invoice.periodEnd}</div>
+                    <div style={rowStyle}><span>Paid</span><span>-{formatCurrency(paid)}</span></div>
+                </div>
+                <Divider />
+                <div style={{ ...rowStyle, fontWeight: 'bold', fontSize: '14px', marginBottom: '8px' }}>
+                    <span>Balance Due</span>
+                    <span>{formatCurrency(balanceDue)}</span>
+                </div>
+            </div>
+        );
+    }
+
+    if (statement) {
+        const { customer } = statement;
+        return (
+            <div className="thermal-receipt" style={paperStyle}>
+                <ThermalHeader companySettings={companySettings} title="STATEMENT OF ACCOUNT" />
+                <Divider />
+                <div style={{ marginBottom: '8px' }}>
+                    <div style={rowStyle}><span>Account:</span><span style={clipStyle}>{customer.username}</span></div>
+                    <div style={rowStyle}><span>Full Name:</span><span style={clipStyle}>{customer.fullName || ''}</span></div>
+                    <div style={rowStyle}><span>Date:</span><span>{new Date(statement.generatedAt).toLocaleDateString()}</span></div>
+                </div>
+                <Divider />
+                <div style={{ marginBottom: '8px' }}>
+                    <div style={rowStyle}><span>Opening</span><span>{formatCurrency(statement.openingBalance)}</span></div>
+                    {statement.entries.map(entry => (
+                        <div key={entry.id} style={{ ...rowStyle, textDecoration: entry.voidedAt ? 'line-through' : undefined }}>
+                            <span style={clipStyle}>{entry.date.slice(5)} {describeLedgerEntry(entry)}</span>
+                            <span>{entry.amount < 0 ? '-' : ''}{formatCurrency(Math.abs(entry.amount))}</span>
+                        </div>
+                    ))}
+                </div>
+                <Divider />
+                <div style={{ ...rowStyle, fontWeight: 'bold', fontSize: '14px', marginBottom: '8px' }}>
+                    <span>{statement.closingBalance < 0 ? 'Credit' : 'Amount Due'}</span>
+                    <span>{formatCurrency(Math.abs(statement.closingBalance))}</span>
+                </div>
+            </div>
+        );
+    }
+
     if (!sale) return null;
 
     const receiptId = sale.id.slice(-6).toUpperCase();
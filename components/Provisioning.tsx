@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import type {
+    RouterConfigWithId, ProvisioningTemplate, ProvisioningSectionInfo, ProvisioningPlan, ProvisioningApplyResult,
+    ProvisioningRun, ProvisioningStep, ProvisioningAssignment,
+} from '../types.ts';
+import {
+    getProvisioningSections, getProvisioningTemplates, createProvisioningTemplate, updateProvisioningTemplate,
+    deleteProvisioningTemplate, setProvisioningRouters, checkProvisioningDrift, captureProvisioningSections,
+    getProvisioningRuns, planProvisioning, applyProvisioning,
+} from '../services/provisioningService.ts';
+import { Loader } from './Loader.tsx';
+import { TrashIcon, EditIcon } from '../constants.tsx';
+
+const STATUS_CLASS: Record<string, string> = {
+    'in-sync': 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300',
+    applied: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300',
+    unchanged: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300',
+    drift: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300',
+    stale: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300',
+    'rolled-back': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300',
+    error: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300',
+    failed: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300',
+    'rollback-failed': 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300',
+};
+
+const StatusBadge: React.FC<{ status: string }> = ({ status }) => (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_CLASS[status] || 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300'}`}>{status}</span>
+);
+
+const EXAMPLE_SECTIONS = {
+    'ip/pool': { prune: false, items: [{ name: 'pppoe-pool', ranges: '10.10.0.2-10.10.255.254' }] },
+    'ppp/profile': { prune: false, items: [{ name: 'plan-10m', 'local-address': '10.10.0.1', 'remote-address': 'pppoe-pool', 'rate-limit': '10M/10M' }] },
+};
+
+const describeStep = (step: ProvisioningStep) => {
+    switch (step.op) {
+        case 'add': return `add ${Object.entries(step.data || {}).map(([k, v]) => `${k}=${v}`).join(' ')}`;
+        case 'set': return (step.changes || []).map(c => `${c.field}: ${c.from ?? '(unset)'} → ${c.to}`).join(', ');
+        case 'restore': return 'restore previous values';
+        default: return 'remove';
+    }
+};
+
+const StepList: React.FC<{ steps: ProvisioningStep[] }> = ({ steps }) => (
+    <ul className="text-xs font-mono space-y-1">
+        {steps.map((step, i) => (
+            <li key={i} className={step.result === 'failed' ? 'text-red-500' : step.op === 'remove' ? 'text-red-600 dark:text-red-400' : step.op === 'add' ? 'text-green-700 dark:text-green-400' : ''}>
+                {step.result && <span className="text-slate-400">[{step.result}] </span>}
+                {step.op} /{step.menu} "{step.key}" <span className="text-slate-500">{describeStep(step)}</span>
+                {step.error && <span> — {step.error}</span>}
+            </li>
+        ))}
+    </ul>
+);
+
+const TemplateEditor: React.FC<{
+    template: ProvisioningTemplate | null;
+    routers: RouterConfigWithId[];
+    sectionInfo: ProvisioningSectionInfo[];
+    onClose: () => void;
+    onSaved: (template: ProvisioningTemplate) => void;
+}> = ({ template, routers, sectionInfo, onClose, onSaved }) => {
+    const [name, setName] = useState(template?.name || '');
+    const [description, setDescription] = useState(template?.description || '');
+    const [json, setJson] = useState(JSON.stringify(template ? template.sections : EXAMPLE_SECTIONS, null, 2));
+    const [captureRouter, setCaptureRouter] = useState(routers[0]?.id || '');
+    const [captureMenus, setCaptureMenus] = useState<string[]>([]);
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleCapture = async () => {
+        if (!captureMenus.length) return;
+        setIsWorking(true);
+        setError(null);
+        try {
+            const { sections } = await captureProvisioningSections(captureRouter, captureMenus);
+            setJson(JSON.stringify(sections, null, 2));
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleSave = async () => {
+        let sections;
+        try {
+            sections = JSON.parse(json);
+        } catch (err) {
+            setError(`The sections are not valid JSON: ${(err as Error).message}`);
+            return;
+        }
+        setIsWorking(true);
+        setError(null);
+        try {
+            const input = { name, description, sections };
+            onSaved(template ? await updateProvisioningTemplate(template.id, input) : await createProvisioningTemplate(input));
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+            <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">{template ? `Edit ${template.name}` : 'New template'}</h3>
+                <button onClick={onClose} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Close</button>
+            </div>
+            <div className="p-4 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input value={name} onChange={e => setName(e.target.value)} placeholder="Name" className="px-3 py-2 text-sm bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md" />
+                    <input value={description} onChange={e => setDescription(e.target.value)} placeholder="Description (optional)" className="px-3 py-2 text-sm bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md" />
+                </div>
+                <div className="p-3 rounded-md bg-slate-50 dark:bg-slate-900 space-y-2">
+                    <p className="text-sm text-slate-500">Start from a router that is already set up: its items in the chosen sections replace the JSON below.</p>
+                    <div className="flex flex-wrap gap-3 items-center">
+                        <select value={captureRouter} onChange={e => setCaptureRouter(e.target.value)} className="px-3 py-2 text-sm bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md">
+                            {routers.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                        </select>
+                        {sectionInfo.map(s => (
+                            <label key={s.menu} className="flex items-center gap-1 text-sm">
+                                <input type="checkbox" checked={captureMenus.includes(s.menu)} onChange={() => setCaptureMenus(prev => prev.includes(s.menu) ? prev.filter(m => m !== s.menu) : [...prev, s.menu])} />
+                                {s.label}
+                            </label>
+                        ))}
+                        <button onClick={handleCapture} disabled={isWorking || !captureRouter || !captureMenus.length} className="px-3 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">Copy from router</button>
+                    </div>
+                </div>
+                <div>
+                    <p className="text-xs text-slate-500 mb-1">
+                        Keyed by menu. Items are matched on {sectionInfo.map(s => `${s.key} in /${s.menu}`).join(', ')}; only the fields listed are compared.
+                        Set <code>"prune": true</code> to remove router items the template doesn't list.
+                    </p>
+                    <textarea value={json} onChange={e => setJson(e.target.value)} rows={20} spellCheck={false} className="w-full px-3 py-2 text-xs font-mono bg-white dark:bg-slate-900 border border-slate-300 dark:border-slate-600 rounded-md" />
+                </div>
+                {error && <p className="text-red-500 text-sm">{error}</p>}
+                <button onClick={handleSave} disabled={isWorking || !name.trim()} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold disabled:opacity-50">
+                    {isWorking ? 'Saving...' : 'Save template'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const TemplatePanel: React.FC<{ template: ProvisioningTemplate; routers: RouterConfigWithId[]; onChanged: () => void }> = ({ template, routers, onChanged }) => {
+    const assignments: ProvisioningAssignment[] = template.assignments || [];
+    const [selected, setSelected] = useState<string[]>(assignments.map(a => a.routerId));
+    const [plans, setPlans] = useState<ProvisioningPlan[] | null>(null);
+    const [results, setResults] = useState<ProvisioningApplyResult[] | null>(null);
+    const [runs, setRuns] = useState<ProvisioningRun[]>([]);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    const loadRuns = useCallback(async () => {
+        try {
+            setRuns(await getProvisioningRuns(template.id));
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    }, [template.id]);
+
+    useEffect(() => { loadRuns(); }, [loadRuns]);
+
+    // A plan only holds for the routers it was made for.
+    useEffect(() => { setPlans(null); }, [selected, template.updatedAt]);
+
+    const run = async (action: () => Promise<void>) => {
+        setIsWorking(true);
+        setError(null);
+        setMessage(null);
+        try {
+            await action();
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handlePlan = () => run(async () => {
+        setResults(null);
+        setPlans(await planProvisioning(template.id, selected));
+    });
+
+    const handleApply = () => run(async () => {
+        if (!plans) return;
+        const ready = plans.filter(p => p.hash && p.steps && p.steps.length);
+        if (!ready.length) return;
+        const total = ready.reduce((n, p) => n + (p.steps?.length || 0), 0);
+        if (!window.confirm(`Apply ${total} change(s) to ${ready.length} router(s)? A snapshot of each router is taken first, and a router is rolled back if one of its changes fails.`)) return;
+        const expected = Object.fromEntries(ready.map(p => [p.routerId, p.hash as string]));
+        setResults(await applyProvisioning(template.id, ready.map(p => p.routerId), expected));
+        setPlans(null);
+        await loadRuns();
+        onChanged();
+    });
+
+    const handleSaveRouters = () => run(async () => {
+        await setProvisioningRouters(template.id, selected);
+        setMessage('Saved. These routers are checked for drift every hour.');
+        onChanged();
+    });
+
+    const handleCheck = () => run(async () => {
+        const summary = await checkProvisioningDrift(template.id);
+        setMessage(`Checked ${summary.checked} router(s): ${summary.inSync} in sync, ${summary.drifted} drifted${summary.errors.length ? `, ${summary.errors.length} failed` : ''}.`);
+        onChanged();
+    });
+
+    const routerName = (id: string) => routers.find(r => r.id === id)?.name || id;
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex flex-wrap gap-2 justify-between items-center">
+                    <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Routers for {template.name}</h3>
+                    <div className="flex flex-wrap gap-2">
+                        <button onClick={handleSaveRouters} disabled={isWorking} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">Save router list</button>
+                        <button onClick={handleCheck} disabled={isWorking || !assignments.length} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold disabled:opacity-50">Check drift now</button>
+                        <button onClick={handlePlan} disabled={isWorking || !selected.length} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold disabled:opacity-50">Preview changes</button>
+                    </div>
+                </div>
+                <div className="p-4 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+                    {routers.map(r => {
+                        const assignment = assignments.find(a => a.routerId === r.id);
+                        return (
+                            <label key={r.id} className="flex items-center gap-2 text-sm">
+                                <input type="checkbox" checked={selected.includes(r.id)} onChange={() => setSelected(prev => prev.includes(r.id) ? prev.filter(id => id !== r.id) : [...prev, r.id])} />
+                                {r.name}
+                                {assignment && <StatusBadge status={assignment.status} />}
+                                {assignment?.status === 'drift' && assignment.summary && (
+                                    <span className="text-xs text-slate-400">+{assignment.summary.add} ~{assignment.summary.change} -{assignment.summary.remove}</span>
+                                )}
+                                {assignment?.error && <span className="text-xs text-red-500" title={assignment.error}>!</span>}
+                            </label>
+                        );
+                    })}
+                </div>
+                {isWorking && <div className="flex justify-center p-4"><Loader /></div>}
+                {message && <p className="px-4 pb-4 text-sm text-green-600">{message}</p>}
+                {error && <p className="px-4 pb-4 text-sm text-red-500">{error}</p>}
+            </div>
+
+            {plans && (
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                    <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Planned changes</h3>
+                        <button onClick={handleApply} disabled={isWorking || !plans.some(p => p.steps && p.steps.length)} className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg text-sm font-semibold disabled:opacity-50">Apply</button>
+                    </div>
+                    <div className="p-4 space-y-4">
+                        {plans.map(p => (
+                            <div key={p.routerId}>
+                                <h4 className="font-semibold text-sm text-slate-700 dark:text-slate-300">
+                                    {p.routerName || p.routerId}
+                                    {p.summary && <span className="ml-2 text-xs font-normal text-slate-500">{p.summary.add} to add, {p.summary.change} to change, {p.summary.remove} to remove</span>}
+                                </h4>
+                                {p.error ? <p className="text-sm text-red-500">{p.error}</p>
+                                    : p.steps && p.steps.length ? <StepList steps={p.steps} />
+                                    : <p className="text-sm text-slate-500">Already matches the template.</p>}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {results && (
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md p-4 space-y-3">
+                    <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Result</h3>
+                    {results.map(r => (
+                        <div key={r.routerId}>
+                            <p className="text-sm font-semibold">{r.routerName || routerName(r.routerId)} <StatusBadge status={r.status} /></p>
+                            {r.error && <p className="text-sm text-red-500">{r.error}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                <h3 className="p-4 border-b border-slate-200 dark:border-slate-700 text-lg font-semibold text-slate-800 dark:text-slate-200">History</h3>
+                <div className="divide-y divide-slate-200 dark:divide-slate-700">
+                    {runs.map(r => (
+                        <details key={r.id} className="p-4">
+                            <summary className="cursor-pointer text-sm">
+                                {new Date(r.startedAt).toLocaleString()} · {routerName(r.routerId)} <StatusBadge status={r.status} />
+                                {r.createdBy && <span className="text-xs text-slate-400"> by {r.createdBy}</span>}
+                                {r.error && <span className="block text-xs text-red-500">{r.error}</span>}
+                            </summary>
+                            <div className="mt-2"><StepList steps={r.steps} /></div>
+                        </details>
+                    ))}
+                    {runs.length === 0 && <p className="p-8 text-center text-slate-500">This template hasn't been applied yet.</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export const Provisioning: React.FC<{ routers: RouterConfigWithId[] }> = ({ routers }) => {
+    const [templates, setTemplates] = useState<ProvisioningTemplate[]>([]);
+    const [sectionInfo, setSectionInfo] = useState<ProvisioningSectionInfo[]>([]);
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [editing, setEditing] = useState<ProvisioningTemplate | 'new' | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const [list, sections] = await Promise.all([getProvisioningTemplates(), getProvisioningSections()]);
+            setTemplates(list);
+            setSectionInfo(sections);
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleDelete = async (template: ProvisioningTemplate) => {
+        if (!window.confirm(`Delete template "${template.name}"? Routers keep their configuration.`)) return;
+        try {
+            await deleteProvisioningTemplate(template.id);
+            if (selectedId === template.id) setSelectedId(null);
+            await load();
+        } catch (err) {
+            setError((err as Error).message);
+        }
+    };
+
+    const selected = templates.find(t => t.id === selectedId) || null;
+
+    if (editing) {
+        return (
+            <TemplateEditor
+                template={editing === 'new' ? null : editing}
+                routers={routers}
+                sectionInfo={sectionInfo}
+                onClose={() => setEditing(null)}
+                onSaved={(template) => { setEditing(null); setSelectedId(template.id); load(); }}
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                <div className="p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Provisioning Templates</h3>
+                        <p className="text-sm text-slate-500">Pools, PPP profiles, DHCP servers, firewall rules and queues every chosen router should have. Preview the changes per router before applying them.</p>
+                    </div>
+                    <button onClick={() => setEditing('new')} className="px-4 py-2 bg-[--color-primary-600] hover:bg-[--color-primary-500] text-white rounded-lg text-sm font-semibold">New template</button>
+                </div>
+                {error && <div className="text-red-500 p-4">{error}</div>}
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left text-slate-600 dark:text-slate-300">
+                        <thead className="text-xs text-slate-700 dark:text-slate-400 uppercase bg-slate-50 dark:bg-slate-700">
+                            <tr>
+                                <th className="px-4 py-2">Name</th>
+                                <th className="px-4 py-2">Sections</th>
+                                <th className="px-4 py-2">Routers</th>
+                                <th className="px-4 py-2">Updated</th>
+                                <th className="px-4 py-2 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {templates.map(t => {
+                                const drifted = (t.assignments || []).filter(a => a.status === 'drift' || a.status === 'error').length;
+                                return (
+                                    <tr key={t.id} onClick={() => setSelectedId(t.id)} className={`border-b dark:border-slate-700 cursor-pointer ${t.id === selectedId ? 'bg-slate-100 dark:bg-slate-700/50' : ''}`}>
+                                        <td className="px-4 py-2 font-semibold">{t.name}{t.description && <span className="block text-xs font-normal text-slate-400">{t.description}</span>}</td>
+                                        <td className="px-4 py-2 font-mono text-xs">{Object.keys(t.sections).join(', ')}</td>
+                                        <td className="px-4 py-2">{(t.assignments || []).length}{drifted > 0 && <span className="ml-2"><StatusBadge status="drift" /> {drifted}</span>}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap">{new Date(t.updatedAt).toLocaleString()}{t.updatedBy && <span className="text-xs text-slate-400"> by {t.updatedBy}</span>}</td>
+                                        <td className="px-4 py-2">
+                                            <div className="flex justify-end gap-2">
+                                                <button onClick={e => { e.stopPropagation(); setEditing(t); }} title="Edit" className="p-1 text-slate-500 hover:text-[--color-primary-500]"><EditIcon className="w-5 h-5" /></button>
+                                                <button onClick={e => { e.stopPropagation(); handleDelete(t); }} title="Delete" className="p-1 text-slate-500 hover:text-red-500"><TrashIcon className="w-5 h-5" /></button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {!isLoading && templates.length === 0 && <p className="text-center p-8 text-slate-500">No templates yet.</p>}
+                    {isLoading && <div className="flex justify-center p-8"><Loader /></div>}
+                </div>
+            </div>
+            {selected && <TemplatePanel key={selected.id} template={selected} routers={routers} onChanged={load} />}
+        </div>
+    );
+};
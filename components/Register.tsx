@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext.tsx';
 import { Loader } from './Loader.tsx';
 
-const SECURITY_QUESTIONS = [
+export const SECURITY_QUESTIONS = [
     "What was your mother's maiden name?",
     "What was the name of your first pet?",
     "What city were you born in?",
@@ -59,10 +59,9 @@ const RouterForm: React.FC<RouterFormProps> = ({ onSave, onCancel, initialData }
         e.preventDefault();
         if (initialData) {
             const finalRouterData = { ...initialData, ...router };
-            if (!router.password) {
-                // @ts-ignore
-                finalRouterData.password = initialData.password;
-            }
+            // The saved password is never sent to the browser; leaving the
+            // field blank keeps it.
+            if (!router.password) delete finalRouterData.password;
             onSave(finalRouterData);
         } else {
             onSave(router);
@@ -72,11 +71,8 @@ const RouterForm: React.FC<RouterFormProps> = ({ onSave, onCancel, initialData }
     const handleTestConnection = async () => {
         setIsTesting(true);
         setTestResult(null);
-        const testConfig: RouterConfig = {...router};
-        if (initialData && !router.password) {
-             // @ts-ignore
-             testConfig.password = initialData.password;
-        }
+        // Without a new password the backend tests with the saved one.
+        const testConfig = initialData && !router.password ? { ...router, id: initialData.id } : router;
         const result = await testRouterConnection(testConfig);
         setTestResult(result);
         setIsTesting(false);
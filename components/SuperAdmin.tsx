@@ -4,6 +4,7 @@ import { getAuthHeader } from '../services/databaseService.ts';
 import { CodeBlock } from './CodeBlock.tsx';
 import { LockClosedIcon, TrashIcon } from '../constants.tsx';
 import { useAuth } from '../contexts/AuthContext.tsx';
+import { DatabaseSettings } from './DatabaseSettings.tsx';
 
 // --- Full Backup & Restore Component ---
 const FullBackupManager: React.FC = () => {
@@ -152,9 +153,31 @@ const FullBackupManager: React.FC = () => {
         }
     };
 
+    const streamRestore = (restoreFile: string) => {
+        setStatus('restoring');
+        handleStream(`/api/superadmin/restore-from-backup?file=${encodeURIComponent(restoreFile)}`, (data) => {
+            if (data.log) setLogs(prev => [...prev, { text: data.log, isError: data.isError }]);
+            if (data.status === 'restarting') {
+                alert('Restore complete! The panel is restarting. This page will reload in a few seconds...');
+                setTimeout(() => window.location.reload(), 8000);
+            }
+            if (data.status === 'error') {
+                setError(data.message);
+                setStatus('error');
+            }
+        });
+    };
+
+    const handleRestoreExisting = (filename: string) => {
+        if (!window.confirm(`Restore the panel database and settings from "${filename}"? A safety backup of the current state is taken first, then the panel restarts.`)) return;
+        setLogs([]);
+        setError(null);
+        streamRestore(filename);
+    };
+
     const handleRestore = async () => {
         if (!fileToRestore) return;
-        if (!window.confirm("Restoring will overwrite the entire panel application, including the database. This cannot be undone. Are you sure?")) return;
+        if (!window.confirm("Restoring will replace the panel database, settings and logo. A safety backup of the current state is taken first, then the panel restarts. Are you sure?")) return;
         
         setStatus('uploading');
         setLogs([]);
@@ -169,21 +192,8 @@ const FullBackupManager: React.FC = () => {
             const uploadData = await uploadRes.json();
             if (!uploadRes.ok) throw new Error(uploadData.message);
             
-            setStatus('restoring');
-            const restoreFile = uploadData.filename;
             setLogs(prev => [...prev, { text: 'Upload complete. Starting restore process...' }]);
-
-            handleStream(`/api/superadmin/restore-from-backup?file=${encodeURIComponent(restoreFile)}`, (data) => {
-                if (data.log) setLogs(prev => [...prev, { text: data.log, isError: data.isError }]);
-                if (data.status === 'restarting') {
-                    alert('Restore complete! The panel is restarting. This page will reload in a few seconds...');
-                    setTimeout(() => window.location.reload(), 8000);
-                }
-                if (data.status === 'error') {
-                    setError(data.message);
-                    setStatus('error');
-                }
-            });
+            streamRestore(uploadData.filename);
 
         } catch (err) {
             setError((err as Error).message);
@@ -203,7 +213,7 @@ const FullBackupManager: React.FC = () => {
     return (
         <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-6">
             <h2 className="text-2xl font-bold text-slate-900 dark:text-slate-100">Full Panel Backup & Restore</h2>
-            <p className="text-sm text-slate-500 mt-1">Create an encrypted backup of the entire panel, or restore from a previous one.</p>
+            <p className="text-sm text-slate-500 mt-1">Back up the panel database, settings and company logo into one archive, or restore from a previous one. Backups are also taken daily and before every restore.</p>
             
             {(isWorking || logs.length > 0 || error) && (
                 <div className="mt-6">
@@ -232,6 +242,7 @@ const FullBackupManager: React.FC = () => {
                                     <button onClick={() => handleDownloadBackup(file)} disabled={isWorking} className="px-3 py-1 text-xs bg-green-600 text-white rounded-md disabled:opacity-50">
                                         {status === 'downloading' ? '...' : 'Download'}
                                     </button>
+                                    <button onClick={() => handleRestoreExisting(file)} disabled={isWorking} className="px-3 py-1 text-xs bg-orange-600 text-white rounded-md disabled:opacity-50">Restore</button>
                                     <button onClick={() => handleDeleteBackup(file)} disabled={isWorking} className="px-3 py-1 text-xs bg-red-600 text-white rounded-md">Delete</button>
                                 </div>
                             </li>
@@ -243,7 +254,7 @@ const FullBackupManager: React.FC = () => {
             {!isWorking && (
                  <div className="mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
                      <h3 className="text-lg font-semibold text-slate-800 dark:text-slate-200">Restore from Backup</h3>
-                     <p className="text-sm text-yellow-600 dark:text-yellow-400 my-2">Warning: Restoring will overwrite all current panel files and data.</p>
+                     <p className="text-sm text-yellow-600 dark:text-yellow-400 my-2">Warning: Restoring replaces all current panel data. The backup must come from this panel version or an older one.</p>
                      <div className="flex items-center gap-4">
                         <input ref={fileInputRef} type="file" accept=".mk" onChange={e => setFileToRestore(e.target.files?.[0] || null)} className="flex-grow text-sm text-slate-500 file:mr-2 file:py-1 file:px-2 file:rounded-md file:border-0 file:text-xs file:font-semibold file:bg-slate-200 dark:file:bg-slate-600" />
                         <button onClick={handleRestore} disabled={!fileToRestore || isWorking} className="px-4 py-2 text-sm bg-orange-600 text-white rounded-lg font-semibold disabled:opacity-50">
@@ -334,6 +345,8 @@ export const SuperAdmin: React.FC = () => {
         <div className="max-w-2xl mx-auto space-y-8">
             <FullBackupManager />
 
+            <DatabaseSettings />
+
             <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-6">
                 <h2 className="text-2xl font-bold text-slate-900 dark:text-slate-100">License Key Generator</h2>
                 <p className="text-sm text-slate-500 mt-1">This tool is for developers to generate license keys for users.</p>
@@ -1,12 +1,13 @@
 
 import React, { useState, useEffect } from 'react';
-import type { PanelSettings, TelegramSettings, XenditSettings } from '../types.ts';
+import type { PanelSettings, TelegramSettings, XenditSettings, ScheduledJob, JobRun } from '../types.ts';
 import { useLocalization } from '../contexts/LocalizationContext.tsx';
 import { useTheme } from '../contexts/ThemeContext.tsx';
 import { initializeAiClient } from '../services/geminiService.ts';
 import { getPanelSettings, savePanelSettings, getAuthHeader } from '../services/databaseService.ts';
+import { getScheduledJobs, getJobRuns, runScheduledJob, updateScheduledJob } from '../services/panelService.ts';
 import { Loader } from './Loader.tsx';
-import { KeyIcon, CogIcon } from '../constants.tsx';
+import { KeyIcon, CogIcon, ClockIcon } from '../constants.tsx';
 
 // --- Icon Components (kept local to this file) ---
 const SunIcon: React.FC<{ className?: string }> = ({ className }) => <svg className={className} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={1.5} stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" d="M12 3v2.25m6.364.386l-1.591 1.591M21 12h-2.25m-.386 6.364l-1.591-1.591M12 18.75V21m-4.773-4.227l-1.591 1.591M5.25 12H3m4.227-4.773L5.636 5.636M15.75 12a3.75 3.75 0 11-7.5 0 3.75 3.75 0 017.5 0z" /></svg>;
@@ -115,6 +116,13 @@ const PanelTab: React.FC<{ settings: PanelSettings, setSettings: React.Dispatch<
                 </select>
             </div>
         </div>
+        <div className="pt-4 border-t border-slate-200 dark:border-slate-700 space-y-4">
+            <h4 className="font-semibold text-slate-800 dark:text-slate-200">Web Terminal</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <TextInput label="Idle Timeout (minutes)" name="idleTimeoutMinutes" type="number" value={String(settings.terminalSettings?.idleTimeoutMinutes ?? 15)} onChange={e => setSettings(s => ({ ...s, terminalSettings: { ...s.terminalSettings, idleTimeoutMinutes: Number(e.target.value) } }))} info="SSH sessions without keyboard input are closed after this long." />
+            </div>
+            <Toggle label="Record Session Transcripts" checked={settings.terminalSettings?.recordTranscripts || false} onChange={c => setSettings(s => ({ ...s, terminalSettings: { ...s.terminalSettings, recordTranscripts: c } }))} info="Keeps the output of each terminal session (up to 1 MB) with its entry in the audit log." />
+        </div>
     </SettingsSection>
 );
 
@@ -142,7 +150,8 @@ const TelegramTab: React.FC<{ settings: PanelSettings, setSettings: React.Dispat
             <Toggle label="Enable Telegram Notifications" checked={telegram.enabled || false} onChange={c => update('enabled', c)} />
             <div className={`space-y-4 ${!telegram.enabled ? 'opacity-50 pointer-events-none' : ''}`}>
                 <TextInput label="Bot Token" name="botToken" value={telegram.botToken || ''} onChange={e => update('botToken', e.target.value)} type="password" />
-                <TextInput label="Chat ID" name="chatId" value={telegram.chatId || ''} onChange={e => update('chatId', e.target.value)} />
+                <TextInput label="Chat ID" name="chatId" value={telegram.chatId || ''} onChange={e => update('chatId', e.target.value)} info="Alerts go to this chat, and bot commands (/due, /status, /pay, /enable, /disable) are only accepted from it. Send /help to the bot for usage." />
+                <TextInput label="Bot API URL" name="apiBaseUrl" value={telegram.apiBaseUrl || ''} onChange={e => update('apiBaseUrl', e.target.value)} placeholder="https://api.telegram.org" info="Leave empty for Telegram. Point it at a local Bot API server or a fake for testing." />
                 <button onClick={() => onTest(telegram.botToken, telegram.chatId)} disabled={isTesting || !telegram.botToken || !telegram.chatId} className="px-4 py-2 bg-sky-600 text-white rounded-md disabled:opacity-50">
                     {isTesting ? 'Sending...' : 'Send Test Message'}
                 </button>
@@ -170,13 +179,160 @@ const XenditTab: React.FC<{ settings: PanelSettings, setSettings: React.Dispatch
             <div className={`space-y-4 ${!xendit.enabled ? 'opacity-50 pointer-events-none' : ''}`}>
                 <TextInput label="Secret Key" name="secretKey" value={xendit.secretKey || ''} onChange={e => update('secretKey', e.target.value)} type="password" />
                 <TextInput label="Public Key" name="publicKey" value={xendit.publicKey || ''} onChange={e => update('publicKey', e.target.value)} type="password" />
-                <TextInput label="Webhook Token" name="webhookToken" value={xendit.webhookToken || ''} onChange={e => update('webhookToken', e.target.value)} type="password" />
+                <TextInput label="Webhook Token" name="webhookToken" value={xendit.webhookToken || ''} onChange={e => update('webhookToken', e.target.value)} type="password" info="Xendit sends this as x-callback-token on every invoice callback; callbacks without it are rejected." />
+                <TextInput label="API Base URL" name="apiBaseUrl" value={xendit.apiBaseUrl || ''} onChange={e => update('apiBaseUrl', e.target.value)} placeholder="https://api.xendit.co" info="Leave empty for Xendit. Point it at a mock server to test payments locally." />
+                <p className="text-sm text-slate-500 dark:text-slate-400">
+                    Invoice callback URL for the Xendit dashboard: <code className="font-mono">{`${window.location.origin}/api/xendit/webhook`}</code>
+                </p>
+            </div>
+        </SettingsSection>
+    );
+};
+
+const formatDuration = (ms: number) => ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+const JobRow: React.FC<{ job: ScheduledJob; onChanged: (job: ScheduledJob) => void }> = ({ job, onChanged }) => {
+    const [intervalInput, setIntervalInput] = useState(String(job.intervalMinutes));
+    const [runs, setRuns] = useState<JobRun[] | null>(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    useEffect(() => { setIntervalInput(String(job.intervalMinutes)); }, [job.intervalMinutes]);
+
+    const update = async (updates: { enabled?: boolean; intervalMinutes?: number }) => {
+        setIsBusy(true);
+        try {
+            onChanged(await updateScheduledJob(job.name, updates));
+        } catch (err) {
+            alert(`Failed to update job: ${(err as Error).message}`);
+            setIntervalInput(String(job.intervalMinutes));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const loadRuns = async () => setRuns(await getJobRuns(job.name));
+
+    const handleRun = async () => {
+        setIsBusy(true);
+        try {
+            const run = await runScheduledJob(job.name);
+            onChanged({ ...job, lastRun: run, lastSuccessAt: run.status === 'success' ? run.startedAt : job.lastSuccessAt });
+            if (runs) await loadRuns();
+        } catch (err) {
+            alert(`Failed to run job: ${(err as Error).message}`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const toggleHistory = async () => {
+        if (runs) return setRuns(null);
+        try {
+            await loadRuns();
+        } catch (err) {
+            alert(`Failed to load run history: ${(err as Error).message}`);
+        }
+    };
+
+    const last = job.lastRun;
+    return (
+        <div className="py-4 space-y-2">
+            <div className="flex flex-wrap items-start justify-between gap-4">
+                <div>
+                    <p className="font-semibold font-mono text-sm">{job.name}</p>
+                    <p className="text-sm text-slate-500 dark:text-slate-400">{job.description}</p>
+                    <p className="text-xs text-slate-500 mt-1">
+                        {last
+                            ? <>Last run {new Date(last.startedAt).toLocaleString()} ({formatDuration(last.durationMs)}) — <span className={last.status === 'success' ? 'text-green-600' : 'text-red-500'}>{last.status}</span></>
+                            : 'Never run'}
+                        {job.nextRunAt && <> · Next {new Date(job.nextRunAt).toLocaleTimeString()}</>}
+                    </p>
+                    {last?.error && <p className="text-xs text-red-500 mt-1">{last.error}</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                    <input type="checkbox" checked={job.enabled} disabled={isBusy} onChange={e => update({ enabled: e.target.checked })} title="Enabled" />
+                    <input
+                        type="number"
+                        min={1}
+                        value={intervalInput}
+                        disabled={isBusy}
+                        onChange={e => setIntervalInput(e.target.value)}
+                        onBlur={() => { if (Number(intervalInput) !== job.intervalMinutes) update({ intervalMinutes: Number(intervalInput) }); }}
+                        className="w-20 bg-slate-100 dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md py-1 px-2 text-sm"
+                        title="Interval (minutes)"
+                    />
+                    <span className="text-xs text-slate-500">min</span>
+                    <button onClick={handleRun} disabled={isBusy || job.running} className="px-3 py-1 text-sm bg-sky-600 text-white rounded-md disabled:opacity-50">
+                        {isBusy ? 'Running...' : 'Run Now'}
+                    </button>
+                    <button onClick={toggleHistory} className="px-3 py-1 text-sm bg-slate-200 dark:bg-slate-700 rounded-md">
+                        {runs ? 'Hide' : 'History'}
+                    </button>
+                </div>
+            </div>
+            {runs && (
+                <table className="w-full text-xs">
+                    <thead className="text-left text-slate-500">
+                        <tr><th className="py-1">Started</th><th>Trigger</th><th>Duration</th><th>Status</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        {runs.map(run => (
+                            <tr key={run.id} className="border-t border-slate-200 dark:border-slate-700 align-top">
+                                <td className="py-1">{new Date(run.startedAt).toLocaleString()}</td>
+                                <td>{run.trigger}</td>
+                                <td>{formatDuration(run.durationMs)}</td>
+                                <td className={run.status === 'success' ? 'text-green-600' : 'text-red-500'}>{run.status}</td>
+                                <td className="font-mono break-all">{run.error || (run.summary ? JSON.stringify(run.summary) : '')}</td>
+                            </tr>
+                        ))}
+                        {runs.length === 0 && <tr><td colSpan={5} className="py-2 text-slate-500">No runs recorded yet.</td></tr>}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+const SchedulerTab: React.FC<{ settings: PanelSettings, setSettings: React.Dispatch<React.SetStateAction<PanelSettings>> }> = ({ settings, setSettings }) => {
+    const [jobs, setJobs] = useState<ScheduledJob[]>([]);
+    const [jobsError, setJobsError] = useState<string | null>(null);
+    const notif = settings.notificationSettings || { debounceMinutes: 15, dhcpNearExpiryHours: 24 };
+    const update = (field: 'debounceMinutes' | 'dhcpNearExpiryHours', value: string) => {
+        setSettings(s => ({ ...s, notificationSettings: { ...notif, [field]: Number(value) } }));
+    };
+    const metrics = settings.metricsSettings || {};
+    const updateMetrics = (field: keyof NonNullable<PanelSettings['metricsSettings']>, value: string) => {
+        setSettings(s => ({ ...s, metricsSettings: { ...s.metricsSettings, [field]: Number(value) } }));
+    };
+
+    useEffect(() => {
+        getScheduledJobs().then(setJobs).catch(err => setJobsError((err as Error).message));
+    }, []);
+
+    return (
+        <SettingsSection title="Scheduled Jobs">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <TextInput label="Notification Debounce (minutes)" name="debounceMinutes" type="number" value={String(notif.debounceMinutes ?? 15)} onChange={e => update('debounceMinutes', e.target.value)} info="The same alert is not repeated within this window." />
+                <TextInput label="DHCP Near-Expiry Window (hours)" name="dhcpNearExpiryHours" type="number" value={String(notif.dhcpNearExpiryHours ?? 24)} onChange={e => update('dhcpNearExpiryHours', e.target.value)} info="Warn about DHCP portal clients expiring within this many hours." />
+                <TextInput label="Config Snapshots Kept per Router" name="keepPerRouter" type="number" value={String(settings.configSnapshotSettings?.keepPerRouter ?? 30)} onChange={e => setSettings(s => ({ ...s, configSnapshotSettings: { keepPerRouter: Number(e.target.value) } }))} info="Older router configuration snapshots are deleted once a router has more than this many." />
+                <TextInput label="Scheduled Panel Backups Kept" name="keepScheduled" type="number" value={String(settings.panelBackupSettings?.keepScheduled ?? 7)} onChange={e => setSettings(s => ({ ...s, panelBackupSettings: { keepScheduled: Number(e.target.value) } }))} info="Older scheduled full panel backups are deleted; manual, uploaded and pre-restore backups are kept." />
+                <TextInput label="Raw Traffic Samples Kept (hours)" name="rawHours" type="number" value={String(metrics.rawHours ?? 24)} onChange={e => updateMetrics('rawHours', e.target.value)} info="One-minute samples behind the dashboard's history charts." />
+                <TextInput label="5-Minute History Kept (days)" name="fiveMinuteDays" type="number" value={String(metrics.fiveMinuteDays ?? 7)} onChange={e => updateMetrics('fiveMinuteDays', e.target.value)} info="Used for the 24h view." />
+                <TextInput label="Hourly History Kept (days)" name="hourlyDays" type="number" value={String(metrics.hourlyDays ?? 90)} onChange={e => updateMetrics('hourlyDays', e.target.value)} info="Used for the 7d and 30d views." />
+                <TextInput label="Daily History Kept (days)" name="dailyDays" type="number" value={String(metrics.dailyDays ?? 730)} onChange={e => updateMetrics('dailyDays', e.target.value)} info="Long-term daily averages." />
+            </div>
+            <Toggle label="Auto-Fix DHCP Billing Mismatches" checked={settings.dhcpReconcileSettings?.autoFix || false} onChange={c => setSettings(s => ({ ...s, dhcpReconcileSettings: { autoFix: c } }))} info="The hourly DHCP reconciliation fixes what it safely can instead of only reporting it. Issues that need a person are still reported." />
+            <div className="pt-4 border-t border-slate-200 dark:border-slate-700 divide-y divide-slate-200 dark:divide-slate-700">
+                {jobsError && <p className="text-red-500">{jobsError}</p>}
+                {jobs.map(job => (
+                    <JobRow key={job.name} job={job} onChanged={updated => setJobs(js => js.map(j => j.name === updated.name ? updated : j))} />
+                ))}
             </div>
         </SettingsSection>
     );
 };
 
-type Tab = 'panel' | 'ai' | 'telegram' | 'xendit';
+type Tab = 'panel' | 'ai' | 'telegram' | 'xendit' | 'scheduler';
 
 export const SystemSettings: React.FC = () => {
     const [activeTab, setActiveTab] = useState<Tab>('panel');
@@ -225,10 +381,10 @@ export const SystemSettings: React.FC = () => {
             const res = await fetch('/api/telegram/test', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json', ...getAuthHeader() },
-                body: JSON.stringify({ botToken, chatId })
+                body: JSON.stringify({ botToken, chatId, apiBaseUrl: settings.telegramSettings?.apiBaseUrl })
             });
             const data = await res.json();
-            if (!res.ok) throw new Error(data.error);
+            if (!res.ok) throw new Error(data.message);
             alert(data.message);
         } catch (err) {
             alert(`Test failed: ${(err as Error).message}`);
@@ -242,6 +398,7 @@ export const SystemSettings: React.FC = () => {
         { id: 'ai', label: 'AI', icon: <KeyIcon className="w-5 h-5" /> },
         { id: 'telegram', label: 'Telegram', icon: <MessageIcon className="w-5 h-5" /> },
         { id: 'xendit', label: 'Xendit', icon: <XenditIcon className="w-5 h-5" /> },
+        { id: 'scheduler', label: 'Scheduler', icon: <ClockIcon className="w-5 h-5" /> },
     ];
     
     const renderContent = () => {
@@ -253,6 +410,7 @@ export const SystemSettings: React.FC = () => {
             case 'ai': return <AiTab settings={settings} setSettings={setSettings} />;
             case 'telegram': return <TelegramTab settings={settings} setSettings={setSettings} onTest={handleTestTelegram} isTesting={isTesting} />;
             case 'xendit': return <XenditTab settings={settings} setSettings={setSettings} />;
+            case 'scheduler': return <SchedulerTab settings={settings} setSettings={setSettings} />;
             default: return null;
         }
     };
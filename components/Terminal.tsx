@@ -5,6 +5,7 @@ import { WebLinksAddon } from 'xterm-addon-web-links';
 import type { RouterConfigWithId } from '../types.ts';
 import { RouterIcon } from '../constants.tsx';
 import { useTheme } from '../contexts/ThemeContext.tsx';
+import { useAuth } from '../contexts/AuthContext.tsx';
 
 // Define a simple theme for the terminal
 const darkTheme = {
@@ -21,34 +22,28 @@ const lightTheme = {
     selectionBackground: '#cbd5e1', // slate-300
 };
 
+type Target = 'router' | 'host';
+
 export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
     const terminalRef = useRef<HTMLDivElement>(null);
-    const wsRef = useRef<WebSocket | null>(null);
     const termRef = useRef<XtermTerminal | null>(null);
     const [status, setStatus] = useState<'disconnected' | 'connecting' | 'connected' | 'error'>('disconnected');
+    const [target, setTarget] = useState<Target>('router');
+    const [session, setSession] = useState(0);
     const { isDarkMode } = useTheme();
+    const { token, hasPermission } = useAuth();
+    const canUseHost = hasPermission('*:*');
+
+    const hasTarget = target === 'host' || !!selectedRouter;
 
     useEffect(() => {
-        if (!selectedRouter || !terminalRef.current) {
-            // Cleanup on router deselect
-            if (wsRef.current) wsRef.current.close();
-            if (termRef.current) {
-                termRef.current.dispose();
-                termRef.current = null;
-            }
-             if (terminalRef.current) {
-                terminalRef.current.innerHTML = '';
-            }
-            return;
-        }
+        if (termRef.current) termRef.current.options.theme = isDarkMode ? darkTheme : lightTheme;
+    }, [isDarkMode]);
 
-        if (termRef.current) {
-             // If terminal already exists, just update its theme
-             termRef.current.options.theme = isDarkMode ? darkTheme : lightTheme;
-             return;
-        }
+    useEffect(() => {
+        if (!hasTarget || !terminalRef.current || !token) return;
+        const container = terminalRef.current;
 
-        // --- Initialize Terminal and WebSocket ---
         const term = new XtermTerminal({
             cursorBlink: true,
             rows: 20,
@@ -61,52 +56,40 @@ export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
         const fitAddon = new FitAddon();
         term.loadAddon(fitAddon);
         term.loadAddon(new WebLinksAddon());
-        term.open(terminalRef.current);
+        term.open(container);
         fitAddon.fit();
         term.focus();
 
         term.write('Welcome to the MikroTik Web Terminal!\r\n');
-        term.write(`Attempting to connect to ${selectedRouter.name} (${selectedRouter.host})...\r\n`);
         setStatus('connecting');
 
+        // The server looks up the credentials itself; the token goes in the
+        // subprotocol list because browsers can't set headers on a WebSocket.
+        const params = new URLSearchParams({ cols: String(term.cols), rows: String(term.rows) });
+        if (target === 'host') params.set('target', 'host');
+        else if (selectedRouter) params.set('routerId', selectedRouter.id);
         const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${wsProtocol}//${window.location.host}/ws/ssh`;
-        const ws = new WebSocket(wsUrl);
-        wsRef.current = ws;
+        const ws = new WebSocket(`${wsProtocol}//${window.location.host}/ws/ssh?${params}`, ['bearer', token]);
+        let opened = false;
 
         ws.onopen = () => {
-            const authPayload = {
-                type: 'auth',
-                data: {
-                    host: selectedRouter.host,
-                    user: selectedRouter.user,
-                    password: selectedRouter.password || '',
-                    port: selectedRouter.port, // This is for REST API, SSH is usually 22, backend will use 22.
-                    term_cols: term.cols,
-                    term_rows: term.rows,
-                }
-            };
-            ws.send(JSON.stringify(authPayload));
+            opened = true;
+            setStatus('connected');
         };
 
         ws.onmessage = (event) => {
             term.write(event.data);
-            if (status !== 'connected') {
-                setStatus('connected');
-            }
         };
 
-        ws.onerror = (error) => {
-            console.error('WebSocket Error:', error);
-            term.write('\r\n*** WebSocket connection error. Please check the backend server. ***\r\n');
-            setStatus('error');
+        ws.onerror = () => {
+            if (!opened) {
+                term.write('\r\n*** Could not open the terminal. Check that the router allows SSH and that you have permission to use it. ***\r\n');
+                setStatus('error');
+            }
         };
 
         ws.onclose = () => {
-            if (status !== 'error') {
-                 term.write('\r\n*** Connection Closed ***\r\n');
-            }
-            setStatus('disconnected');
+            if (opened) setStatus('disconnected');
         };
 
         term.onData((data) => {
@@ -114,7 +97,7 @@ export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
                 ws.send(JSON.stringify({ type: 'data', data }));
             }
         });
-        
+
         const handleResize = () => {
             fitAddon.fit();
             if (ws.readyState === ws.OPEN) {
@@ -124,10 +107,10 @@ export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
 
         const resizeObserver = new ResizeObserver(handleResize);
         // Observe the parent of the terminal container for better resize detection
-        if (terminalRef.current.parentElement) {
-            resizeObserver.observe(terminalRef.current.parentElement);
+        if (container.parentElement) {
+            resizeObserver.observe(container.parentElement);
         }
-        
+
         // Initial fit
         setTimeout(() => handleResize(), 100);
 
@@ -136,11 +119,10 @@ export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
             ws.close();
             term.dispose();
             termRef.current = null;
-            if (terminalRef.current) {
-                terminalRef.current.innerHTML = '';
-            }
+            container.innerHTML = '';
+            setStatus('disconnected');
         };
-    }, [selectedRouter, isDarkMode]);
+    }, [selectedRouter?.id, target, hasTarget, token, session]);
 
     const getStatusIndicator = () => {
         switch(status) {
@@ -151,23 +133,37 @@ export const Terminal: React.FC<{ selectedRouter: RouterConfigWithId | null }> =
         }
     }
 
-    if (!selectedRouter) {
+    if (!hasTarget) {
         return (
             <div className="flex flex-col items-center justify-center h-full text-center bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
                 <RouterIcon className="w-16 h-16 text-slate-400 dark:text-slate-600 mb-4" />
                 <h2 className="text-2xl font-bold text-slate-800 dark:text-slate-200">Router Terminal</h2>
                 <p className="mt-2 text-slate-500 dark:text-slate-400">Please select a router from the top bar to open an SSH terminal session.</p>
+                {canUseHost && (
+                    <button onClick={() => setTarget('host')} className="mt-4 px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg text-sm font-semibold">Open a panel host shell instead</button>
+                )}
             </div>
         );
     }
-    
+
     return (
         <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md flex flex-col h-full overflow-hidden">
-            <div className="p-2 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center text-xs font-mono">
+            <div className="p-2 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center gap-2 text-xs font-mono">
                 <span>Status: {getStatusIndicator()}</span>
-                <span>{selectedRouter.user}@{selectedRouter.host}</span>
+                <div className="flex items-center gap-2">
+                    {canUseHost && (
+                        <select value={target} onChange={e => setTarget(e.target.value as Target)} className="px-2 py-1 bg-slate-100 dark:bg-slate-700 border border-slate-300 dark:border-slate-600 rounded-md">
+                            <option value="router">{selectedRouter ? `${selectedRouter.user}@${selectedRouter.host}` : 'Router'}</option>
+                            <option value="host">Panel host</option>
+                        </select>
+                    )}
+                    {!canUseHost && selectedRouter && <span>{selectedRouter.user}@{selectedRouter.host}</span>}
+                    {(status === 'disconnected' || status === 'error') && (
+                        <button onClick={() => setSession(n => n + 1)} className="px-2 py-1 bg-slate-200 dark:bg-slate-600 rounded-md font-semibold">Reconnect</button>
+                    )}
+                </div>
             </div>
              <div ref={terminalRef} className="w-full flex-grow p-2" />
         </div>
     );
-};
\ No newline at end of file
+};
@@ -4,7 +4,7 @@ import { useLocalization } from '../contexts/LocalizationContext.tsx';
 import { useTheme, colorThemes, ColorTheme } from '../contexts/ThemeContext.tsx';
 import { useAuth } from '../contexts/AuthContext.tsx';
 import { useNotifications } from '../contexts/NotificationContext.tsx';
-import { BellIcon } from '../constants.tsx';
+import { BellIcon, ShieldCheckIcon } from '../constants.tsx';
 
 interface TopBarProps {
   title: string;
@@ -242,6 +242,13 @@ export const TopBar: React.FC<TopBarProps> = ({ title, routers, selectedRouter,
             />
             <ColorSelector />
             <NotificationDropdown setCurrentView={setCurrentView} />
+            <button
+                onClick={() => setCurrentView('account')}
+                className="p-2 text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700 rounded-full transition-colors"
+                title="Account security"
+            >
+                <ShieldCheckIcon className="w-5 h-5" />
+            </button>
             <button
                 onClick={logout}
                 className="p-2 text-slate-500 dark:text-slate-400 hover:bg-slate-200 dark:hover:bg-slate-700 rounded-full transition-colors"
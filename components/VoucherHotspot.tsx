@@ -1,13 +1,477 @@
-import React from 'react';
-import type { RouterConfigWithId } from '../types.ts';
+import React, { useState, useEffect, useCallback } from 'react';
+import type { RouterConfigWithId, VoucherPlan, VoucherPlanWithId, HotspotUserProfile, Voucher, VoucherBatch, VoucherBatchParams, VoucherStatus, CompanySettings } from '../types.ts';
+import { useVoucherPlans } from '../hooks/useVoucherPlans.ts';
+import { useCompanySettings } from '../hooks/useCompanySettings.ts';
+import { useLocalization } from '../contexts/LocalizationContext.tsx';
+import { getHotspotUserProfiles } from '../services/mikrotikService.ts';
+import { getVoucherBatches, getVoucherBatch, generateVoucherBatch, deleteVoucherBatch, getVouchers, syncVouchers } from '../services/voucherService.ts';
+import { EditIcon, TrashIcon, PrinterIcon, SignalIcon } from '../constants.tsx';
+import { Loader } from './Loader.tsx';
 
-export const PanelHotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
+const STATUS_STYLES: Record<VoucherStatus, string> = {
+    unused: 'bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-300',
+    active: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300',
+    sold: 'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-300',
+    expired: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300',
+};
+
+const formatMinutes = (minutes: number) => {
+    if (!minutes) return 'Unlimited time';
+    const d = Math.floor(minutes / 1440);
+    const h = Math.floor((minutes % 1440) / 60);
+    const m = minutes % 60;
+    return [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+};
+
+const formatBytes = (bytes: number) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${units[i]}`;
+};
+
+const StatusBadge: React.FC<{ status: VoucherStatus }> = ({ status }) => (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[status]}`}>{status}</span>
+);
+
+// Form component for adding/editing voucher plans
+const VoucherPlanForm: React.FC<{
+    onSave: (plan: VoucherPlan | VoucherPlanWithId) => void;
+    onCancel: () => void;
+    initialData?: VoucherPlanWithId | null;
+    profiles: HotspotUserProfile[];
+}> = ({ onSave, onCancel, initialData, profiles }) => {
+    const { currency } = useLocalization();
+    const [plan, setPlan] = useState<Partial<VoucherPlanWithId>>({});
+
+    useEffect(() => {
+        const defaults = { name: '', price: 0, duration_minutes: 60, data_limit_mb: 0, mikrotik_profile_name: 'default', currency };
+        setPlan(initialData ? { ...initialData } : defaults);
+    }, [initialData, currency]);
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value, type } = e.target;
+        setPlan(prev => ({ ...prev, [name]: type === 'number' ? (value ? parseFloat(value) : '') : value }));
+    };
+
+    const handleSubmit = (e: React.FormEvent) => {
+        e.preventDefault();
+        onSave({ ...plan, data_limit_mb: Number(plan.data_limit_mb) || 0 } as VoucherPlanWithId);
+    };
+
+    return (
+        <div className="bg-white dark:bg-slate-800 p-6 rounded-lg border border-slate-200 dark:border-slate-700">
+            <h3 className="text-xl font-bold mb-4">{initialData ? 'Edit Voucher Plan' : 'Add New Voucher Plan'}</h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium">Plan Name</label>
+                        <input type="text" name="name" value={plan.name || ''} onChange={handleChange} required className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">Price ({currency})</label>
+                        <input type="number" name="price" value={plan.price || ''} onChange={handleChange} required min="0" step="0.01" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium">Time Limit (Minutes)</label>
+                        <input type="number" name="duration_minutes" value={plan.duration_minutes || ''} onChange={handleChange} min="0" placeholder="0 for no limit" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">Data Limit (MB)</label>
+                        <input type="number" name="data_limit_mb" value={plan.data_limit_mb || ''} onChange={handleChange} min="0" placeholder="0 for no limit" className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium">Hotspot User Profile</label>
+                        <select name="mikrotik_profile_name" value={plan.mikrotik_profile_name || 'default'} onChange={handleChange} className="mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md">
+                            {profiles.length === 0 && <option value="default">default</option>}
+                            {profiles.map(p => <option key={p.id} value={p.name}>{p.name}{p['rate-limit'] ? ` (${p['rate-limit']})` : ''}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div className="flex justify-end gap-4 pt-4">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm rounded-md">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm bg-[--color-primary-600] text-white rounded-md">Save Plan</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const BatchGenerator: React.FC<{
+    routerId: string;
+    plans: VoucherPlanWithId[];
+    onGenerated: (batchId: string) => void;
+}> = ({ routerId, plans, onGenerated }) => {
+    const [params, setParams] = useState<Omit<VoucherBatchParams, 'routerId'>>({ planId: '', count: 10, codeLength: 6, charset: 'numeric', passwordMode: 'same', prefix: '' });
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [result, setResult] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (!params.planId && plans.length) setParams(p => ({ ...p, planId: plans[0].id }));
+    }, [plans, params.planId]);
+
+    const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value, type } = e.target;
+        setParams(prev => ({ ...prev, [name]: type === 'number' ? parseInt(value, 10) || 0 : value }));
+    };
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setIsGenerating(true);
+        setError(null);
+        setResult(null);
+        try {
+            const res = await generateVoucherBatch({ ...params, routerId });
+            const failures = res.failed.length ? ` ${res.failed.length} failed (${res.failed[0].error}).` : '';
+            setResult(`Created ${res.created} voucher(s) on the router.${failures}`);
+            onGenerated(res.batch.id);
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full p-2 bg-slate-100 dark:bg-slate-700 rounded-md';
+    return (
+        <div className="bg-white dark:bg-slate-800 p-6 rounded-lg border border-slate-200 dark:border-slate-700">
+            <h3 className="text-xl font-bold mb-4">Generate Vouchers</h3>
+            {plans.length === 0 ? (
+                <p className="text-slate-500">Create a voucher plan first.</p>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium">Plan</label>
+                            <select name="planId" value={params.planId} onChange={handleChange} className={inputClass}>
+                                {plans.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium">Quantity</label>
+                            <input type="number" name="count" value={params.count} onChange={handleChange} min="1" max="500" required className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium">Prefix (optional)</label>
+                            <input type="text" name="prefix" value={params.prefix} onChange={handleChange} maxLength={6} pattern="[A-Za-z0-9]*" className={inputClass} />
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium">Code Length</label>
+                            <input type="number" name="codeLength" value={params.codeLength} onChange={handleChange} min="4" max="16" required className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium">Characters</label>
+                            <select name="charset" value={params.charset} onChange={handleChange} className={inputClass}>
+                                <option value="numeric">Numbers (0-9)</option>
+                                <option value="alpha">Uppercase letters</option>
+                                <option value="alphanumeric">Uppercase letters and numbers</option>
+                                <option value="lowercase">Lowercase letters and numbers</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium">Login</label>
+                            <select name="passwordMode" value={params.passwordMode} onChange={handleChange} className={inputClass}>
+                                <option value="same">Code only (password = username)</option>
+                                <option value="separate">Username and separate password</option>
+                            </select>
+                        </div>
+                    </div>
+                    {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+                    {result && <p className="text-sm text-green-600 dark:text-green-400">{result}</p>}
+                    <div className="flex justify-end">
+                        <button type="submit" disabled={isGenerating} className="px-4 py-2 text-sm bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white font-semibold rounded-md disabled:opacity-50">
+                            {isGenerating ? 'Generating...' : 'Generate'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+const PrintableVoucherSheet: React.FC<{ batch: VoucherBatch; vouchers: Voucher[]; companySettings: CompanySettings }> = ({ batch, vouchers, companySettings }) => {
+    const { formatCurrency } = useLocalization();
     return (
-        <div className="p-6 bg-slate-50 dark:bg-slate-800 rounded-lg">
-            <h2 className="text-2xl font-bold">Panel Hotspot</h2>
-            <p className="mt-2 text-slate-600 dark:text-slate-400">
-                This feature is under construction. It will manage voucher-based hotspot access through the panel.
-            </p>
+        <div className="bg-white text-black p-4 grid grid-cols-4 gap-2">
+            {vouchers.map(v => (
+                <div key={v.id} className="border border-dashed border-slate-400 p-2 text-center break-inside-avoid">
+                    {companySettings.logoBase64 && <img src={companySettings.logoBase64} alt="Logo" className="mx-auto h-8 object-contain" />}
+                    <p className="text-xs font-semibold">{companySettings.companyName}</p>
+                    <p className="text-xs">{batch.planName} &middot; {formatCurrency(batch.price)}</p>
+                    {batch.passwordMode === 'same' ? (
+                        <p className="font-mono text-lg font-bold tracking-wider">{v.code}</p>
+                    ) : (
+                        <div className="font-mono text-sm">
+                            <p>User: <span className="font-bold">{v.code}</span></p>
+                            <p>Pass: <span className="font-bold">{v.password}</span></p>
+                        </div>
+                    )}
+                    <p className="text-[10px]">
+                        {batch.limitUptime ? `Valid for ${batch.limitUptime}` : 'No time limit'}
+                        {batch.limitBytes ? ` / ${formatBytes(batch.limitBytes)}` : ''}
+                    </p>
+                </div>
+            ))}
         </div>
     );
 };
+
+export const PanelHotspot: React.FC<{ selectedRouter: RouterConfigWithId | null }> = ({ selectedRouter }) => {
+    const routerId = selectedRouter?.id || null;
+    const { plans, addPlan, updatePlan, deletePlan, isLoading: isLoadingPlans } = useVoucherPlans(routerId);
+    const { settings: companySettings } = useCompanySettings();
+    const { formatCurrency } = useLocalization();
+    const [profiles, setProfiles] = useState<HotspotUserProfile[]>([]);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [editingPlan, setEditingPlan] = useState<VoucherPlanWithId | null>(null);
+    const [batches, setBatches] = useState<VoucherBatch[]>([]);
+    const [vouchers, setVouchers] = useState<Voucher[]>([]);
+    const [statusFilter, setStatusFilter] = useState<VoucherStatus | ''>('');
+    const [batchFilter, setBatchFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [printData, setPrintData] = useState<{ batch: VoucherBatch; vouchers: Voucher[] } | null>(null);
+
+    const fetchData = useCallback(async () => {
+        if (!routerId) return;
+        setIsLoading(true);
+        setError(null);
+        try {
+            const [batchData, voucherData] = await Promise.all([
+                getVoucherBatches(routerId),
+                getVouchers({ routerId, status: statusFilter, batchId: batchFilter }),
+            ]);
+            setBatches(batchData);
+            setVouchers(voucherData);
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [routerId, statusFilter, batchFilter]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    useEffect(() => {
+        if (!selectedRouter) return;
+        getHotspotUserProfiles(selectedRouter).then(setProfiles).catch(() => setProfiles([]));
+    }, [selectedRouter]);
+
+    useEffect(() => {
+        if (printData) {
+            const timer = setTimeout(() => window.print(), 100);
+            return () => clearTimeout(timer);
+        }
+    }, [printData]);
+
+    useEffect(() => {
+        const handleAfterPrint = () => setPrintData(null);
+        window.addEventListener('afterprint', handleAfterPrint);
+        return () => window.removeEventListener('afterprint', handleAfterPrint);
+    }, []);
+
+    if (!selectedRouter) {
+        return <p className="p-6 text-slate-500">Select a router to manage hotspot vouchers.</p>;
+    }
+
+    const handleSavePlan = async (planData: any) => {
+        try {
+            if (planData.id) await updatePlan(planData);
+            else await addPlan(planData);
+            setIsFormOpen(false);
+        } catch (err) {
+            alert(`Failed to save plan: ${(err as Error).message}`);
+        }
+    };
+
+    const handleDeletePlan = (planId: string) => {
+        if (window.confirm('Are you sure?')) {
+            deletePlan(planId).catch(err => alert(`Failed to delete plan: ${(err as Error).message}`));
+        }
+    };
+
+    const handleSync = async () => {
+        setIsSyncing(true);
+        try {
+            await syncVouchers(selectedRouter.id);
+            await fetchData();
+        } catch (err) {
+            setError((err as Error).message);
+        } finally {
+            setIsSyncing(false);
+        }
+    };
+
+    const handlePrintBatch = async (batchId: string, unusedOnly: boolean) => {
+        try {
+            const { vouchers: batchVouchers, ...batch } = await getVoucherBatch(batchId);
+            const toPrint = unusedOnly ? batchVouchers.filter(v => v.status === 'unused') : batchVouchers;
+            if (!toPrint.length) {
+                alert('There are no unused vouchers left in this batch.');
+                return;
+            }
+            setPrintData({ batch, vouchers: toPrint });
+        } catch (err) {
+            alert(`Failed to load batch: ${(err as Error).message}`);
+        }
+    };
+
+    const handleDeleteBatch = async (batch: VoucherBatch) => {
+        if (!window.confirm(`Remove the unused vouchers of this ${batch.planName} batch from the router? Used vouchers are kept for the sales record.`)) return;
+        try {
+            const res = await deleteVoucherBatch(batch.id);
+            if (res.errors.length) alert(`${res.errors.length} voucher(s) could not be removed: ${res.errors[0].error}`);
+            await fetchData();
+        } catch (err) {
+            alert(`Failed to delete batch: ${(err as Error).message}`);
+        }
+    };
+
+    return (
+        <>
+            <div className={printData ? 'printable-area' : 'hidden'}>
+                {printData && <PrintableVoucherSheet batch={printData.batch} vouchers={printData.vouchers} companySettings={companySettings} />}
+            </div>
+
+            <div className="space-y-6 no-print">
+                <div className="flex justify-between items-center">
+                    <h3 className="text-xl font-bold">Voucher Plans</h3>
+                    {!isFormOpen && (
+                        <button onClick={() => { setEditingPlan(null); setIsFormOpen(true); }} className="bg-[--color-primary-600] hover:bg-[--color-primary-700] text-white font-bold py-2 px-4 rounded-lg">Add New Plan</button>
+                    )}
+                </div>
+
+                {isFormOpen && (
+                    <VoucherPlanForm onSave={handleSavePlan} onCancel={() => setIsFormOpen(false)} initialData={editingPlan} profiles={profiles} />
+                )}
+
+                {isLoadingPlans ? <div className="flex justify-center p-8"><Loader /></div> : (
+                    <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md">
+                        <ul role="list" className="divide-y divide-slate-200 dark:divide-slate-700">
+                            {plans.map((plan) => (
+                                <li key={plan.id} className="p-4 flex justify-between items-center">
+                                    <div className="flex items-center gap-4">
+                                        <SignalIcon className="h-8 w-8 text-[--color-primary-500]" />
+                                        <div>
+                                            <p className="font-semibold">{plan.name}</p>
+                                            <p className="text-sm text-slate-500">
+                                                <span className="font-bold">{formatCurrency(plan.price)}</span> for {formatMinutes(plan.duration_minutes)}
+                                                {plan.data_limit_mb ? ` | ${plan.data_limit_mb} MB` : ''}
+                                                {` | Profile: ${plan.mikrotik_profile_name || 'default'}`}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    <div className="space-x-2">
+                                        <button onClick={() => { setEditingPlan(plan); setIsFormOpen(true); }} className="p-2 text-slate-500 hover:text-sky-500"><EditIcon className="w-5 h-5"/></button>
+                                        <button onClick={() => handleDeletePlan(plan.id)} className="p-2 text-slate-500 hover:text-red-500"><TrashIcon className="w-5 h-5"/></button>
+                                    </div>
+                                </li>
+                            ))}
+                            {plans.length === 0 && (
+                                <li className="p-6 text-center text-slate-500">No voucher plans created yet.</li>
+                            )}
+                        </ul>
+                    </div>
+                )}
+
+                <BatchGenerator routerId={selectedRouter.id} plans={plans} onGenerated={() => fetchData()} />
+
+                {error && <div className="p-4 bg-red-50 dark:bg-red-900/50 text-red-700 dark:text-red-300 rounded-md">{error}</div>}
+
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md overflow-x-auto">
+                    <h3 className="text-lg font-semibold p-4 border-b border-slate-200 dark:border-slate-700">Batches</h3>
+                    <table className="w-full text-sm">
+                        <thead className="text-xs uppercase bg-slate-50 dark:bg-slate-900/50 text-slate-500">
+                            <tr>
+                                <th className="px-4 py-2 text-left">Created</th>
+                                <th className="px-4 py-2 text-left">Plan</th>
+                                <th className="px-4 py-2 text-left">Vouchers</th>
+                                <th className="px-4 py-2 text-left">Status</th>
+                                <th className="px-4 py-2 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                            {batches.map(batch => (
+                                <tr key={batch.id}>
+                                    <td className="px-4 py-2">{new Date(batch.createdAt).toLocaleString()}{batch.createdBy ? ` by ${batch.createdBy}` : ''}</td>
+                                    <td className="px-4 py-2">{batch.planName} ({formatCurrency(batch.price)})</td>
+                                    <td className="px-4 py-2">{batch.count}</td>
+                                    <td className="px-4 py-2 space-x-1">
+                                        {batch.statusCounts && (Object.keys(batch.statusCounts) as VoucherStatus[]).filter(s => batch.statusCounts![s]).map(s => (
+                                            <span key={s} className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[s]}`}>{batch.statusCounts![s]} {s}</span>
+                                        ))}
+                                    </td>
+                                    <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                                        <button onClick={() => handlePrintBatch(batch.id, true)} title="Print unused vouchers" className="p-2 text-slate-500 hover:text-sky-500"><PrinterIcon className="w-5 h-5"/></button>
+                                        <button onClick={() => setBatchFilter(batchFilter === batch.id ? '' : batch.id)} className="px-2 py-1 text-xs rounded-md bg-slate-100 dark:bg-slate-700">
+                                            {batchFilter === batch.id ? 'Show all' : 'Show vouchers'}
+                                        </button>
+                                        <button onClick={() => handleDeleteBatch(batch)} className="p-2 text-slate-500 hover:text-red-500"><TrashIcon className="w-5 h-5"/></button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {batches.length === 0 && (
+                                <tr><td colSpan={5} className="p-6 text-center text-slate-500">No vouchers generated yet.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg shadow-md overflow-x-auto">
+                    <div className="flex flex-wrap justify-between items-center gap-2 p-4 border-b border-slate-200 dark:border-slate-700">
+                        <h3 className="text-lg font-semibold">Vouchers</h3>
+                        <div className="flex items-center gap-2">
+                            <select value={statusFilter} onChange={e => setStatusFilter(e.target.value as VoucherStatus | '')} className="p-2 text-sm bg-slate-100 dark:bg-slate-700 rounded-md">
+                                <option value="">All statuses</option>
+                                <option value="unused">Unused</option>
+                                <option value="active">Active</option>
+                                <option value="sold">Sold</option>
+                                <option value="expired">Expired</option>
+                            </select>
+                            <button onClick={handleSync} disabled={isSyncing} className="px-4 py-2 text-sm bg-sky-600 hover:bg-sky-500 text-white rounded-md font-semibold disabled:opacity-50">
+                                {isSyncing ? 'Syncing...' : 'Sync now'}
+                            </button>
+                        </div>
+                    </div>
+                    {isLoading ? <div className="flex justify-center p-8"><Loader /></div> : (
+                        <table className="w-full text-sm">
+                            <thead className="text-xs uppercase bg-slate-50 dark:bg-slate-900/50 text-slate-500">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Code</th>
+                                    <th className="px-4 py-2 text-left">Password</th>
+                                    <th className="px-4 py-2 text-left">Status</th>
+                                    <th className="px-4 py-2 text-left">Uptime</th>
+                                    <th className="px-4 py-2 text-left">Data Used</th>
+                                    <th className="px-4 py-2 text-left">First Used</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                                {vouchers.map(v => (
+                                    <tr key={v.id}>
+                                        <td className="px-4 py-2 font-mono font-semibold">{v.code}</td>
+                                        <td className="px-4 py-2 font-mono">{v.password === v.code ? '-' : v.password}</td>
+                                        <td className="px-4 py-2"><StatusBadge status={v.status} /></td>
+                                        <td className="px-4 py-2">{v.uptimeSeconds ? formatMinutes(Math.round(v.uptimeSeconds / 60)) : '-'}</td>
+                                        <td className="px-4 py-2">{v.bytesUsed ? formatBytes(v.bytesUsed) : '-'}</td>
+                                        <td className="px-4 py-2">{v.firstUsedAt ? new Date(v.firstUsedAt).toLocaleString() : '-'}</td>
+                                    </tr>
+                                ))}
+                                {vouchers.length === 0 && (
+                                    <tr><td colSpan={6} className="p-6 text-center text-slate-500">No vouchers match this filter.</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
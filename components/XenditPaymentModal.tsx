@@ -85,6 +85,9 @@ export const XenditPaymentModal: React.FC<XenditPaymentModalProps> = ({
         } else if (invoice.status === 'EXPIRED') {
           clearInterval(interval);
           setError('Payment has expired. Please try again.');
+        } else if (invoice.status === 'UNDERPAID') {
+          clearInterval(interval);
+          setError('The amount paid was less than the invoice amount, so the subscription was not renewed. Please contact the administrator.');
         }
       } catch (err) {
         console.error('Error polling payment status:', err);
@@ -16,6 +16,7 @@ interface TrafficChartProps {
     data: TrafficHistoryPoint[];
     height?: number;
     showXAxis?: boolean;
+    emptyMessage?: string;
 }
 
 const formatBits = (bits: number): string => {
@@ -48,12 +49,12 @@ const CustomTooltip: React.FC<any> = ({ active, payload, label }) => {
     return null;
 };
 
-export const TrafficChart: React.FC<TrafficChartProps> = ({ data, height = 300, showXAxis = true }) => {
+export const TrafficChart: React.FC<TrafficChartProps> = ({ data, height = 300, showXAxis = true, emptyMessage = 'Waiting for telemetry...' }) => {
     // If no data, show a placeholder skeleton
     if (!data || data.length === 0) {
         return (
             <div className="w-full h-full flex items-center justify-center bg-slate-50 dark:bg-slate-800/50 rounded-lg border border-dashed border-slate-300 dark:border-slate-700">
-                <p className="text-slate-400 animate-pulse">Waiting for telemetry...</p>
+                <p className="text-slate-400 animate-pulse">{emptyMessage}</p>
             </div>
         );
     }
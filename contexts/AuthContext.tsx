@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 
 // Define the shape of the user object and the context
 interface User {
@@ -16,22 +16,60 @@ interface SecurityQuestion {
     answer: string;
 }
 
+// What /login, /login/totp, /register and /refresh answer with.
+interface SessionResponse {
+    token: string;
+    expiresAt: string;
+    refreshToken: string;
+    user: User;
+}
+
+// A forgotten password is reset with the security answers or an admin's code.
+type RecoveryProof = { answers: string[] } | { resetCode: string };
+
 interface AuthContextType {
     user: User | null;
     token: string | null;
     isLoading: boolean;
     hasUsers: boolean;
     error: string | null;
+    totpRequired: boolean;
     login: (username: string, password: string) => Promise<void>;
+    verifyTotp: (code: string) => Promise<void>;
+    cancelTotp: () => void;
     register: (username: string, password: string, securityQuestions: SecurityQuestion[]) => Promise<void>;
     logout: () => void;
     getSecurityQuestions: (username: string) => Promise<string[]>;
-    resetPassword: (username: string, answers: string[], newPassword: string) => Promise<{ success: boolean; message: string }>;
+    resetPassword: (username: string, proof: RecoveryProof, newPassword: string) => Promise<{ success: boolean; message: string }>;
     clearError: () => void;
     hasPermission: (permission: string) => boolean;
     verifyToken: (token: string) => Promise<void>; // Expose verifyToken
 }
 
+// Access tokens are short-lived; they are renewed this long before expiry.
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const storeSession = (data: SessionResponse) => {
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('authTokenExpiresAt', data.expiresAt);
+    localStorage.setItem('refreshToken', data.refreshToken);
+};
+
+// The refresh token goes first: other tabs treat a removed access token as
+// a logout only when no refresh token is left.
+const clearStoredSession = () => {
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('authTokenExpiresAt');
+    localStorage.removeItem('authToken');
+};
+
+const storedTokenIsFresh = () => {
+    const expiresAt = Date.parse(localStorage.getItem('authTokenExpiresAt') || '');
+    return !!localStorage.getItem('authToken') && expiresAt - Date.now() > REFRESH_MARGIN_MS;
+};
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Create the context with a default undefined value
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
@@ -42,9 +80,17 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     const [isLoading, setIsLoading] = useState(true);
     const [hasUsers, setHasUsers] = useState(true); // Assume users exist initially
     const [error, setError] = useState<string | null>(null);
+    const [totpChallenge, setTotpChallenge] = useState<string | null>(null);
+    const refreshing = useRef<Promise<boolean> | null>(null);
 
     const clearError = () => setError(null);
 
+    const endSession = useCallback(() => {
+        setUser(null);
+        setToken(null);
+        clearStoredSession();
+    }, []);
+
     const checkHasUsers = useCallback(async () => {
         try {
             const res = await fetch('/api/auth/has-users');
@@ -67,31 +113,95 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
                 setUser(userData);
             } else {
                 // Token is invalid, clear it
-                setUser(null);
-                setToken(null);
-                localStorage.removeItem('authToken');
+                endSession();
             }
         } catch (e) {
             console.error('Token verification failed', e);
-            setUser(null);
-            setToken(null);
-            localStorage.removeItem('authToken');
+            endSession();
         }
-    }, []);
+    }, [endSession]);
+
+    // Trades the refresh token for a new pair. Tabs share localStorage, so a
+    // token another tab has just renewed is picked up instead of refreshing
+    // again; the server answers 409 when two tabs race.
+    const refreshSession = useCallback((): Promise<boolean> => {
+        if (refreshing.current) return refreshing.current;
+        const run = async () => {
+            for (let attempt = 0; attempt < 2; attempt++) {
+                if (storedTokenIsFresh()) {
+                    setToken(localStorage.getItem('authToken'));
+                    return true;
+                }
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) break;
+                try {
+                    const response = await fetch('/api/auth/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken }),
+                    });
+                    if (response.status === 409) {
+                        await sleep(1000);
+                        continue;
+                    }
+                    if (!response.ok) break;
+                    const data: SessionResponse = await response.json();
+                    storeSession(data);
+                    setToken(data.token);
+                    setUser(data.user);
+                    return true;
+                } catch (e) {
+                    // The server is unreachable; keep the session and try again later.
+                    console.error('Session refresh failed', e);
+                    return false;
+                }
+            }
+            endSession();
+            return false;
+        };
+        refreshing.current = run().finally(() => { refreshing.current = null; });
+        return refreshing.current;
+    }, [endSession]);
 
     useEffect(() => {
         const initializeAuth = async () => {
             setIsLoading(true);
             await checkHasUsers();
-            const storedToken = localStorage.getItem('authToken');
-            if (storedToken) {
+            if (storedTokenIsFresh()) {
+                const storedToken = localStorage.getItem('authToken') as string;
                 setToken(storedToken);
                 await verifyToken(storedToken);
+            } else if (localStorage.getItem('refreshToken')) {
+                await refreshSession();
             }
             setIsLoading(false);
         };
         initializeAuth();
-    }, [checkHasUsers, verifyToken]);
+    }, [checkHasUsers, verifyToken, refreshSession]);
+
+    // Renews the access token shortly before it expires.
+    useEffect(() => {
+        if (!token) return;
+        const expiresAt = Date.parse(localStorage.getItem('authTokenExpiresAt') || '');
+        const delay = Number.isNaN(expiresAt) ? 0 : Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+        const timer = setTimeout(() => { refreshSession(); }, delay);
+        return () => clearTimeout(timer);
+    }, [token, refreshSession]);
+
+    // Follows logins, renewals and logouts made in other tabs.
+    useEffect(() => {
+        const onStorage = (e: StorageEvent) => {
+            if (e.key !== 'authToken') return;
+            if (e.newValue) {
+                setToken(e.newValue);
+            } else if (!localStorage.getItem('refreshToken')) {
+                setUser(null);
+                setToken(null);
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }, []);
 
     const handleAuth = async (url: string, body: object) => {
         setError(null);
@@ -106,30 +216,39 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
             if (!response.ok) {
                 throw new Error(data.message || 'An error occurred.');
             }
-            const { token: newToken, user: newUser } = data;
-            setToken(newToken);
-            setUser(newUser);
-            localStorage.setItem('authToken', newToken);
+            if (data.totpRequired) {
+                // The password was right; the session waits for the authenticator code.
+                setTotpChallenge(data.challengeToken);
+                return;
+            }
+            setTotpChallenge(null);
+            storeSession(data);
+            setToken(data.token);
+            setUser(data.user);
             await checkHasUsers(); // Re-check after registration
         } catch (e) {
             setError((e as Error).message);
             // Clear any potentially bad state
-            setUser(null);
-            setToken(null);
-            localStorage.removeItem('authToken');
+            endSession();
         } finally {
             setIsLoading(false);
         }
     };
 
     const login = (username: string, password: string) => handleAuth('/api/auth/login', { username, password });
+    const verifyTotp = (code: string) => handleAuth('/api/auth/login/totp', { challengeToken: totpChallenge, code });
+    const cancelTotp = () => {
+        setTotpChallenge(null);
+        setError(null);
+    };
     const register = (username: string, password: string, securityQuestions: SecurityQuestion[]) => handleAuth('/api/auth/register', { username, password, securityQuestions });
     
     const getSecurityQuestions = async (username: string): Promise<string[]> => {
         try {
             const response = await fetch(`/api/auth/security-questions/${encodeURIComponent(username)}`);
             if (!response.ok) {
-                throw new Error("Could not fetch security questions.");
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || "Could not fetch security questions.");
             }
             const data = await response.json();
             return data.questions || [];
@@ -140,14 +259,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         }
     };
 
-    const resetPassword = async (username: string, answers: string[], newPassword: string): Promise<{ success: boolean; message: string }> => {
+    const resetPassword = async (username: string, proof: RecoveryProof, newPassword: string): Promise<{ success: boolean; message: string }> => {
         setError(null);
         setIsLoading(true);
         try {
              const response = await fetch('/api/auth/reset-password', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, answers, newPassword }),
+                body: JSON.stringify({ username, ...proof, newPassword }),
             });
             const data = await response.json();
             if (!response.ok) {
@@ -162,31 +281,35 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         }
     };
 
+    // Revokes the session on the server; an expired access token still
+    // names the session, so this works after the tab has been idle.
     const logout = async () => {
         setError(null);
-        if (token) {
+        const currentToken = localStorage.getItem('authToken') || token;
+        if (currentToken) {
             try {
                 await fetch('/api/auth/logout', {
                     method: 'POST',
-                    headers: { 'Authorization': `Bearer ${token}` },
+                    headers: { 'Authorization': `Bearer ${currentToken}` },
                 });
             } catch (e) {
                 console.error("Logout failed on server, clearing client-side anyway.", e);
             }
         }
-        setUser(null);
-        setToken(null);
-        localStorage.removeItem('authToken');
+        endSession();
     };
 
     const hasPermission = (permission: string) => {
         if (!user || !user.permissions) return false;
-        // Admin has a wildcard permission
-        if (user.permissions.includes('*:*')) return true;
-        return user.permissions.includes(permission) || false;
+        // Same matching as the server: either side of 'resource:action' may be '*'.
+        const [resource, action] = permission.split(':');
+        return user.permissions.some(p => {
+            const [r, a] = p.split(':');
+            return (r === '*' || r === resource) && (a === '*' || a === action);
+        });
     };
 
-    const value = { user, token, isLoading, hasUsers, error, login, register, logout, getSecurityQuestions, resetPassword, clearError, hasPermission, verifyToken };
+    const value = { user, token, isLoading, hasUsers, error, totpRequired: !!totpChallenge, login, verifyTotp, cancelTotp, register, logout, getSecurityQuestions, resetPassword, clearError, hasPermission, verifyToken };
 
     return (
         <AuthContext.Provider value={value}>
@@ -0,0 +1,157 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import type { RouterStreamTopic, StreamEvent } from '../types.ts';
+import { useAuth } from './AuthContext.tsx';
+
+type StreamHandler = (event: StreamEvent) => void;
+
+interface EventStreamContextType {
+    connected: boolean;
+    subscribe: (type: string, handler: StreamHandler) => () => void;
+    watchRouter: (routerId: string, topics: RouterStreamTopic[]) => () => void;
+}
+
+const EventStreamContext = createContext<EventStreamContextType | undefined>(undefined);
+
+const MAX_RETRY_MS = 30000;
+
+// One WebSocket per tab to the panel's /ws/events. Views subscribe to the
+// event types they show and watch the router topics they need; the server
+// polls each watched router once for all tabs. Watches are counted here so
+// two views of one topic share it, and they are sent again on reconnect.
+export const EventStreamProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+    const { token } = useAuth();
+    const [connected, setConnected] = useState(false);
+    const socket = useRef<WebSocket | null>(null);
+    const handlers = useRef(new Map<string, Set<StreamHandler>>());
+    const watches = useRef(new Map<string, number>()); // `${routerId}|${topic}` -> views watching it
+
+    const sendWatch = useCallback((action: 'watch' | 'unwatch', key: string) => {
+        const ws = socket.current;
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        const [routerId, topic] = key.split('|');
+        ws.send(JSON.stringify({ action, routerId, topics: [topic] }));
+    }, []);
+
+    useEffect(() => {
+        if (!token) return;
+        let stopped = false;
+        let retryMs = 1000;
+        let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+        // Browsers can't set headers on a WebSocket, so the token goes in the
+        // subprotocol list as it does for the terminal.
+        const connect = () => {
+            const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            const ws = new WebSocket(`${wsProtocol}//${window.location.host}/ws/events`, ['bearer', token]);
+            socket.current = ws;
+            ws.onopen = () => {
+                retryMs = 1000;
+                setConnected(true);
+                watches.current.forEach((_, key) => sendWatch('watch', key));
+            };
+            ws.onmessage = (e) => {
+                let event: StreamEvent;
+                try {
+                    event = JSON.parse(e.data);
+                } catch {
+                    return;
+                }
+                handlers.current.get(event.type)?.forEach(handler => handler(event));
+            };
+            ws.onclose = (e) => {
+                if (socket.current === ws) socket.current = null;
+                setConnected(false);
+                // 4001 means the session ended; a renewed token reconnects
+                // through this effect instead.
+                if (stopped || e.code === 4001) return;
+                retryTimer = setTimeout(connect, retryMs);
+                retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+            };
+        };
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            socket.current?.close();
+            socket.current = null;
+            setConnected(false);
+        };
+    }, [token, sendWatch]);
+
+    const subscribe = useCallback((type: string, handler: StreamHandler) => {
+        const set = handlers.current.get(type) || new Set<StreamHandler>();
+        set.add(handler);
+        handlers.current.set(type, set);
+        return () => { set.delete(handler); };
+    }, []);
+
+    const watchRouter = useCallback((routerId: string, topics: RouterStreamTopic[]) => {
+        const keys = topics.map(topic => `${routerId}|${topic}`);
+        keys.forEach(key => {
+            const count = watches.current.get(key) || 0;
+            watches.current.set(key, count + 1);
+            if (!count) sendWatch('watch', key);
+        });
+        return () => {
+            keys.forEach(key => {
+                const count = watches.current.get(key) || 0;
+                if (count > 1) {
+                    watches.current.set(key, count - 1);
+                } else {
+                    watches.current.delete(key);
+                    sendWatch('unwatch', key);
+                }
+            });
+        };
+    }, [sendWatch]);
+
+    return (
+        <EventStreamContext.Provider value={{ connected, subscribe, watchRouter }}>
+            {children}
+        </EventStreamContext.Provider>
+    );
+};
+
+export const useEventStream = () => {
+    const context = useContext(EventStreamContext);
+    if (context === undefined) {
+        throw new Error('useEventStream must be used within an EventStreamProvider');
+    }
+    return context;
+};
+
+// Calls `handler` for every event of `type` while the component is mounted.
+// The latest handler is used without subscribing again.
+export const useStreamEvent = <T = any>(type: string, handler: (event: StreamEvent<T>) => void) => {
+    const { subscribe } = useEventStream();
+    const latest = useRef(handler);
+    latest.current = handler;
+    useEffect(() => subscribe(type, event => latest.current(event)), [type, subscribe]);
+};
+
+// Asks the server to poll `topics` of the router while the component is
+// mounted. Their events arrive through useStreamEvent.
+export const useRouterWatch = (routerId: string | undefined, topics: RouterStreamTopic[]) => {
+    const { watchRouter } = useEventStream();
+    const key = topics.join(',');
+    useEffect(() => {
+        if (!routerId || !key) return;
+        return watchRouter(routerId, key.split(',') as RouterStreamTopic[]);
+    }, [routerId, key, watchRouter]);
+};
+
+// Watches one topic of a router and hands over each poll's result, or the
+// reason the poll or the watch itself failed.
+export const useRouterTopic = <T = any>(routerId: string | undefined, topic: RouterStreamTopic, onData: (data: T) => void, onError: (message: string) => void) => {
+    useRouterWatch(routerId, [topic]);
+    useStreamEvent<T>(topic, event => {
+        if (event.routerId === routerId) onData(event.data);
+    });
+    useStreamEvent<{ message: string }>('router-error', event => {
+        if (event.routerId === routerId && event.topic === topic) onError(event.data.message);
+    });
+    useStreamEvent<{ message: string }>('error', event => {
+        if (event.routerId === routerId && event.topics?.includes(topic)) onError(event.data.message);
+    });
+};
@@ -4,6 +4,7 @@ import React, { createContext, useContext, useState, useEffect, useCallback } fr
 import type { Notification } from '../types.ts';
 import { dbApi } from '../services/databaseService.ts';
 import { useAuth } from './AuthContext.tsx';
+import { useStreamEvent } from './EventStreamContext.tsx';
 
 interface NotificationContextType {
     notifications: Notification[];
@@ -35,14 +36,15 @@ export const NotificationProvider: React.FC<{ children: React.ReactNode }> = ({
     }, [user]);
 
     useEffect(() => {
-        if (user) {
-            fetchNotifications();
-            const interval = setInterval(fetchNotifications, 15000); // Poll every 15 seconds
-            return () => clearInterval(interval);
-        } else {
-            setNotifications([]);
-        }
-    }, [user, fetchNotifications]);
+        fetchNotifications();
+    }, [fetchNotifications]);
+
+    // New notifications arrive on the event stream. The list is re-read
+    // whenever the stream (re)connects, for anything sent while it was down.
+    useStreamEvent('ready', () => { fetchNotifications(); });
+    useStreamEvent<Notification>('notification', ({ data }) => {
+        setNotifications(prev => (prev.some(n => n.id === data.id) ? prev : [data, ...prev]));
+    });
 
     const unreadCount = notifications.filter(n => n.is_read === 0).length;
 
@@ -41,8 +41,8 @@ export const useRouters = () => {
 
     const updateRouter = async (updatedRouter: RouterConfigWithId) => {
         try {
-            // The password field is not always sent from the form if unchanged.
-            // We need to merge with the existing data to avoid accidentally wiping it.
+            // The password is only sent when it was changed; the panel keeps
+            // the stored one otherwise. Merge so no other field is wiped.
             const existingRouter = routers.find(r => r.id === updatedRouter.id);
             const dataToSend = { ...existingRouter, ...updatedRouter };
             
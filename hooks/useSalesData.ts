@@ -1,8 +1,9 @@
 
 
 import { useState, useEffect, useCallback } from 'react';
-import type { SaleRecord } from '../types.ts';
+import type { PaymentEvent, SaleRecord } from '../types.ts';
 import { dbApi } from '../services/databaseService.ts';
+import { useStreamEvent } from '../contexts/EventStreamContext.tsx';
 
 export const useSalesData = (routerId: string | null) => {
     const [sales, setSales] = useState<SaleRecord[]>([]);
@@ -34,6 +35,12 @@ export const useSalesData = (routerId: string | null) => {
         fetchSales();
     }, [fetchSales]);
 
+    // Sales recorded elsewhere (another tab, voucher sync, Xendit) show up
+    // without a reload. Ledger payments are not sales records.
+    useStreamEvent<PaymentEvent>('payment', ({ data }) => {
+        if (data.source !== 'ledger' && data.routerId === routerId) fetchSales();
+    });
+
     const addSale = async (saleData: Omit<SaleRecord, 'id'>) => {
         if (!routerId) {
             const err = new Error("Cannot add sale without a selected router.");
@@ -0,0 +1,215 @@
+// Append-only audit trail of every change made through /api/db, /api/ledger
+// and the /mt-api router pass-through. Triggers on audit_log reject UPDATE
+// and DELETE, so rows can only ever be added.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { routerPermission } = require('./rbac');
+const { toCsv } = require('./csv');
+
+const SECRET_FIELD = /pass(word)?|secret|token|api[-_]?key/i;
+const MAX_STRING = 4096;
+const MAX_EXPORT_ROWS = 50000;
+
+// Keeps credentials out of the log and long blobs (file uploads, logos)
+// from bloating it.
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = SECRET_FIELD.test(k) && v && typeof v !== 'object' ? '[redacted]' : sanitize(v);
+    return out;
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING) return `${value.slice(0, MAX_STRING)}...[truncated ${value.length - MAX_STRING} chars]`;
+  return value;
+}
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(sanitize(value)));
+
+// Best-effort subscriber name so the log can be searched by customer.
+function customerOf(...sources) {
+  for (const s of sources) {
+    if (!s || typeof s !== 'object') continue;
+    const name = s.username || s.clientName || s.customerInfo || s.customerId
+      || (s.secret && s.secret.name) || (s.secretData && s.secretData.name)
+      || s.name;
+    if (name) return String(name);
+  }
+  return null;
+}
+
+// Tables whose rows belong to a subscriber, and the column naming them.
+const CUSTOMER_COLUMNS = { customers: 'username', sales_records: 'clientName', dhcp_clients: 'customerInfo' };
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function toEntry(row) {
+  const { payload_json, before_json, after_json, ...rest } = row;
+  const parse = (v) => (v ? JSON.parse(v) : null);
+  return { ...rest, payload: parse(payload_json), before: parse(before_json), after: parse(after_json) };
+}
+
+function buildFilter(query) {
+  const where = [];
+  const params = [];
+  const eq = { userId: 'userId', username: 'username', routerId: 'routerId', source: 'source', target: 'target' };
+  for (const [param, column] of Object.entries(eq)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    if (typeof query[param] !== 'string') throw new ValidationError(param, `Filter '${param}' must have a single value`);
+    where.push(`${column} = ?`);
+    params.push(query[param]);
+  }
+  if (query.customer) {
+    if (typeof query.customer !== 'string') throw new ValidationError('customer', "Filter 'customer' must have a single value");
+    where.push('customer LIKE ?');
+    params.push(`%${query.customer}%`);
+  }
+  for (const [param, op] of [['from', '>='], ['to', '<=']]) {
+    if (!query[param]) continue;
+    if (typeof query[param] !== 'string' || Number.isNaN(Date.parse(query[param]))) throw new ValidationError(param, `Filter '${param}' must be an ISO date`);
+    // A bare date for `to` means "through the end of that day".
+    const value = param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[param]) ? `${query[param]}T23:59:59.999Z` : new Date(query[param]).toISOString();
+    where.push(`timestamp ${op} ?`);
+    params.push(value);
+  }
+  return { sql: where.length ? ` WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function createAudit(db, { routerClient } = {}) {
+  async function record(entry) {
+    await db.run(
+      `INSERT INTO audit_log (timestamp, userId, username, source, method, routerId, target, recordId, customer, status, ip, payload_json, before_json, after_json)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        new Date().toISOString(), entry.userId || null, entry.username || null, entry.source, entry.method,
+        entry.routerId || null, entry.target, entry.recordId || null, entry.customer || null, entry.status || null,
+        entry.ip || null, toJson(entry.payload), toJson(entry.before), toJson(entry.after),
+      ]
+    );
+  }
+
+  // `describe(req)` returns what is being changed; its optional `load()`
+  // fetches the current state so it can be captured before and after.
+  function track(source, describe) {
+    return async (req, res, next) => {
+      if (READ_METHODS.has(req.method)) return next();
+      let info;
+      let before = null;
+      try {
+        info = describe(req);
+        if (info.load) before = await info.load().catch(() => null);
+      } catch (e) {
+        return next();
+      }
+      res.on('finish', async () => {
+        try {
+          const succeeded = res.statusCode < 400;
+          const after = succeeded && info.load && req.method !== 'DELETE' && !info.removes ? await info.load().catch(() => null) : null;
+          await record({
+            userId: req.user ? req.user.id : req.auth && req.auth.sub,
+            username: req.user ? req.user.username : req.auth && req.auth.username,
+            source,
+            method: req.method,
+            routerId: info.routerId || (after || before || {}).routerId,
+            target: info.target,
+            recordId: info.recordId,
+            customer: info.customer ? info.customer(after || before) : customerOf(req.body, after, before),
+            status: res.statusCode,
+            ip: req.ip,
+            payload: req.body,
+            before,
+            after,
+          });
+        } catch (e) {
+          console.error('Failed to write audit log entry:', e.message);
+        }
+      });
+      next();
+    };
+  }
+
+  // For a generic CRUD router mounted at /api/db/<route>: `/:id` paths (and
+  // the id in a POST body) identify the row.
+  const trackTable = (table) => track('db', (req) => {
+    const recordId = decodeURIComponent(req.path.split('/')[1] || '') || (req.body && req.body.id) || null;
+    const column = CUSTOMER_COLUMNS[table];
+    return {
+      target: table,
+      recordId,
+      routerId: (req.body && req.body.routerId) || undefined,
+      customer: (row) => (column && (row || req.body || {})[column]) || null,
+      load: recordId ? () => db.get(`SELECT * FROM ${table} WHERE id = ?`, [recordId]) : null,
+    };
+  });
+
+  const trackKv = (key) => track('db', () => ({
+    target: key,
+    customer: () => null,
+    load: async () => {
+      const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', [key]);
+      return row ? JSON.parse(row.value_json) : null;
+    },
+  }));
+
+  const trackRequest = (source, target) => track(source, (req) => ({
+    target: target || req.path.replace(/^\/+/, ''),
+    routerId: req.body && req.body.routerId,
+  }));
+
+  // Changes to a single RouterOS item (`set`/`remove`/`enable`/`disable` with
+  // a .id, or PATCH/DELETE on `menu/*id`) can read that item back through
+  // api-backend before and after.
+  const routerWrite = track('router', (req) => {
+    const [, routerId, ...rest] = req.path.split('/');
+    const endpoint = rest.join('/');
+    const parts = endpoint.split('/');
+    const last = parts[parts.length - 1];
+    const menu = parts.slice(0, -1).join('/');
+    const inPath = /^\*[0-9a-f]+$/i.test(last);
+    const itemId = inPath ? last : req.body && (req.body['.id'] || req.body.id);
+    const info = { routerId, target: endpoint, recordId: itemId || null, removes: last === 'remove' };
+    if (routerClient && itemId && (inPath || ['set', 'remove', 'enable', 'disable'].includes(last))) {
+      info.load = () => routerClient.call(routerId, `${menu}/${itemId}`);
+    }
+    return info;
+  });
+  // Prints (including legacy-style POST .../print) and connection tests
+  // change nothing on the router.
+  const trackRouter = (req, res, next) => {
+    const [, routerId, ...rest] = req.path.split('/');
+    if (routerId === 'test' || routerPermission(req.method, routerId, rest.join('/'))[1] === 'read') return next();
+    return routerWrite(req, res, next);
+  };
+
+  async function query(q, { limit, offset }) {
+    const filter = buildFilter(q);
+    const rows = await db.all(`SELECT * FROM audit_log${filter.sql} ORDER BY id DESC LIMIT ? OFFSET ?`, [...filter.params, limit, offset]);
+    const count = await db.get(`SELECT COUNT(*) AS total FROM audit_log${filter.sql}`, filter.params);
+    return { rows: rows.map(toEntry), total: count.total };
+  }
+
+  const router = express.Router();
+  router.get('/', async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) throw new ValidationError('limit', 'limit must be an integer between 1 and 1000');
+      if (!Number.isInteger(offset) || offset < 0) throw new ValidationError('offset', 'offset must be a non-negative integer');
+      const { limit: _l, offset: _o, ...filters } = req.query;
+      const { rows, total } = await query(filters, { limit, offset });
+      res.set('X-Total-Count', String(total));
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/export.csv', async (req, res) => {
+    try {
+      const { rows } = await query(req.query, { limit: MAX_EXPORT_ROWS, offset: 0 });
+      const columns = ['id', 'timestamp', 'username', 'userId', 'source', 'method', 'routerId', 'target', 'recordId', 'customer', 'status', 'ip', 'payload', 'before', 'after'];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+      res.send(toCsv(columns, rows));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { record, trackTable, trackKv, trackRequest, trackRouter, router };
+}
+
+module.exports = { createAudit };
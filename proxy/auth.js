@@ -0,0 +1,505 @@
+// Panel logins and sessions.
+//
+// A login creates a session row in auth_sessions and returns a short-lived
+// access token (a JWT naming the session) plus an opaque refresh token. The
+// access token is checked against the session on every request, so logging
+// out, changing a password or revoking a session takes effect at once.
+// Refresh tokens are stored hashed and replaced on every use; presenting one
+// that has already been replaced revokes the session, since it means the
+// token was copied.
+//
+// Failed logins are limited per IP and per username, users can turn on TOTP
+// two-factor, and a forgotten password can only be reset with the answers to
+// the user's stored security questions or with a code an admin issued.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction } = require('./dbUtils');
+const { createRateLimiter } = require('./rateLimit');
+const totp = require('./totp');
+
+const ACCESS_TTL = '15m';
+const CHALLENGE_TTL = '5m';
+const REFRESH_IDLE_MS = 7 * 24 * 3600 * 1000;
+const SESSION_MAX_MS = 30 * 24 * 3600 * 1000;
+// A refresh token replaced this recently is answered with 409 instead of
+// revoking the session: two tabs refreshing at once is not theft.
+const REFRESH_GRACE_MS = 30 * 1000;
+const RESET_CODE_TTL_MS = 3600 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+const QUESTION_COUNT = 3;
+const TOTP_ISSUER = 'Mikrotik Panel';
+const SECRET_FILE = process.env.PANEL_JWT_SECRET_FILE || path.join(__dirname, 'jwt.secret');
+const INVALID_LOGIN = 'Invalid credentials';
+const INVALID_CODE = 'Invalid authentication code';
+const INVALID_RECOVERY = 'The username, answers or reset code are not correct';
+const SESSION_EXPIRED = 'Your session has expired, please log in again.';
+
+// Offered at registration. Usernames without stored questions get a stable
+// pick from this list, so the recovery form can't be used to find accounts.
+const DEFAULT_QUESTIONS = [
+  "What was your mother's maiden name?",
+  'What was the name of your first pet?',
+  'What city were you born in?',
+  'What was the model of your first car?',
+  'What is your favorite book?',
+];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const sameHash = (a, b) => !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+const normalizeAnswer = (answer) => String(answer || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Compared against when there is no real hash, so an unknown user takes as
+// long to reject as a wrong password.
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// The key that signs panel tokens. JWT_SECRET wins when set; otherwise a
+// random key is generated once into proxy/jwt.secret (or
+// PANEL_JWT_SECRET_FILE), which the api-backend reads as well.
+function loadJwtSecret({ file = SECRET_FILE } = {}) {
+  const fromEnv = process.env.JWT_SECRET;
+  if (fromEnv) {
+    if (fromEnv === 'dev-secret') throw new Error('JWT_SECRET is set to the old default "dev-secret". Set a long random value, or unset it to use a generated key file.');
+    if (fromEnv.length < 32) console.warn('JWT_SECRET is shorter than 32 characters; tokens signed with it are easier to forge.');
+    return fromEnv;
+  }
+  try {
+    const stored = fs.readFileSync(file, 'utf8').trim();
+    if (stored) return stored;
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const secret = crypto.randomBytes(48).toString('base64');
+  fs.writeFileSync(file, `${secret}\n`, { mode: 0o600 });
+  console.log(`Created a new token signing key at ${file}.`);
+  return secret;
+}
+
+function assertPassword(password, field = 'password') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(field, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// Revokes every open session of a user, optionally keeping one (the caller's
+// own when they change their password). Returns how many were revoked.
+async function revokeUserSessions(db, userId, reason, { except } = {}) {
+  const params = [new Date().toISOString(), reason, userId];
+  let sql = 'UPDATE auth_sessions SET revokedAt = ?, revokeReason = ? WHERE userId = ? AND revokedAt IS NULL';
+  if (except) {
+    sql += ' AND id != ?';
+    params.push(except);
+  }
+  const result = await db.run(sql, params);
+  return result.changes || 0;
+}
+
+// Stores a new password and ends the user's sessions.
+async function setPassword(db, userId, password, reason, { keepSession } = {}) {
+  assertPassword(password);
+  await db.run('UPDATE users SET password_hash = ?, passwordChangedAt = ?, resetCodeHash = NULL, resetCodeExpiresAt = NULL WHERE id = ?',
+    [await bcrypt.hash(password, 10), new Date().toISOString(), userId]);
+  await revokeUserSessions(db, userId, reason, { except: keepSession });
+}
+
+// A single-use code an admin hands to a user who can't log in. Issuing a new
+// one replaces the previous code.
+async function issueResetCode(db, userId) {
+  const code = String(crypto.randomInt(0, 1e8)).padStart(8, '0');
+  const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MS).toISOString();
+  await db.run('UPDATE users SET resetCodeHash = ?, resetCodeExpiresAt = ? WHERE id = ?', [await bcrypt.hash(code, 10), expiresAt, userId]);
+  return { code, expiresAt };
+}
+
+function parseQuestions(list) {
+  if (!Array.isArray(list) || list.length !== QUESTION_COUNT) {
+    throw new ValidationError('securityQuestions', `Exactly ${QUESTION_COUNT} security questions are required`);
+  }
+  const questions = list.map((q) => ({ question: String(q && q.question || '').trim(), answer: normalizeAnswer(q && q.answer) }));
+  if (questions.some(q => !q.question || !q.answer)) throw new ValidationError('securityQuestions', 'Every security question needs an answer');
+  if (new Set(questions.map(q => q.question)).size !== questions.length) throw new ValidationError('securityQuestions', 'Security questions must be different');
+  return questions;
+}
+
+async function saveQuestions(db, userId, questions) {
+  const hashes = await Promise.all(questions.map(q => bcrypt.hash(q.answer, 10)));
+  await withTransaction(db, async () => {
+    await db.run('DELETE FROM user_security_questions WHERE userId = ?', [userId]);
+    for (const [i, q] of questions.entries()) {
+      await db.run('INSERT INTO user_security_questions (userId, position, question, answerHash) VALUES (?, ?, ?, ?)', [userId, i, q.question, hashes[i]]);
+    }
+  });
+}
+
+function createAuth(db, { rbac, secretKey, secretBox }) {
+  const challengeKey = crypto.createHmac('sha256', secretKey).update('login-totp').digest();
+  const decoyKey = crypto.createHmac('sha256', secretKey).update('security-questions').digest();
+
+  // Every login, second-factor and recovery attempt from one address.
+  const authByIp = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20, message: 'Too many attempts, please try again later.' });
+  // Failed attempts against one username, whoever makes them.
+  const failuresByUser = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5, message: 'Too many failed attempts for this account, please try again in 15 minutes.' });
+  const refreshByIp = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+  const authLimit = authByIp.middleware();
+
+  const userKey = (username) => String(username || '').trim().toLowerCase();
+
+  // Runs one attempt under the per-username limit. `check` resolves to the
+  // user on success and null on any failure; the counter is only cleared by
+  // the caller once the whole login has succeeded.
+  async function attempt(res, username, failure, check) {
+    const key = userKey(username);
+    const wait = failuresByUser.retryAfter(key);
+    if (wait) {
+      failuresByUser.reject(res, wait);
+      return null;
+    }
+    const user = await check();
+    if (!user) {
+      failuresByUser.hit(key);
+      throw httpError(401, failure);
+    }
+    return user;
+  }
+
+  function accessToken(user, sid) {
+    const token = jwt.sign({ sub: user.id, username: user.username, sid }, secretKey, { expiresIn: ACCESS_TTL });
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+  }
+
+  const newRefreshToken = (sid) => `${sid}.${crypto.randomBytes(32).toString('base64url')}`;
+
+  async function startSession(req, user) {
+    const sid = `sess_${crypto.randomBytes(12).toString('hex')}`;
+    const refreshToken = newRefreshToken(sid);
+    const now = new Date();
+    await db.run(
+      'INSERT INTO auth_sessions (id, userId, refreshHash, createdAt, lastUsedAt, expiresAt, ip, userAgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [sid, user.id, sha256(refreshToken), now.toISOString(), now.toISOString(), new Date(now.getTime() + REFRESH_IDLE_MS).toISOString(),
+        req.ip, String(req.headers['user-agent'] || '').slice(0, 300)]
+    );
+    return { ...accessToken(user, sid), refreshToken, user: await rbac.getUser(user.id) };
+  }
+
+  // Returns the token payload, or null when the token is invalid or its
+  // session has ended. Tokens the panel mints for its own jobs carry
+  // `system: true` and have no session.
+  async function verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token || ''), secretKey);
+    } catch (e) {
+      return null;
+    }
+    if (payload.system) return payload;
+    if (!payload.sid) return null;
+    const session = await db.get('SELECT userId, expiresAt, revokedAt FROM auth_sessions WHERE id = ?', [payload.sid]);
+    if (!session || session.revokedAt || session.userId !== payload.sub || session.expiresAt <= new Date().toISOString()) return null;
+    return payload;
+  }
+
+  async function protect(req, res, next) {
+    try {
+      const h = req.headers.authorization || '';
+      const auth = h.startsWith('Bearer ') ? await verifyAccessToken(h.slice(7)) : null;
+      if (!auth) return res.status(401).json({ message: 'Unauthorized' });
+      req.auth = auth;
+      next();
+    } catch (e) { sendError(res, e); }
+  }
+
+  // A code is accepted once: the step it belongs to is recorded, and the
+  // conditional update makes two requests racing with one code both fail
+  // but one.
+  async function checkTotp(user, code) {
+    if (!user.totpSecret) return false;
+    const lastStep = user.totpLastStep === null || user.totpLastStep === undefined ? -1 : user.totpLastStep;
+    const step = totp.verify(secretBox.decrypt(user.totpSecret), code, { afterStep: lastStep });
+    if (step === null) return false;
+    const result = await db.run('UPDATE users SET totpLastStep = ? WHERE id = ? AND (totpLastStep IS NULL OR totpLastStep < ?)', [step, user.id, step]);
+    return result.changes === 1;
+  }
+
+  async function requireCurrentPassword(userId, password) {
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    if (!user) throw httpError(401, 'Unauthorized');
+    if (!password || !await bcrypt.compare(String(password), user.password_hash)) {
+      throw new ValidationError('currentPassword', 'Current password is not correct');
+    }
+    return user;
+  }
+
+  function decoyQuestions(username) {
+    const digest = crypto.createHmac('sha256', decoyKey).update(userKey(username)).digest();
+    const pool = [...DEFAULT_QUESTIONS];
+    return Array.from({ length: QUESTION_COUNT }, (_, i) => pool.splice(digest[i] % pool.length, 1)[0]);
+  }
+
+  const router = express.Router();
+
+  router.get('/has-users', async (req, res) => {
+    try {
+      const row = await db.get('SELECT COUNT(*) as count FROM users');
+      res.json({ hasUsers: (row?.count || 0) > 0 });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Only creates the first account; everyone else is added by an admin.
+  router.post('/register', authLimit, async (req, res) => {
+    try {
+      const { username, password, securityQuestions } = req.body || {};
+      if (typeof username !== 'string' || !username.trim()) throw new ValidationError('username', "Field 'username' is required");
+      assertPassword(password);
+      const questions = parseQuestions(securityQuestions);
+      const existing = await db.get('SELECT COUNT(*) as count FROM users');
+      if (existing.count > 0) return res.status(403).json({ message: 'Registration is closed. Ask an administrator for an account.' });
+      const id = `user_${Date.now()}`;
+      const hash = await bcrypt.hash(password, 10);
+      await db.run('INSERT INTO users (id, username, password_hash, role_id, passwordChangedAt) VALUES (?, ?, ?, ?, ?)',
+        [id, username.trim(), hash, 'role_administrator', new Date().toISOString()]);
+      await saveQuestions(db, id, questions);
+      res.json(await startSession(req, { id, username: username.trim() }));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // With two-factor on, a correct password only earns a challenge token that
+  // /login/totp exchanges for a session together with a current code.
+  router.post('/login', authLimit, async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      if (!username || !password) return res.status(400).json({ message: 'Missing credentials' });
+      const user = await attempt(res, username, INVALID_LOGIN, async () => {
+        const found = await db.get('SELECT * FROM users WHERE username = ?', [String(username)]);
+        const ok = await bcrypt.compare(String(password), found ? found.password_hash : DUMMY_HASH);
+        return ok && found ? found : null;
+      });
+      if (!user) return;
+      if (user.totpEnabled) {
+        const challengeToken = jwt.sign({ sub: user.id, username: user.username, totp: true }, challengeKey, { expiresIn: CHALLENGE_TTL });
+        return res.json({ totpRequired: true, challengeToken });
+      }
+      failuresByUser.reset(userKey(username));
+      res.json(await startSession(req, user));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/login/totp', authLimit, async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body || {};
+      let challenge;
+      try {
+        challenge = jwt.verify(String(challengeToken || ''), challengeKey);
+      } catch (e) {
+        throw httpError(401, 'The login has expired, please sign in again.');
+      }
+      const user = await attempt(res, challenge.username, INVALID_CODE, async () => {
+        const found = await db.get('SELECT * FROM users WHERE id = ?', [challenge.sub]);
+        return found && found.totpEnabled && await checkTotp(found, code) ? found : null;
+      });
+      if (!user) return;
+      failuresByUser.reset(userKey(challenge.username));
+      res.json(await startSession(req, user));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/refresh', refreshByIp.middleware(), async (req, res) => {
+    try {
+      const refreshToken = String((req.body || {}).refreshToken || '');
+      const sid = refreshToken.split('.')[0];
+      const session = sid ? await db.get('SELECT * FROM auth_sessions WHERE id = ?', [sid]) : null;
+      const now = new Date();
+      if (!session || session.revokedAt || session.expiresAt <= now.toISOString()) throw httpError(401, SESSION_EXPIRED);
+      const hash = sha256(refreshToken);
+      if (!sameHash(hash, session.refreshHash)) {
+        if (sameHash(hash, session.previousRefreshHash) && now - Date.parse(session.rotatedAt) < REFRESH_GRACE_MS) {
+          throw httpError(409, 'This session was just refreshed by another tab.');
+        }
+        await db.run("UPDATE auth_sessions SET revokedAt = ?, revokeReason = 'refresh token reused' WHERE id = ?", [now.toISOString(), sid]);
+        throw httpError(401, SESSION_EXPIRED);
+      }
+      const user = await db.get('SELECT id, username FROM users WHERE id = ?', [session.userId]);
+      if (!user) throw httpError(401, SESSION_EXPIRED);
+      const next = newRefreshToken(sid);
+      const expiresAt = new Date(Math.min(now.getTime() + REFRESH_IDLE_MS, Date.parse(session.createdAt) + SESSION_MAX_MS)).toISOString();
+      const result = await db.run(
+        'UPDATE auth_sessions SET refreshHash = ?, previousRefreshHash = ?, rotatedAt = ?, lastUsedAt = ?, expiresAt = ?, ip = ?, userAgent = ? WHERE id = ? AND refreshHash = ?',
+        [sha256(next), hash, now.toISOString(), now.toISOString(), expiresAt, req.ip, String(req.headers['user-agent'] || '').slice(0, 300), sid, hash]
+      );
+      if (result.changes !== 1) throw httpError(409, 'This session was just refreshed by another tab.');
+      res.json({ ...accessToken(user, sid), refreshToken: next, user: await rbac.getUser(user.id) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/status', protect, async (req, res) => {
+    try {
+      const user = await rbac.getUser(req.auth.sub);
+      if (!user) return res.status(401).json({ message: 'Unauthorized' });
+      res.json(user);
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Ends the session the token belongs to. An expired access token still
+  // names its session, so logging out works after the tab has been idle.
+  router.post('/logout', async (req, res) => {
+    try {
+      const h = req.headers.authorization || '';
+      let payload = null;
+      try {
+        payload = jwt.verify(h.startsWith('Bearer ') ? h.slice(7) : '', secretKey, { ignoreExpiration: true });
+      } catch (e) { /* nothing to revoke */ }
+      if (payload && payload.sid) {
+        await db.run("UPDATE auth_sessions SET revokedAt = ?, revokeReason = 'logout' WHERE id = ? AND userId = ? AND revokedAt IS NULL",
+          [new Date().toISOString(), payload.sid, payload.sub]);
+      }
+      res.json({ message: 'Logged out' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // The signed-in user's own security settings.
+  router.get('/account', protect, async (req, res) => {
+    try {
+      const user = await db.get('SELECT id, username, totpEnabled, passwordChangedAt FROM users WHERE id = ?', [req.auth.sub]);
+      if (!user) return res.status(401).json({ message: 'Unauthorized' });
+      const questions = await db.all('SELECT question FROM user_security_questions WHERE userId = ? ORDER BY position', [user.id]);
+      res.json({
+        username: user.username,
+        totpEnabled: !!user.totpEnabled,
+        passwordChangedAt: user.passwordChangedAt || null,
+        securityQuestions: questions.map(q => q.question),
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/sessions', protect, async (req, res) => {
+    try {
+      const rows = await db.all(
+        'SELECT id, createdAt, lastUsedAt, expiresAt, ip, userAgent FROM auth_sessions WHERE userId = ? AND revokedAt IS NULL AND expiresAt > ? ORDER BY lastUsedAt DESC',
+        [req.auth.sub, new Date().toISOString()]
+      );
+      res.json(rows.map(r => ({ ...r, current: r.id === req.auth.sid })));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+      const result = await db.run("UPDATE auth_sessions SET revokedAt = ?, revokeReason = 'revoked by user' WHERE id = ? AND userId = ? AND revokedAt IS NULL",
+        [new Date().toISOString(), req.params.id, req.auth.sub]);
+      if (!result.changes) return res.status(404).json({ message: 'Not found' });
+      res.json({ message: 'Session revoked' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Other sessions are ended; the one making the change stays signed in.
+  router.post('/change-password', protect, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      await requireCurrentPassword(req.auth.sub, currentPassword);
+      await setPassword(db, req.auth.sub, newPassword, 'password changed', { keepSession: req.auth.sid });
+      res.json({ message: 'Password updated' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/change-superadmin-password', protect, rbac.requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const { newPassword } = req.body || {};
+      const superUser = await db.get('SELECT id FROM users WHERE username = ?', ['superadmin']);
+      const targetId = superUser ? superUser.id : req.auth.sub;
+      await setPassword(db, targetId, newPassword, 'password changed', { keepSession: req.auth.sid });
+      res.json({ message: 'Password updated' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.put('/security-questions', protect, async (req, res) => {
+    try {
+      const { currentPassword, securityQuestions } = req.body || {};
+      await requireCurrentPassword(req.auth.sub, currentPassword);
+      await saveQuestions(db, req.auth.sub, parseQuestions(securityQuestions));
+      res.json({ message: 'Security questions saved' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Answers the same way for every username, so only the user's own
+  // answers (or an admin's reset code) tell whether the reset worked.
+  router.get('/security-questions/:username', authLimit, async (req, res) => {
+    try {
+      const user = await db.get('SELECT id FROM users WHERE username = ?', [req.params.username]);
+      const rows = user ? await db.all('SELECT question FROM user_security_questions WHERE userId = ? ORDER BY position', [user.id]) : [];
+      res.json({ questions: rows.length ? rows.map(r => r.question) : decoyQuestions(req.params.username) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Resets a forgotten password with either the security answers or an
+  // admin's reset code. The code also turns two-factor off, since it is how
+  // a user who lost their authenticator gets back in; the answers alone
+  // never get past two-factor.
+  router.post('/reset-password', authLimit, async (req, res) => {
+    try {
+      const { username, answers, resetCode, newPassword } = req.body || {};
+      if (!username || (!resetCode && !Array.isArray(answers))) throw new ValidationError('username', 'username and either answers or resetCode are required');
+      assertPassword(newPassword, 'newPassword');
+      const user = await attempt(res, username, INVALID_RECOVERY, async () => {
+        const found = await db.get('SELECT * FROM users WHERE username = ?', [String(username)]);
+        if (resetCode) {
+          const live = found && found.resetCodeHash && found.resetCodeExpiresAt > new Date().toISOString();
+          const ok = await bcrypt.compare(String(resetCode).trim(), live ? found.resetCodeHash : DUMMY_HASH);
+          return ok && live ? found : null;
+        }
+        const stored = found ? await db.all('SELECT answerHash FROM user_security_questions WHERE userId = ? ORDER BY position', [found.id]) : [];
+        let ok = stored.length > 0 && answers.length === stored.length;
+        for (let i = 0; i < QUESTION_COUNT; i++) {
+          const match = await bcrypt.compare(normalizeAnswer(answers[i]), stored[i] ? stored[i].answerHash : DUMMY_HASH);
+          ok = ok && match;
+        }
+        return ok ? found : null;
+      });
+      if (!user) return;
+      await setPassword(db, user.id, newPassword, 'password reset');
+      if (resetCode) await db.run('UPDATE users SET totpEnabled = 0, totpSecret = NULL, totpLastStep = NULL WHERE id = ?', [user.id]);
+      failuresByUser.reset(userKey(username));
+      res.json({ message: resetCode ? 'Password reset. Two-factor authentication was turned off; turn it on again after logging in.' : 'Password reset' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Two-factor setup: /totp/setup stores a new secret, /totp/enable turns it
+  // on once the user proves their app produces matching codes.
+  router.post('/totp/setup', protect, async (req, res) => {
+    try {
+      const user = await requireCurrentPassword(req.auth.sub, (req.body || {}).currentPassword);
+      if (user.totpEnabled) throw httpError(409, 'Two-factor authentication is already on. Turn it off first to set up a new device.');
+      const secret = totp.generateSecret();
+      await db.run('UPDATE users SET totpSecret = ?, totpLastStep = NULL WHERE id = ?', [secretBox.encrypt(secret), user.id]);
+      res.json({ secret, otpauthUrl: totp.otpauthUrl(secret, user.username, TOTP_ISSUER) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/totp/enable', protect, async (req, res) => {
+    try {
+      const user = await db.get('SELECT * FROM users WHERE id = ?', [req.auth.sub]);
+      if (!user || !user.totpSecret) throw httpError(409, 'Start two-factor setup first.');
+      if (user.totpEnabled) throw httpError(409, 'Two-factor authentication is already on.');
+      if (!await checkTotp(user, (req.body || {}).code)) throw new ValidationError('code', INVALID_CODE);
+      await db.run('UPDATE users SET totpEnabled = 1 WHERE id = ?', [user.id]);
+      res.json({ message: 'Two-factor authentication is on' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/totp/disable', protect, async (req, res) => {
+    try {
+      const { currentPassword, code } = req.body || {};
+      const user = await requireCurrentPassword(req.auth.sub, currentPassword);
+      if (!user.totpEnabled) throw httpError(409, 'Two-factor authentication is not on.');
+      if (!await checkTotp(user, code)) throw new ValidationError('code', INVALID_CODE);
+      await db.run('UPDATE users SET totpEnabled = 0, totpSecret = NULL, totpLastStep = NULL WHERE id = ?', [user.id]);
+      res.json({ message: 'Two-factor authentication is off' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, protect, verifyAccessToken };
+}
+
+module.exports = { createAuth, loadJwtSecret, assertPassword, revokeUserSessions, setPassword, issueResetCode };
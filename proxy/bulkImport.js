@@ -0,0 +1,404 @@
+// CSV export and import of PPPoE subscribers (PPP secret, the billing fields
+// kept in its comment JSON, and the linked customer record) and of DHCP
+// portal clients (authorized-dhcp-users entry, queue, expiry scheduler and
+// dhcp_clients row). An import is always planned first against what the
+// router and panel.db hold now; a dry run returns that plan, a real run
+// applies every row that has no conflict and reports each row's outcome
+// instead of stopping at the first failure.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { IPV4, MAC, UNSAFE_TEXT, parseComment, getDue, isTrue, normalizeMac } = require('./routeros');
+const { newId } = require('./dbUtils');
+const { toCsv, parseCsv } = require('./csv');
+
+const MAX_ROWS = 5000;
+// api-backend runs at most four commands per router at once; more rows in
+// flight would only queue there and risk its wait timeout.
+const BATCH_SIZE = 4;
+const DHCP_LIST = 'authorized-dhcp-users';
+
+const PPPOE_COLUMNS = ['username', 'password', 'profile', 'service', 'disabled', 'plan', 'planType', 'dueDateTime', 'nonPaymentProfile', 'fullName', 'address', 'contactNumber', 'email'];
+const DHCP_COLUMNS = ['address', 'macAddress', 'customerInfo', 'contactNumber', 'email', 'plan', 'planType', 'dueDateTime', 'speedLimit'];
+const CUSTOMER_FIELDS = ['fullName', 'address', 'contactNumber', 'email'];
+const PLAN_TYPES = ['prepaid', 'postpaid'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// A bare date means the end of that day, as getDue reads `dueDate`.
+function parseDueDate(value) {
+  const due = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59`) : new Date(value);
+  return isNaN(due) ? null : due;
+}
+
+function readRows(req, columns) {
+  if (typeof req.body !== 'string' || !req.body.trim()) throw badRequest('Send the CSV file as the request body (Content-Type: text/csv)');
+  const parsed = parseCsv(req.body);
+  const unknown = parsed.columns.filter(c => !columns.includes(c));
+  if (unknown.length) throw new ValidationError('columns', `Unknown column(s): ${unknown.join(', ')}. Expected: ${columns.join(', ')}`);
+  if (parsed.rows.length > MAX_ROWS) throw new ValidationError('rows', `A file may have at most ${MAX_ROWS} rows`);
+  return parsed.rows;
+}
+
+// Blank cells keep the current value, so a file with only some columns
+// filled in is a partial update.
+function diff(current, desired, hidden = []) {
+  return Object.keys(desired)
+    .filter(field => (desired[field] || '') !== (current[field] || ''))
+    .map(field => hidden.includes(field) ? { field } : { field, from: current[field] || '', to: desired[field] || '' });
+}
+
+function summarize(rows, applied) {
+  const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, conflict: 0 };
+  for (const r of rows) summary[r.action]++;
+  if (applied) {
+    summary.applied = rows.filter(r => r.status === 'created' || r.status === 'updated').length;
+    summary.failed = rows.filter(r => r.status === 'failed').length;
+  }
+  return summary;
+}
+
+function createBulkImport(db, { routerClient, audit }) {
+  async function findPlans(table, routerId) {
+    const rows = table === 'billing_plans'
+      ? await db.all("SELECT * FROM billing_plans WHERE routerId = ? OR routerId IS NULL OR routerId = ''", [routerId])
+      : await db.all('SELECT * FROM dhcp_billing_plans WHERE routerId = ?', [routerId]);
+    return new Map(rows.map(p => [p.name, p]));
+  }
+
+  // ---- PPPoE ---------------------------------------------------------------
+
+  async function loadPppoe(routerId) {
+    const [secrets, profiles, customers, plans] = await Promise.all([
+      routerClient.call(routerId, 'ppp/secret/print'),
+      routerClient.call(routerId, 'ppp/profile/print?proplist=name'),
+      db.all('SELECT * FROM customers WHERE routerId = ?', [routerId]),
+      findPlans('billing_plans', routerId),
+    ]);
+    return {
+      secrets: new Map(secrets.map(s => [s.name, s])),
+      profiles: new Set(profiles.map(p => p.name)),
+      customers: new Map(customers.map(c => [c.username, c])),
+      plans,
+    };
+  }
+
+  function pppoeCurrent(secret, customer) {
+    const comment = parseComment(secret && secret.comment);
+    const due = getDue(comment);
+    const current = {
+      password: secret ? secret.password : '',
+      profile: secret ? secret.profile : '',
+      service: secret ? secret.service || 'pppoe' : '',
+      disabled: secret ? (isTrue(secret.disabled) ? 'true' : 'false') : '',
+      plan: comment.plan || '',
+      planType: comment.planType || '',
+      dueDateTime: due ? due.toISOString() : '',
+      nonPaymentProfile: comment.nonPaymentProfile || '',
+    };
+    for (const field of CUSTOMER_FIELDS) current[field] = (customer && customer[field]) || '';
+    return { current, comment };
+  }
+
+  async function exportPppoe(routerId) {
+    const { secrets, customers } = await loadPppoe(routerId);
+    const rows = [...secrets.values()].map(secret => ({
+      username: secret.name,
+      ...pppoeCurrent(secret, customers.get(secret.name)).current,
+    }));
+    return toCsv(PPPOE_COLUMNS, rows);
+  }
+
+  function planPppoe(rows, state) {
+    const seen = new Set();
+    return rows.map(({ line, values }) => {
+      const username = values.username || '';
+      const problems = [];
+      const secret = state.secrets.get(username);
+      const { current, comment } = pppoeCurrent(secret, state.customers.get(username));
+      const desired = { ...current };
+      for (const field of PPPOE_COLUMNS.slice(1)) if (values[field]) desired[field] = values[field];
+
+      if (!username) problems.push('username is required');
+      else if (seen.has(username)) problems.push(`username ${username} appears more than once in the file`);
+      else if (UNSAFE_TEXT.test(username)) problems.push('username contains characters RouterOS scripts cannot hold');
+      seen.add(username);
+      if (!secret && !values.password) problems.push('password is required for a new secret');
+
+      const plan = values.plan ? state.plans.get(values.plan) : null;
+      if (values.plan && !plan) problems.push(`billing plan '${values.plan}' does not exist`);
+      if (plan && !values.profile) desired.profile = plan.pppoeProfile;
+      if (!desired.profile) desired.profile = 'default';
+      if (!desired.service) desired.service = 'pppoe';
+      if (!desired.disabled) desired.disabled = 'false';
+      if (!state.profiles.has(desired.profile)) problems.push(`PPP profile '${desired.profile}' does not exist on the router`);
+      if (values.nonPaymentProfile && !state.profiles.has(values.nonPaymentProfile)) problems.push(`PPP profile '${values.nonPaymentProfile}' does not exist on the router`);
+      if (values.planType && !PLAN_TYPES.includes(values.planType)) problems.push(`planType must be one of ${PLAN_TYPES.join(', ')}`);
+      if (values.disabled) {
+        if (!['true', 'false', 'yes', 'no'].includes(values.disabled.toLowerCase())) problems.push('disabled must be true or false');
+        else desired.disabled = isTrue(values.disabled.toLowerCase()) ? 'true' : 'false';
+      }
+      if (values.dueDateTime) {
+        const due = parseDueDate(values.dueDateTime);
+        if (!due) problems.push(`dueDateTime '${values.dueDateTime}' is not a date`);
+        else desired.dueDateTime = due.toISOString();
+      }
+
+      const changes = diff(current, desired, ['password']);
+      const action = problems.length ? 'conflict' : !secret ? 'create' : changes.length ? 'update' : 'unchanged';
+      return { line, key: username, action, changes: secret ? changes : [], problems, warnings: [], desired, existing: secret, comment, plan };
+    });
+  }
+
+  // ppp/user/save also moves the expiry scheduler and upserts the customer.
+  async function applyPppoe(routerId, row) {
+    const { desired, existing, plan } = row;
+    const comment = { ...row.comment };
+    if (plan) Object.assign(comment, { plan: plan.name, price: plan.price, currency: plan.currency });
+    const customerData = {};
+    for (const field of CUSTOMER_FIELDS) if (desired[field]) customerData[field] = desired[field];
+    await routerClient.call(routerId, 'ppp/user/save', 'POST', {
+      initialSecret: existing ? { id: existing['.id'] || existing.id, name: existing.name } : null,
+      secretData: {
+        name: row.key,
+        password: desired.password || undefined,
+        profile: desired.profile,
+        service: desired.service,
+        disabled: desired.disabled,
+        comment: JSON.stringify(comment),
+      },
+      // The current due date is sent again, otherwise the save would drop
+      // the expiry scheduler.
+      subscriptionData: {
+        dueDate: desired.dueDateTime || undefined,
+        planType: desired.planType || undefined,
+        nonPaymentProfile: desired.nonPaymentProfile || undefined,
+      },
+      customerData,
+    });
+  }
+
+  // ---- DHCP ----------------------------------------------------------------
+
+  async function loadDhcp(routerId) {
+    const [entries, leases, queues, clients, plans] = await Promise.all([
+      routerClient.call(routerId, `ip/firewall/address-list/print?where=${encodeURIComponent(JSON.stringify({ list: DHCP_LIST }))}`),
+      routerClient.call(routerId, 'ip/dhcp-server/lease/print?proplist=address,mac-address'),
+      routerClient.call(routerId, 'queue/simple/print?proplist=name,target,max-limit'),
+      db.all('SELECT * FROM dhcp_clients WHERE routerId = ?', [routerId]),
+      findPlans('dhcp_billing_plans', routerId),
+    ]);
+    return {
+      entries: new Map(entries.map(e => [e.address, e])),
+      leasesByAddress: new Map(leases.map(l => [l.address, normalizeMac(l['mac-address'])])),
+      leasesByMac: new Map(leases.map(l => [normalizeMac(l['mac-address']), l.address])),
+      queues: new Map(queues.map(q => [q.name, q])),
+      clients: new Map(clients.map(c => [normalizeMac(c.macAddress), c])),
+      plans,
+    };
+  }
+
+  function dhcpCurrent(state, address) {
+    const entry = state.entries.get(address);
+    const comment = parseComment(entry && entry.comment);
+    const due = getDue(comment);
+    const macAddress = state.leasesByAddress.get(address) || '';
+    const client = state.clients.get(macAddress);
+    return {
+      entry,
+      current: {
+        address,
+        macAddress,
+        customerInfo: comment.customerInfo || '',
+        contactNumber: comment.contactNumber || (client && client.contactNumber) || '',
+        email: comment.email || (client && client.email) || '',
+        plan: comment.planName || '',
+        planType: comment.planType || '',
+        dueDateTime: due ? due.toISOString() : '',
+        speedLimit: (client && client.speedLimit) || '',
+      },
+    };
+  }
+
+  async function exportDhcp(routerId) {
+    const state = await loadDhcp(routerId);
+    return toCsv(DHCP_COLUMNS, [...state.entries.keys()].map(address => dhcpCurrent(state, address).current));
+  }
+
+  function planDhcp(rows, state) {
+    const seenAddresses = new Set();
+    const seenMacs = new Set();
+    const now = Date.now();
+    return rows.map(({ line, values }) => {
+      const address = values.address || '';
+      const macAddress = (values.macAddress || '').toUpperCase().replace(/-/g, ':');
+      const problems = [];
+      const warnings = [];
+      const { entry, current } = dhcpCurrent(state, address);
+      const desired = { ...current, macAddress: macAddress || current.macAddress };
+      for (const field of DHCP_COLUMNS.slice(2)) if (values[field]) desired[field] = values[field];
+
+      if (!IPV4.test(address)) problems.push('address must be an IPv4 address');
+      else if (seenAddresses.has(address)) problems.push(`address ${address} appears more than once in the file`);
+      seenAddresses.add(address);
+      if (!MAC.test(desired.macAddress)) problems.push('macAddress must be a MAC address such as AA:BB:CC:DD:EE:FF');
+      else if (seenMacs.has(desired.macAddress)) problems.push(`macAddress ${desired.macAddress} appears more than once in the file`);
+      seenMacs.add(desired.macAddress);
+      if (!desired.customerInfo) problems.push('customerInfo is required; it names the client\'s queue');
+      for (const field of ['customerInfo', 'contactNumber', 'email']) {
+        if (UNSAFE_TEXT.test(desired[field])) problems.push(`${field} contains characters RouterOS scripts cannot hold`);
+      }
+
+      const leasedMac = state.leasesByAddress.get(address);
+      const leasedAddress = state.leasesByMac.get(desired.macAddress);
+      if (leasedMac && desired.macAddress && leasedMac !== desired.macAddress) problems.push(`${address} is leased to ${leasedMac}`);
+      if (leasedAddress && leasedAddress !== address) problems.push(`${desired.macAddress} has a lease for ${leasedAddress}`);
+      if (!leasedMac && !leasedAddress) warnings.push('No DHCP lease for this client yet; access follows the address once it gets one');
+      const queue = state.queues.get(desired.customerInfo);
+      if (queue && !String(queue.target || '').split(',').some(t => t === address || t === `${address}/32`)) {
+        problems.push(`queue '${desired.customerInfo}' already limits ${queue.target}`);
+      }
+
+      const plan = values.plan ? state.plans.get(values.plan) : null;
+      if (values.plan && !plan) problems.push(`DHCP billing plan '${values.plan}' does not exist on this router`);
+      if (plan && !values.speedLimit && plan.speedLimit) desired.speedLimit = String(plan.speedLimit);
+      if (desired.speedLimit && !(Number(desired.speedLimit) > 0)) problems.push('speedLimit must be a number of Mbps');
+      if (values.planType && !PLAN_TYPES.includes(values.planType)) problems.push(`planType must be one of ${PLAN_TYPES.join(', ')}`);
+      if (values.dueDateTime) {
+        const due = parseDueDate(values.dueDateTime);
+        if (!due) problems.push(`dueDateTime '${values.dueDateTime}' is not a date`);
+        else desired.dueDateTime = due.toISOString();
+      }
+      // The expiry scheduler only fires for a future start time; an
+      // authorized client with a past due date would never be cut off.
+      if (!desired.dueDateTime) problems.push('dueDateTime is required');
+      else if (Date.parse(desired.dueDateTime) <= now) problems.push('dueDateTime is in the past');
+
+      const changes = diff(current, desired);
+      const action = problems.length ? 'conflict' : !entry ? 'create' : changes.length ? 'update' : 'unchanged';
+      return { line, key: address, action, changes: entry ? changes : [], problems, warnings, desired, existing: entry };
+    });
+  }
+
+  async function applyDhcp(routerId, row) {
+    const { desired, existing } = row;
+    if (!existing) {
+      await routerClient.call(routerId, 'ip/firewall/address-list/add', 'POST', { list: DHCP_LIST, address: desired.address, comment: '{}' });
+      const where = encodeURIComponent(JSON.stringify({ list: 'pending-dhcp-users', address: desired.address }));
+      for (const pending of await routerClient.call(routerId, `ip/firewall/address-list/print?where=${where}`)) {
+        await routerClient.call(routerId, 'ip/firewall/address-list/remove', 'POST', { '.id': pending['.id'] || pending.id });
+      }
+    }
+    // Writes the comment, the queue and the expiry scheduler.
+    await routerClient.call(routerId, 'dhcp-client/update', 'POST', {
+      macAddress: desired.macAddress,
+      address: desired.address,
+      customerInfo: desired.customerInfo,
+      contactNumber: desired.contactNumber,
+      email: desired.email,
+      plan: desired.plan ? { name: desired.plan } : undefined,
+      planType: desired.planType || 'prepaid',
+      expiresAt: desired.dueDateTime,
+      speedLimit: desired.speedLimit || undefined,
+    });
+    const fields = {
+      customerInfo: desired.customerInfo,
+      contactNumber: desired.contactNumber,
+      email: desired.email,
+      speedLimit: desired.speedLimit,
+      lastSeen: new Date().toISOString(),
+    };
+    const record = await db.get('SELECT id FROM dhcp_clients WHERE routerId = ? AND UPPER(macAddress) = ?', [routerId, desired.macAddress]);
+    if (record) {
+      await db.run('UPDATE dhcp_clients SET customerInfo = ?, contactNumber = ?, email = ?, speedLimit = ?, lastSeen = ? WHERE id = ?', [...Object.values(fields), record.id]);
+    } else {
+      await db.run(
+        'INSERT INTO dhcp_clients (id, routerId, macAddress, customerInfo, contactNumber, email, speedLimit, lastSeen) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [newId('dhcp_client'), routerId, desired.macAddress, ...Object.values(fields)]
+      );
+    }
+  }
+
+  // ---- Routes --------------------------------------------------------------
+
+  const KINDS = {
+    pppoe: { columns: PPPOE_COLUMNS, load: loadPppoe, plan: planPppoe, apply: applyPppoe, exportCsv: exportPppoe },
+    dhcp: { columns: DHCP_COLUMNS, load: loadDhcp, plan: planDhcp, apply: applyDhcp, exportCsv: exportDhcp },
+  };
+
+  async function runImport(kind, routerId, rows, { dryRun }) {
+    const spec = KINDS[kind];
+    const planned = spec.plan(rows, await spec.load(routerId));
+    if (!dryRun) {
+      const pending = planned.filter(r => r.action === 'create' || r.action === 'update');
+      for (const r of planned) if (!pending.includes(r)) r.status = 'skipped';
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        await Promise.all(pending.slice(i, i + BATCH_SIZE).map(async (r) => {
+          try {
+            await spec.apply(routerId, r);
+            r.status = r.action === 'create' ? 'created' : 'updated';
+          } catch (e) {
+            r.status = 'failed';
+            r.message = e.message;
+          }
+        }));
+      }
+    }
+    const results = planned.map(({ desired, existing, comment, plan, ...r }) => r);
+    return { dryRun, summary: summarize(results, !dryRun), rows: results };
+  }
+
+  function routerFor(kind) {
+    const spec = KINDS[kind];
+    const router = express.Router();
+    const routerIdOf = (req) => {
+      if (!req.query.routerId) throw new ValidationError('routerId', 'routerId is required');
+      return String(req.query.routerId);
+    };
+
+    router.get('/export.csv', async (req, res) => {
+      try {
+        const routerId = routerIdOf(req);
+        const csv = await spec.exportCsv(routerId);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${kind}-${routerId}-${new Date().toISOString().split('T')[0]}.csv"`);
+        res.send(csv);
+      } catch (e) { sendError(res, e); }
+    });
+
+    router.get('/template.csv', (req, res) => {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${kind}-import-template.csv"`);
+      res.send(toCsv(spec.columns, []));
+    });
+
+    // POST /import?routerId=r1&dryRun=true with the CSV as a text/csv body.
+    router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+      try {
+        const routerId = routerIdOf(req);
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+        const result = await runImport(kind, routerId, readRows(req, spec.columns), { dryRun });
+        if (!dryRun) {
+          // The file itself holds passwords, so only the per-row outcome is logged.
+          await audit.record({
+            userId: req.user ? req.user.id : req.auth && req.auth.sub,
+            username: req.user ? req.user.username : req.auth && req.auth.username,
+            ip: req.ip,
+            source: 'imports',
+            method: 'IMPORT',
+            routerId,
+            target: kind,
+            status: 200,
+            payload: { summary: result.summary, rows: result.rows.map(({ line, key, action, status, message }) => ({ line, key, action, status, message })) },
+          });
+        }
+        res.json(result);
+      } catch (e) { sendError(res, e); }
+    });
+
+    return router;
+  }
+
+  return { routerFor };
+}
+
+module.exports = { createBulkImport };
@@ -34,8 +34,10 @@ async function checkDatabaseTables() {
         
         // Check for specific tables mentioned in errors
         const requiredTables = [
-            'users', 'expenses', 'auth', 'customers', 'inventory', 
-            'sales_records', 'billing_plans', 'routers'
+            'users', 'routers', 'notifications', 'kv_store', 'customers',
+            'sales_records', 'inventory', 'expenses', 'billing_plans',
+            'voucher_plans', 'dhcp_billing_plans', 'employees',
+            'employee_benefits', 'time_records', 'dhcp_clients'
         ];
         
         console.log('\n🔍 Checking for required tables:');
@@ -0,0 +1,312 @@
+// The subscriber-facing side of the panel. A PPPoE customer proves the
+// account is theirs with its PPPoE password, a portal password they chose,
+// or a one-time code handed out by an admin, and gets a short-lived client
+// token for their own plan, due date, session, payments and usage.
+//
+// Client tokens are signed with a key derived from the panel secret, so they
+// are never accepted where an admin token is expected. Every failed proof
+// answers the same way whether or not the username exists, and attempts are
+// limited per IP and per account so the endpoints can't be used to find or
+// guess accounts.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { newId } = require('./dbUtils');
+const { parseComment, getDue, isTrue } = require('./routeros');
+const { createRateLimiter } = require('./rateLimit');
+
+const TOKEN_TTL = '30m';
+const CODE_TTL_MS = 24 * 3600 * 1000;
+const CODE_MAX_ATTEMPTS = 5;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_MESSAGE_LENGTH = 1000;
+const INVALID_LOGIN = 'Invalid username or password';
+const INVALID_CODE = 'Invalid username or code';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Compares digests, so neither the content nor the length of the stored
+// secret shows in the response time.
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(sha256(a), sha256(b));
+
+// Only what the subscriber needs to pay and follow the invoice.
+const toInvoice = (inv) => ({
+  id: inv.id,
+  status: inv.status,
+  amount: inv.amount,
+  currency: inv.currency,
+  planName: inv.planName,
+  invoiceUrl: inv.invoiceUrl,
+  expiresAt: inv.expiresAt,
+  paidAt: inv.paidAt || null,
+  activationStatus: inv.activationStatus,
+  dueDateTime: inv.dueDateTime || null,
+});
+
+// Compared against when there is no real hash, so an unknown account takes
+// as long to reject as a wrong password.
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+function createClientPortal(db, { routerClient, usage, xendit, notifier, secretKey }) {
+  const tokenKey = crypto.createHmac('sha256', secretKey).update('client-portal').digest();
+
+  // Every login, registration and code attempt from one address.
+  const authByIp = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20, message: 'Too many attempts, please try again later.' });
+  // Failed proofs against one account, whoever makes them.
+  const failuresByAccount = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5, message: 'Too many failed attempts for this account, please try again later.' });
+  // Everything else public: router list, dashboard reads, renewals.
+  const readsByIp = createRateLimiter({ windowMs: 60 * 1000, max: 60 });
+  const messagesByIp = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5, message: 'Too many messages, please try again later.' });
+
+  const accountKey = (routerId, username) => `${routerId}\n${username.toLowerCase()}`;
+
+  function credentials(body, secretField) {
+    const routerId = String(body.routerId || '').trim();
+    const username = String(body.username || '').trim();
+    const secret = String(body[secretField] || '');
+    if (!routerId || !username || !secret) throw new ValidationError('username', `routerId, username and ${secretField} are required`);
+    return { routerId, username, secret };
+  }
+
+  async function findSecret(routerId, username) {
+    const router = await db.get('SELECT id, name FROM routers WHERE id = ?', [routerId]);
+    if (!router) return null;
+    const where = encodeURIComponent(JSON.stringify({ name: username }));
+    const [secret] = [].concat(await routerClient.call(routerId, `ppp/secret/print?where=${where}`) || []);
+    return secret ? { router, secret } : null;
+  }
+
+  function issueToken(routerId, username) {
+    const token = jwt.sign({ client: true, routerId, username }, tokenKey, { expiresIn: TOKEN_TTL });
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000).toISOString(), routerId, username };
+  }
+
+  // Runs one proof attempt under the per-account limit. `check` resolves to
+  // the account's secret on success and null on any failure.
+  async function attempt(res, { routerId, username }, failure, check) {
+    const key = accountKey(routerId, username);
+    const wait = failuresByAccount.retryAfter(key);
+    if (wait) return failuresByAccount.reject(res, wait);
+    const secret = await check();
+    if (!secret) {
+      failuresByAccount.hit(key);
+      throw httpError(401, failure);
+    }
+    failuresByAccount.reset(key);
+    res.json(issueToken(routerId, secret.name));
+  }
+
+  function requireClient(req, res, next) {
+    try {
+      const h = req.headers.authorization || '';
+      const payload = jwt.verify(h.startsWith('Bearer ') ? h.slice(7) : '', tokenKey);
+      if (!payload.client) throw new Error('Not a client token');
+      req.client = { routerId: payload.routerId, username: payload.username };
+      next();
+    } catch (e) {
+      res.status(401).json({ message: 'Your session has expired, please log in again.' });
+    }
+  }
+
+  // The subscriber as the router sees them right now. A secret removed after
+  // the token was issued ends the session.
+  async function currentSubscriber(client) {
+    const found = await findSecret(client.routerId, client.username);
+    if (!found) throw httpError(401, 'Your session has expired, please log in again.');
+    const customer = await db.get('SELECT * FROM customers WHERE routerId = ? AND username = ?', [client.routerId, client.username]);
+    return { ...found, customer };
+  }
+
+  async function currentPlan(routerId, comment, profile) {
+    const scope = "(routerId = ? OR routerId IS NULL OR routerId = '')";
+    return (comment.plan && await db.get(`SELECT * FROM billing_plans WHERE name = ? AND ${scope} ORDER BY routerId DESC LIMIT 1`, [comment.plan, routerId]))
+      || (profile && await db.get(`SELECT * FROM billing_plans WHERE pppoeProfile = ? AND ${scope} ORDER BY routerId DESC LIMIT 1`, [profile, routerId]))
+      || null;
+  }
+
+  const publicRouter = express.Router();
+  const authLimit = authByIp.middleware();
+  const readLimit = readsByIp.middleware();
+
+  publicRouter.get('/routers', readLimit, async (req, res) => {
+    try {
+      const rows = await db.all('SELECT id, name FROM routers');
+      res.json(rows.map(r => ({ id: r.id, name: r.name })));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Logs in with the PPPoE password, or with the portal password when the
+  // subscriber has registered one.
+  publicRouter.post('/client-portal/login', authLimit, async (req, res) => {
+    try {
+      const { routerId, username, secret: password } = credentials(req.body || {}, 'password');
+      await attempt(res, { routerId, username }, INVALID_LOGIN, async () => {
+        const found = await findSecret(routerId, username);
+        const account = found && await db.get('SELECT * FROM client_portal_accounts WHERE routerId = ? AND username = ?', [routerId, found.secret.name]);
+        const portalMatch = await bcrypt.compare(password, account ? account.passwordHash : DUMMY_HASH);
+        if (!found) return null;
+        if (!portalMatch && !(found.secret.password && safeEqual(found.secret.password, password))) return null;
+        if (account) await db.run('UPDATE client_portal_accounts SET lastLoginAt = ? WHERE routerId = ? AND username = ?', [new Date().toISOString(), routerId, found.secret.name]);
+        return found.secret;
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Sets a portal password using a one-time code from the admin, for
+  // subscribers who don't know their PPPoE password. The code is spent on
+  // success and after too many wrong guesses.
+  publicRouter.post('/client-portal/register', authLimit, async (req, res) => {
+    try {
+      const { routerId, username, secret: code } = credentials(req.body || {}, 'code');
+      const password = String((req.body || {}).password || '');
+      if (password.length < MIN_PASSWORD_LENGTH) throw new ValidationError('password', `The password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      await attempt(res, { routerId, username }, INVALID_CODE, async () => {
+        const row = await db.get('SELECT * FROM client_portal_codes WHERE routerId = ? AND username = ?', [routerId, username]);
+        const codeMatch = await bcrypt.compare(code, row ? row.codeHash : DUMMY_HASH);
+        if (!row) return null;
+        if (!codeMatch || row.expiresAt <= new Date().toISOString()) {
+          if (row.attempts + 1 >= CODE_MAX_ATTEMPTS) await db.run('DELETE FROM client_portal_codes WHERE routerId = ? AND username = ?', [routerId, username]);
+          else await db.run('UPDATE client_portal_codes SET attempts = attempts + 1 WHERE routerId = ? AND username = ?', [routerId, username]);
+          return null;
+        }
+        const found = await findSecret(routerId, username);
+        if (!found) return null;
+        const now = new Date().toISOString();
+        const hash = await bcrypt.hash(password, 10);
+        await db.run('DELETE FROM client_portal_codes WHERE routerId = ? AND username = ?', [routerId, username]);
+        await db.run(
+          `INSERT INTO client_portal_accounts (routerId, username, passwordHash, createdAt, updatedAt, lastLoginAt) VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT (routerId, username) DO UPDATE SET passwordHash = excluded.passwordHash, updatedAt = excluded.updatedAt, lastLoginAt = excluded.lastLoginAt`,
+          [routerId, found.secret.name, hash, now, now, now]
+        );
+        return found.secret;
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+  publicRouter.get('/ppp/status', readLimit, requireClient, async (req, res) => {
+    try {
+      const { router, secret, customer } = await currentSubscriber(req.client);
+      const comment = parseComment(secret.comment);
+      const plan = await currentPlan(router.id, comment, secret.profile);
+      const where = encodeURIComponent(JSON.stringify({ name: secret.name }));
+      const [session] = [].concat(await routerClient.call(router.id, `ppp/active/print?where=${where}`).catch(() => []) || []);
+      const due = getDue(comment);
+      res.json({
+        username: secret.name,
+        routerId: router.id,
+        routerName: router.name,
+        fullName: customer ? customer.fullName : null,
+        profile: secret.profile,
+        disabled: isTrue(secret.disabled),
+        plan: comment.plan || (plan && plan.name) || null,
+        price: comment.price !== undefined ? Number(comment.price) : plan ? plan.price : null,
+        currency: comment.currency || (plan && plan.currency) || null,
+        planType: comment.planType || null,
+        dueDateTime: due ? due.toISOString() : null,
+        online: !!session,
+        address: session ? session.address : null,
+        uptime: session ? session.uptime : null,
+        lastLoggedOut: secret['last-logged-out'] || null,
+        canRenew: !!(plan && plan.price > 0),
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Sales are recorded under the customer's full name when there is one,
+  // otherwise under the PPPoE username.
+  publicRouter.get('/client/payments', readLimit, requireClient, async (req, res) => {
+    try {
+      const { routerId, username } = req.client;
+      const customer = await db.get('SELECT fullName FROM customers WHERE routerId = ? AND username = ?', [routerId, username]);
+      const rows = await db.all(
+        'SELECT id, date, planName, planPrice, discountAmount, finalAmount, currency FROM sales_records WHERE routerId = ? AND clientName IN (?, ?) ORDER BY date DESC LIMIT 50',
+        [routerId, username, (customer && customer.fullName) || username]
+      );
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+
+  publicRouter.get('/client/usage', readLimit, requireClient, async (req, res) => {
+    try {
+      const cycles = await usage.listCycles(req.client.routerId, 'pppoe', req.client.username, 6);
+      res.json({ current: cycles[0] || null, previous: cycles.slice(1) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Starts an online payment for the plan the subscriber is on. Activation
+  // happens when Xendit reports the invoice paid, as for any other invoice.
+  publicRouter.post('/client/renew', readLimit, requireClient, async (req, res) => {
+    try {
+      const { router, secret, customer } = await currentSubscriber(req.client);
+      const plan = await currentPlan(router.id, parseComment(secret.comment), secret.profile);
+      if (!plan) throw httpError(409, 'Your plan is not available for online payment. Please contact us to renew.');
+      let customerId = customer && customer.id;
+      if (!customerId) {
+        customerId = newId('cust');
+        await db.run('INSERT INTO customers (id, username, routerId) VALUES (?, ?, ?)', [customerId, secret.name, router.id]);
+      }
+      const { successRedirectUrl, failureRedirectUrl } = req.body || {};
+      const inv = await xendit.createInvoice({ customerId, planId: plan.id, successRedirectUrl, failureRedirectUrl }, { username: `client:${secret.name}` });
+      res.status(201).json(toInvoice(inv));
+    } catch (e) { sendError(res, e); }
+  });
+
+  publicRouter.get('/client/invoices/:id', readLimit, requireClient, async (req, res) => {
+    try {
+      const customer = await db.get('SELECT id FROM customers WHERE routerId = ? AND username = ?', [req.client.routerId, req.client.username]);
+      const own = customer && await db.get('SELECT id FROM payment_invoices WHERE id = ? AND customerId = ?', [req.params.id, customer.id]);
+      if (!own) throw httpError(404, 'Invoice not found');
+      res.json(toInvoice(await xendit.getInvoice(own.id)));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // "Contact us" from the captive portal page, delivered as a panel
+  // notification. The sender is only known by address.
+  const captiveMessage = [messagesByIp.middleware(), async (req, res) => {
+    try {
+      const message = String((req.body || {}).message || '').trim();
+      if (!message) throw new ValidationError('message', 'Please enter a message');
+      if (message.length > MAX_MESSAGE_LENGTH) throw new ValidationError('message', `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+      await notifier.notify({
+        type: 'info',
+        message: `Captive portal message from ${req.ip}: ${message}`,
+        linkTo: 'dhcp-portal',
+        context: { ip: req.ip },
+      });
+      res.status(201).json({ message: 'Message sent' });
+    } catch (e) { sendError(res, e); }
+  }];
+
+  // Admin side: hands a subscriber a one-time code for registering. Issuing
+  // a new code replaces any earlier one.
+  const adminRouter = express.Router();
+  adminRouter.post('/codes', async (req, res) => {
+    try {
+      const routerId = String((req.body || {}).routerId || '');
+      const username = String((req.body || {}).username || '');
+      if (!routerId || !username) throw new ValidationError('username', 'routerId and username are required');
+      const found = await findSecret(routerId, username);
+      if (!found) throw httpError(404, `PPP secret '${username}' not found`);
+      const code = String(crypto.randomInt(0, 1e8)).padStart(8, '0');
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + CODE_TTL_MS).toISOString();
+      await db.run(
+        `INSERT INTO client_portal_codes (routerId, username, codeHash, attempts, expiresAt, createdAt, createdBy) VALUES (?, ?, ?, 0, ?, ?, ?)
+         ON CONFLICT (routerId, username) DO UPDATE SET codeHash = excluded.codeHash, attempts = 0, expiresAt = excluded.expiresAt,
+           createdAt = excluded.createdAt, createdBy = excluded.createdBy`,
+        [routerId, found.secret.name, await bcrypt.hash(code, 10), expiresAt, now.toISOString(), req.auth ? req.auth.username : null]
+      );
+      failuresByAccount.reset(accountKey(routerId, found.secret.name));
+      res.status(201).json({ username: found.secret.name, code, expiresAt });
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { publicRouter, adminRouter, captiveMessage };
+}
+
+module.exports = { createClientPortal };
@@ -0,0 +1,457 @@
+// Versioned router configuration snapshots. Each snapshot is the router's
+// `/export terse`, read over SSH and stored gzip-compressed and encrypted
+// (it includes passwords and keys), numbered per router. They are taken on
+// a schedule, on demand and before operations that rewrite a lot of
+// configuration; any two can be diffed line by line, and a whole snapshot
+// or some of its sections can be pushed back with /import once the exact
+// script has been previewed and confirmed. Users who can only read them see
+// the export with its secrets hidden.
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { newId } = require('./dbUtils');
+const { hasPermission } = require('./rbac');
+const { isEncrypted } = require('./secretBox');
+const { routerConnectOptions, withConnection, exec, upload } = require('./routerSsh');
+
+const DEFAULT_KEEP = 30;
+const DIFF_CONTEXT = 3;
+// Beyond this many changed lines two exports are shown as fully replaced.
+const MAX_DIFF_EDITS = 4000;
+// /mt-api endpoints that are snapshotted first.
+const RISKY_ENDPOINTS = [
+  'system/script/configure-wan-failover',
+  'script/run-hotspot-setup',
+  'script/run-dhcp-setup',
+  'script/run-dhcp-portal-setup',
+  'script/run-dhcp-portal-uninstall',
+];
+const VERBS = new Set(['add', 'set', 'remove', 'unset', 'enable', 'disable', 'move', 'edit']);
+const META_COLUMNS = 'id, routerId, version, reason, note, createdAt, createdBy, hash, lineCount, size, compressedSize, rosVersion';
+
+// Export parameters holding passwords and keys, e.g. "password=", "secret=",
+// "wpa2-pre-shared-key=", "private-key=", "static-key-0=".
+const SENSITIVE_PARAM = /(^| )([\w-]*(?:password|secret|passphrase|pre-?shared-key|private-key|static-key|authentication-key|management-protection-key)[\w-]*)=("(?:[^"\\]|\\.)*"|\S*)/g;
+const REDACTED = '"<hidden>"';
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Lines of an export without its "# <date> by RouterOS <version>" header,
+// which changes on every export.
+const configLines = (text) => text.replace(/\n$/, '').split('\n').filter(line => !/^#.* by RouterOS /.test(line));
+
+// Terse exports put the full menu path on every line, e.g.
+// "/ip firewall filter add chain=input ...", so the section is every word
+// before the verb.
+function sectionOf(line) {
+  if (!line.startsWith('/')) return null;
+  const path = [];
+  for (const word of line.split(' ')) {
+    if (VERBS.has(word) || word.includes('=') || word.startsWith('[')) break;
+    path.push(word);
+  }
+  return path.join(' ');
+}
+
+function sectionsOf(lines) {
+  const counts = new Map();
+  for (const line of lines) {
+    const section = sectionOf(line);
+    if (section) counts.set(section, (counts.get(section) || 0) + 1);
+  }
+  return [...counts].map(([section, lines]) => ({ section, lines }));
+}
+
+// v7 hides passwords and keys unless asked; v6 doesn't know the flag and
+// always includes them.
+async function readExport(conn) {
+  let { stdout } = await exec(conn, '/export show-sensitive terse');
+  if (!stdout.startsWith('#')) ({ stdout } = await exec(conn, '/export terse'));
+  if (!stdout.startsWith('#')) {
+    throw Object.assign(new Error(`Unexpected /export output: ${stdout.split('\n')[0].slice(0, 200)}`), { status: 502 });
+  }
+  // Join any wrapped lines and drop trailing spaces so diffs compare content.
+  const text = stdout.replace(/\\\n\s*/g, '').split('\n').map(l => l.trimEnd()).join('\n').trim();
+  return `${text}\n`;
+}
+
+const redact = (text) => text.replace(SENSITIVE_PARAM, (match, lead, name) => `${lead}${name}=${REDACTED}`);
+
+// Passwords and keys are only shown to users who could push the snapshot
+// back, i.e. who have router_config:write.
+const mayReadSecrets = (req) => !req.user || hasPermission(req.user.permissions, 'router_config', 'write');
+
+// `content` is the gzipped export, base64-encoded and sealed with the
+// secret box. Snapshots from before encryption hold the bare gzip bytes.
+const sealContent = (box, gzipped) => Buffer.from(box.encrypt(gzipped.toString('base64')));
+function openContent(box, content) {
+  const text = Buffer.from(content).toString('utf8');
+  return isEncrypted(text) ? Buffer.from(box.decrypt(text), 'base64') : Buffer.from(content);
+}
+
+// Myers' O(ND) line diff. `trace[d]` keeps the furthest x reached on each
+// diagonal k (stored at k + d) after d edits, for walking back the path.
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_DIFF_EDITS) return null;
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(a, b, trace);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  return null;
+}
+
+function backtrack(a, b, trace) {
+  const out = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      out.push({ type: ' ', text: a[x] });
+    }
+    if (prevK === k + 1) out.push({ type: '+', text: b[--y] });
+    else out.push({ type: '-', text: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    out.push({ type: ' ', text: a[x] });
+  }
+  return out.reverse();
+}
+
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const same = (text) => ({ type: ' ', text });
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map(text => ({ type: '-', text })),
+    ...middleB.map(text => ({ type: '+', text })),
+  ];
+  return [...a.slice(0, start).map(same), ...middle, ...a.slice(endA).map(same)];
+}
+
+// Unified-diff style hunks with DIFF_CONTEXT unchanged lines around changes.
+function toHunks(entries) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+  entries.forEach((entry, i) => {
+    if (entry.type === ' ') {
+      if (current && trailing < DIFF_CONTEXT) {
+        current.lines.push(entry);
+        current.oldLines++;
+        current.newLines++;
+        trailing++;
+      } else if (current) {
+        hunks.push(current);
+        current = null;
+      }
+    } else {
+      if (!current) {
+        const context = [];
+        for (let j = i - 1; j >= 0 && context.length < DIFF_CONTEXT && entries[j].type === ' '; j--) context.unshift(entries[j]);
+        current = { oldStart: oldLine - context.length, newStart: newLine - context.length, oldLines: context.length, newLines: context.length, lines: context };
+      }
+      current.lines.push(entry);
+      if (entry.type === '-') current.oldLines++;
+      else current.newLines++;
+      trailing = 0;
+    }
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+  });
+  if (current) hunks.push(current);
+  // Hunks closer than 2 * DIFF_CONTEXT lines overlap; merge them.
+  return hunks.reduce((merged, hunk) => {
+    const last = merged[merged.length - 1];
+    if (last && hunk.oldStart <= last.oldStart + last.oldLines) {
+      const overlap = last.oldStart + last.oldLines - hunk.oldStart;
+      const rest = hunk.lines.slice(overlap);
+      last.lines.push(...rest);
+      last.oldLines += rest.filter(l => l.type !== '+').length;
+      last.newLines += rest.filter(l => l.type !== '-').length;
+    } else {
+      merged.push(hunk);
+    }
+    return merged;
+  }, []);
+}
+
+// RouterOS script string quoting, as in api-backend.
+const rosQuote = (value) => `"${String(value).replace(/[\\"$]/g, '\\$&')}"`;
+
+// The script pushed on restore: the chosen sections in export order. With
+// `replace`, list sections are emptied first so their items aren't added
+// twice; that needs an explicit section list so a restore can never start
+// by clearing the whole router.
+function buildRestoreScript(text, { sections, replace }) {
+  const lines = configLines(text).filter(line => sectionOf(line));
+  const available = sectionsOf(lines).map(s => s.section);
+  if (sections !== undefined && !Array.isArray(sections)) throw new ValidationError('sections', "Field 'sections' must be an array");
+  const chosen = sections && sections.length ? sections : available;
+  const unknown = chosen.filter(s => !available.includes(s));
+  if (unknown.length) throw new ValidationError('sections', `Sections not in this snapshot: ${unknown.join(', ')}`);
+  if (replace && !(sections && sections.length)) throw new ValidationError('replace', 'Choose the sections to replace');
+  const out = [];
+  for (const section of available.filter(s => chosen.includes(s))) {
+    const sectionLines = lines.filter(line => sectionOf(line) === section);
+    const isList = sectionLines.some(line => line.slice(section.length + 1).startsWith('add '));
+    if (replace && isList) out.push(`:do { ${section} remove [find] } on-error={ :put ${rosQuote(`could not clear ${section}`)} }`);
+    out.push(...sectionLines);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function createConfigSnapshots(db, { secretBox }) {
+  const queues = new Map(); // routerId -> tail of its snapshot queue
+
+  async function getSettings() {
+    const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+    const keep = Number(((row ? JSON.parse(row.value_json) : {}).configSnapshotSettings || {}).keepPerRouter);
+    return { keepPerRouter: Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_KEEP };
+  }
+
+  async function getRouter(routerId) {
+    if (!routerId) throw new ValidationError('routerId', "Field 'routerId' is required");
+    const router = await db.get('SELECT * FROM routers WHERE id = ?', [routerId]);
+    if (!router) throw notFound('Router not found');
+    return { ...router, password: secretBox.decrypt(router.password) };
+  }
+
+  async function getSnapshot(id) {
+    const row = await db.get('SELECT * FROM config_snapshots WHERE id = ?', [id]);
+    if (!row) throw notFound('Snapshot not found');
+    const { content, ...meta } = row;
+    return { meta, text: zlib.gunzipSync(openContent(secretBox, content)).toString('utf8') };
+  }
+
+  async function prune(routerId) {
+    const { keepPerRouter } = await getSettings();
+    const newestPruned = await db.get(
+      'SELECT version FROM config_snapshots WHERE routerId = ? ORDER BY version DESC LIMIT 1 OFFSET ?',
+      [routerId, keepPerRouter]
+    );
+    if (newestPruned) {
+      await db.run('DELETE FROM config_snapshots WHERE routerId = ? AND version <= ?', [routerId, newestPruned.version]);
+    }
+  }
+
+  async function capture(routerId, { reason, note, username }) {
+    const router = await getRouter(routerId);
+    const text = await withConnection(routerConnectOptions(router), readExport);
+    const lines = configLines(text);
+    const hash = sha256(lines.join('\n'));
+    const latest = await db.get(`SELECT ${META_COLUMNS} FROM config_snapshots WHERE routerId = ? ORDER BY version DESC LIMIT 1`, [routerId]);
+    // Scheduled runs only keep a new version when something changed.
+    if (reason === 'scheduled' && latest && latest.hash === hash) return { ...latest, unchanged: true };
+    const gzipped = zlib.gzipSync(text);
+    const meta = {
+      id: newId('snap'),
+      routerId,
+      version: (latest ? latest.version : 0) + 1,
+      reason,
+      note: note || null,
+      createdAt: new Date().toISOString(),
+      createdBy: username || null,
+      hash,
+      lineCount: lines.filter(line => sectionOf(line)).length,
+      size: Buffer.byteLength(text),
+      compressedSize: gzipped.length,
+      rosVersion: (/ by RouterOS (\S+)/.exec(text) || [])[1] || null,
+    };
+    await db.run(
+      `INSERT INTO config_snapshots (${META_COLUMNS}, content) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...META_COLUMNS.split(', ').map(column => meta[column]), sealContent(secretBox, gzipped)]
+    );
+    await prune(routerId);
+    return { ...meta, unchanged: latest ? latest.hash === hash : false };
+  }
+
+  // One export at a time per router, so versions stay in order.
+  function takeSnapshot(routerId, options) {
+    const run = (queues.get(routerId) || Promise.resolve()).catch(() => {}).then(() => capture(routerId, options));
+    queues.set(routerId, run);
+    run.finally(() => { if (queues.get(routerId) === run) queues.delete(routerId); }).catch(() => {});
+    return run;
+  }
+
+  async function snapshotAll() {
+    const routers = await db.all('SELECT id FROM routers');
+    const summary = { routers: routers.length, saved: 0, unchanged: 0, errors: [] };
+    for (const { id } of routers) {
+      try {
+        const snap = await takeSnapshot(id, { reason: 'scheduled' });
+        if (snap.unchanged) summary.unchanged++;
+        else summary.saved++;
+      } catch (e) {
+        summary.errors.push(`${id}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  // Runs before the /mt-api pass-through. A router without SSH still gets
+  // the operation; the failed snapshot is only logged.
+  async function beforeRiskyOperation(req, res, next) {
+    const [, routerId, ...rest] = req.path.split('/');
+    const endpoint = rest.join('/');
+    if (req.method !== 'POST' || !RISKY_ENDPOINTS.includes(endpoint)) return next();
+    try {
+      await takeSnapshot(routerId, { reason: `before ${endpoint.split('/').pop()}`, username: req.user && req.user.username });
+    } catch (e) {
+      console.warn(`Could not snapshot router ${routerId} before ${endpoint}:`, e.message);
+    }
+    next();
+  }
+
+  async function diff(fromId, toId) {
+    if (!fromId || !toId) throw new ValidationError(fromId ? 'to' : 'from', "Query parameters 'from' and 'to' are required");
+    const [from, to] = await Promise.all([getSnapshot(fromId), getSnapshot(toId)]);
+    if (from.meta.routerId !== to.meta.routerId) throw new ValidationError('to', 'Both snapshots must belong to the same router');
+    const entries = diffLines(configLines(from.text), configLines(to.text));
+    const changes = new Map();
+    for (const entry of entries) {
+      if (entry.type === ' ') continue;
+      const section = sectionOf(entry.text) || '(header)';
+      const counts = changes.get(section) || { section, added: 0, removed: 0 };
+      counts[entry.type === '+' ? 'added' : 'removed']++;
+      changes.set(section, counts);
+    }
+    return {
+      from: from.meta,
+      to: to.meta,
+      added: entries.filter(e => e.type === '+').length,
+      removed: entries.filter(e => e.type === '-').length,
+      sections: [...changes.values()],
+      hunks: toHunks(entries),
+    };
+  }
+
+  const confirmTokenFor = (snapshot, script) => sha256(`${snapshot.id}\n${snapshot.routerId}\n${script}`).slice(0, 32);
+
+  async function previewRestore(id, body) {
+    const { meta, text } = await getSnapshot(id);
+    const script = buildRestoreScript(text, body || {});
+    return { snapshot: meta, script, lineCount: script.split('\n').length - 1, confirmToken: confirmTokenFor(meta, script) };
+  }
+
+  async function restore(id, body, user) {
+    const { meta, text } = await getSnapshot(id);
+    const script = buildRestoreScript(text, body || {});
+    if (!body || body.confirmToken !== confirmTokenFor(meta, script)) {
+      throw new ValidationError('confirmToken', 'Preview this restore and confirm the script shown before pushing it');
+    }
+    const router = await getRouter(meta.routerId);
+    const before = await takeSnapshot(meta.routerId, { reason: 'before restore', note: `Restoring v${meta.version}`, username: user && user.username });
+    const fileName = `panel-restore-${Date.now()}.rsc`;
+    const output = await withConnection(routerConnectOptions(router), async (conn) => {
+      await upload(conn, fileName, script);
+      const result = await exec(conn, `/import file-name=${fileName} verbose=yes`);
+      await exec(conn, `/file remove [find name=${rosQuote(fileName)}]`);
+      return `${result.stdout}${result.stderr}`.trim();
+    });
+    return { success: /executed successfully/i.test(output), output, snapshotBefore: before };
+  }
+
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const { routerId } = req.query;
+      const rows = await db.all(
+        `SELECT ${META_COLUMNS} FROM config_snapshots ${routerId ? 'WHERE routerId = ?' : ''} ORDER BY createdAt DESC, version DESC`,
+        routerId ? [routerId] : []
+      );
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const { routerId, note } = req.body || {};
+      if (note !== undefined && note !== null && typeof note !== 'string') throw new ValidationError('note', "Field 'note' must be a string");
+      res.status(201).json(await takeSnapshot(routerId, { reason: 'manual', note, username: req.user && req.user.username }));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/diff', async (req, res) => {
+    try {
+      const result = await diff(req.query.from, req.query.to);
+      if (!mayReadSecrets(req)) {
+        for (const hunk of result.hunks) hunk.lines = hunk.lines.map(line => ({ ...line, text: redact(line.text) }));
+      }
+      res.json(result);
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const { meta, text } = await getSnapshot(req.params.id);
+      const full = mayReadSecrets(req);
+      res.json({ ...meta, content: full ? text : redact(text), redacted: !full, sections: sectionsOf(configLines(text)) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/:id/download', async (req, res) => {
+    try {
+      const { meta, text } = await getSnapshot(req.params.id);
+      res.type('text/plain').attachment(`${meta.routerId}-v${meta.version}.rsc`).send(mayReadSecrets(req) ? text : redact(text));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/:id/restore/preview', async (req, res) => {
+    try {
+      res.json(await previewRestore(req.params.id, req.body));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/:id/restore', async (req, res) => {
+    try {
+      res.json(await restore(req.params.id, req.body, req.user));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const result = await db.run('DELETE FROM config_snapshots WHERE id = ?', [req.params.id]);
+      if (!result.changes) throw notFound('Snapshot not found');
+      res.json({ message: 'Deleted' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, takeSnapshot, snapshotAll, beforeRiskyOperation, diff };
+}
+
+module.exports = { createConfigSnapshots };
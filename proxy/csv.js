@@ -0,0 +1,68 @@
+// CSV for exports and bulk imports. Cells that a spreadsheet would evaluate
+// as a formula are written with a leading quote, and that quote is dropped
+// again on import so an exported file round-trips unchanged.
+const FORMULA_START = /^[=+\-@]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = typeof value === 'string' ? value : JSON.stringify(value);
+  // Stop spreadsheet apps from evaluating cells as formulas.
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')].concat(rows.map(row => columns.map(c => csvCell(row[c])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// RFC 4180 with a header row. Returns one object per non-blank line, keyed
+// by header, plus the file line each record started on for error reports.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+  const src = String(text).replace(/^\uFEFF/, '');
+  const endCell = () => { record.push(cell); cell = ''; };
+  const endRecord = () => {
+    endCell();
+    if (record.some(c => c !== '')) records.push({ line: startLine, cells: record });
+    record = [];
+    startLine = line;
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === ',') endCell();
+    else if (ch === '\r' && src[i + 1] === '\n') continue;
+    else if (ch === '\n' || ch === '\r') { line++; endRecord(); }
+    else cell += ch;
+  }
+  if (quoted) throw Object.assign(new Error(`Unterminated quoted cell starting on line ${startLine}`), { status: 400 });
+  if (cell !== '' || record.length) endRecord();
+
+  const [header, ...body] = records;
+  if (!header) return { columns: [], rows: [] };
+  const columns = header.cells.map(c => c.trim());
+  const rows = body.map(({ line: at, cells }) => {
+    const values = {};
+    columns.forEach((c, i) => {
+      const v = (cells[i] || '').trim();
+      values[c] = /^'[=+\-@]/.test(v) ? v.slice(1) : v;
+    });
+    return { line: at, values };
+  });
+  return { columns, rows };
+}
+
+module.exports = { csvCell, toCsv, parseCsv };
@@ -0,0 +1,25 @@
+// The panel shares one database connection, so transactions have to be
+// serialised: a second BEGIN on the same connection would fail.
+let queue = Promise.resolve();
+
+function withTransaction(db, fn) {
+  const run = queue.then(async () => {
+    await db.exec('BEGIN');
+    try {
+      const result = await fn();
+      await db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      await db.exec('ROLLBACK');
+      throw e;
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+module.exports = { withTransaction, newId };
@@ -0,0 +1,343 @@
+// Reconciles DHCP portal billing between the panel and each router. A
+// client's state lives in four places: its authorized-dhcp-users address-list
+// entry (whose JSON comment holds the due date), its simple queue, its
+// deactivate-dhcp-<ip> expiry scheduler and its dhcp_clients row. A check
+// compares them with each other and with the DHCP leases and lists every
+// mismatch with the fix for it. Fixes run on request, or from the hourly job
+// when dhcpReconcileSettings.autoFix is on.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { IPV4, MAC, UNSAFE_TEXT, parseComment, getDue, normalizeMac } = require('./routeros');
+const { newId } = require('./dbUtils');
+
+const DHCP_LIST = 'authorized-dhcp-users';
+const PENDING_LIST = 'pending-dhcp-users';
+const SCHEDULER_PREFIX = 'deactivate-dhcp-';
+// Scheduler start times are written to the second; anything further off
+// than this was changed on the router or by its clock.
+const TOLERANCE_MS = 2 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const ROS_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const schedulerName = (address) => `${SCHEDULER_PREFIX}${address.replace(/\./g, '-')}`;
+const where = (filter) => encodeURIComponent(JSON.stringify(filter));
+const itemId = (item) => item['.id'] || item.id;
+
+// RouterOS prints dates as "jan/02/2025" before 7.10 and "2025-01-02"
+// after, in router local time; api-backend writes schedulers in the panel
+// host's time zone, so both are read as local time here.
+function rosDateTime(date, time) {
+  let year;
+  let month;
+  let day;
+  let m = /^([a-z]{3})\/(\d{2})\/(\d{4})$/i.exec(date || '');
+  if (m) [month, day, year] = [ROS_MONTHS.indexOf(m[1].toLowerCase()), Number(m[2]), Number(m[3])];
+  else if ((m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || ''))) [year, month, day] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+  const t = /^(\d{2}):(\d{2}):(\d{2})$/.exec(time || '');
+  if (!m || !t || month < 0) return null;
+  return new Date(year, month, day, Number(t[1]), Number(t[2]), Number(t[3]));
+}
+
+function formatMinutes(ms) {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  return minutes >= 120 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`;
+}
+
+const targets = (queue, address) => String(queue.target || '').split(',').some(t => t === address || t === `${address}/32`);
+
+// What dhcp-client/update needs to rewrite a client's comment, queue and
+// scheduler, or the reason it can't be sent.
+function rewritePayload({ address, macAddress, comment, record, due }) {
+  const payload = {
+    macAddress,
+    address,
+    customerInfo: comment.customerInfo || (record && record.customerInfo) || '',
+    contactNumber: comment.contactNumber || (record && record.contactNumber) || undefined,
+    email: comment.email || (record && record.email) || undefined,
+    plan: comment.planName ? { name: comment.planName } : undefined,
+    planType: comment.planType === 'postpaid' ? 'postpaid' : 'prepaid',
+    expiresAt: due.toISOString(),
+    speedLimit: (record && record.speedLimit) || undefined,
+  };
+  if (!IPV4.test(address)) return { problem: `${address} is not an IPv4 address` };
+  if (!MAC.test(macAddress)) return { problem: 'The client\'s MAC address is unknown' };
+  if (!payload.customerInfo) return { problem: 'The client has no name to give its queue' };
+  for (const field of ['customerInfo', 'contactNumber', 'email']) {
+    if (payload[field] && UNSAFE_TEXT.test(payload[field])) return { problem: `${field} contains characters RouterOS scripts cannot hold` };
+  }
+  if (payload.plan && UNSAFE_TEXT.test(payload.plan.name)) return { problem: 'The plan name contains characters RouterOS scripts cannot hold' };
+  if (payload.speedLimit && !/^\d+(\.\d+)?$/.test(String(payload.speedLimit))) return { problem: `Speed limit '${payload.speedLimit}' is not a number of Mbps` };
+  return { payload };
+}
+
+function createDhcpReconcile(db, { routerClient, notifier }) {
+  async function getSettings() {
+    const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+    return { autoFix: !!((row ? JSON.parse(row.value_json) : {}).dhcpReconcileSettings || {}).autoFix };
+  }
+
+  async function load(routerId) {
+    const [entries, leases, queues, schedulers, clock, clients] = await Promise.all([
+      routerClient.call(routerId, `ip/firewall/address-list/print?where=${where({ list: DHCP_LIST })}`),
+      routerClient.call(routerId, 'ip/dhcp-server/lease/print?proplist=address,mac-address'),
+      routerClient.call(routerId, 'queue/simple/print?proplist=.id,name,target,max-limit'),
+      routerClient.call(routerId, 'system/scheduler/print?proplist=.id,name,start-date,start-time,on-event'),
+      routerClient.call(routerId, 'system/clock/print'),
+      db.all('SELECT * FROM dhcp_clients WHERE routerId = ?', [routerId]),
+    ]);
+    const byName = new Map();
+    for (const c of clients) if (c.customerInfo) byName.set(c.customerInfo, byName.has(c.customerInfo) ? null : c);
+    return {
+      entries: [].concat(entries || []),
+      authorized: new Set([].concat(entries || []).map(e => e.address)),
+      leasesByAddress: new Map([].concat(leases || []).map(l => [l.address, normalizeMac(l['mac-address'])])),
+      leasesByMac: new Map([].concat(leases || []).filter(l => l.address).map(l => [normalizeMac(l['mac-address']), l.address])),
+      queues: new Map([].concat(queues || []).map(q => [q.name, q])),
+      schedulers: [].concat(schedulers || []).filter(s => String(s.name || '').startsWith(SCHEDULER_PREFIX)),
+      clock,
+      clients: new Map(clients.map(c => [normalizeMac(c.macAddress), c])),
+      // A name shared by two clients identifies neither.
+      clientsByName: byName,
+    };
+  }
+
+  // Lists the mismatches. `context` keeps, per issue id, the router items
+  // and records its fix works on; only `issues` is sent to the browser.
+  function findIssues(state, now = new Date()) {
+    const issues = [];
+    const context = new Map();
+    const add = (type, address, details, fix, ctx = {}) => {
+      const issue = { id: `${type}:${address || 'router'}`, type, address: address || null, ...details, fix: fix || null };
+      issues.push(issue);
+      context.set(issue.id, ctx);
+    };
+    const routerNow = state.clock && rosDateTime(state.clock.date, state.clock.time);
+    if (routerNow && Math.abs(routerNow - now) > MAX_CLOCK_SKEW_MS) {
+      add('clock-skew', null, {
+        message: `The router clock is ${formatMinutes(routerNow - now)} ${routerNow > now ? 'ahead of' : 'behind'} the panel, so expiry schedulers fire at the wrong time. Check its NTP client and time zone.`,
+      });
+    }
+
+    const schedulers = new Map(state.schedulers.map(s => [s.name, s]));
+    const expected = new Set();
+    for (const entry of state.entries) {
+      const address = entry.address;
+      const comment = parseComment(entry.comment);
+      const due = getDue(comment);
+      const named = comment.customerInfo ? state.clientsByName.get(comment.customerInfo) : null;
+      const macAddress = normalizeMac(comment.macAddress) || (named && normalizeMac(named.macAddress)) || state.leasesByAddress.get(address) || '';
+      const record = state.clients.get(macAddress);
+      const customerInfo = comment.customerInfo || (record && record.customerInfo) || '';
+      const scheduler = schedulers.get(schedulerName(address));
+      const queue = customerInfo ? state.queues.get(customerInfo) : null;
+      const who = customerInfo || macAddress || address;
+      const base = { macAddress: macAddress || null, customerInfo: customerInfo || null, dueDateTime: due ? due.toISOString() : null };
+      const ctx = { entry, comment, record, scheduler, queue, due, macAddress };
+      expected.add(schedulerName(address));
+
+      if (record && comment.customerInfo && record.customerInfo !== comment.customerInfo) {
+        add('record-mismatch', address, { ...base, message: `The panel has ${record.customerInfo || 'no name'} for ${macAddress}; the router has ${comment.customerInfo}.` },
+          'Update the panel record from the router', ctx);
+      } else if (!record && MAC.test(macAddress)) {
+        add('missing-record', address, { ...base, message: `${who} is authorized on the router but is not in the panel.` }, 'Add the client to the panel', ctx);
+      }
+
+      // Everything else follows the address, so a moved client is fixed first.
+      const leased = macAddress ? state.leasesByMac.get(macAddress) : null;
+      if (leased && leased !== address) {
+        const both = state.authorized.has(leased);
+        const { problem } = due && due > now && !both ? rewritePayload({ address: leased, macAddress, comment, record, due }) : {};
+        add('ip-changed', address, { ...base, newAddress: leased, message: `${who} now has ${leased} but is authorized as ${address}.` },
+          problem ? null : both ? `Remove the stale authorization for ${address}` : `Move the authorization, queue and expiry to ${leased}`,
+          { ...ctx, newAddress: leased, both, problem });
+        continue;
+      }
+      if (!due) {
+        add('no-due-date', address, { ...base, message: `${who} is authorized with no due date, so it never expires. Renew it from the client list.` });
+        continue;
+      }
+      if (due.getTime() < now.getTime() - TOLERANCE_MS) {
+        add('expired-authorized', address, { ...base, message: `${who} expired ${due.toLocaleString()} but is still authorized.` },
+          'Deactivate the client as its expiry scheduler would have', ctx);
+        continue;
+      }
+
+      const { payload, problem } = rewritePayload({ address, macAddress, comment, record, due });
+      const rewrite = problem ? null : payload;
+      const start = scheduler ? rosDateTime(scheduler['start-date'], scheduler['start-time']) : null;
+      if (!scheduler) {
+        add('missing-scheduler', address, { ...base, message: `${who} has no expiry scheduler, so it will not be cut off at ${due.toLocaleString()}.${problem ? ` ${problem}.` : ''}` },
+          rewrite && 'Recreate the expiry scheduler', { ...ctx, payload });
+      } else if (!start || Math.abs(start - due) > TOLERANCE_MS || !String(scheduler['on-event'] || '').includes(`"${address}"`)) {
+        const when = start ? `fires ${start.toLocaleString()}` : 'has no valid start time';
+        add('scheduler-mismatch', address, { ...base, message: `The expiry scheduler of ${who} ${when}, but the client is paid until ${due.toLocaleString()}.${problem ? ` ${problem}.` : ''}` },
+          rewrite && 'Reschedule the expiry for the due date', { ...ctx, payload });
+      }
+      if (queue && !targets(queue, address)) {
+        add('queue-target', address, { ...base, message: `Queue ${queue.name} limits ${queue.target || 'nothing'} instead of ${address}.` }, `Point the queue at ${address}`, ctx);
+      } else if (!queue && record && record.speedLimit) {
+        add('missing-queue', address, { ...base, message: `${who} should be limited to ${record.speedLimit} Mbps but has no queue.${problem ? ` ${problem}.` : ''}` },
+          rewrite && 'Recreate the queue', { ...ctx, payload });
+      }
+    }
+
+    for (const scheduler of state.schedulers) {
+      if (expected.has(scheduler.name)) continue;
+      const address = scheduler.name.slice(SCHEDULER_PREFIX.length).replace(/-/g, '.');
+      add('orphan-scheduler', address, { macAddress: null, customerInfo: null, dueDateTime: null, message: `Scheduler ${scheduler.name} expires a client that is no longer authorized.` },
+        'Remove the scheduler', { scheduler });
+    }
+    return { issues, context };
+  }
+
+  async function removePending(routerId, address) {
+    for (const pending of [].concat(await routerClient.call(routerId, `ip/firewall/address-list/print?where=${where({ list: PENDING_LIST, address })}`) || [])) {
+      await routerClient.call(routerId, 'ip/firewall/address-list/remove', 'POST', { '.id': itemId(pending) });
+    }
+  }
+
+  // Does what the expiry scheduler's script does.
+  async function deactivate(routerId, address, { entry, scheduler, macAddress }, state) {
+    await routerClient.call(routerId, 'ip/firewall/address-list/remove', 'POST', { '.id': itemId(entry) });
+    if (scheduler) await routerClient.call(routerId, 'system/scheduler/remove', 'POST', { '.id': itemId(scheduler) });
+    const connections = [].concat(await routerClient.call(routerId, 'ip/firewall/connection/print?proplist=.id,src-address') || []);
+    for (const c of connections.filter(c => c['src-address'] === address || String(c['src-address'] || '').startsWith(`${address}:`))) {
+      await routerClient.call(routerId, 'ip/firewall/connection/remove', 'POST', { '.id': itemId(c) }).catch(() => {});
+    }
+    if (state.leasesByAddress.has(address) && MAC.test(macAddress)) {
+      await routerClient.call(routerId, 'ip/firewall/address-list/add', 'POST', { list: PENDING_LIST, address, timeout: '1d', comment: macAddress });
+    }
+  }
+
+  async function move(routerId, address, ctx) {
+    const { entry, scheduler, queue, comment, record, due, macAddress, newAddress, both } = ctx;
+    if (!both) {
+      await routerClient.call(routerId, 'ip/firewall/address-list/add', 'POST', { list: DHCP_LIST, address: newAddress, comment: entry.comment || '{}' });
+      await removePending(routerId, newAddress);
+    }
+    await routerClient.call(routerId, 'ip/firewall/address-list/remove', 'POST', { '.id': itemId(entry) });
+    if (scheduler) await routerClient.call(routerId, 'system/scheduler/remove', 'POST', { '.id': itemId(scheduler) });
+    if (both) return;
+    if (queue && targets(queue, address)) await routerClient.call(routerId, 'queue/simple/set', 'POST', { '.id': itemId(queue), target: `${newAddress}/32` });
+    // An expired client is moved as it is; the next check deactivates it.
+    if (due && due > new Date()) {
+      const { payload } = rewritePayload({ address: newAddress, macAddress, comment, record, due });
+      await routerClient.call(routerId, 'dhcp-client/update', 'POST', payload);
+    }
+  }
+
+  async function applyFix(routerId, issue, ctx, state) {
+    switch (issue.type) {
+      case 'orphan-scheduler':
+        return routerClient.call(routerId, 'system/scheduler/remove', 'POST', { '.id': itemId(ctx.scheduler) });
+      case 'expired-authorized':
+        return deactivate(routerId, issue.address, ctx, state);
+      case 'ip-changed':
+        return move(routerId, issue.address, ctx);
+      case 'missing-scheduler':
+      case 'scheduler-mismatch':
+      case 'missing-queue':
+        return routerClient.call(routerId, 'dhcp-client/update', 'POST', ctx.payload);
+      case 'queue-target':
+        return routerClient.call(routerId, 'queue/simple/set', 'POST', { '.id': itemId(ctx.queue), target: `${issue.address}/32` });
+      case 'missing-record':
+        return db.run(
+          'INSERT INTO dhcp_clients (id, routerId, macAddress, customerInfo, contactNumber, email, lastSeen) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [newId('dhcp_client'), routerId, ctx.macAddress, ctx.comment.customerInfo || null, ctx.comment.contactNumber || null, ctx.comment.email || null, new Date().toISOString()]
+        );
+      case 'record-mismatch':
+        return db.run(
+          'UPDATE dhcp_clients SET customerInfo = ?, contactNumber = COALESCE(?, contactNumber), email = COALESCE(?, email) WHERE id = ?',
+          [ctx.comment.customerInfo, ctx.comment.contactNumber || null, ctx.comment.email || null, ctx.record.id]
+        );
+      default:
+        throw new Error(`No fix for ${issue.type}`);
+    }
+  }
+
+  async function inspect(routerId) {
+    const state = await load(routerId);
+    return { state, ...findIssues(state) };
+  }
+
+  async function check(routerId) {
+    const { state, issues } = await inspect(routerId);
+    return { routerId, checkedAt: new Date().toISOString(), clients: state.entries.length, issues };
+  }
+
+  // Fixes the listed issues (all fixable ones when `ids` is omitted) against
+  // a fresh check, so nothing is done for an issue that has since gone away.
+  async function fix(routerId, ids) {
+    const { state, issues, context } = await inspect(routerId);
+    const results = [];
+    for (const issue of ids ? issues.filter(i => ids.includes(i.id)) : issues.filter(i => i.fix)) {
+      if (!issue.fix) {
+        results.push({ id: issue.id, status: 'skipped', error: 'This needs to be fixed by hand' });
+        continue;
+      }
+      try {
+        await applyFix(routerId, issue, context.get(issue.id), state);
+        results.push({ id: issue.id, status: 'fixed' });
+      } catch (e) {
+        results.push({ id: issue.id, status: 'failed', error: e.message });
+      }
+    }
+    for (const id of ids || []) {
+      if (!issues.some(i => i.id === id)) results.push({ id, status: 'resolved' });
+    }
+    return { results, report: await check(routerId) };
+  }
+
+  async function reconcileAll() {
+    const { autoFix } = await getSettings();
+    const routers = await db.all('SELECT id, name FROM routers');
+    const summary = { routers: routers.length, issues: 0, fixed: 0, errors: [] };
+    for (const router of routers) {
+      try {
+        let { issues } = await check(router.id);
+        if (autoFix && issues.some(i => i.fix)) {
+          const { results, report } = await fix(router.id);
+          summary.fixed += results.filter(r => r.status === 'fixed').length;
+          for (const r of results.filter(r => r.status === 'failed')) summary.errors.push(`${router.name}: ${r.id}: ${r.error}`);
+          issues = report.issues;
+        }
+        summary.issues += issues.length;
+        if (!issues.length) continue;
+        await notifier.notify({
+          key: `dhcp-reconcile:${router.id}`,
+          type: 'warning',
+          message: `DHCP billing on ${router.name} has ${issues.length} mismatch${issues.length === 1 ? '' : 'es'} between the router and the panel.`,
+          linkTo: 'dhcp-portal',
+          context: { routerId: router.id },
+          category: 'dhcp-reconcile',
+          debounceMinutes: 24 * 60,
+        });
+      } catch (e) {
+        summary.errors.push(`${router.name}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  const router = express.Router();
+
+  router.get('/:routerId', async (req, res) => {
+    try {
+      res.json(await check(req.params.routerId));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/:routerId/fix', async (req, res) => {
+    try {
+      const ids = (req.body || {}).issues;
+      if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+        throw new ValidationError('issues', "Field 'issues' must be an array of issue ids");
+      }
+      res.json(await fix(req.params.routerId, ids));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, check, fix, reconcileAll };
+}
+
+module.exports = { createDhcpReconcile };
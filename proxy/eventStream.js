@@ -0,0 +1,272 @@
+// Live events for the browser over one WebSocket at /ws/events, in place of
+// every open view polling the routers on its own timer. A router is polled
+// here only while some browser watches it, once per tick however many tabs
+// do, and each result fans out to the sockets whose user may see it. Panel
+// events (notifications, payments) are pushed as they happen.
+//
+// Browser -> server: {action: 'watch' | 'unwatch', routerId, topics}
+// Server -> browser: {type, routerId?, topic?, topics?, data, at}
+const WebSocket = require('ws');
+const { hasPermission } = require('./rbac');
+const { isTrue } = require('./routeros');
+const { tokenFromRequest, rejectUpgrade } = require('./sshBridge');
+
+const WS_PATH = '/ws/events';
+const POLL_INTERVAL_MS = 2000;
+// Sessions are re-checked this often, so a revoked login or a role that
+// lost a permission stops receiving events.
+const AUTH_CHECK_MS = 60 * 1000;
+// Keeps quiet sockets open behind nginx, whose proxy_read_timeout is 60 s.
+const PING_INTERVAL_MS = 30 * 1000;
+const MAX_WATCHES = 20;
+
+// What a browser can watch on a router and the permission it needs. Each
+// poll resolves to the `data` of one message of the same type as the topic.
+const TOPICS = {
+  stats: {
+    resource: 'dashboard',
+    poll: async (call) => {
+      const [resource, interfaces] = await Promise.all([call('system/resource/print'), call('interface/stats')]);
+      return { resource, interfaces: Array.isArray(interfaces) ? interfaces : [] };
+    },
+  },
+  ppp: {
+    resource: 'pppoe_users',
+    poll: async (call) => {
+      const active = await call('ppp/active/print');
+      return { active: Array.isArray(active) ? active : [] };
+    },
+  },
+  // Hosts are optional: a router without a hotspot still lists its active
+  // users as empty rather than failing the whole topic.
+  hotspot: {
+    resource: 'hotspot',
+    poll: async (call) => {
+      const [active, hosts] = await Promise.all([call('ip/hotspot/active/print'), call('ip/hotspot/host/print').catch(() => null)]);
+      return { active: Array.isArray(active) ? active : [], hosts: Array.isArray(hosts) ? hosts : null };
+    },
+  },
+};
+
+const PAYMENT_RESOURCES = { sale: 'sales_report', voucher: 'sales_report', xendit: 'payments', ledger: 'ledger' };
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// The fields a session event carries, per kind.
+const sessionSummary = {
+  ppp: (s) => ({ name: s.name || null, address: s.address || null, callerId: s['caller-id'] || null }),
+  hotspot: (s) => ({ name: s.user || null, address: s.address || null, callerId: s['mac-address'] || null }),
+};
+
+function createEventStream(db, { verifyToken, rbac, routerClient }) {
+  const wss = new WebSocket.Server({ noServer: true, handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false) });
+  const clients = new Set();
+  // routerId -> { watchers: {topic: Set<client>}, last: {topic: message},
+  // interfaces: Map<name, state>, sessions: {kind: Map<.id, session>}, timer }
+  const routers = new Map();
+  let timers = null;
+
+  const message = (type, data, extra = {}) => JSON.stringify({ type, ...extra, data, at: new Date().toISOString() });
+  const send = (client, text) => {
+    if (client.ws.readyState === WebSocket.OPEN) client.ws.send(text);
+  };
+
+  // Events that are not about one watched router go to everyone whose role
+  // can read `resource`.
+  function publish(type, data, resource) {
+    if (!clients.size) return;
+    const text = message(type, data);
+    for (const client of clients) {
+      if (hasPermission(client.user.permissions, resource, 'read')) send(client, text);
+    }
+  }
+
+  function publishPayment(payment) {
+    publish('payment', payment, PAYMENT_RESOURCES[payment.source] || 'sales_report');
+  }
+
+  function broadcast(state, topic, text) {
+    for (const client of state.watchers[topic]) send(client, text);
+  }
+
+  // Connects and disconnects are found by comparing each poll with the one
+  // before; the first poll after a router is watched only sets the baseline.
+  function diffSessions(routerId, state, kind, list) {
+    const previous = state.sessions[kind];
+    const current = new Map(list.map(s => [s['.id'], s]));
+    state.sessions[kind] = current;
+    if (!previous) return;
+    for (const [id, s] of current) {
+      if (!previous.has(id)) broadcast(state, kind, message('session', { kind, action: 'connected', ...sessionSummary[kind](s) }, { routerId }));
+    }
+    for (const [id, s] of previous) {
+      if (!current.has(id)) broadcast(state, kind, message('session', { kind, action: 'disconnected', ...sessionSummary[kind](s) }, { routerId }));
+    }
+  }
+
+  function diffInterfaces(routerId, state, interfaces) {
+    const previous = state.interfaces;
+    state.interfaces = new Map(interfaces.map(i => [i.name, { running: isTrue(i.running), disabled: isTrue(i.disabled) }]));
+    if (!previous) return;
+    for (const [name, now] of state.interfaces) {
+      const before = previous.get(name);
+      if (before && before.running !== now.running) {
+        broadcast(state, 'stats', message('interface', { name, running: now.running, disabled: now.disabled }, { routerId }));
+      }
+    }
+  }
+
+  async function pollTopic(routerId, state, topic) {
+    const call = (endpoint) => routerClient.call(routerId, endpoint);
+    try {
+      const data = await TOPICS[topic].poll(call);
+      if (topic === 'stats') diffInterfaces(routerId, state, data.interfaces);
+      else diffSessions(routerId, state, topic, data.active);
+      state.last[topic] = message(topic, data, { routerId });
+    } catch (e) {
+      state.last[topic] = message('router-error', { message: e.message }, { routerId, topic });
+    }
+    broadcast(state, topic, state.last[topic]);
+  }
+
+  // One tick polls every watched topic of the router; the next is scheduled
+  // when it finishes, so a slow router is never asked twice at once.
+  async function tick(routerId) {
+    const state = routers.get(routerId);
+    if (!state) return;
+    const topics = Object.keys(TOPICS).filter(t => state.watchers[t].size);
+    if (!topics.length) {
+      routers.delete(routerId);
+      return;
+    }
+    await Promise.all(topics.map(t => pollTopic(routerId, state, t)));
+    if (routers.get(routerId) === state) state.timer = setTimeout(() => tick(routerId), POLL_INTERVAL_MS);
+  }
+
+  async function watch(client, routerId, topics) {
+    if (typeof routerId !== 'string' || !routerId) throw httpError(400, 'routerId is required');
+    const wanted = Array.isArray(topics) ? topics : Object.keys(TOPICS);
+    const unknown = wanted.find(t => !TOPICS[t]);
+    if (unknown) throw httpError(400, `Unknown topic '${unknown}'`);
+    const denied = wanted.find(t => !hasPermission(client.user.permissions, TOPICS[t].resource, 'read'));
+    if (denied) throw httpError(403, `Permission denied: ${TOPICS[denied].resource}:read`);
+    if (client.watches.size + wanted.length > MAX_WATCHES) throw httpError(400, `At most ${MAX_WATCHES} topics can be watched at once`);
+    if (!(await db.get('SELECT id FROM routers WHERE id = ?', [routerId]))) throw httpError(404, 'Router not found');
+    if (!clients.has(client)) return;
+
+    let state = routers.get(routerId);
+    const starting = !state;
+    if (starting) {
+      state = { watchers: {}, last: {}, interfaces: null, sessions: {}, timer: null };
+      for (const t of Object.keys(TOPICS)) state.watchers[t] = new Set();
+      routers.set(routerId, state);
+    }
+    for (const topic of wanted) {
+      state.watchers[topic].add(client);
+      client.watches.add(`${routerId}|${topic}`);
+      if (state.last[topic]) send(client, state.last[topic]);
+    }
+    if (starting) tick(routerId);
+  }
+
+  // The router's poller stops by itself on its next tick once nobody is left.
+  function unwatch(client, routerId, topics) {
+    const state = routers.get(routerId);
+    for (const topic of Array.isArray(topics) ? topics : Object.keys(TOPICS)) {
+      client.watches.delete(`${routerId}|${topic}`);
+      if (state && state.watchers[topic]) {
+        state.watchers[topic].delete(client);
+        if (state.watchers[topic].size) continue;
+        // A topic watched again later starts from a new baseline.
+        delete state.last[topic];
+        if (topic === 'stats') state.interfaces = null;
+        else delete state.sessions[topic];
+      }
+    }
+  }
+
+  function drop(client) {
+    if (!clients.delete(client)) return;
+    for (const key of client.watches) {
+      const [routerId, topic] = key.split('|');
+      unwatch(client, routerId, [topic]);
+    }
+    if (!clients.size && timers) {
+      timers.forEach(clearInterval);
+      timers = null;
+    }
+  }
+
+  async function checkSessions() {
+    for (const client of [...clients]) {
+      try {
+        const auth = await verifyToken(client.token);
+        const user = auth && auth.sub ? await rbac.getUser(auth.sub) : null;
+        if (!user) {
+          client.ws.close(4001, 'Session expired');
+          drop(client);
+          continue;
+        }
+        client.user = user;
+        for (const key of client.watches) {
+          const [routerId, topic] = key.split('|');
+          if (!hasPermission(user.permissions, TOPICS[topic].resource, 'read')) unwatch(client, routerId, [topic]);
+        }
+      } catch (e) {
+        console.error('Event stream session check failed:', e.message);
+      }
+    }
+  }
+
+  function start(ws, user, token) {
+    const client = { ws, user, token, watches: new Set() };
+    clients.add(client);
+    if (!timers) {
+      timers = [
+        setInterval(checkSessions, AUTH_CHECK_MS),
+        setInterval(() => clients.forEach(c => c.ws.readyState === WebSocket.OPEN && c.ws.ping()), PING_INTERVAL_MS),
+      ];
+    }
+
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+      if (!msg) return;
+      if (msg.action === 'watch') {
+        watch(client, msg.routerId, msg.topics).catch((e) => {
+          send(client, message('error', { message: e.message, status: e.status || 500 }, { routerId: msg.routerId, topics: msg.topics }));
+        });
+      } else if (msg.action === 'unwatch') {
+        unwatch(client, msg.routerId, msg.topics);
+      }
+    });
+    ws.on('close', () => drop(client));
+    ws.on('error', () => drop(client));
+    send(client, message('ready', { user: user.username }));
+  }
+
+  function handles(request) {
+    return String(request.url || '').split('?')[0] === WS_PATH;
+  }
+
+  async function handleUpgrade(request, socket, head) {
+    try {
+      const token = tokenFromRequest(request);
+      if (!token) throw httpError(401, 'Unauthorized');
+      const auth = await verifyToken(token);
+      const user = auth && auth.sub ? await rbac.getUser(auth.sub) : null;
+      if (!user) throw httpError(401, 'Unauthorized');
+      wss.handleUpgrade(request, socket, head, (ws) => start(ws, user, token));
+    } catch (e) {
+      rejectUpgrade(socket, e.status || 500, e.message);
+    }
+  }
+
+  return { handles, handleUpgrade, publish, publishPayment };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,378 @@
+// Customer accounts ledger: subscriptions generate one invoice per billing
+// cycle, payments/credits are allocated to open invoices oldest first, and
+// every movement is an append-only row in ledger_entries.
+//
+// Sign convention: positive amounts are charges (the customer owes more),
+// negative amounts are payments, credits and reversals. A customer's balance
+// is the plain sum of their entries; below zero means advance credit.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction, newId } = require('./dbUtils');
+
+const CYCLE_MONTHS = { Monthly: 1, Quarterly: 3, Yearly: 12 };
+const CREDIT_TYPES = ['payment', 'credit', 'adjustment'];
+const EPSILON = 0.005;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Billing periods are whole days, kept as YYYY-MM-DD and computed in UTC so
+// the server's timezone never shifts a cycle.
+function parseDay(value, field) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ValidationError(field, `Field '${field}' must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+const toDay = (date) => date.toISOString().split('T')[0];
+function addDays(day, days) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDay(d);
+}
+// `anchorDay` keeps a cycle that started on the 31st on the last day of
+// short months instead of drifting to the 28th for good.
+function addMonths(day, months, anchorDay) {
+  const d = new Date(`${day}T00:00:00Z`);
+  const dom = anchorDay || d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(dom, last));
+  return toDay(d);
+}
+
+function parseAmount(value, field, { allowNegative = false } = {}) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n === 0 || (!allowNegative && n < 0)) {
+    throw new ValidationError(field, `Field '${field}' must be a ${allowNegative ? 'non-zero' : 'positive'} number`);
+  }
+  return round2(n);
+}
+
+// `onPayment` hears about payments staff record here; Xendit announces its
+// own.
+function createLedger(db, { onPayment } = {}) {
+  async function getCustomer(customerId) {
+    if (!customerId) throw new ValidationError('customerId', "Field 'customerId' is required");
+    const customer = await db.get('SELECT * FROM customers WHERE id = ?', [customerId]);
+    if (!customer) throw Object.assign(new Error('Customer not found'), { status: 404 });
+    return customer;
+  }
+
+  async function getPlan(sub) {
+    if (sub.planSource === 'dhcp') {
+      const plan = await db.get('SELECT * FROM dhcp_billing_plans WHERE id = ?', [sub.planId]);
+      return plan && { name: plan.name, price: plan.price, currency: plan.currency, advance: (day) => addDays(day, plan.cycle_days || 30) };
+    }
+    const plan = await db.get('SELECT * FROM billing_plans WHERE id = ?', [sub.planId]);
+    return plan && { name: plan.name, price: plan.price, currency: plan.currency, advance: (day) => addMonths(day, CYCLE_MONTHS[plan.cycle] || 1, sub.anchorDay) };
+  }
+
+  async function refreshInvoiceStatus(invoiceId) {
+    const inv = await db.get('SELECT amount, status FROM invoices WHERE id = ?', [invoiceId]);
+    if (!inv || inv.status === 'void') return;
+    const { paid } = await db.get('SELECT COALESCE(SUM(amount), 0) AS paid FROM ledger_allocations WHERE invoiceId = ?', [invoiceId]);
+    const status = paid >= inv.amount - EPSILON ? 'paid' : paid > EPSILON ? 'partial' : 'open';
+    await db.run('UPDATE invoices SET status = ? WHERE id = ?', [status, invoiceId]);
+  }
+
+  // Spreads every unallocated payment/credit over the customer's open
+  // invoices, oldest due date first. Must run inside a transaction.
+  async function applyCredit(customerId) {
+    const invoices = await db.all(`SELECT i.id, i.amount, COALESCE(SUM(a.amount), 0) AS paid
+      FROM invoices i LEFT JOIN ledger_allocations a ON a.invoiceId = i.id
+      WHERE i.customerId = ? AND i.status IN ('open', 'partial')
+      GROUP BY i.id ORDER BY i.dueDate, i.issueDate`, [customerId]);
+    const sources = await db.all(`SELECT e.id, -e.amount - COALESCE(SUM(a.amount), 0) AS available
+      FROM ledger_entries e LEFT JOIN ledger_allocations a ON a.entryId = e.id
+      WHERE e.customerId = ? AND e.amount < 0 AND e.voidedAt IS NULL AND e.type IN (${CREDIT_TYPES.map(() => '?').join(',')})
+      GROUP BY e.id ORDER BY e.date, e.createdAt`, [customerId, ...CREDIT_TYPES]);
+    let s = 0;
+    for (const inv of invoices) {
+      let due = round2(inv.amount - inv.paid);
+      while (due > EPSILON && s < sources.length) {
+        const src = sources[s];
+        const take = round2(Math.min(due, src.available));
+        if (take > EPSILON) {
+          await db.run('INSERT INTO ledger_allocations (entryId, invoiceId, amount) VALUES (?, ?, ?)', [src.id, inv.id, take]);
+          src.available = round2(src.available - take);
+          due = round2(due - take);
+        }
+        if (src.available <= EPSILON) s++;
+      }
+      await refreshInvoiceStatus(inv.id);
+    }
+  }
+
+  async function addEntry({ customerId, type, amount, currency, date, reference, note, invoiceId = null, voidsEntryId = null }) {
+    const entry = {
+      id: newId('led'),
+      customerId,
+      invoiceId,
+      type,
+      amount: round2(amount),
+      currency: currency || null,
+      date: date || toDay(new Date()),
+      reference: reference || null,
+      note: note || null,
+      voidsEntryId,
+      createdAt: new Date().toISOString(),
+    };
+    await db.run(`INSERT INTO ledger_entries (id, customerId, invoiceId, type, amount, currency, date, reference, note, voidsEntryId, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [entry.id, entry.customerId, entry.invoiceId, entry.type, entry.amount, entry.currency, entry.date, entry.reference, entry.note, entry.voidsEntryId, entry.createdAt]);
+    return entry;
+  }
+
+  // Issues every invoice that has come due up to `asOf`. Prepaid periods are
+  // billed when they start, postpaid periods once they have ended. Safe to
+  // run repeatedly: a subscription only moves forward and (subscriptionId,
+  // periodStart) is unique.
+  async function generateInvoices({ asOf = toDay(new Date()), routerId } = {}) {
+    const subs = await db.all(`SELECT s.*, c.routerId AS customerRouterId FROM billing_subscriptions s
+      JOIN customers c ON c.id = s.customerId
+      WHERE s.active = 1${routerId ? ' AND c.routerId = ?' : ''}`, routerId ? [routerId] : []);
+    const created = [];
+    const skipped = [];
+    for (const sub of subs) {
+      const plan = await getPlan(sub);
+      if (!plan) {
+        skipped.push({ subscriptionId: sub.id, reason: `Plan ${sub.planId} no longer exists` });
+        continue;
+      }
+      await withTransaction(db, async () => {
+        let start = sub.nextPeriodStart;
+        // Cap catch-up so a subscription left dormant for years can't flood the ledger in one run.
+        for (let i = 0; i < 36; i++) {
+          const end = plan.advance(start);
+          const billable = sub.planType === 'postpaid' ? end <= asOf : start <= asOf;
+          if (!billable) break;
+          const invoice = {
+            id: newId('inv'),
+            customerId: sub.customerId,
+            subscriptionId: sub.id,
+            routerId: sub.customerRouterId,
+            planName: plan.name,
+            periodStart: start,
+            periodEnd: addDays(end, -1),
+            issueDate: asOf,
+            dueDate: sub.planType === 'postpaid' ? end : start,
+            amount: round2(plan.price),
+            currency: plan.currency,
+          };
+          const result = await db.run(`INSERT OR IGNORE INTO invoices (id, customerId, subscriptionId, routerId, planName, periodStart, periodEnd, issueDate, dueDate, amount, currency, status, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
+            [invoice.id, invoice.customerId, invoice.subscriptionId, invoice.routerId, invoice.planName, invoice.periodStart, invoice.periodEnd, invoice.issueDate, invoice.dueDate, invoice.amount, invoice.currency, new Date().toISOString()]);
+          if (result.changes) {
+            await addEntry({ customerId: sub.customerId, type: 'invoice', amount: invoice.amount, currency: invoice.currency, date: asOf, invoiceId: invoice.id, note: `${plan.name} ${invoice.periodStart} to ${invoice.periodEnd}` });
+            created.push(invoice);
+          }
+          start = end;
+        }
+        await db.run('UPDATE billing_subscriptions SET nextPeriodStart = ? WHERE id = ?', [start, sub.id]);
+        await applyCredit(sub.customerId);
+      });
+    }
+    return { created, skipped };
+  }
+
+  async function recordPayment({ customerId, amount, date, reference, note, currency, type = 'payment' }) {
+    const customer = await getCustomer(customerId);
+    const value = parseAmount(amount, 'amount');
+    if (date) parseDay(date, 'date');
+    return withTransaction(db, async () => {
+      const entry = await addEntry({ customerId: customer.id, type, amount: -value, currency, date, reference, note });
+      await applyCredit(customer.id);
+      return entry;
+    });
+  }
+
+  async function voidEntry(entryId, reason) {
+    const entry = await db.get('SELECT * FROM ledger_entries WHERE id = ?', [entryId]);
+    if (!entry) throw Object.assign(new Error('Ledger entry not found'), { status: 404 });
+    if (entry.voidedAt) throw Object.assign(new Error('Entry is already void'), { status: 409 });
+    if (entry.type === 'void') throw new ValidationError('id', 'Reversal entries cannot be voided');
+    return withTransaction(db, async () => {
+      const now = new Date().toISOString();
+      await db.run('UPDATE ledger_entries SET voidedAt = ? WHERE id = ?', [now, entry.id]);
+      const reversal = await addEntry({ customerId: entry.customerId, type: 'void', amount: -entry.amount, currency: entry.currency, invoiceId: entry.invoiceId, voidsEntryId: entry.id, note: reason || `Void of ${entry.type} ${entry.id}` });
+      if (entry.type === 'invoice') {
+        await db.run("UPDATE invoices SET status = 'void', voidReason = ? WHERE id = ?", [reason || null, entry.invoiceId]);
+        await db.run('DELETE FROM ledger_allocations WHERE invoiceId = ?', [entry.invoiceId]);
+      } else {
+        const touched = await db.all('SELECT DISTINCT invoiceId FROM ledger_allocations WHERE entryId = ?', [entry.id]);
+        await db.run('DELETE FROM ledger_allocations WHERE entryId = ?', [entry.id]);
+        for (const { invoiceId } of touched) await refreshInvoiceStatus(invoiceId);
+      }
+      await applyCredit(entry.customerId);
+      return reversal;
+    });
+  }
+
+  async function getStatement(customerId, { from, to } = {}) {
+    const customer = await getCustomer(customerId);
+    if (from) parseDay(from, 'from');
+    if (to) parseDay(to, 'to');
+    const opening = from
+      ? (await db.get('SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries WHERE customerId = ? AND date < ?', [customer.id, from])).total
+      : 0;
+    const where = ['customerId = ?'];
+    const params = [customer.id];
+    if (from) { where.push('date >= ?'); params.push(from); }
+    if (to) { where.push('date <= ?'); params.push(to); }
+    const rows = await db.all(`SELECT * FROM ledger_entries WHERE ${where.join(' AND ')} ORDER BY date, createdAt`, params);
+    let balance = round2(opening);
+    const entries = rows.map(row => {
+      balance = round2(balance + row.amount);
+      return { ...row, balance };
+    });
+    const openInvoices = await db.all(`SELECT i.*, COALESCE((SELECT SUM(amount) FROM ledger_allocations WHERE invoiceId = i.id), 0) AS paidAmount
+      FROM invoices i WHERE i.customerId = ? AND i.status IN ('open', 'partial') ORDER BY i.dueDate`, [customer.id]);
+    const currency = rows.find(r => r.currency)?.currency || openInvoices[0]?.currency || null;
+    return {
+      customer,
+      from: from || null,
+      to: to || null,
+      generatedAt: new Date().toISOString(),
+      currency,
+      openingBalance: round2(opening),
+      closingBalance: balance,
+      entries,
+      openInvoices,
+    };
+  }
+
+  const router = express.Router();
+
+  router.get('/subscriptions', async (req, res) => {
+    try {
+      const rows = req.query.customerId
+        ? await db.all('SELECT * FROM billing_subscriptions WHERE customerId = ?', [String(req.query.customerId)])
+        : await db.all('SELECT * FROM billing_subscriptions');
+      res.json(rows.map(r => ({ ...r, active: !!r.active })));
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/subscriptions', async (req, res) => {
+    try {
+      const { customerId, planSource = 'pppoe', planId, planType = 'postpaid', startDate } = req.body || {};
+      const customer = await getCustomer(customerId);
+      if (!['pppoe', 'dhcp'].includes(planSource)) throw new ValidationError('planSource', "Field 'planSource' must be one of: pppoe, dhcp");
+      if (!['prepaid', 'postpaid'].includes(planType)) throw new ValidationError('planType', "Field 'planType' must be one of: prepaid, postpaid");
+      const nextPeriodStart = startDate ? parseDay(startDate, 'startDate') : toDay(new Date());
+      const sub = { id: newId('sub'), customerId: customer.id, planSource, planId, planType, nextPeriodStart, anchorDay: Number(nextPeriodStart.slice(8, 10)) };
+      if (!(await getPlan(sub))) throw new ValidationError('planId', `Unknown ${planSource} plan '${planId}'`);
+      await db.run('INSERT INTO billing_subscriptions (id, customerId, planSource, planId, planType, nextPeriodStart, anchorDay, active, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)',
+        [sub.id, sub.customerId, sub.planSource, sub.planId, sub.planType, sub.nextPeriodStart, sub.anchorDay, new Date().toISOString()]);
+      res.json({ ...sub, active: true });
+    } catch (e) { sendError(res, e); }
+  });
+  router.patch('/subscriptions/:id', async (req, res) => {
+    try {
+      const sub = await db.get('SELECT * FROM billing_subscriptions WHERE id = ?', [req.params.id]);
+      if (!sub) return res.status(404).json({ message: 'Not found' });
+      const { planId, planType, active } = req.body || {};
+      const next = { ...sub };
+      if (planId !== undefined) next.planId = planId;
+      if (planType !== undefined) {
+        if (!['prepaid', 'postpaid'].includes(planType)) throw new ValidationError('planType', "Field 'planType' must be one of: prepaid, postpaid");
+        next.planType = planType;
+      }
+      if (active !== undefined) next.active = active ? 1 : 0;
+      if (!(await getPlan(next))) throw new ValidationError('planId', `Unknown ${next.planSource} plan '${next.planId}'`);
+      await db.run('UPDATE billing_subscriptions SET planId = ?, planType = ?, active = ? WHERE id = ?', [next.planId, next.planType, next.active, sub.id]);
+      res.json({ ...next, active: !!next.active });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/invoices/generate', async (req, res) => {
+    try {
+      const { asOf, routerId } = req.body || {};
+      res.json(await generateInvoices({ asOf: asOf ? parseDay(asOf, 'asOf') : undefined, routerId }));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/invoices', async (req, res) => {
+    try {
+      const where = [];
+      const params = [];
+      for (const field of ['customerId', 'routerId', 'status']) {
+        if (req.query[field] === undefined) continue;
+        where.push(`${field} = ?`);
+        params.push(String(req.query[field]));
+      }
+      const rows = await db.all(`SELECT i.*, COALESCE((SELECT SUM(amount) FROM ledger_allocations WHERE invoiceId = i.id), 0) AS paidAmount
+        FROM invoices i${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY i.issueDate DESC, i.createdAt DESC`, params);
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/invoices/:id', async (req, res) => {
+    try {
+      const invoice = await db.get('SELECT * FROM invoices WHERE id = ?', [req.params.id]);
+      if (!invoice) return res.status(404).json({ message: 'Not found' });
+      const [customer, allocations] = await Promise.all([
+        db.get('SELECT * FROM customers WHERE id = ?', [invoice.customerId]),
+        db.all(`SELECT a.amount, e.id AS entryId, e.type, e.date, e.reference FROM ledger_allocations a
+          JOIN ledger_entries e ON e.id = a.entryId WHERE a.invoiceId = ? ORDER BY e.date`, [invoice.id]),
+      ]);
+      const paidAmount = round2(allocations.reduce((sum, a) => sum + a.amount, 0));
+      res.json({ ...invoice, customer, allocations, paidAmount, balanceDue: invoice.status === 'void' ? 0 : round2(invoice.amount - paidAmount) });
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/invoices/:id/void', async (req, res) => {
+    try {
+      const entry = await db.get("SELECT id FROM ledger_entries WHERE invoiceId = ? AND type = 'invoice'", [req.params.id]);
+      if (!entry) return res.status(404).json({ message: 'Not found' });
+      res.json(await voidEntry(entry.id, (req.body || {}).reason));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/payments', async (req, res) => {
+    try {
+      const entry = await recordPayment({ ...(req.body || {}), type: 'payment' });
+      if (onPayment) {
+        const customer = await getCustomer(entry.customerId);
+        onPayment({
+          source: 'ledger', routerId: customer.routerId || null, clientName: customer.fullName || customer.username || null, planName: null,
+          amount: -entry.amount, currency: entry.currency, reference: entry.id,
+        });
+      }
+      res.json(entry);
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/credits', async (req, res) => {
+    try {
+      res.json(await recordPayment({ ...(req.body || {}), type: 'credit' }));
+    } catch (e) { sendError(res, e); }
+  });
+  // Adjustments are signed: positive adds a charge, negative reduces what is owed.
+  router.post('/adjustments', async (req, res) => {
+    try {
+      const { customerId, amount, date, note, currency } = req.body || {};
+      const customer = await getCustomer(customerId);
+      const value = parseAmount(amount, 'amount', { allowNegative: true });
+      if (!note) throw new ValidationError('note', 'Adjustments need a note explaining them');
+      if (date) parseDay(date, 'date');
+      const entry = await withTransaction(db, async () => {
+        const created = await addEntry({ customerId: customer.id, type: 'adjustment', amount: value, currency, date, note });
+        await applyCredit(customer.id);
+        return created;
+      });
+      res.json(entry);
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/entries/:id/void', async (req, res) => {
+    try {
+      res.json(await voidEntry(req.params.id, (req.body || {}).reason));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/customers/:customerId/statement', async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      res.json(await getStatement(req.params.customerId, { from, to }));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, generateInvoices, recordPayment, getStatement };
+}
+
+module.exports = { createLedger };
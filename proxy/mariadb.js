@@ -0,0 +1,221 @@
+// MariaDB driver for the panel database. It offers the same get/all/run/exec
+// calls as the SQLite handle the rest of the panel is written against, and
+// rewrites the SQLite dialect those modules use into MariaDB's: upserts,
+// INSERT OR IGNORE, NOCASE comparisons, the CREATE TABLE / ALTER TABLE
+// statements from migrations.js and the audit log's append-only triggers.
+//
+// Like SQLite, everything goes through one connection, so withTransaction()
+// keeps working unchanged. Tables use a binary collation because SQLite
+// compares text case-sensitively; LIKE is made case-insensitive again to
+// match SQLite.
+const mariadb = require('mariadb');
+
+// Identifiers the panel uses that MariaDB reserves.
+const RESERVED = ['key', 'trigger', 'position'];
+const TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin';
+const CASE_INSENSITIVE = 'utf8mb4_general_ci';
+// InnoDB index keys are limited to 3072 bytes, 768 utf8mb4 characters.
+const MAX_KEY_CHARS = 768;
+const MAX_COLUMN_KEY_CHARS = 191;
+const TEXT_TYPES = new Set(['text', 'mediumtext', 'longtext', 'blob', 'mediumblob', 'longblob']);
+
+const keyLength = (columns) => Math.min(MAX_COLUMN_KEY_CHARS, Math.floor(MAX_KEY_CHARS / Math.max(1, columns)));
+
+// Runs `fn` over the SQL outside string literals and quoted identifiers.
+function outsideLiterals(sql, fn) {
+  const literals = [];
+  const masked = sql.replace(/'(?:[^']|'')*'|`[^`]*`/g, (m) => `\u0000${literals.push(m) - 1}\u0000`);
+  return fn(masked).replace(/\u0000(\d+)\u0000/g, (m, i) => literals[Number(i)]);
+}
+
+// Splits on commas that are not inside parentheses.
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+const columnList = (text) => text.split(',').map(c => c.trim()).filter(Boolean);
+
+function columnType(def, keyChars) {
+  const [type, ...rest] = def.trim().split(/\s+/);
+  let mapped;
+  switch (type.toUpperCase()) {
+    case 'TEXT': mapped = keyChars ? `VARCHAR(${keyChars})` : 'LONGTEXT'; break;
+    case 'INTEGER': mapped = 'BIGINT'; break;
+    case 'REAL': mapped = 'DOUBLE'; break;
+    case 'BLOB': mapped = 'LONGBLOB'; break;
+    default: mapped = type;
+  }
+  return [mapped, ...rest].join(' ').replace(/\bAUTOINCREMENT\b/, 'AUTO_INCREMENT');
+}
+
+// Text columns that are part of a key become VARCHARs short enough to index;
+// the rest become LONGTEXT. Inline REFERENCES become FOREIGN KEY clauses,
+// which is the only form InnoDB enforces.
+function createTable(sql) {
+  const match = /^\s*CREATE TABLE(\s+IF NOT EXISTS)?\s+(\w+)\s*\(([\s\S]*)\)\s*$/i.exec(sql);
+  if (!match) throw new Error(`Unsupported CREATE TABLE statement: ${sql}`);
+  const [, ifNotExists = '', table, body] = match;
+  const columns = [];
+  const constraints = [];
+  const keyChars = new Map();
+  const narrow = (names) => {
+    const length = keyLength(names.length);
+    for (const name of names) keyChars.set(name, Math.min(keyChars.get(name) || MAX_COLUMN_KEY_CHARS, length));
+  };
+  for (const part of splitTopLevel(body)) {
+    const constraint = /^(PRIMARY KEY|UNIQUE)\s*\(([^)]*)\)$/i.exec(part);
+    if (constraint) {
+      narrow(columnList(constraint[2]));
+      constraints.push(part);
+    } else if (/^FOREIGN KEY\b/i.test(part)) {
+      constraints.push(part);
+    } else {
+      const [name, ...rest] = part.split(/\s+/);
+      let def = rest.join(' ');
+      const reference = /\s*\bREFERENCES\s+(\w+)\s*\((\w+)\)(\s+ON\s+(?:DELETE|UPDATE)\s+(?:CASCADE|SET NULL|RESTRICT|NO ACTION))*/i.exec(def);
+      if (reference) {
+        def = def.replace(reference[0], '');
+        constraints.push(`FOREIGN KEY (${name}) REFERENCES ${reference[0].trim().replace(/^REFERENCES\s+/i, '')}`);
+      }
+      if (reference || /\b(PRIMARY KEY|UNIQUE)\b/i.test(def)) narrow([name]);
+      columns.push([name, def]);
+    }
+  }
+  const defs = columns.map(([name, def]) => `${name} ${columnType(def, keyChars.get(name))}`).concat(constraints);
+  return `CREATE TABLE${ifNotExists} ${table} (\n    ${defs.join(',\n    ')}\n  ) ${TABLE_OPTIONS}`;
+}
+
+// Rewrites one SQLite statement for MariaDB. CREATE INDEX is finished by
+// the driver, which needs the column types to size prefix lengths.
+function translate(sql) {
+  if (/^\s*CREATE TABLE\b/i.test(sql)) return quoteReserved(createTable(sql));
+  const trigger = /^\s*CREATE TRIGGER IF NOT EXISTS (\w+) (BEFORE|AFTER) (INSERT|UPDATE|DELETE) ON (\w+)\s+BEGIN SELECT RAISE\(ABORT, ('(?:[^']|'')*')\); END\s*$/i.exec(sql);
+  if (trigger) {
+    const [, name, when, op, table, message] = trigger;
+    return `CREATE TRIGGER IF NOT EXISTS ${name} ${when} ${op} ON ${table} FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = ${message}`;
+  }
+  const alter = /^\s*ALTER TABLE (\w+) ADD COLUMN (\w+) (.+)$/i.exec(sql);
+  if (alter) return quoteReserved(`ALTER TABLE ${alter[1]} ADD COLUMN ${alter[2]} ${columnType(alter[3], null)}`);
+  if (/^\s*(PRAGMA|VACUUM)\b/i.test(sql)) throw new Error(`${sql.trim().split(/\s+/)[0]} is SQLite-only and can't run on MariaDB`);
+
+  return quoteReserved(outsideLiterals(sql, (code) => {
+    let out = code
+      .replace(/^\s*BEGIN IMMEDIATE\b/i, 'BEGIN')
+      .replace(/\bINSERT OR IGNORE INTO\b/g, 'INSERT IGNORE INTO')
+      .replace(/\bCOLLATE NOCASE\b/g, `COLLATE ${CASE_INSENSITIVE}`)
+      .replace(/([\w.]+) (NOT )?LIKE\b/g, `$1 COLLATE ${CASE_INSENSITIVE} $2LIKE`);
+    if (/\bON CONFLICT\s*(\([^)]*\))?\s*DO NOTHING/.test(out)) {
+      out = out.replace(/\s*\bON CONFLICT\s*(\([^)]*\))?\s*DO NOTHING/, '').replace(/\bINSERT INTO\b/, 'INSERT IGNORE INTO');
+    }
+    return out
+      .replace(/\bON CONFLICT\s*(\([^)]*\))?\s*DO UPDATE SET\b/g, 'ON DUPLICATE KEY UPDATE')
+      .replace(/\bexcluded\.(\w+)/g, 'VALUES($1)');
+  }));
+}
+
+function quoteReserved(sql) {
+  const pattern = new RegExp(`(?<![\\w.\`])(${RESERVED.join('|')})(?![\\w\`])`, 'g');
+  return outsideLiterals(sql, (code) => code.replace(pattern, '`$1`'));
+}
+
+// SQLite binds undefined as NULL and booleans as 0/1.
+const toParams = (params = []) => [].concat(params).map(p => (p === undefined ? null : typeof p === 'boolean' ? Number(p) : p));
+
+async function openMariaDb({ host, port = 3306, user, password, database, connectTimeout = 10000 }) {
+  if (!host || !user || !database) throw new Error('MariaDB host, user and database name are required');
+  const options = {
+    host, port: Number(port) || 3306, user, password, database, connectTimeout,
+    charset: 'utf8mb4', bigIntAsNumber: true, insertIdAsNumber: true, decimalAsNumber: true,
+  };
+  let conn = await mariadb.createConnection(options);
+  let inTransaction = false;
+
+  // A connection dropped while idle (server restart, wait_timeout) is
+  // reopened, except inside a transaction, which was lost with it.
+  async function connection() {
+    if (conn.isValid()) return conn;
+    if (inTransaction) throw new Error('The MariaDB connection was lost during a transaction');
+    conn = await mariadb.createConnection(options);
+    return conn;
+  }
+
+  async function indexSql(sql) {
+    const match = /^\s*CREATE (UNIQUE )?INDEX (IF NOT EXISTS )?(\w+) ON (\w+) \(([^)]*)\)\s*$/i.exec(sql);
+    if (!match) throw new Error(`Unsupported CREATE INDEX statement: ${sql}`);
+    const [, unique = '', ifNotExists = '', name, table, list] = match;
+    const columns = columnList(list);
+    const rows = await (await connection()).query(
+      'SELECT COLUMN_NAME AS name, DATA_TYPE AS type FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?', [table]
+    );
+    const text = new Set(rows.filter(r => TEXT_TYPES.has(String(r.type).toLowerCase())).map(r => r.name));
+    const length = keyLength(columns.filter(c => text.has(c)).length);
+    const parts = columns.map(c => (text.has(c) ? `${c}(${length})` : c));
+    return quoteReserved(`CREATE ${unique}INDEX ${ifNotExists}${name} ON ${table} (${parts.join(', ')})`);
+  }
+
+  async function query(sql, params) {
+    const statement = /^\s*CREATE (UNIQUE )?INDEX\b/i.test(sql) ? await indexSql(sql) : translate(sql);
+    const result = await (await connection()).query(statement, toParams(params));
+    if (/^\s*(BEGIN|START TRANSACTION)\b/i.test(statement)) inTransaction = true;
+    if (/^\s*(COMMIT|ROLLBACK)\b/i.test(statement)) inTransaction = false;
+    return result;
+  }
+
+  const rowsOf = (result) => (Array.isArray(result) ? Array.from(result, row => ({ ...row })) : []);
+
+  const db = {
+    engine: 'mariadb',
+    async all(sql, params) {
+      return rowsOf(await query(sql, params));
+    },
+    async get(sql, params) {
+      return rowsOf(await query(sql, params))[0];
+    },
+    async run(sql, params) {
+      const result = await query(sql, params);
+      return { changes: result.affectedRows || 0, lastID: result.insertId || undefined };
+    },
+    async exec(sql) {
+      await query(sql);
+    },
+    async close() {
+      await conn.end();
+    },
+    async tableExists(table) {
+      return !!await db.get('SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?', [table]);
+    },
+    async columnNames(table) {
+      const rows = await db.all('SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION', [table]);
+      return rows.map(r => r.name);
+    },
+    // SQLite keeps this in PRAGMA user_version.
+    async getSchemaVersion() {
+      await db.exec('CREATE TABLE IF NOT EXISTS schema_version (id INTEGER PRIMARY KEY, version INTEGER NOT NULL)');
+      const row = await db.get('SELECT version FROM schema_version WHERE id = 1');
+      return row ? row.version : 0;
+    },
+    async setSchemaVersion(version) {
+      await db.run('INSERT INTO schema_version (id, version) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET version = excluded.version', [version]);
+    },
+    async serverVersion() {
+      return (await connection()).serverVersion();
+    },
+  };
+  return db;
+}
+
+module.exports = { openMariaDb, translate };
@@ -0,0 +1,266 @@
+// Traffic and resource history. A one-minute job samples every router's
+// interface counters, CPU and memory (system/resource) and PPP/hotspot
+// active counts, plus the panel host's own CPU and memory. Raw samples are
+// rolled up into 5-minute, hourly and daily buckets, and every level is
+// kept only as long as the charts need it so panel.db stays small on an
+// Orange Pi's SD card.
+const express = require('express');
+const si = require('systeminformation');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction } = require('./dbUtils');
+const { isTrue } = require('./routeros');
+
+// Samples of the panel host itself are stored under this routerId.
+const HOST_ID = 'host';
+const DEFAULT_RETENTION = { rawHours: 24, fiveMinuteDays: 7, hourlyDays: 90, dailyDays: 730 };
+// Each level is built from the one before it.
+const LEVELS = [
+  { bucket: '5m', seconds: 300, retention: 'fiveMinuteDays' },
+  { bucket: '1h', seconds: 3600, retention: 'hourlyDays' },
+  { bucket: '1d', seconds: 86400, retention: 'dailyDays' },
+];
+// Chart ranges and the resolution that gives each a few hundred points.
+const RANGES = {
+  '1h': { seconds: 3600, bucket: null },
+  '24h': { seconds: 86400, bucket: '5m' },
+  '7d': { seconds: 7 * 86400, bucket: '1h' },
+  '30d': { seconds: 30 * 86400, bucket: '1h' },
+  '1y': { seconds: 365 * 86400, bucket: '1d' },
+};
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Daily buckets follow the panel's local midnight rather than UTC.
+const bucketStart = (ts, seconds) => {
+  if (seconds < 86400) return Math.floor(ts / seconds) * seconds;
+  const offset = -new Date(ts * 1000).getTimezoneOffset() * 60;
+  return Math.floor((ts + offset) / seconds) * seconds - offset;
+};
+
+function createMetrics(db, { routerClient }) {
+  // Last interface byte counters per router, for turning them into rates.
+  const counters = new Map();
+
+  async function getRetention() {
+    const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+    const settings = (row ? JSON.parse(row.value_json) : {}).metricsSettings || {};
+    const retention = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_RETENTION)) {
+      const value = Number(settings[key]);
+      retention[key] = Number.isFinite(value) && value > 0 ? value : fallback;
+    }
+    return retention;
+  }
+
+  // Bits per second since the previous sample. Counters that went backwards
+  // (router reboot, interface reset) give no rate for that interval.
+  function interfaceRates(routerId, interfaces, ts) {
+    const previous = counters.get(routerId) || new Map();
+    const current = new Map();
+    const samples = [];
+    for (const iface of interfaces) {
+      if (isTrue(iface.dynamic) || isTrue(iface.disabled)) continue;
+      const rx = toNumber(iface['rx-byte']);
+      const tx = toNumber(iface['tx-byte']);
+      if (rx === null || tx === null) continue;
+      current.set(iface.name, { rx, tx, ts });
+      const last = previous.get(iface.name);
+      if (!last || ts <= last.ts || rx < last.rx || tx < last.tx) continue;
+      const seconds = ts - last.ts;
+      samples.push(['rx_bps', iface.name, ((rx - last.rx) * 8) / seconds]);
+      samples.push(['tx_bps', iface.name, ((tx - last.tx) * 8) / seconds]);
+    }
+    counters.set(routerId, current);
+    return samples;
+  }
+
+  // PPP and hotspot may not be configured on a router; their counts are
+  // simply left out then.
+  async function sampleRouter(routerId, ts) {
+    const [interfaces, resource, ppp, hotspot] = await Promise.all([
+      routerClient.call(routerId, 'interface/stats'),
+      routerClient.call(routerId, 'system/resource/print'),
+      routerClient.call(routerId, 'ppp/active/print').catch(() => null),
+      routerClient.call(routerId, 'ip/hotspot/active/print').catch(() => null),
+    ]);
+    const samples = interfaceRates(routerId, Array.isArray(interfaces) ? interfaces : [], ts);
+    const res = Array.isArray(resource) ? resource[0] || {} : resource || {};
+    const cpu = toNumber(res['cpu-load']);
+    const total = toNumber(res['total-memory']);
+    const free = toNumber(res['free-memory']);
+    if (cpu !== null) samples.push(['cpu', '', cpu]);
+    if (total && free !== null) samples.push(['memory', '', ((total - free) / total) * 100]);
+    if (Array.isArray(ppp)) samples.push(['ppp_active', '', ppp.length]);
+    if (Array.isArray(hotspot)) samples.push(['hotspot_active', '', hotspot.length]);
+    return samples;
+  }
+
+  async function sampleHost() {
+    const [mem, load] = await Promise.all([si.mem(), si.currentLoad()]);
+    return [
+      ['cpu', '', load.currentLoad],
+      ['memory', '', mem.total ? (mem.used / mem.total) * 100 : 0],
+    ];
+  }
+
+  async function collect() {
+    const ts = nowSeconds();
+    const routers = await db.all('SELECT id, name FROM routers');
+    const summary = { routers: routers.length, samples: 0, errors: [] };
+    const rows = [];
+    const results = await Promise.allSettled([
+      sampleHost().then(samples => ({ routerId: HOST_ID, samples })),
+      ...routers.map(r => sampleRouter(r.id, ts).then(samples => ({ routerId: r.id, samples }))),
+    ]);
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        summary.errors.push(`${i === 0 ? 'panel host' : routers[i - 1].name}: ${result.reason.message}`);
+        return;
+      }
+      for (const [metric, series, value] of result.value.samples) rows.push([ts, result.value.routerId, metric, series, value]);
+    });
+    // One transaction per run keeps SD card writes to a single commit.
+    await withTransaction(db, async () => {
+      for (const row of rows) {
+        await db.run('INSERT INTO metric_samples (ts, routerId, metric, series, value) VALUES (?, ?, ?, ?, ?)', row);
+      }
+    });
+    summary.samples = rows.length;
+    return summary;
+  }
+
+  // Re-aggregates each level from where it left off, including the bucket
+  // still in progress, so charts lag by at most one rollup run. Averages of
+  // higher levels are weighted by the number of raw samples behind them.
+  async function rollup() {
+    const summary = { buckets: {}, deleted: {}, errors: [] };
+    const now = nowSeconds();
+    let source = { table: 'metric_samples', columns: 'value AS avg, value AS min, value AS max, 1 AS count', where: '', params: [] };
+    for (const level of LEVELS) {
+      const last = await db.get('SELECT MAX(ts) AS ts FROM metric_rollups WHERE bucket = ?', [level.bucket]);
+      const first = last.ts !== null
+        ? last.ts
+        : (await db.get(`SELECT MIN(ts) AS ts FROM ${source.table} WHERE 1 = 1 ${source.where}`, source.params)).ts;
+      summary.buckets[level.bucket] = 0;
+      if (first !== null) {
+        // Buckets are computed in JS so daily ones can follow local time.
+        const starts = new Map();
+        const rows = await db.all(
+          `SELECT ts, routerId, metric, series, ${source.columns} FROM ${source.table} WHERE ts >= ? AND ts <= ? ${source.where}`,
+          [first, now, ...source.params]
+        );
+        for (const r of rows) {
+          const start = bucketStart(r.ts, level.seconds);
+          const key = `${start}\u0000${r.routerId}\u0000${r.metric}\u0000${r.series}`;
+          const b = starts.get(key);
+          if (!b) {
+            starts.set(key, { ts: start, routerId: r.routerId, metric: r.metric, series: r.series, sum: r.avg * r.count, min: r.min, max: r.max, count: r.count });
+          } else {
+            b.sum += r.avg * r.count;
+            b.min = Math.min(b.min, r.min);
+            b.max = Math.max(b.max, r.max);
+            b.count += r.count;
+          }
+        }
+        await withTransaction(db, async () => {
+          for (const b of starts.values()) {
+            await db.run(
+              `INSERT INTO metric_rollups (bucket, ts, routerId, metric, series, avg, min, max, count) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+               ON CONFLICT (bucket, routerId, metric, series, ts) DO UPDATE SET avg = excluded.avg, min = excluded.min, max = excluded.max, count = excluded.count`,
+              [level.bucket, b.ts, b.routerId, b.metric, b.series, b.sum / b.count, b.min, b.max, b.count]
+            );
+          }
+        });
+        summary.buckets[level.bucket] = starts.size;
+      }
+      source = { table: 'metric_rollups', columns: 'avg, min, max, count', where: 'AND bucket = ?', params: [level.bucket] };
+    }
+
+    const retention = await getRetention();
+    summary.deleted.raw = (await db.run('DELETE FROM metric_samples WHERE ts < ?', [now - retention.rawHours * 3600])).changes;
+    for (const level of LEVELS) {
+      summary.deleted[level.bucket] = (await db.run(
+        'DELETE FROM metric_rollups WHERE bucket = ? AND ts < ?',
+        [level.bucket, now - retention[level.retention] * 86400]
+      )).changes;
+    }
+    return summary;
+  }
+
+  async function query(routerId, { range = '24h', metrics, series } = {}) {
+    const spec = RANGES[range];
+    if (!spec) throw new ValidationError('range', `range must be one of ${Object.keys(RANGES).join(', ')}`);
+    const to = nowSeconds();
+    const from = to - spec.seconds;
+    const filters = [];
+    const params = [];
+    if (metrics && metrics.length) {
+      filters.push(`AND metric IN (${metrics.map(() => '?').join(', ')})`);
+      params.push(...metrics);
+    }
+    if (series !== undefined) {
+      filters.push('AND series = ?');
+      params.push(series);
+    }
+    const rows = spec.bucket
+      ? await db.all(
+        `SELECT ts, metric, series, avg, min, max FROM metric_rollups
+         WHERE bucket = ? AND routerId = ? AND ts >= ? ${filters.join(' ')} ORDER BY metric, series, ts`,
+        [spec.bucket, routerId, from, ...params]
+      )
+      : await db.all(
+        `SELECT ts, metric, series, value AS avg, value AS min, value AS max FROM metric_samples
+         WHERE routerId = ? AND ts >= ? ${filters.join(' ')} ORDER BY metric, series, ts`,
+        [routerId, from, ...params]
+      );
+    const grouped = new Map();
+    for (const r of rows) {
+      const key = `${r.metric}\u0000${r.series}`;
+      if (!grouped.has(key)) grouped.set(key, { metric: r.metric, series: r.series, points: [] });
+      grouped.get(key).points.push({ ts: r.ts * 1000, avg: r.avg, min: r.min, max: r.max });
+    }
+    const level = LEVELS.find(l => l.bucket === spec.bucket);
+    return {
+      routerId,
+      range,
+      resolution: spec.bucket || 'raw',
+      bucketSeconds: level ? level.seconds : null,
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+      series: [...grouped.values()],
+    };
+  }
+
+  const router = express.Router();
+
+  // Interfaces and metrics that have history for a router.
+  router.get('/:routerId/series', async (req, res) => {
+    try {
+      const rows = await db.all(
+        "SELECT DISTINCT metric, series FROM metric_rollups WHERE routerId = ? AND bucket = '5m' UNION SELECT DISTINCT metric, series FROM metric_samples WHERE routerId = ? ORDER BY metric, series",
+        [req.params.routerId, req.params.routerId]
+      );
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+
+  // GET /:routerId?range=24h&metrics=rx_bps,tx_bps&series=ether1
+  router.get('/:routerId', async (req, res) => {
+    try {
+      const metrics = req.query.metrics ? String(req.query.metrics).split(',').map(m => m.trim()).filter(Boolean) : null;
+      res.json(await query(req.params.routerId, {
+        range: req.query.range || '24h',
+        metrics,
+        series: req.query.series === undefined ? undefined : String(req.query.series),
+      }));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, collect, rollup, query };
+}
+
+module.exports = { createMetrics, HOST_ID };
@@ -0,0 +1,681 @@
+// Schema migrations for the panel database. Each entry upgrades the database
+// from `version - 1` to `version`; the applied version is kept by the storage
+// engine (PRAGMA user_version on SQLite) so old databases are upgraded in
+// place on the next start. Statements are written in SQLite's dialect; the
+// MariaDB driver translates them.
+//
+// Every step must be safe to run again on a database that already has it:
+// tables and columns go through ensureTable(), indexes and triggers use IF
+// NOT EXISTS, seed rows use INSERT OR IGNORE and data changes only touch
+// rows that still need them. MariaDB commits each DDL statement on its own,
+// so there a failed migration is only partly rolled back and the next start
+// runs it again from the top over whatever it had already created.
+const { createSecretBox, resealRouterPasswords, resealConfigSnapshots } = require('./secretBox');
+
+// Creates `table` if it is missing, otherwise adds any columns an older
+// release did not have. Constraints can't be added with ALTER TABLE, so
+// backfilled columns only get their declared type.
+async function ensureTable(db, table, columns, constraints = []) {
+  if (!await db.tableExists(table)) {
+    const defs = columns.map(([name, def]) => `${name} ${def}`).concat(constraints);
+    await db.exec(`CREATE TABLE ${table} (\n    ${defs.join(',\n    ')}\n  )`);
+    return;
+  }
+  const present = new Set(await db.columnNames(table));
+  for (const [name, def] of columns) {
+    if (present.has(name)) continue;
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${def.split(' ')[0]}`);
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'core tables',
+    up: async (db) => {
+      await ensureTable(db, 'users', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['username', 'TEXT UNIQUE'],
+        ['password_hash', 'TEXT'],
+        ['role', 'TEXT'],
+      ]);
+      await ensureTable(db, 'routers', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['name', 'TEXT'],
+        ['host', 'TEXT'],
+        ['user', 'TEXT'],
+        ['password', 'TEXT'],
+        ['port', 'INTEGER'],
+        ['api_type', 'TEXT'],
+      ]);
+      await ensureTable(db, 'notifications', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['type', 'TEXT'],
+        ['message', 'TEXT'],
+        ['is_read', 'INTEGER'],
+        ['timestamp', 'TEXT'],
+        ['link_to', 'TEXT'],
+        ['context_json', 'TEXT'],
+      ]);
+      await ensureTable(db, 'kv_store', [
+        ['key', 'TEXT PRIMARY KEY'],
+        ['value_json', 'TEXT'],
+      ]);
+    }
+  },
+  {
+    version: 2,
+    name: 'business entities',
+    up: async (db) => {
+      await ensureTable(db, 'customers', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['username', 'TEXT NOT NULL'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['fullName', 'TEXT'],
+        ['address', 'TEXT'],
+        ['contactNumber', 'TEXT'],
+        ['email', 'TEXT'],
+      ]);
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_router_username ON customers (routerId, username)');
+      await ensureTable(db, 'sales_records', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['date', 'TEXT NOT NULL'],
+        ['clientName', 'TEXT'],
+        ['planName', 'TEXT'],
+        ['planPrice', 'REAL NOT NULL DEFAULT 0'],
+        ['discountAmount', 'REAL NOT NULL DEFAULT 0'],
+        ['finalAmount', 'REAL NOT NULL DEFAULT 0'],
+        ['routerName', 'TEXT'],
+        ['currency', 'TEXT'],
+        ['routerId', 'TEXT'],
+        ['clientAddress', 'TEXT'],
+        ['clientContact', 'TEXT'],
+        ['clientEmail', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_sales_records_router_date ON sales_records (routerId, date)');
+      await ensureTable(db, 'inventory', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['name', 'TEXT NOT NULL'],
+        ['quantity', 'INTEGER NOT NULL DEFAULT 0'],
+        ['price', 'REAL'],
+        ['serialNumber', 'TEXT'],
+        ['dateAdded', 'TEXT'],
+      ]);
+      await ensureTable(db, 'expenses', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['date', 'TEXT NOT NULL'],
+        ['category', 'TEXT'],
+        ['description', 'TEXT'],
+        ['amount', 'REAL NOT NULL DEFAULT 0'],
+      ]);
+      await ensureTable(db, 'billing_plans', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['name', 'TEXT NOT NULL'],
+        ['price', 'REAL NOT NULL DEFAULT 0'],
+        ['cycle', 'TEXT'],
+        ['pppoeProfile', 'TEXT'],
+        ['description', 'TEXT'],
+        ['currency', 'TEXT'],
+        ['routerId', 'TEXT'],
+      ]);
+      await ensureTable(db, 'voucher_plans', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['name', 'TEXT NOT NULL'],
+        ['duration_minutes', 'INTEGER'],
+        ['price', 'REAL NOT NULL DEFAULT 0'],
+        ['currency', 'TEXT'],
+        ['mikrotik_profile_name', 'TEXT'],
+      ]);
+      await ensureTable(db, 'dhcp_billing_plans', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['name', 'TEXT NOT NULL'],
+        ['price', 'REAL NOT NULL DEFAULT 0'],
+        ['cycle_days', 'INTEGER'],
+        ['speedLimit', 'TEXT'],
+        ['currency', 'TEXT'],
+      ]);
+      await ensureTable(db, 'employees', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['fullName', 'TEXT NOT NULL'],
+        ['role', 'TEXT'],
+        ['hireDate', 'TEXT'],
+        ['salaryType', 'TEXT'],
+        ['rate', 'REAL NOT NULL DEFAULT 0'],
+      ]);
+      await ensureTable(db, 'employee_benefits', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['employeeId', 'TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE'],
+        ['sss', 'INTEGER NOT NULL DEFAULT 0'],
+        ['philhealth', 'INTEGER NOT NULL DEFAULT 0'],
+        ['pagibig', 'INTEGER NOT NULL DEFAULT 0'],
+      ]);
+      await ensureTable(db, 'time_records', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['employeeId', 'TEXT NOT NULL REFERENCES employees(id) ON DELETE CASCADE'],
+        ['date', 'TEXT NOT NULL'],
+        ['timeIn', 'TEXT'],
+        ['timeOut', 'TEXT'],
+      ]);
+      await ensureTable(db, 'dhcp_clients', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['macAddress', 'TEXT NOT NULL'],
+        ['customerInfo', 'TEXT'],
+        ['contactNumber', 'TEXT'],
+        ['email', 'TEXT'],
+        ['speedLimit', 'TEXT'],
+        ['lastSeen', 'TEXT'],
+      ]);
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_dhcp_clients_router_mac ON dhcp_clients (routerId, macAddress)');
+    }
+  },
+  {
+    version: 3,
+    name: 'customer ledger',
+    up: async (db) => {
+      await ensureTable(db, 'billing_subscriptions', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['customerId', 'TEXT NOT NULL REFERENCES customers(id) ON DELETE CASCADE'],
+        ['planSource', "TEXT NOT NULL DEFAULT 'pppoe'"],
+        ['planId', 'TEXT NOT NULL'],
+        ['planType', "TEXT NOT NULL DEFAULT 'postpaid'"],
+        ['nextPeriodStart', 'TEXT NOT NULL'],
+        ['anchorDay', 'INTEGER'],
+        ['active', 'INTEGER NOT NULL DEFAULT 1'],
+        ['createdAt', 'TEXT'],
+      ]);
+      await ensureTable(db, 'invoices', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['customerId', 'TEXT NOT NULL'],
+        ['subscriptionId', 'TEXT'],
+        ['routerId', 'TEXT'],
+        ['planName', 'TEXT'],
+        ['periodStart', 'TEXT'],
+        ['periodEnd', 'TEXT'],
+        ['issueDate', 'TEXT NOT NULL'],
+        ['dueDate', 'TEXT NOT NULL'],
+        ['amount', 'REAL NOT NULL'],
+        ['currency', 'TEXT'],
+        ['status', "TEXT NOT NULL DEFAULT 'open'"],
+        ['voidReason', 'TEXT'],
+        ['createdAt', 'TEXT'],
+      ]);
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_subscription_period ON invoices (subscriptionId, periodStart)');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices (customerId, status)');
+      await ensureTable(db, 'ledger_entries', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['customerId', 'TEXT NOT NULL'],
+        ['invoiceId', 'TEXT'],
+        ['type', 'TEXT NOT NULL'],
+        ['amount', 'REAL NOT NULL'],
+        ['currency', 'TEXT'],
+        ['date', 'TEXT NOT NULL'],
+        ['reference', 'TEXT'],
+        ['note', 'TEXT'],
+        ['voidedAt', 'TEXT'],
+        ['voidsEntryId', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_ledger_entries_customer_date ON ledger_entries (customerId, date)');
+      await ensureTable(db, 'ledger_allocations', [
+        ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+        ['entryId', 'TEXT NOT NULL'],
+        ['invoiceId', 'TEXT NOT NULL'],
+        ['amount', 'REAL NOT NULL'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_ledger_allocations_invoice ON ledger_allocations (invoiceId)');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_ledger_allocations_entry ON ledger_allocations (entryId)');
+    }
+  },
+  {
+    version: 4,
+    name: 'job scheduler',
+    up: async (db) => {
+      await ensureTable(db, 'job_settings', [
+        ['job', 'TEXT PRIMARY KEY'],
+        ['enabled', 'INTEGER NOT NULL DEFAULT 1'],
+        ['intervalMinutes', 'INTEGER NOT NULL'],
+      ]);
+      await ensureTable(db, 'job_runs', [
+        ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+        ['job', 'TEXT NOT NULL'],
+        ['trigger', 'TEXT NOT NULL'],
+        ['startedAt', 'TEXT NOT NULL'],
+        ['durationMs', 'INTEGER NOT NULL'],
+        ['status', 'TEXT NOT NULL'],
+        ['error', 'TEXT'],
+        ['summary_json', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs (job, id)');
+      await ensureTable(db, 'notification_dedup', [
+        ['key', 'TEXT PRIMARY KEY'],
+        ['lastSentAt', 'TEXT NOT NULL'],
+      ]);
+    }
+  },
+  {
+    version: 5,
+    name: 'roles and permissions',
+    up: async (db) => {
+      await ensureTable(db, 'roles', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['name', 'TEXT NOT NULL UNIQUE'],
+        ['description', 'TEXT'],
+        ['builtIn', 'INTEGER NOT NULL DEFAULT 0'],
+      ]);
+      await ensureTable(db, 'role_permissions', [
+        ['roleId', 'TEXT NOT NULL REFERENCES roles(id) ON DELETE CASCADE'],
+        ['permission', 'TEXT NOT NULL'],
+      ], ['PRIMARY KEY (roleId, permission)']);
+      await ensureTable(db, 'users', [['role_id', 'TEXT']]);
+
+      const seed = [
+        ['role_superadmin', 'Superadmin', 'Owner of the panel installation.', ['*:*']],
+        ['role_administrator', 'Administrator', 'Full access to every router and panel feature.', ['*:*']],
+        ['role_employee', 'Employee', 'Can view everything but only manage subscribers and payments.',
+          ['*:read', 'notifications:write', 'customers:write', 'pppoe_users:write', 'dhcp_clients:write', 'payments:write', 'sales_report:write', 'ledger:write']],
+        ['role_cashier', 'Cashier', 'Records payments and looks up subscribers.',
+          ['routers:read', 'settings:read', 'customers:read', 'pppoe_users:read', 'dhcp_clients:read', 'billing_plans:read', 'notifications:read',
+            'payments:write', 'dhcp_clients:write', 'sales_report:read', 'sales_report:write', 'ledger:read', 'ledger:write']],
+      ];
+      for (const [id, name, description, permissions] of seed) {
+        await db.run('INSERT OR IGNORE INTO roles (id, name, description, builtIn) VALUES (?, ?, ?, 1)', [id, name, description]);
+        for (const p of permissions) await db.run('INSERT OR IGNORE INTO role_permissions (roleId, permission) VALUES (?, ?)', [id, p]);
+      }
+      // Every account was an administrator before roles existed.
+      await db.run("UPDATE users SET role_id = 'role_superadmin' WHERE role_id IS NULL AND username = 'superadmin'");
+      await db.run("UPDATE users SET role_id = 'role_administrator' WHERE role_id IS NULL");
+    }
+  },
+  {
+    version: 6,
+    name: 'audit log',
+    up: async (db) => {
+      await ensureTable(db, 'audit_log', [
+        ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+        ['timestamp', 'TEXT NOT NULL'],
+        ['userId', 'TEXT'],
+        ['username', 'TEXT'],
+        ['source', 'TEXT NOT NULL'],
+        ['method', 'TEXT NOT NULL'],
+        ['routerId', 'TEXT'],
+        ['target', 'TEXT NOT NULL'],
+        ['recordId', 'TEXT'],
+        ['customer', 'TEXT'],
+        ['status', 'INTEGER'],
+        ['ip', 'TEXT'],
+        ['payload_json', 'TEXT'],
+        ['before_json', 'TEXT'],
+        ['after_json', 'TEXT'],
+      ]);
+      for (const col of ['timestamp', 'userId', 'routerId', 'customer']) {
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_log_${col} ON audit_log (${col})`);
+      }
+      for (const op of ['UPDATE', 'DELETE']) {
+        await db.exec(`CREATE TRIGGER IF NOT EXISTS audit_log_no_${op.toLowerCase()} BEFORE ${op} ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'hotspot vouchers',
+    up: async (db) => {
+      await ensureTable(db, 'voucher_plans', [['data_limit_mb', 'REAL']]);
+      await ensureTable(db, 'voucher_batches', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['planId', 'TEXT'],
+        ['planName', 'TEXT NOT NULL'],
+        ['price', 'REAL NOT NULL'],
+        ['currency', 'TEXT'],
+        ['profile', 'TEXT'],
+        ['limitUptime', 'TEXT'],
+        ['limitBytes', 'INTEGER'],
+        ['codeLength', 'INTEGER NOT NULL'],
+        ['charset', 'TEXT NOT NULL'],
+        ['passwordMode', 'TEXT NOT NULL'],
+        ['count', 'INTEGER NOT NULL'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['createdBy', 'TEXT'],
+      ]);
+      await ensureTable(db, 'vouchers', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['batchId', 'TEXT NOT NULL REFERENCES voucher_batches(id)'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['code', 'TEXT NOT NULL'],
+        ['password', 'TEXT NOT NULL'],
+        ['status', "TEXT NOT NULL DEFAULT 'unused'"],
+        ['routerUserId', 'TEXT'],
+        ['uptimeSeconds', 'INTEGER NOT NULL DEFAULT 0'],
+        ['bytesUsed', 'INTEGER NOT NULL DEFAULT 0'],
+        ['firstUsedAt', 'TEXT'],
+        ['lastSeenAt', 'TEXT'],
+        ['saleId', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['updatedAt', 'TEXT'],
+      ], ['UNIQUE (routerId, code)']);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_vouchers_batch ON vouchers (batchId)');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_vouchers_status ON vouchers (routerId, status)');
+    }
+  },
+  {
+    version: 8,
+    name: 'xendit invoices',
+    up: async (db) => {
+      await ensureTable(db, 'payment_invoices', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['externalId', 'TEXT NOT NULL UNIQUE'],
+        ['xenditId', 'TEXT NOT NULL UNIQUE'],
+        ['customerId', 'TEXT REFERENCES customers(id) ON DELETE SET NULL'],
+        ['dhcpClientId', 'TEXT'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['planSource', 'TEXT NOT NULL'],
+        ['planId', 'TEXT NOT NULL'],
+        ['planName', 'TEXT'],
+        ['amount', 'REAL NOT NULL'],
+        ['currency', 'TEXT'],
+        ['description', 'TEXT'],
+        ['payerEmail', 'TEXT'],
+        ['status', "TEXT NOT NULL DEFAULT 'PENDING'"],
+        ['invoiceUrl', 'TEXT'],
+        ['expiresAt', 'TEXT'],
+        ['paidAt', 'TEXT'],
+        ['paymentMethod', 'TEXT'],
+        ['paymentChannel', 'TEXT'],
+        ['activationStatus', "TEXT NOT NULL DEFAULT 'pending'"],
+        ['activationError', 'TEXT'],
+        ['activatedAt', 'TEXT'],
+        ['dueDateTime', 'TEXT'],
+        ['ledgerEntryId', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['createdBy', 'TEXT'],
+        ['updatedAt', 'TEXT'],
+        ['lastCheckedAt', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_payment_invoices_customer ON payment_invoices (customerId)');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_payment_invoices_dhcp_client ON payment_invoices (dhcpClientId)');
+    }
+  },
+  {
+    version: 9,
+    name: 'telegram outbox',
+    up: async (db) => {
+      await ensureTable(db, 'telegram_outbox', [
+        ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+        ['chatId', 'TEXT NOT NULL'],
+        ['text', 'TEXT NOT NULL'],
+        ['category', 'TEXT'],
+        ['status', "TEXT NOT NULL DEFAULT 'pending'"],
+        ['attempts', 'INTEGER NOT NULL DEFAULT 0'],
+        ['nextAttemptAt', 'TEXT NOT NULL'],
+        ['lastError', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['sentAt', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_telegram_outbox_pending ON telegram_outbox (status, nextAttemptAt)');
+    }
+  },
+  {
+    version: 10,
+    name: 'ssh sessions',
+    up: async (db) => {
+      await ensureTable(db, 'ssh_sessions', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['userId', 'TEXT'],
+        ['username', 'TEXT'],
+        ['routerId', 'TEXT'],
+        ['target', 'TEXT NOT NULL'],
+        ['ip', 'TEXT'],
+        ['startedAt', 'TEXT NOT NULL'],
+        ['endedAt', 'TEXT'],
+        ['closeReason', 'TEXT'],
+        ['bytesIn', 'INTEGER NOT NULL DEFAULT 0'],
+        ['bytesOut', 'INTEGER NOT NULL DEFAULT 0'],
+        ['transcript', 'TEXT'],
+        ['transcriptTruncated', 'INTEGER NOT NULL DEFAULT 0'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_ssh_sessions_started ON ssh_sessions (startedAt)');
+    }
+  },
+  {
+    version: 11,
+    name: 'router config snapshots',
+    up: async (db) => {
+      await ensureTable(db, 'config_snapshots', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['version', 'INTEGER NOT NULL'],
+        ['reason', 'TEXT NOT NULL'],
+        ['note', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['createdBy', 'TEXT'],
+        ['hash', 'TEXT NOT NULL'],
+        ['lineCount', 'INTEGER NOT NULL'],
+        ['size', 'INTEGER NOT NULL'],
+        ['compressedSize', 'INTEGER NOT NULL'],
+        ['rosVersion', 'TEXT'],
+        ['content', 'BLOB NOT NULL'],
+      ], ['UNIQUE (routerId, version)']);
+    }
+  },
+  {
+    version: 12,
+    name: 'traffic and resource history',
+    up: async (db) => {
+      await ensureTable(db, 'metric_samples', [
+        ['ts', 'INTEGER NOT NULL'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['metric', 'TEXT NOT NULL'],
+        ['series', "TEXT NOT NULL DEFAULT ''"],
+        ['value', 'REAL NOT NULL'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_metric_samples_ts ON metric_samples (ts)');
+      await ensureTable(db, 'metric_rollups', [
+        ['bucket', 'TEXT NOT NULL'],
+        ['ts', 'INTEGER NOT NULL'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['metric', 'TEXT NOT NULL'],
+        ['series', "TEXT NOT NULL DEFAULT ''"],
+        ['avg', 'REAL NOT NULL'],
+        ['min', 'REAL NOT NULL'],
+        ['max', 'REAL NOT NULL'],
+        ['count', 'INTEGER NOT NULL'],
+      ], ['PRIMARY KEY (bucket, routerId, metric, series, ts)']);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_metric_rollups_bucket_ts ON metric_rollups (bucket, ts)');
+    }
+  },
+  {
+    version: 13,
+    name: 'subscriber data usage',
+    up: async (db) => {
+      await ensureTable(db, 'billing_plans', [['quotaGb', 'REAL'], ['fupLimit', 'TEXT']]);
+      await ensureTable(db, 'dhcp_billing_plans', [['quotaGb', 'REAL'], ['fupLimit', 'TEXT']]);
+      await ensureTable(db, 'usage_counters', [
+        ['routerId', 'TEXT NOT NULL'],
+        ['kind', 'TEXT NOT NULL'],
+        ['subscriber', 'TEXT NOT NULL'],
+        ['sessionKey', 'TEXT NOT NULL'],
+        ['upload', 'INTEGER NOT NULL'],
+        ['download', 'INTEGER NOT NULL'],
+        ['readAt', 'TEXT NOT NULL'],
+      ], ['PRIMARY KEY (routerId, kind, subscriber)']);
+      await ensureTable(db, 'usage_cycles', [
+        ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['kind', 'TEXT NOT NULL'],
+        ['subscriber', 'TEXT NOT NULL'],
+        ['label', 'TEXT'],
+        ['cycleKey', 'TEXT NOT NULL'],
+        ['cycleStart', 'TEXT NOT NULL'],
+        ['cycleEnd', 'TEXT'],
+        ['planName', 'TEXT'],
+        ['quotaBytes', 'INTEGER'],
+        ['fupLimit', 'TEXT'],
+        ['uploadBytes', 'INTEGER NOT NULL DEFAULT 0'],
+        ['downloadBytes', 'INTEGER NOT NULL DEFAULT 0'],
+        ['throttled', 'INTEGER NOT NULL DEFAULT 0'],
+        ['throttledAt', 'TEXT'],
+        ['normalMaxLimit', 'TEXT'],
+        ['updatedAt', 'TEXT NOT NULL'],
+      ], ['UNIQUE (routerId, kind, subscriber, cycleKey)']);
+    }
+  },
+  {
+    version: 14,
+    name: 'client portal accounts',
+    up: async (db) => {
+      await ensureTable(db, 'client_portal_accounts', [
+        ['routerId', 'TEXT NOT NULL'],
+        ['username', 'TEXT NOT NULL'],
+        ['passwordHash', 'TEXT NOT NULL'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['updatedAt', 'TEXT NOT NULL'],
+        ['lastLoginAt', 'TEXT'],
+      ], ['PRIMARY KEY (routerId, username)']);
+      await ensureTable(db, 'client_portal_codes', [
+        ['routerId', 'TEXT NOT NULL'],
+        ['username', 'TEXT NOT NULL'],
+        ['codeHash', 'TEXT NOT NULL'],
+        ['attempts', 'INTEGER NOT NULL DEFAULT 0'],
+        ['expiresAt', 'TEXT NOT NULL'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['createdBy', 'TEXT'],
+      ], ['PRIMARY KEY (routerId, username)']);
+    }
+  },
+  {
+    version: 15,
+    name: 'encrypt router passwords',
+    up: async (db, { secretBox }) => {
+      await resealRouterPasswords(db, secretBox);
+    }
+  },
+  {
+    version: 16,
+    name: 'panel sessions and two-factor auth',
+    up: async (db) => {
+      await ensureTable(db, 'users', [
+        ['totpSecret', 'TEXT'],
+        ['totpEnabled', 'INTEGER NOT NULL DEFAULT 0'],
+        ['totpLastStep', 'INTEGER'],
+        ['resetCodeHash', 'TEXT'],
+        ['resetCodeExpiresAt', 'TEXT'],
+        ['passwordChangedAt', 'TEXT'],
+      ]);
+      await ensureTable(db, 'auth_sessions', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['userId', 'TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE'],
+        ['refreshHash', 'TEXT NOT NULL'],
+        ['previousRefreshHash', 'TEXT'],
+        ['rotatedAt', 'TEXT'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['lastUsedAt', 'TEXT NOT NULL'],
+        ['expiresAt', 'TEXT NOT NULL'],
+        ['revokedAt', 'TEXT'],
+        ['revokeReason', 'TEXT'],
+        ['ip', 'TEXT'],
+        ['userAgent', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (userId)');
+      await ensureTable(db, 'user_security_questions', [
+        ['userId', 'TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE'],
+        ['position', 'INTEGER NOT NULL'],
+        ['question', 'TEXT NOT NULL'],
+        ['answerHash', 'TEXT NOT NULL'],
+      ], ['PRIMARY KEY (userId, position)']);
+    }
+  },
+  {
+    version: 17,
+    name: 'provisioning templates',
+    up: async (db) => {
+      await ensureTable(db, 'provisioning_templates', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['name', 'TEXT NOT NULL UNIQUE'],
+        ['description', 'TEXT'],
+        ['sections_json', 'TEXT NOT NULL'],
+        ['createdAt', 'TEXT NOT NULL'],
+        ['updatedAt', 'TEXT NOT NULL'],
+        ['updatedBy', 'TEXT'],
+      ]);
+      await ensureTable(db, 'provisioning_assignments', [
+        ['templateId', 'TEXT NOT NULL REFERENCES provisioning_templates(id) ON DELETE CASCADE'],
+        ['routerId', 'TEXT NOT NULL REFERENCES routers(id) ON DELETE CASCADE'],
+        ['status', "TEXT NOT NULL DEFAULT 'unchecked'"],
+        ['summary_json', 'TEXT'],
+        ['error', 'TEXT'],
+        ['checkedAt', 'TEXT'],
+        ['appliedAt', 'TEXT'],
+      ], ['PRIMARY KEY (templateId, routerId)']);
+      await ensureTable(db, 'provisioning_runs', [
+        ['id', 'TEXT PRIMARY KEY'],
+        ['templateId', 'TEXT NOT NULL'],
+        ['templateName', 'TEXT'],
+        ['routerId', 'TEXT NOT NULL'],
+        ['status', 'TEXT NOT NULL'],
+        ['steps_json', 'TEXT NOT NULL'],
+        ['error', 'TEXT'],
+        ['snapshotId', 'TEXT'],
+        ['startedAt', 'TEXT NOT NULL'],
+        ['finishedAt', 'TEXT'],
+        ['createdBy', 'TEXT'],
+      ]);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_provisioning_runs_template ON provisioning_runs (templateId, startedAt)');
+    }
+  },
+  {
+    version: 18,
+    name: 'fair-usage ppp profiles',
+    up: async (db) => {
+      // The profile a throttled PPPoE secret goes back to.
+      await ensureTable(db, 'usage_cycles', [['normalProfile', 'TEXT']]);
+    }
+  },
+  {
+    version: 19,
+    name: 'encrypt config snapshots',
+    up: async (db, { secretBox }) => {
+      await resealConfigSnapshots(db, secretBox);
+    }
+  },
+  {
+    version: 20,
+    name: 'xendit activation start time',
+    up: async (db) => {
+      // Lets a 'running' activation that never finished be told apart from
+      // one in progress.
+      await ensureTable(db, 'payment_invoices', [['activationStartedAt', 'TEXT']]);
+    }
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// `secretBox` encrypts stored secrets; the default keyring file is used when
+// none is given.
+async function migrate(db, { secretBox = createSecretBox() } = {}) {
+  const current = await db.getSchemaVersion();
+  if (current > LATEST_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${LATEST_VERSION})`);
+  }
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    await db.exec('BEGIN');
+    try {
+      await m.up(db, { secretBox });
+      await db.setSchemaVersion(m.version);
+      await db.exec('COMMIT');
+    } catch (e) {
+      // On MariaDB this only undoes the statements after the last DDL; the
+      // rest is kept and skipped when the migration is retried.
+      await db.exec('ROLLBACK');
+      throw new Error(`Migration ${m.version} (${m.name}) failed: ${e.message}`);
+    }
+    console.log(`Applied database migration ${m.version}: ${m.name}`);
+  }
+}
+
+module.exports = { migrate, ensureTable, LATEST_VERSION };
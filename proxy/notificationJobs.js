@@ -0,0 +1,146 @@
+// Scheduled checks that used to run in the admin's browser: expired PPPoE
+// subscribers, DHCP portal clients nearing expiry, WAN routes that are down,
+// and fresh sales. They now run whether or not anyone has the panel open.
+const { getNotificationSettings } = require('./notifier');
+const { parseComment, parseDurationToSeconds, isTrue, getDue } = require('./routeros');
+
+function registerNotificationJobs(scheduler, { db, notifier, routerClient }) {
+  // Runs `check` against every router, collecting per-router failures so a
+  // single unreachable router doesn't hide alerts for the others.
+  async function forEachRouter(check) {
+    const routers = await db.all('SELECT id, name FROM routers');
+    const settings = await getNotificationSettings(db);
+    const summary = { routers: routers.length, notified: 0, errors: [] };
+    for (const router of routers) {
+      try {
+        summary.notified += await check(router, settings);
+      } catch (e) {
+        summary.errors.push(`${router.name}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  const send = async (n) => ((await notifier.notify(n)) ? 1 : 0);
+
+  scheduler.register('pppoe-expiry', {
+    description: 'Notify about PPPoE subscribers that are past their due date or disabled.',
+    intervalMinutes: 5,
+    run: () => forEachRouter(async (router, settings) => {
+      const secrets = await routerClient.call(router.id, 'ppp/secret/print');
+      const now = new Date();
+      let notified = 0;
+      for (const s of secrets) {
+        const due = getDue(parseComment(s.comment));
+        if (!isTrue(s.disabled) && !(due && due <= now)) continue;
+        notified += await send({
+          key: `pppoe-expired:${router.id}:${s.name}`,
+          type: 'pppoe-expired',
+          message: `PPPoE user '${s.name}' is expired/disabled on ${router.name}.`,
+          linkTo: 'pppoe',
+          context: { routerId: router.id, username: s.name, dueDate: due ? due.toISOString() : null },
+          category: 'client-disconnected',
+          debounceMinutes: settings.debounceMinutes,
+        });
+      }
+      return notified;
+    }),
+  });
+
+  // Authorised portal clients live in the authorized-dhcp-users address
+  // list; their due date is in the JSON comment written by dhcp-client/update,
+  // with the entry's own timeout as a fallback.
+  scheduler.register('dhcp-portal-expiry', {
+    description: 'Notify about DHCP portal clients that have expired or are about to.',
+    intervalMinutes: 5,
+    run: () => forEachRouter(async (router, settings) => {
+      const entries = await routerClient.call(router.id, 'ip/firewall/address-list/print');
+      const now = Date.now();
+      const nearHours = settings.dhcpNearExpiryHours;
+      let notified = 0;
+      for (const entry of entries.filter(e => e.list === 'authorized-dhcp-users')) {
+        const comment = parseComment(entry.comment);
+        const due = getDue(comment);
+        const timeoutSecs = parseDurationToSeconds(entry.timeout);
+        const secsLeft = due ? Math.floor((due.getTime() - now) / 1000) : timeoutSecs;
+        if (secsLeft === null || secsLeft > nearHours * 3600) continue;
+        const name = comment.customerInfo || entry.address;
+        const expired = secsLeft <= 0;
+        notified += await send({
+          key: `dhcp-${expired ? 'expired' : 'near-expiry'}:${router.id}:${entry.address}`,
+          message: expired
+            ? `DHCP portal client ${name} has expired on ${router.name}.`
+            : `DHCP portal client ${name} expires soon (<${nearHours}h) on ${router.name}.`,
+          linkTo: 'dhcp-portal',
+          context: { routerId: router.id, address: entry.address, customerInfo: comment.customerInfo, dueDate: due ? due.toISOString() : null },
+          category: 'client-due-date',
+          debounceMinutes: settings.debounceMinutes,
+        });
+      }
+      return notified;
+    }),
+  });
+
+  // Only default routes are WAN links; internal routes going inactive is
+  // normal and not worth an alert.
+  scheduler.register('wan-status', {
+    description: 'Notify when a WAN default route is disabled or down.',
+    intervalMinutes: 2,
+    run: () => forEachRouter(async (router, settings) => {
+      const routes = await routerClient.call(router.id, 'ip/route/print');
+      const problematic = routes.filter(r => r['dst-address'] === '0.0.0.0/0' && (isTrue(r.disabled) || r.active === 'false' || r.active === false));
+      if (!problematic.length) return 0;
+      const failover = await routerClient.call(router.id, 'system/script/wan-failover-status').catch(() => null);
+      let notified = 0;
+      for (const r of problematic) {
+        const gw = r.gateway || 'unknown';
+        const reason = isTrue(r.disabled) ? 'disabled' : 'down';
+        notified += await send({
+          key: `wan-${reason}:${router.id}:${gw}`,
+          message: `WAN route ${gw} is ${reason} on ${router.name}.`,
+          linkTo: 'network',
+          context: { routerId: router.id, gateway: gw, failoverEnabled: failover ? !!failover.enabled : false },
+          category: 'interface-disconnected',
+          debounceMinutes: settings.debounceMinutes,
+        });
+      }
+      return notified;
+    }),
+  });
+
+  // Each sale is announced once; the link points at the PPPoE or DHCP portal
+  // page when the client can be matched to one of those subscribers.
+  scheduler.register('sales-notices', {
+    description: 'Notify about payments recorded in the last 24 hours.',
+    intervalMinutes: 5,
+    run: async () => {
+      const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+      const sales = await db.all(
+        'SELECT s.*, r.name AS currentRouterName FROM sales_records s JOIN routers r ON r.id = s.routerId WHERE s.date >= ?',
+        [since]
+      );
+      let notified = 0;
+      for (const sale of sales) {
+        const clientName = (sale.clientName || '').trim();
+        if (!clientName) continue;
+        let link = 'billing';
+        if (await db.get('SELECT id FROM customers WHERE routerId = ? AND username = ?', [sale.routerId, clientName])) {
+          link = 'pppoe';
+        } else if (await db.get('SELECT id FROM dhcp_clients WHERE routerId = ? AND customerInfo = ?', [sale.routerId, clientName])) {
+          link = 'dhcp-portal';
+        }
+        notified += await send({
+          key: `sale-billed:${sale.id}`,
+          message: `Client ${clientName} billed for '${sale.planName}' on ${sale.currentRouterName}.`,
+          linkTo: link,
+          context: { routerId: sale.routerId, clientName, saleId: sale.id },
+          category: 'user-paid',
+          debounceMinutes: Infinity,
+        });
+      }
+      return { sales: sales.length, notified };
+    },
+  });
+}
+
+module.exports = { registerNotificationJobs };
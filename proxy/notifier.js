@@ -0,0 +1,59 @@
+// Server-side entry point for panel notifications. Rows go into the same
+// notifications table the UI reads; `events` lets other delivery channels
+// follow along without the jobs knowing about them.
+const { EventEmitter } = require('events');
+const { newId } = require('./dbUtils');
+
+const DEFAULT_NOTIFICATION_SETTINGS = { debounceMinutes: 15, dhcpNearExpiryHours: 24 };
+
+async function getNotificationSettings(db) {
+  const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+  const configured = (row ? JSON.parse(row.value_json) : {}).notificationSettings || {};
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS };
+  for (const key of Object.keys(settings)) {
+    const value = Number(configured[key]);
+    if (configured[key] !== null && configured[key] !== '' && Number.isFinite(value) && value >= 0) settings[key] = value;
+  }
+  return settings;
+}
+
+function createNotifier(db) {
+  const events = new EventEmitter();
+
+  // A message is skipped while an unread copy is still in the list, or while
+  // its dedup `key` has fired within `debounceMinutes` (Infinity = only once).
+  // `category` names the kind of alert (client-due-date, client-disconnected,
+  // interface-disconnected, user-paid) for channels that filter on it.
+  async function notify({ key, type = 'info', message, linkTo, context, category, debounceMinutes = 0 }) {
+    const now = new Date();
+    const unread = await db.get('SELECT id FROM notifications WHERE message = ? AND is_read = 0 LIMIT 1', [message]);
+    if (unread) return null;
+    const dedupKey = key || message;
+    const seen = await db.get('SELECT lastSentAt FROM notification_dedup WHERE key = ?', [dedupKey]);
+    if (seen && now - new Date(seen.lastSentAt) < debounceMinutes * 60 * 1000) return null;
+
+    const notification = {
+      id: newId('notif'),
+      type,
+      message,
+      is_read: 0,
+      timestamp: now.toISOString(),
+      link_to: linkTo || null,
+      context_json: context ? JSON.stringify(context) : null,
+    };
+    await db.run(
+      'INSERT INTO notifications (id, type, message, is_read, timestamp, link_to, context_json) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [notification.id, notification.type, notification.message, 0, notification.timestamp, notification.link_to, notification.context_json]
+    );
+    await db.run(
+      'INSERT INTO notification_dedup (key, lastSentAt) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET lastSentAt = excluded.lastSentAt',
+      [dedupKey, notification.timestamp]
+    );
+    events.emit('notification', notification, { category });
+    return notification;
+  }
+
+  return { notify, events };
+}
+
+module.exports = { createNotifier, getNotificationSettings, DEFAULT_NOTIFICATION_SETTINGS };
@@ -0,0 +1,382 @@
+// Full panel backups. Each archive (.mk, a gzipped tar) holds a consistent
+// copy of panel.db, the kv_store settings as JSON and the company logo as an
+// image file, plus a manifest with the size and SHA-256 of every file.
+// Backups are made on demand, on a schedule and before every restore. A
+// restore checks the archive and its schema version, swaps panel.db and
+// restarts the panel (pm2 brings it back up).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const tar = require('tar');
+const { ValidationError, sendError } = require('./schema');
+const { LATEST_VERSION } = require('./migrations');
+const { isEncrypted } = require('./secretBox');
+
+const FORMAT = 'mikrotik-panel-backup';
+const FORMAT_VERSION = 1;
+const EXTENSION = '.mk';
+const DEFAULT_KEEP = 7;
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
+const LOGO_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+// The logo is stored as a data URL inside company_settings.
+function logoAsset(companySettings) {
+  const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec((companySettings && companySettings.logoBase64) || '');
+  if (!match || !LOGO_TYPES[match[1]]) return null;
+  return { name: `logo.${LOGO_TYPES[match[1]]}`, content: Buffer.from(match[2], 'base64') };
+}
+
+function panelVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf-8')).version || '0.0.0';
+  } catch (e) {
+    return null;
+  }
+}
+
+// Server-sent events in the `data: {...}` shape SuperAdmin.tsx reads.
+function eventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  return (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function createPanelBackup(db, { dbPath, backupDir, openDatabase, audit, secretBox, restart = () => process.exit(0) }) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  // Only one backup or restore runs at a time; after a restore has closed
+  // panel.db nothing else may start before the restart.
+  let busy = null;
+  let closed = false;
+
+  async function exclusive(what, fn) {
+    if (closed) throw httpError(503, 'The panel is restarting after a restore');
+    if (db.engine !== 'sqlite') throw httpError(409, 'Full backups cover panel.db only. The panel stores its data in MariaDB; back that up with mariadb-dump.');
+    if (busy) throw httpError(409, `A ${busy} is already running`);
+    busy = what;
+    try {
+      return await fn();
+    } finally {
+      busy = null;
+    }
+  }
+
+  function backupPath(file) {
+    const name = path.basename(String(file || ''));
+    if (name !== file || !name.endsWith(EXTENSION)) throw new ValidationError('file', `file must be a ${EXTENSION} backup name`);
+    const full = path.join(backupDir, name);
+    if (!fs.existsSync(full)) throw httpError(404, 'Backup not found');
+    return full;
+  }
+
+  function newBackupName(reason) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    let name = `panel-backup-${stamp}-${reason}${EXTENSION}`;
+    for (let n = 2; fs.existsSync(path.join(backupDir, name)); n++) {
+      name = `panel-backup-${stamp}-${reason}-${n}${EXTENSION}`;
+    }
+    return name;
+  }
+
+  // Newest first.
+  function listBackups() {
+    return fs.readdirSync(backupDir)
+      .filter(f => f.endsWith(EXTENSION))
+      .map(file => {
+        const stat = fs.statSync(path.join(backupDir, file));
+        return { file, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt) || b.file.localeCompare(a.file));
+  }
+
+  async function getSettings() {
+    const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+    const keep = Number(((row ? JSON.parse(row.value_json) : {}).panelBackupSettings || {}).keepScheduled);
+    return { keepScheduled: Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_KEEP };
+  }
+
+  // Only scheduled backups are pruned; manual, uploaded and pre-restore
+  // backups stay until someone deletes them.
+  async function prune() {
+    const { keepScheduled } = await getSettings();
+    const scheduled = listBackups().filter(b => /-scheduled(-\d+)?\.mk$/.test(b.file));
+    for (const { file } of scheduled.slice(keepScheduled)) fs.rmSync(path.join(backupDir, file), { force: true });
+    return Math.max(0, scheduled.length - keepScheduled);
+  }
+
+  async function writeBackup(reason, log) {
+    const name = newBackupName(reason);
+    const work = fs.mkdtempSync(path.join(backupDir, '.work-'));
+    const partial = path.join(backupDir, `${name}.partial`);
+    try {
+      // VACUUM INTO on a separate connection copies the last committed state,
+      // including what is still in the WAL, without blocking writers and
+      // without picking up a transaction open on the main connection.
+      log('Copying panel.db...');
+      const source = await openDatabase(dbPath);
+      try {
+        await source.run('VACUUM INTO ?', [path.join(work, 'panel.db')]);
+      } finally {
+        await source.close();
+      }
+      // Settings and logo come from the copy so they match the database.
+      const copy = await openDatabase(path.join(work, 'panel.db'));
+      let schemaVersion;
+      const settings = {};
+      try {
+        ({ user_version: schemaVersion } = await copy.get('PRAGMA user_version'));
+        for (const row of await copy.all('SELECT key, value_json FROM kv_store ORDER BY key')) {
+          settings[row.key] = JSON.parse(row.value_json);
+        }
+      } finally {
+        await copy.close();
+      }
+      const files = ['panel.db', 'settings.json'];
+      fs.writeFileSync(path.join(work, 'settings.json'), JSON.stringify(settings, null, 2));
+      log(`Exported ${Object.keys(settings).length} settings entries.`);
+      const logo = logoAsset(settings.company_settings);
+      if (logo) {
+        fs.mkdirSync(path.join(work, 'assets'));
+        fs.writeFileSync(path.join(work, 'assets', logo.name), logo.content);
+        files.push(`assets/${logo.name}`);
+        log(`Added the company logo (${logo.name}).`);
+      }
+
+      const manifest = {
+        format: FORMAT,
+        formatVersion: FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        reason,
+        panelVersion: panelVersion(),
+        schemaVersion,
+        files: [],
+      };
+      for (const file of files) {
+        const full = path.join(work, file);
+        manifest.files.push({ path: file, size: fs.statSync(full).size, sha256: await sha256File(full) });
+      }
+      fs.writeFileSync(path.join(work, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      log('Compressing archive...');
+      await tar.c({ gzip: true, file: partial, cwd: work, portable: true }, ['manifest.json', ...files]);
+      fs.renameSync(partial, path.join(backupDir, name));
+      const size = fs.statSync(path.join(backupDir, name)).size;
+      log(`Created ${name} (${(size / 1024 / 1024).toFixed(2)} MB).`);
+      return { file: name, size, manifest };
+    } finally {
+      fs.rmSync(work, { recursive: true, force: true });
+      fs.rmSync(partial, { force: true });
+    }
+  }
+
+  const createBackup = (reason, log = () => {}) => exclusive('backup', () => writeBackup(reason, log));
+
+  async function runScheduled() {
+    if (db.engine !== 'sqlite') return { skipped: 'The panel stores its data in MariaDB' };
+    const { file, size } = await createBackup('scheduled');
+    return { file, size, pruned: await prune() };
+  }
+
+  // Unpacks an archive into a scratch directory and checks it against its
+  // manifest. The caller removes `work`.
+  async function openArchive(file) {
+    const work = fs.mkdtempSync(path.join(backupDir, '.work-'));
+    try {
+      try {
+        await tar.x({ file, cwd: work, strict: true, filter: (p, entry) => entry.type === 'File' || entry.type === 'Directory' });
+      } catch (e) {
+        throw httpError(400, `Could not read the backup archive: ${e.message}`);
+      }
+      let manifest;
+      try {
+        manifest = JSON.parse(fs.readFileSync(path.join(work, 'manifest.json'), 'utf-8'));
+      } catch (e) {
+        throw httpError(400, 'Not a panel backup: manifest.json is missing or unreadable');
+      }
+      if (!manifest || manifest.format !== FORMAT || !Array.isArray(manifest.files)) throw httpError(400, 'Not a panel backup');
+      if (manifest.formatVersion > FORMAT_VERSION) {
+        throw httpError(400, `Backup format ${manifest.formatVersion} is newer than this panel supports (${FORMAT_VERSION})`);
+      }
+      if (!manifest.files.some(f => f.path === 'panel.db')) throw httpError(400, 'The backup has no panel.db');
+      for (const entry of manifest.files) {
+        const full = path.resolve(work, String(entry.path));
+        if (!full.startsWith(work + path.sep) || !fs.existsSync(full)) throw httpError(400, `${entry.path} is missing from the backup`);
+        if (fs.statSync(full).size !== entry.size || await sha256File(full) !== entry.sha256) {
+          throw httpError(400, `Checksum mismatch for ${entry.path}; the backup is damaged`);
+        }
+      }
+      return { work, manifest };
+    } catch (e) {
+      fs.rmSync(work, { recursive: true, force: true });
+      throw e;
+    }
+  }
+
+  // An older schema is fine (migrations run on the restart); a newer one
+  // means the backup came from a newer panel and can't be used here.
+  // Resolves to the names of routers whose saved password can't be read
+  // with this panel's key file.
+  async function checkDatabase(file, manifest) {
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > LATEST_VERSION) {
+      throw httpError(400, `The backup uses database schema version ${manifest.schemaVersion}, but this panel supports up to ${LATEST_VERSION}. Update the panel first.`);
+    }
+    const copy = await openDatabase(file);
+    try {
+      const check = await copy.get('PRAGMA quick_check');
+      if (!check || Object.values(check)[0] !== 'ok') throw httpError(400, 'The database in the backup failed its integrity check');
+      const { user_version: version } = await copy.get('PRAGMA user_version');
+      if (version !== manifest.schemaVersion) {
+        throw httpError(400, `The database reports schema version ${version} but the manifest says ${manifest.schemaVersion}`);
+      }
+      const users = await copy.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'");
+      if (!users) throw httpError(400, 'The database in the backup has no users table');
+      const routers = await copy.all('SELECT name, password FROM routers');
+      return routers.filter(r => {
+        if (!isEncrypted(r.password)) return false;
+        try { secretBox.decrypt(r.password); return false; } catch (e) { return true; }
+      }).map(r => r.name);
+    } finally {
+      await copy.close();
+    }
+  }
+
+  async function restore(name, log) {
+    return exclusive('restore', async () => {
+      const file = backupPath(name);
+      log(`Checking ${name}...`);
+      const { work, manifest } = await openArchive(file);
+      try {
+        const restored = path.join(work, 'panel.db');
+        const unreadable = await checkDatabase(restored, manifest);
+        log(`Backup taken ${manifest.createdAt} by panel ${manifest.panelVersion || 'unknown'}, schema version ${manifest.schemaVersion}.`);
+        if (manifest.schemaVersion < LATEST_VERSION) log(`The database will be upgraded to schema version ${LATEST_VERSION} when the panel restarts.`);
+        if (unreadable.length) {
+          log(`Warning: the passwords of ${unreadable.join(', ')} were encrypted with a key that is not in this panel's key file. Restore the matching key file or enter those passwords again after the restore.`);
+        }
+
+        log('Taking a safety backup of the current panel first...');
+        const safety = await writeBackup('pre-restore', log);
+
+        log('Replacing panel.db...');
+        fs.copyFileSync(restored, `${dbPath}.restore`);
+        // Closing the last connection checkpoints the WAL; stale -wal/-shm
+        // files must not be applied to the restored database.
+        closed = true;
+        await db.close();
+        for (const suffix of ['-wal', '-shm']) fs.rmSync(`${dbPath}${suffix}`, { force: true });
+        fs.renameSync(`${dbPath}.restore`, dbPath);
+        return { manifest, safetyBackup: safety.file };
+      } finally {
+        fs.rmSync(work, { recursive: true, force: true });
+        fs.rmSync(`${dbPath}.restore`, { force: true });
+      }
+    });
+  }
+
+  const actor = (req) => ({
+    userId: req.user ? req.user.id : req.auth && req.auth.sub,
+    username: req.user ? req.user.username : req.auth && req.auth.username,
+    ip: req.ip,
+  });
+
+  const router = express.Router();
+
+  router.get('/list-full-backups', (req, res) => {
+    try {
+      res.json(listBackups().map(b => b.file));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/create-full-backup', async (req, res) => {
+    const send = eventStream(res);
+    try {
+      const { file, manifest } = await createBackup('manual', (log) => send({ log }));
+      await audit.record({ ...actor(req), source: 'backups', method: 'BACKUP', target: file, status: 200, payload: { schemaVersion: manifest.schemaVersion, files: manifest.files } });
+      send({ status: 'success', file });
+    } catch (e) {
+      send({ log: e.message, isError: true });
+      send({ status: 'error', message: e.message });
+    }
+    res.end();
+  });
+
+  router.post('/delete-full-backup', (req, res) => {
+    try {
+      const { backupFile } = req.body || {};
+      if (!backupFile) throw new ValidationError('backupFile', 'backupFile is required');
+      fs.rmSync(backupPath(backupFile));
+      res.json({ message: 'Deleted' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // The archive arrives as the raw request body. It is checked before it is
+  // kept, so only readable backups show up in the list.
+  router.post('/upload-backup', async (req, res) => {
+    const name = newBackupName('uploaded');
+    const partial = path.join(backupDir, `${name}.partial`);
+    try {
+      if (!req.is('application/octet-stream')) throw new ValidationError('body', 'Send the backup file as application/octet-stream');
+      let received = 0;
+      const out = fs.createWriteStream(partial);
+      await new Promise((resolve, reject) => {
+        req.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > MAX_UPLOAD_BYTES) {
+            req.unpipe(out);
+            out.destroy();
+            reject(httpError(413, 'The backup file is too large'));
+          }
+        });
+        req.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        req.pipe(out);
+      });
+      const { work } = await openArchive(partial);
+      fs.rmSync(work, { recursive: true, force: true });
+      fs.renameSync(partial, path.join(backupDir, name));
+      res.json({ filename: name });
+    } catch (e) {
+      fs.rmSync(partial, { force: true });
+      sendError(res, e);
+    }
+  });
+
+  router.get('/restore-from-backup', async (req, res) => {
+    const send = eventStream(res);
+    try {
+      const { manifest, safetyBackup } = await restore(req.query.file, (log) => send({ log }));
+      send({ log: `Restore complete. The previous state was saved as ${safetyBackup}. Restarting the panel...` });
+      send({ status: 'restarting' });
+      console.log(`Restored panel.db from ${req.query.file} (backup of ${manifest.createdAt}); restarting.`);
+    } catch (e) {
+      send({ log: e.message, isError: true });
+      send({ status: 'error', message: e.message });
+    }
+    res.end();
+    // Audit entries go to the database being replaced, so a restore is only
+    // logged to the console; once panel.db is closed the panel must restart.
+    if (closed) setTimeout(restart, 500);
+  });
+
+  // Mounted at /download-backup/:file.
+  function download(req, res) {
+    try {
+      res.download(backupPath(req.params.file));
+    } catch (e) { sendError(res, e); }
+  }
+
+  return { router, download, createBackup, runScheduled, listBackups };
+}
+
+module.exports = { createPanelBackup };
@@ -0,0 +1,523 @@
+// Desired-state provisioning. A template lists the IP pools, PPP profiles,
+// DHCP servers, firewall rules and simple queues routers should have. A plan
+// compares the template with what one router holds and lists the adds,
+// changes and removes that would make it match; nothing is written until
+// that plan is applied.
+//
+// Items are matched by `name`, or by `comment` for firewall rules, which
+// have no name. Only the fields a template sets are compared, so router
+// defaults and counters never show up as changes. Items the template doesn't
+// mention are left alone unless the section has `prune` set, and dynamic or
+// built-in items are never touched.
+//
+// An apply runs the steps in dependency order (pools before the profiles
+// and servers that use them, removals last) and records how to undo each
+// one. If a step fails, the steps already made on that router are undone in
+// reverse, so a router is left either matching the template or as it was.
+// Routers a template was applied to are re-planned on a schedule and
+// reported when they have drifted.
+const crypto = require('crypto');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { newId } = require('./dbUtils');
+const { isTrue } = require('./routeros');
+
+// In apply order. `ordered` menus are evaluated top to bottom on the router,
+// so new items are placed before the next template item already there.
+const SECTIONS = [
+  { menu: 'ip/pool', key: 'name', label: 'IP pools' },
+  { menu: 'ppp/profile', key: 'name', label: 'PPP profiles' },
+  { menu: 'ip/dhcp-server', key: 'name', label: 'DHCP servers' },
+  { menu: 'ip/firewall/filter', key: 'comment', label: 'Firewall filter rules', ordered: true },
+  { menu: 'ip/firewall/nat', key: 'comment', label: 'Firewall NAT rules', ordered: true },
+  { menu: 'ip/firewall/mangle', key: 'comment', label: 'Firewall mangle rules', ordered: true },
+  { menu: 'queue/simple', key: 'name', label: 'Simple queues', ordered: true },
+];
+const SECTION_BY_MENU = new Map(SECTIONS.map(s => [s.menu, s]));
+
+// Printed by RouterOS but not settable; dropped when an item is captured
+// from a router or re-added during a rollback.
+const READ_ONLY = new Set([
+  '.id', 'id', '.nextid', '.about', 'dynamic', 'invalid', 'builtin', 'default', 'bytes', 'packets',
+  'rate', 'packet-rate', 'queued-bytes', 'queued-packets', 'dropped', 'borrows', 'lends', 'pcq-queues',
+]);
+const isReadOnly = (field) => READ_ONLY.has(field) || field.startsWith('total-');
+const FIELD_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_ITEMS = 500;
+const MAX_VALUE_LENGTH = 1000;
+const RUN_HISTORY_LIMIT = 100;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// RouterOS prints booleans as true/false but accepts yes/no as well.
+function normalize(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  if (text === 'yes') return 'true';
+  if (text === 'no') return 'false';
+  return text;
+}
+
+const isManageable = (item) => !isTrue(item.dynamic) && !isTrue(item.builtin) && !isTrue(item.default);
+
+const writable = (item) => Object.fromEntries(Object.entries(item).filter(([field, value]) => !isReadOnly(field) && value !== ''));
+
+// Checks a template body and returns it in stored form: values as strings,
+// only known sections.
+function parseSections(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ValidationError('sections', "Field 'sections' must be an object keyed by menu");
+  const sections = {};
+  for (const [menu, spec] of Object.entries(input)) {
+    const section = SECTION_BY_MENU.get(menu);
+    if (!section) throw new ValidationError('sections', `Unknown section '${menu}'. Supported: ${SECTIONS.map(s => s.menu).join(', ')}`);
+    const items = spec && spec.items;
+    if (!Array.isArray(items)) throw new ValidationError('sections', `${menu}: 'items' must be an array`);
+    if (items.length > MAX_ITEMS) throw new ValidationError('sections', `${menu}: at most ${MAX_ITEMS} items`);
+    const keys = new Set();
+    const parsed = items.map((item, i) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) throw new ValidationError('sections', `${menu} item ${i + 1} must be an object`);
+      const out = {};
+      for (const [field, value] of Object.entries(item)) {
+        if (!FIELD_NAME.test(field) || isReadOnly(field) || field === 'place-before') throw new ValidationError('sections', `${menu} item ${i + 1}: '${field}' can't be set by a template`);
+        if (value === null || typeof value === 'object') throw new ValidationError('sections', `${menu} item ${i + 1}: '${field}' must be a single value`);
+        const text = String(value);
+        if (text.length > MAX_VALUE_LENGTH) throw new ValidationError('sections', `${menu} item ${i + 1}: '${field}' is too long`);
+        out[field] = text;
+      }
+      const key = out[section.key];
+      if (!key) throw new ValidationError('sections', `${menu} item ${i + 1} needs a '${section.key}'; items are matched on it`);
+      if (keys.has(key)) throw new ValidationError('sections', `${menu}: '${key}' appears more than once`);
+      keys.add(key);
+      return out;
+    });
+    sections[menu] = { prune: spec.prune === true, items: parsed };
+  }
+  return sections;
+}
+
+function toTemplate(row) {
+  if (!row) return null;
+  const { sections_json, ...rest } = row;
+  return { ...rest, sections: JSON.parse(sections_json) };
+}
+
+function toAssignment(row) {
+  const { summary_json, ...rest } = row;
+  return { ...rest, summary: summary_json ? JSON.parse(summary_json) : null };
+}
+
+function toRun(row) {
+  const { steps_json, ...rest } = row;
+  return { ...rest, steps: JSON.parse(steps_json) };
+}
+
+const countSteps = (steps) => ({
+  add: steps.filter(s => s.op === 'add').length,
+  change: steps.filter(s => s.op === 'set').length,
+  remove: steps.filter(s => s.op === 'remove').length,
+});
+
+function createProvisioning(db, { routerClient, notifier, configSnapshots }) {
+  const busy = new Set();
+
+  async function getTemplate(id) {
+    const template = toTemplate(await db.get('SELECT * FROM provisioning_templates WHERE id = ?', [id]));
+    if (!template) throw httpError(404, 'Template not found');
+    return template;
+  }
+
+  async function readSection(routerId, menu) {
+    const items = await routerClient.call(routerId, `${menu}/print`);
+    return [].concat(items || []);
+  }
+
+  // The steps that would make one router match the template, in apply order.
+  async function planFor(template, routerId) {
+    const forward = [];
+    const removals = [];
+    for (const section of SECTIONS) {
+      const spec = template.sections[section.menu];
+      if (!spec) continue;
+      const current = (await readSection(routerId, section.menu)).filter(isManageable);
+      const byKey = new Map();
+      for (const item of current) {
+        const key = item[section.key];
+        if (key && !byKey.has(key)) byKey.set(key, item);
+      }
+      const wanted = new Set(spec.items.map(item => item[section.key]));
+
+      spec.items.forEach((item, i) => {
+        const key = item[section.key];
+        const existing = byKey.get(key);
+        if (!existing) {
+          const step = { op: 'add', menu: section.menu, key, data: item };
+          if (section.ordered) {
+            const next = spec.items.slice(i + 1).map(later => byKey.get(later[section.key])).find(Boolean);
+            if (next) step.placeBefore = next.id;
+          }
+          forward.push(step);
+          return;
+        }
+        const changes = Object.keys(item)
+          .filter(field => normalize(item[field]) !== normalize(existing[field]))
+          .map(field => ({ field, from: existing[field] === undefined ? null : String(existing[field]), to: item[field] }));
+        if (changes.length) forward.push({ op: 'set', menu: section.menu, key, id: existing.id, changes });
+      });
+
+      if (spec.prune) {
+        const sectionRemovals = [];
+        current.forEach((item, i) => {
+          const key = item[section.key];
+          // Items without a key can't be told apart, and duplicates of a
+          // wanted key are extra copies.
+          if (!key || (wanted.has(key) && byKey.get(key) === item)) return;
+          const following = current[i + 1];
+          sectionRemovals.push({ op: 'remove', menu: section.menu, key, id: item.id, item: writable(item), nextId: section.ordered && following ? following.id : null });
+        });
+        removals.unshift(...sectionRemovals);
+      }
+    }
+    const steps = [...forward, ...removals];
+    return { steps, summary: countSteps(steps), hash: sha256(JSON.stringify(steps)) };
+  }
+
+  async function plan(template, routerIds) {
+    const results = [];
+    for (const routerId of routerIds) {
+      const router = await db.get('SELECT id, name FROM routers WHERE id = ?', [routerId]);
+      if (!router) {
+        results.push({ routerId, routerName: null, error: 'Router not found' });
+        continue;
+      }
+      try {
+        results.push({ routerId, routerName: router.name, ...await planFor(template, routerId) });
+      } catch (e) {
+        results.push({ routerId, routerName: router.name, error: e.message });
+      }
+    }
+    return results;
+  }
+
+  // Each step returns the step that undoes it. `ids` maps ids of items
+  // removed and re-added during a rollback to their new ids.
+  async function runStep(routerId, step, ids = new Map()) {
+    const resolve = (id) => ids.get(id) || id;
+    switch (step.op) {
+      case 'add': {
+        const data = { ...step.data };
+        if (step.placeBefore) data['place-before'] = resolve(step.placeBefore);
+        const added = await routerClient.call(routerId, `${step.menu}/add`, 'POST', data);
+        let id = added && (added.id || added['.id']);
+        if (!id) {
+          const section = SECTION_BY_MENU.get(step.menu);
+          const where = encodeURIComponent(JSON.stringify({ [section.key]: step.key }));
+          const [found] = [].concat(await routerClient.call(routerId, `${step.menu}/print?where=${where}`) || []);
+          id = found && found.id;
+        }
+        if (step.replaces) ids.set(step.replaces, id);
+        return { op: 'remove', menu: step.menu, key: step.key, id };
+      }
+      case 'set': {
+        const id = resolve(step.id);
+        await routerClient.call(routerId, `${step.menu}/set`, 'POST', { '.id': id, ...Object.fromEntries(step.changes.map(c => [c.field, c.to])) });
+        return { op: 'restore', menu: step.menu, key: step.key, id, changes: step.changes };
+      }
+      case 'restore': {
+        const id = resolve(step.id);
+        const values = step.changes.filter(c => c.from !== null);
+        if (values.length) {
+          await routerClient.call(routerId, `${step.menu}/set`, 'POST', { '.id': id, ...Object.fromEntries(values.map(c => [c.field, c.from])) });
+        }
+        for (const c of step.changes.filter(c => c.from === null)) {
+          await routerClient.call(routerId, `${step.menu}/unset`, 'POST', { '.id': id, 'value-name': c.field });
+        }
+        return null;
+      }
+      case 'remove': {
+        await routerClient.call(routerId, `${step.menu}/remove`, 'POST', { '.id': resolve(step.id) });
+        return { op: 'add', menu: step.menu, key: step.key, data: step.item, placeBefore: step.nextId, replaces: step.id };
+      }
+      default:
+        throw new Error(`Unknown step '${step.op}'`);
+    }
+  }
+
+  // Applies the template to one router. `expectedHash` is the hash of the
+  // plan the user reviewed; if the router changed since, nothing is done.
+  async function applyTo(template, routerId, { expectedHash, username }) {
+    const router = await db.get('SELECT id, name FROM routers WHERE id = ?', [routerId]);
+    if (!router) return { routerId, status: 'failed', error: 'Router not found' };
+    if (busy.has(routerId)) return { routerId, routerName: router.name, status: 'failed', error: 'Another provisioning run is in progress on this router' };
+    busy.add(routerId);
+    const startedAt = new Date().toISOString();
+    const log = [];
+    let status = 'applied';
+    let error = null;
+    let snapshotId = null;
+    try {
+      const { steps, hash } = await planFor(template, routerId);
+      if (expectedHash && expectedHash !== hash) {
+        return { routerId, routerName: router.name, status: 'stale', error: 'The router changed since the plan was previewed. Preview it again.' };
+      }
+      if (!steps.length) {
+        await markAssignment(template.id, routerId, { status: 'in-sync', summary: countSteps([]), appliedAt: startedAt });
+        return { routerId, routerName: router.name, status: 'unchanged', steps: [] };
+      }
+      if (configSnapshots) {
+        try {
+          snapshotId = (await configSnapshots.takeSnapshot(routerId, { reason: `before template ${template.name}`, username })).id;
+        } catch (e) {
+          console.warn(`Could not snapshot router ${routerId} before provisioning:`, e.message);
+        }
+      }
+
+      const undo = [];
+      for (const step of steps) {
+        try {
+          undo.push(await runStep(routerId, step));
+          log.push({ ...step, result: 'done' });
+        } catch (e) {
+          log.push({ ...step, result: 'failed', error: e.message });
+          error = `${step.op} ${step.menu} '${step.key}': ${e.message}`;
+          break;
+        }
+      }
+      if (error) {
+        status = 'rolled-back';
+        const ids = new Map();
+        for (const step of undo.reverse()) {
+          try {
+            await runStep(routerId, step, ids);
+            log.push({ ...step, result: 'undone' });
+          } catch (e) {
+            status = 'rollback-failed';
+            log.push({ ...step, result: 'failed', error: e.message });
+          }
+        }
+      }
+    } catch (e) {
+      status = 'failed';
+      error = e.message;
+    } finally {
+      busy.delete(routerId);
+    }
+
+    await db.run(
+      'INSERT INTO provisioning_runs (id, templateId, templateName, routerId, status, steps_json, error, snapshotId, startedAt, finishedAt, createdBy) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [newId('prun'), template.id, template.name, routerId, status, JSON.stringify(log), error, snapshotId, startedAt, new Date().toISOString(), username || null]
+    );
+    if (status === 'applied') await markAssignment(template.id, routerId, { status: 'in-sync', summary: countSteps([]), appliedAt: startedAt });
+    return { routerId, routerName: router.name, status, error, snapshotId, steps: log };
+  }
+
+  async function markAssignment(templateId, routerId, { status, summary, error = null, appliedAt }) {
+    const now = new Date().toISOString();
+    await db.run(
+      `INSERT INTO provisioning_assignments (templateId, routerId, status, summary_json, error, checkedAt, appliedAt) VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(templateId, routerId) DO UPDATE SET status = excluded.status, summary_json = excluded.summary_json, error = excluded.error,
+         checkedAt = excluded.checkedAt, appliedAt = COALESCE(excluded.appliedAt, provisioning_assignments.appliedAt)`,
+      [templateId, routerId, status, summary ? JSON.stringify(summary) : null, error, now, appliedAt || null]
+    );
+  }
+
+  // Re-plans every assigned router and notifies once when one drifts.
+  async function checkDrift({ templateId } = {}) {
+    const rows = await db.all(
+      `SELECT a.templateId, a.routerId, a.status, r.name AS routerName FROM provisioning_assignments a
+       JOIN routers r ON r.id = a.routerId ${templateId ? 'WHERE a.templateId = ?' : ''}`,
+      templateId ? [templateId] : []
+    );
+    const summary = { checked: 0, inSync: 0, drifted: 0, errors: [] };
+    const templates = new Map();
+    for (const row of rows) {
+      try {
+        if (!templates.has(row.templateId)) templates.set(row.templateId, await getTemplate(row.templateId));
+        const template = templates.get(row.templateId);
+        const { steps, summary: counts } = await planFor(template, row.routerId);
+        const status = steps.length ? 'drift' : 'in-sync';
+        await markAssignment(row.templateId, row.routerId, { status, summary: counts });
+        summary.checked++;
+        if (status === 'in-sync') {
+          summary.inSync++;
+          continue;
+        }
+        summary.drifted++;
+        if (row.status !== 'drift') {
+          await notifier.notify({
+            key: `provisioning-drift:${row.templateId}:${row.routerId}`,
+            type: 'info',
+            message: `Router ${row.routerName} no longer matches template "${template.name}": ${counts.add} to add, ${counts.change} to change, ${counts.remove} to remove.`,
+            linkTo: 'provisioning',
+            context: { templateId: row.templateId, routerId: row.routerId },
+            category: 'provisioning-drift',
+          });
+        }
+      } catch (e) {
+        await markAssignment(row.templateId, row.routerId, { status: 'error', error: e.message });
+        summary.errors.push(`${row.routerName}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  function routerIdsFrom(body) {
+    const ids = body && body.routerIds;
+    if (!Array.isArray(ids) || !ids.length || ids.some(id => typeof id !== 'string')) throw new ValidationError('routerIds', "Field 'routerIds' must be a non-empty array of router ids");
+    return [...new Set(ids)];
+  }
+
+  function templateFields(body) {
+    const name = String((body || {}).name || '').trim();
+    if (!name) throw new ValidationError('name', "Field 'name' is required");
+    if (name.length > 100) throw new ValidationError('name', 'Name is too long');
+    return { name, description: String(body.description || '').trim() || null, sections: parseSections(body.sections) };
+  }
+
+  const router = express.Router();
+
+  router.get('/sections', (req, res) => {
+    res.json(SECTIONS);
+  });
+
+  router.get('/templates', async (req, res) => {
+    try {
+      const rows = await db.all('SELECT * FROM provisioning_templates ORDER BY name');
+      const assignments = await db.all('SELECT * FROM provisioning_assignments');
+      res.json(rows.map(row => ({
+        ...toTemplate(row),
+        assignments: assignments.filter(a => a.templateId === row.id).map(toAssignment),
+      })));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/templates/:id', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      const assignments = await db.all('SELECT * FROM provisioning_assignments WHERE templateId = ?', [template.id]);
+      res.json({ ...template, assignments: assignments.map(toAssignment) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/templates', async (req, res) => {
+    try {
+      const { name, description, sections } = templateFields(req.body);
+      if (await db.get('SELECT id FROM provisioning_templates WHERE name = ?', [name])) throw new ValidationError('name', 'A template with this name already exists');
+      const now = new Date().toISOString();
+      const id = newId('tpl');
+      await db.run(
+        'INSERT INTO provisioning_templates (id, name, description, sections_json, createdAt, updatedAt, updatedBy) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, name, description, JSON.stringify(sections), now, now, req.auth && req.auth.username]
+      );
+      res.status(201).json(await getTemplate(id));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.put('/templates/:id', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      const { name, description, sections } = templateFields(req.body);
+      if (await db.get('SELECT id FROM provisioning_templates WHERE name = ? AND id != ?', [name, template.id])) throw new ValidationError('name', 'A template with this name already exists');
+      await db.run(
+        'UPDATE provisioning_templates SET name = ?, description = ?, sections_json = ?, updatedAt = ?, updatedBy = ? WHERE id = ?',
+        [name, description, JSON.stringify(sections), new Date().toISOString(), req.auth && req.auth.username, template.id]
+      );
+      // The routers have not been compared with the new contents yet.
+      await db.run("UPDATE provisioning_assignments SET status = 'unchecked', summary_json = NULL, error = NULL WHERE templateId = ?", [template.id]);
+      res.json(await getTemplate(template.id));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.delete('/templates/:id', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      await db.run('DELETE FROM provisioning_templates WHERE id = ?', [template.id]);
+      res.json({ message: 'Deleted' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // The routers a template is checked against for drift. Applying a
+  // template also adds the router.
+  router.put('/templates/:id/routers', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      const ids = Array.isArray(req.body && req.body.routerIds) ? req.body.routerIds : [];
+      const known = new Set((await db.all('SELECT id FROM routers')).map(r => r.id));
+      const unknown = ids.filter(id => !known.has(id));
+      if (unknown.length) throw new ValidationError('routerIds', `Unknown router(s): ${unknown.join(', ')}`);
+      await db.run(`DELETE FROM provisioning_assignments WHERE templateId = ? AND routerId NOT IN (${ids.map(() => '?').join(', ') || "''"})`, [template.id, ...ids]);
+      for (const routerId of ids) {
+        await db.run("INSERT INTO provisioning_assignments (templateId, routerId, status) VALUES (?, ?, 'unchecked') ON CONFLICT(templateId, routerId) DO NOTHING", [template.id, routerId]);
+      }
+      const assignments = await db.all('SELECT * FROM provisioning_assignments WHERE templateId = ?', [template.id]);
+      res.json(assignments.map(toAssignment));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Dry run: the per-router plan, changing nothing.
+  router.post('/templates/:id/plan', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      res.json(await plan(template, routerIdsFrom(req.body)));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Routers are applied one after another; a failure on one router rolls
+  // back that router only. `expected` maps router ids to the plan hashes
+  // from the preview.
+  router.post('/templates/:id/apply', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      const routerIds = routerIdsFrom(req.body);
+      const expected = (req.body && req.body.expected) || {};
+      const results = [];
+      for (const routerId of routerIds) {
+        results.push(await applyTo(template, routerId, { expectedHash: expected[routerId], username: req.auth && req.auth.username }));
+      }
+      res.json(results);
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.post('/templates/:id/check', async (req, res) => {
+    try {
+      const template = await getTemplate(req.params.id);
+      res.json(await checkDrift({ templateId: template.id }));
+    } catch (e) { sendError(res, e); }
+  });
+
+  // A router's current items in template form, to start a template from a
+  // router that is already set up the way the others should be.
+  router.get('/capture', async (req, res) => {
+    try {
+      const { routerId } = req.query;
+      if (!routerId) throw new ValidationError('routerId', "Query parameter 'routerId' is required");
+      const menus = String(req.query.sections || SECTIONS.map(s => s.menu).join(',')).split(',').filter(Boolean);
+      const sections = {};
+      for (const menu of menus) {
+        const section = SECTION_BY_MENU.get(menu);
+        if (!section) throw new ValidationError('sections', `Unknown section '${menu}'`);
+        const items = (await readSection(routerId, menu)).filter(item => isManageable(item) && item[section.key]);
+        sections[menu] = { prune: false, items: items.map(writable) };
+      }
+      res.json({ sections });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/runs', async (req, res) => {
+    try {
+      const where = [];
+      const params = [];
+      if (req.query.templateId) { where.push('templateId = ?'); params.push(req.query.templateId); }
+      if (req.query.routerId) { where.push('routerId = ?'); params.push(req.query.routerId); }
+      const rows = await db.all(
+        `SELECT * FROM provisioning_runs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY startedAt DESC LIMIT ${RUN_HISTORY_LIMIT}`,
+        params
+      );
+      res.json(rows.map(toRun));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, plan, checkDrift };
+}
+
+module.exports = { createProvisioning, SECTIONS };
@@ -0,0 +1,56 @@
+// Fixed-window request counters kept in memory. The panel runs as a single
+// process, so there is no shared store to keep in sync; counters simply
+// start over after a restart.
+function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later.' }) {
+  const windows = new Map();
+
+  // Expired windows are dropped now and then so the map can't grow without
+  // bound under a spray of distinct keys.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, windowMs);
+  sweep.unref();
+
+  function current(key) {
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    return w;
+  }
+
+  // Seconds until `key` may try again, or 0 when it is under the limit.
+  function retryAfter(key) {
+    const w = current(key);
+    return w.count >= max ? Math.ceil((w.resetAt - Date.now()) / 1000) : 0;
+  }
+
+  function hit(key) {
+    current(key).count++;
+  }
+
+  function reset(key) {
+    windows.delete(key);
+  }
+
+  function reject(res, seconds) {
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ message });
+  }
+
+  // Counts every request from the same key (the client IP by default).
+  const middleware = (keyOf = (req) => req.ip) => (req, res, next) => {
+    const key = keyOf(req);
+    const wait = retryAfter(key);
+    if (wait) return reject(res, wait);
+    hit(key);
+    next();
+  };
+
+  return { retryAfter, hit, reset, reject, middleware };
+}
+
+module.exports = { createRateLimiter };
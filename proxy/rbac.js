@@ -0,0 +1,398 @@
+// Role-based access control. Permissions are `resource:action` strings with
+// `*` wildcards on either side ('*:*' is full access, '*:read' is read-only).
+// Every /api/db table and every RouterOS menu reached through /mt-api maps
+// to one resource, and the HTTP method / RouterOS verb picks the action.
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction, newId } = require('./dbUtils');
+const { assertPassword, setPassword, issueResetCode } = require('./auth');
+
+const ACTIONS = ['read', 'write', 'delete'];
+
+const RESOURCES = {
+  dashboard: 'Dashboard resource and traffic graphs',
+  routers: 'Router connections',
+  customers: 'Customer contact records',
+  pppoe_users: 'PPPoE secrets and active sessions',
+  pppoe_settings: 'PPPoE profiles and servers',
+  payments: 'Processing subscriber payments on routers',
+  dhcp_clients: 'DHCP portal clients',
+  dhcp_server: 'DHCP servers, pools and portal installers',
+  hotspot: 'Hotspot servers, users and profiles',
+  billing_plans: 'PPPoE, DHCP and voucher billing plans',
+  sales_report: 'Sales records',
+  ledger: 'Invoices, payments and customer statements',
+  inventory: 'Inventory',
+  expenses: 'Expenses',
+  payroll: 'Employees, benefits and time records',
+  notifications: 'Panel notifications',
+  firewall: 'Firewall filter, NAT and mangle rules',
+  queues: 'Queues and bandwidth limits',
+  interfaces: 'Interfaces, bridges and VLANs',
+  network: 'IP addresses, routes and WAN failover',
+  files: 'Router files',
+  logs: 'Router logs',
+  system: 'Router system settings and panel jobs',
+  router_config: 'Any other RouterOS menu',
+  provisioning: 'Provisioning templates applied across routers',
+  settings: 'Panel and company settings',
+  panel_users: 'Panel users and roles',
+  audit: 'Audit log of changes',
+};
+
+const PERMISSIONS = [
+  { id: '*:*', name: '*:*', description: 'Full access to everything' },
+  { id: '*:read', name: '*:read', description: 'Read-only access to everything' },
+  ...Object.entries(RESOURCES).flatMap(([resource, label]) => ACTIONS.map(action => ({
+    id: `${resource}:${action}`,
+    name: `${resource}:${action}`,
+    description: `${action === 'read' ? 'View' : action === 'write' ? 'Create and edit' : 'Delete'}: ${label}`,
+  }))),
+];
+const PERMISSION_IDS = new Set(PERMISSIONS.map(p => p.id));
+
+// First path segment under /api/db.
+const DB_RESOURCES = {
+  routers: 'routers',
+  notifications: 'notifications',
+  customers: 'customers',
+  sales: 'sales_report',
+  sales_records: 'sales_report',
+  inventory: 'inventory',
+  expenses: 'expenses',
+  'billing-plans': 'billing_plans',
+  'voucher-plans': 'billing_plans',
+  'dhcp-billing-plans': 'billing_plans',
+  employees: 'payroll',
+  'employee-benefits': 'payroll',
+  'time-records': 'payroll',
+  dhcp_clients: 'dhcp_clients',
+  'panel-settings': 'settings',
+  'company-settings': 'settings',
+};
+
+// RouterOS menu prefixes, most specific first. Includes the panel's own
+// composite endpoints (ppp/payment/process, dhcp-client/update, ...).
+const ROUTER_RESOURCES = [
+  ['ppp/payment', 'payments'],
+  ['ppp/secret', 'pppoe_users'],
+  ['ppp/active', 'pppoe_users'],
+  ['ppp/user', 'pppoe_users'],
+  ['ppp', 'pppoe_settings'],
+  ['interface/pppoe-server', 'pppoe_settings'],
+  ['interface/stats', 'dashboard'],
+  ['system/resource', 'dashboard'],
+  ['dhcp-client', 'dhcp_clients'],
+  ['ip/dhcp-server/lease', 'dhcp_clients'],
+  ['ip/dhcp-server', 'dhcp_server'],
+  ['ip/pool', 'dhcp_server'],
+  ['script/run-dhcp', 'dhcp_server'],
+  ['ip/hotspot', 'hotspot'],
+  ['script/run-hotspot', 'hotspot'],
+  ['ip/firewall', 'firewall'],
+  ['queue', 'queues'],
+  ['interface', 'interfaces'],
+  ['ip/route', 'network'],
+  ['ip/address', 'network'],
+  ['system/script/wan-failover-status', 'network'],
+  ['system/script/configure-wan-failover', 'network'],
+  ['file', 'files'],
+  ['log', 'logs'],
+  ['system', 'system'],
+];
+const READ_VERBS = new Set(['print', 'get-content', 'stats', 'wan-failover-status']);
+// Change the router whatever the HTTP method, since api-backend runs them on
+// a GET too.
+const WRITE_VERBS = new Set(['add', 'set', 'enable', 'disable']);
+
+function matchesMenu(endpoint, prefix) {
+  return endpoint === prefix || endpoint.startsWith(`${prefix}/`);
+}
+
+// The endpoint as api-backend will run it: percent-decoded, empty segments
+// dropped and each segment encoded again. '.' and '..' are refused rather
+// than resolved, so the menu checked is always the menu that runs.
+function normalizeRouterEndpoint(endpoint) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(String(endpoint || ''));
+  } catch (e) {
+    throw Object.assign(new Error('Malformed router endpoint'), { status: 400 });
+  }
+  const segments = decoded.split('/').filter(Boolean);
+  if (segments.some(s => s === '.' || s === '..')) {
+    throw Object.assign(new Error("Router endpoints cannot contain '.' or '..' segments"), { status: 400 });
+  }
+  return segments.map(encodeURIComponent).join('/');
+}
+
+function routerPermission(method, routerId, endpoint) {
+  const path = decodeURIComponent(normalizeRouterEndpoint(endpoint));
+  if (routerId === 'test') return ['routers', 'write'];
+  const match = ROUTER_RESOURCES.find(([prefix]) => matchesMenu(path, prefix));
+  const resource = match ? match[1] : 'router_config';
+  const verb = path.split('/').pop();
+  if (method === 'DELETE' || verb === 'remove') return [resource, 'delete'];
+  if (WRITE_VERBS.has(verb)) return [resource, 'write'];
+  if (method === 'GET' || method === 'HEAD' || READ_VERBS.has(verb)) return [resource, 'read'];
+  return [resource, 'write'];
+}
+
+// GET reads, DELETE deletes, anything else writes.
+function methodAction(method) {
+  if (method === 'DELETE') return 'delete';
+  if (method === 'GET' || method === 'HEAD') return 'read';
+  return 'write';
+}
+
+function dbPermission(method, path) {
+  const [segment, ...rest] = String(path || '').replace(/^\/+/, '').split('/');
+  const resource = DB_RESOURCES[segment] || 'system';
+  return [resource, rest[rest.length - 1] === 'clear-all' ? 'delete' : methodAction(method)];
+}
+
+function hasPermission(granted, resource, action) {
+  return granted.some(p => {
+    const [r, a] = p.split(':');
+    return (r === '*' || r === resource) && (a === '*' || a === action);
+  });
+}
+
+// Whether `granted` includes everything `permission` grants, wildcards
+// included: '*:read' is only covered by '*:read' or '*:*'.
+function covers(granted, permission) {
+  const [resource, action] = permission.split(':');
+  return hasPermission(granted, resource, action);
+}
+
+function createRbac(db) {
+  async function getUser(userId) {
+    const user = await db.get(
+      'SELECT u.id, u.username, r.id AS roleId, r.name AS roleName FROM users u LEFT JOIN roles r ON r.id = u.role_id WHERE u.id = ?',
+      [userId]
+    );
+    if (!user) return null;
+    const rows = user.roleId ? await db.all('SELECT permission FROM role_permissions WHERE roleId = ?', [user.roleId]) : [];
+    return {
+      id: user.id,
+      username: user.username,
+      role: { id: user.roleId || '', name: user.roleName || 'No role' },
+      permissions: rows.map(r => r.permission),
+    };
+  }
+
+  // `req.auth` is the verified token payload set by `protect`. Tokens the
+  // panel mints for its own background jobs carry `system: true`.
+  function authorize(resolve) {
+    return async (req, res, next) => {
+      try {
+        if (req.auth && req.auth.system) return next();
+        const [resource, action] = resolve(req);
+        const user = req.auth ? await getUser(req.auth.sub) : null;
+        if (!user) return res.status(401).json({ message: 'Unauthorized' });
+        if (!hasPermission(user.permissions, resource, action)) {
+          return res.status(403).json({ message: `Permission denied: ${resource}:${action}` });
+        }
+        req.user = user;
+        next();
+      } catch (e) { sendError(res, e); }
+    };
+  }
+  const requirePermission = (resource, action) => authorize(() => [resource, action]);
+  const requireResource = (resource) => authorize(req => [resource, methodAction(req.method)]);
+  const requireDbPermission = authorize(req => dbPermission(req.method, req.path));
+  const requireRouterPermission = authorize(req => {
+    const [, routerId, ...rest] = req.path.split('/');
+    return routerPermission(req.method, routerId, rest.join('/'));
+  });
+
+  async function getRole(id) {
+    const role = await db.get('SELECT * FROM roles WHERE id = ?', [id]);
+    if (!role) throw Object.assign(new Error('Role not found'), { status: 404 });
+    return role;
+  }
+  const toRole = (row) => ({ id: row.id, name: row.name, description: row.description || '', builtIn: !!row.builtIn });
+
+  function parseRoleBody(body, { partial }) {
+    const { name, description } = body || {};
+    const values = {};
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || !name.trim()) throw new ValidationError('name', "Field 'name' is required");
+      values.name = name.trim();
+    }
+    if (description !== undefined) {
+      if (description !== null && typeof description !== 'string') throw new ValidationError('description', "Field 'description' must be a string");
+      values.description = description;
+    }
+    return values;
+  }
+
+  const rolesRouter = express.Router();
+  rolesRouter.get('/', requirePermission('panel_users', 'read'), async (req, res) => {
+    try {
+      res.json((await db.all('SELECT * FROM roles ORDER BY builtIn DESC, name')).map(toRole));
+    } catch (e) { sendError(res, e); }
+  });
+  rolesRouter.post('/', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const { name, description = null } = parseRoleBody(req.body, { partial: false });
+      if (await db.get('SELECT id FROM roles WHERE name = ? COLLATE NOCASE', [name])) throw new ValidationError('name', `Role '${name}' already exists`);
+      const id = newId('role');
+      await db.run('INSERT INTO roles (id, name, description, builtIn) VALUES (?, ?, ?, 0)', [id, name, description]);
+      res.status(201).json(toRole(await getRole(id)));
+    } catch (e) { sendError(res, e); }
+  });
+  rolesRouter.patch('/:id', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const role = await getRole(req.params.id);
+      const values = parseRoleBody(req.body, { partial: true });
+      if (role.builtIn && values.name && values.name !== role.name) throw new ValidationError('name', 'Built-in roles cannot be renamed');
+      if (values.name && await db.get('SELECT id FROM roles WHERE name = ? COLLATE NOCASE AND id != ?', [values.name, role.id])) {
+        throw new ValidationError('name', `Role '${values.name}' already exists`);
+      }
+      const cols = Object.keys(values);
+      if (cols.length) await db.run(`UPDATE roles SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(c => values[c]), role.id]);
+      res.json(toRole(await getRole(role.id)));
+    } catch (e) { sendError(res, e); }
+  });
+  rolesRouter.delete('/:id', requirePermission('panel_users', 'delete'), async (req, res) => {
+    try {
+      const role = await getRole(req.params.id);
+      if (role.builtIn) throw Object.assign(new Error('Built-in roles cannot be deleted'), { status: 409 });
+      const inUse = await db.get('SELECT COUNT(*) AS c FROM users WHERE role_id = ?', [role.id]);
+      if (inUse.c) throw Object.assign(new Error(`Role is assigned to ${inUse.c} user(s)`), { status: 409 });
+      await db.run('DELETE FROM roles WHERE id = ?', [role.id]);
+      res.json({ message: 'Deleted' });
+    } catch (e) { sendError(res, e); }
+  });
+  rolesRouter.get('/:id/permissions', requirePermission('panel_users', 'read'), async (req, res) => {
+    try {
+      const role = await getRole(req.params.id);
+      const rows = await db.all('SELECT permission FROM role_permissions WHERE roleId = ? ORDER BY permission', [role.id]);
+      res.json(rows.map(r => r.permission));
+    } catch (e) { sendError(res, e); }
+  });
+  rolesRouter.put('/:id/permissions', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const role = await getRole(req.params.id);
+      if (role.id === 'role_superadmin' || role.id === 'role_administrator') {
+        throw Object.assign(new Error(`The ${role.name} role always has full access`), { status: 409 });
+      }
+      if (req.user && req.user.role.id === role.id) throw Object.assign(new Error('You cannot change the permissions of your own role'), { status: 403 });
+      await assertCanManage(req.user, role.id);
+      const { permissionIds } = req.body || {};
+      if (!Array.isArray(permissionIds)) throw new ValidationError('permissionIds', "Field 'permissionIds' must be an array");
+      const unknown = permissionIds.find(p => !PERMISSION_IDS.has(p));
+      if (unknown !== undefined) throw new ValidationError('permissionIds', `Unknown permission '${unknown}'`);
+      const notHeld = req.user && permissionIds.find(p => !covers(req.user.permissions, p));
+      if (notHeld) throw Object.assign(new Error(`You cannot grant '${notHeld}', which you do not hold yourself`), { status: 403 });
+      await withTransaction(db, async () => {
+        await db.run('DELETE FROM role_permissions WHERE roleId = ?', [role.id]);
+        for (const p of new Set(permissionIds)) await db.run('INSERT INTO role_permissions (roleId, permission) VALUES (?, ?)', [role.id, p]);
+      });
+      res.json({ message: 'Permissions updated' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  const permissionsRouter = express.Router();
+  permissionsRouter.get('/', requirePermission('panel_users', 'read'), (req, res) => res.json(PERMISSIONS));
+
+  async function listUser(id) {
+    const user = await getUser(id);
+    return user && { id: user.id, username: user.username, role: user.role };
+  }
+  async function assertRole(roleId) {
+    if (!roleId || !(await db.get('SELECT id FROM roles WHERE id = ?', [roleId]))) throw new ValidationError('role_id', 'A valid role_id is required');
+  }
+  // Only a superadmin may hand out or take away the superadmin role, and
+  // nobody may assign, edit or manage a role with access they lack.
+  // `actor` is unset for the panel's own jobs.
+  async function assertCanManage(actor, ...roleIds) {
+    if (!actor) return;
+    if (roleIds.includes('role_superadmin') && actor.role.id !== 'role_superadmin') {
+      throw Object.assign(new Error('Only a superadmin can manage superadmin accounts'), { status: 403 });
+    }
+    for (const roleId of new Set(roleIds.filter(Boolean))) {
+      const rows = await db.all('SELECT permission FROM role_permissions WHERE roleId = ?', [roleId]);
+      if (rows.some(r => !covers(actor.permissions, r.permission))) {
+        throw Object.assign(new Error('You cannot manage a role with permissions you do not hold'), { status: 403 });
+      }
+    }
+  }
+
+  const usersRouter = express.Router();
+  usersRouter.get('/', requirePermission('panel_users', 'read'), async (req, res) => {
+    try {
+      const rows = await db.all('SELECT id FROM users ORDER BY username');
+      res.json(await Promise.all(rows.map(r => listUser(r.id))));
+    } catch (e) { sendError(res, e); }
+  });
+  usersRouter.post('/', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const { username, password, role_id } = req.body || {};
+      if (typeof username !== 'string' || !username.trim()) throw new ValidationError('username', "Field 'username' is required");
+      assertPassword(password);
+      await assertRole(role_id);
+      await assertCanManage(req.user, role_id);
+      if (await db.get('SELECT id FROM users WHERE username = ?', [username.trim()])) throw new ValidationError('username', 'Username is already taken');
+      const id = `user_${Date.now()}`;
+      const hash = await bcrypt.hash(password, 10);
+      await db.run('INSERT INTO users (id, username, password_hash, role_id) VALUES (?, ?, ?, ?)', [id, username.trim(), hash, role_id]);
+      res.status(201).json(await listUser(id));
+    } catch (e) { sendError(res, e); }
+  });
+  usersRouter.patch('/:id', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const target = await db.get('SELECT id, role_id FROM users WHERE id = ?', [req.params.id]);
+      if (!target) return res.status(404).json({ message: 'Not found' });
+      const { role_id, password } = req.body || {};
+      if (role_id !== undefined) {
+        await assertRole(role_id);
+        await assertCanManage(req.user, role_id, target.role_id);
+        if (req.user && target.id === req.user.id && role_id !== target.role_id) throw new ValidationError('role_id', 'You cannot change your own role');
+        await db.run('UPDATE users SET role_id = ? WHERE id = ?', [role_id, target.id]);
+      }
+      if (password !== undefined) {
+        assertPassword(password);
+        await assertCanManage(req.user, target.role_id);
+        // The user is signed out everywhere, except an admin changing their own.
+        await setPassword(db, target.id, password, 'password changed by an admin', { keepSession: req.auth && req.auth.sid });
+      }
+      res.json(await listUser(target.id));
+    } catch (e) { sendError(res, e); }
+  });
+  // A single-use code the user enters on the login page's recovery form when
+  // they have forgotten their password or lost their authenticator.
+  usersRouter.post('/:id/reset-code', requirePermission('panel_users', 'write'), async (req, res) => {
+    try {
+      const target = await db.get('SELECT id, role_id FROM users WHERE id = ?', [req.params.id]);
+      if (!target) return res.status(404).json({ message: 'Not found' });
+      await assertCanManage(req.user, target.role_id);
+      res.json(await issueResetCode(db, target.id));
+    } catch (e) { sendError(res, e); }
+  });
+  usersRouter.delete('/:id', requirePermission('panel_users', 'delete'), async (req, res) => {
+    try {
+      const target = await db.get('SELECT id, role_id FROM users WHERE id = ?', [req.params.id]);
+      if (!target) return res.status(404).json({ message: 'Not found' });
+      if (req.user && target.id === req.user.id) throw Object.assign(new Error('You cannot delete your own account'), { status: 409 });
+      await assertCanManage(req.user, target.role_id);
+      await db.run('DELETE FROM users WHERE id = ?', [target.id]);
+      res.json({ message: 'Deleted' });
+    } catch (e) { sendError(res, e); }
+  });
+
+  return {
+    getUser,
+    requirePermission,
+    requireResource,
+    requireDbPermission,
+    requireRouterPermission,
+    rolesRouter,
+    permissionsRouter,
+    usersRouter,
+  };
+}
+
+module.exports = { createRbac, hasPermission, dbPermission, routerPermission, normalizeRouterEndpoint, PERMISSIONS };
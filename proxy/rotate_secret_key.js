@@ -0,0 +1,53 @@
+// Rotates the key that encrypts secrets in the panel database and
+// storage.json:
+//
+//   npm run rotate-secret-key
+//
+// A new key is added to the keyring and made current, every stored secret is
+// re-encrypted with it, and only then are the old keys removed. It is safe
+// to run while the panel is up; the server picks up the new keyring on its
+// next read. Back up the key file afterwards.
+const path = require('path');
+const { createSecretBox, resealRouterPasswords, resealConfigSnapshots } = require('./secretBox');
+const { openStorage, loadStorageConfig, resealStorageConfig } = require('./storage');
+
+const DB_PATH = path.join(__dirname, 'panel.db');
+
+async function rotate() {
+  const box = createSecretBox();
+  const db = await openStorage(loadStorageConfig({ secretBox: box }), { sqliteFile: DB_PATH });
+  try {
+    if (db.engine === 'sqlite') await db.exec('PRAGMA busy_timeout = 5000;');
+    const previous = box.currentKeyId();
+    const current = box.addKey();
+    console.log(`Added key ${current} to ${box.keyFile} (was ${previous}).`);
+
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      const changed = await resealRouterPasswords(db, box);
+      const snapshots = await resealConfigSnapshots(db, box);
+      await db.exec('COMMIT');
+      console.log(`Re-encrypted ${changed} router password(s) and ${snapshots} config snapshot(s).`);
+    } catch (e) {
+      await db.exec('ROLLBACK');
+      throw e;
+    }
+
+    // Nothing may still depend on an old key when it is dropped.
+    const left = await resealRouterPasswords(db, box);
+    if (left) console.log(`Re-encrypted ${left} router password(s) saved during the rotation.`);
+    const leftSnapshots = await resealConfigSnapshots(db, box);
+    if (leftSnapshots) console.log(`Re-encrypted ${leftSnapshots} config snapshot(s) taken during the rotation.`);
+    if (resealStorageConfig(box)) console.log('Re-encrypted the MariaDB password in storage.json.');
+    const retired = box.retire();
+    console.log(`Removed old key(s): ${retired.join(', ') || 'none'}.`);
+  } finally {
+    await db.close();
+  }
+}
+
+rotate().catch((e) => {
+  console.error(`Key rotation failed: ${e.message}`);
+  console.error('The keyring still holds the previous key, so nothing stored has become unreadable. Fix the problem and run the rotation again.');
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+// Lets server-side jobs reach routers through api-backend, the same path the
+// browser takes via /mt-api. Requests carry a short-lived token minted for
+// the panel itself since there is no logged-in user behind them.
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const API_BACKEND_URL = process.env.API_BACKEND_URL || 'http://localhost:3002';
+
+function createRouterClient(secretKey) {
+  const http = axios.create({ baseURL: API_BACKEND_URL, timeout: 30000 });
+  const authHeader = () => `Bearer ${jwt.sign({ sub: 'system', username: 'system', system: true }, secretKey, { expiresIn: '5m' })}`;
+
+  async function call(routerId, endpoint, method = 'GET', data) {
+    try {
+      const res = await http.request({
+        method,
+        url: `/${routerId}/${endpoint.replace(/^\//, '')}`,
+        data,
+        headers: { Authorization: authHeader() },
+      });
+      return res.data;
+    } catch (e) {
+      const message = (e.response && e.response.data && e.response.data.message) || e.message;
+      throw Object.assign(new Error(message), { status: e.response ? e.response.status : 502 });
+    }
+  }
+
+  // Drops api-backend's cached config and pooled connection for a router
+  // so the next command uses its new settings.
+  async function invalidate(routerId) {
+    await http.delete(`/pool/${encodeURIComponent(routerId)}`, { headers: { Authorization: authHeader() } });
+  }
+
+  return { call, invalidate, authHeader };
+}
+
+module.exports = { createRouterClient, API_BACKEND_URL };
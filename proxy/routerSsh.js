@@ -0,0 +1,70 @@
+// SSH access to routers from the `routers` table, for what neither RouterOS
+// API can do: reading a full /export and running /import on an uploaded
+// script. RouterOS answers SSH on port 22 with the same login as its API.
+const { Client } = require('ssh2');
+
+const ROUTER_SSH_PORT = 22;
+const COMMAND_TIMEOUT_MS = 120000;
+
+const routerConnectOptions = (router) => ({
+  host: router.host,
+  port: ROUTER_SSH_PORT,
+  username: router.user,
+  password: router.password || '',
+});
+
+// Opens one connection, hands it to `fn` and always closes it afterwards.
+function withConnection(connect, fn, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const conn = new Client();
+    let settled = false;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      conn.end();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => finish(Object.assign(new Error(`SSH to ${connect.host} timed out`), { status: 504 })), timeoutMs);
+    conn.on('ready', () => {
+      Promise.resolve().then(() => fn(conn)).then(value => finish(null, value), finish);
+    });
+    conn.on('error', (err) => finish(Object.assign(new Error(`SSH to ${connect.host} failed: ${err.message}`), { status: 502 })));
+    conn.connect({ ...connect, readyTimeout: 20000 });
+  });
+}
+
+// Runs one command and collects its output. RouterOS reports most command
+// errors on stdout with exit status 0, so callers still check the text.
+function exec(conn, command) {
+  return new Promise((resolve, reject) => {
+    conn.exec(command, (err, stream) => {
+      if (err) return reject(err);
+      const stdout = [];
+      const stderr = [];
+      stream.on('data', (d) => stdout.push(d));
+      stream.stderr.on('data', (d) => stderr.push(d));
+      stream.on('close', (code) => resolve({
+        code,
+        stdout: Buffer.concat(stdout).toString('utf8').replace(/\r\n/g, '\n'),
+        stderr: Buffer.concat(stderr).toString('utf8').replace(/\r\n/g, '\n'),
+      }));
+    });
+  });
+}
+
+function upload(conn, remotePath, content) {
+  return new Promise((resolve, reject) => {
+    conn.sftp((err, sftp) => {
+      if (err) return reject(err);
+      sftp.writeFile(remotePath, content, (writeErr) => {
+        sftp.end();
+        if (writeErr) reject(writeErr);
+        else resolve();
+      });
+    });
+  });
+}
+
+module.exports = { ROUTER_SSH_PORT, routerConnectOptions, withConnection, exec, upload };
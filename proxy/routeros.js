@@ -0,0 +1,51 @@
+// Small helpers for values read from RouterOS: the JSON comments the panel
+// stores on router items, durations and booleans, and the checks for values
+// the panel writes back.
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const MAC = /^[0-9A-F]{2}([:-][0-9A-F]{2}){5}$/i;
+// These end up inside RouterOS script strings and api-backend query strings.
+const UNSAFE_TEXT = /["\\$;&?#\[\]{}\x00-\x1f]/;
+
+const parseComment = (comment) => {
+  try {
+    const parsed = JSON.parse(comment || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+// RouterOS durations such as "29d23h59m58s" or "1w2d".
+const parseDurationToSeconds = (str) => {
+  const m = /^(?:(\d+)w)?(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i.exec(str || '');
+  if (!m || !m[0]) return null;
+  const [w, d, h, min, s] = m.slice(1).map(v => parseInt(v || '0', 10));
+  return (((w * 7 + d) * 24 + h) * 60 + min) * 60 + s;
+};
+
+// The reverse, e.g. 5400 -> "1h30m".
+const formatDuration = (seconds) => {
+  let rest = Math.max(0, Math.floor(seconds));
+  let out = '';
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+    const n = Math.floor(rest / size);
+    rest -= n * size;
+    if (n) out += `${n}${unit}`;
+  }
+  return out || '0s';
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === 'yes';
+
+// Due date from a subscriber comment: the exact `dueDateTime` when present,
+// otherwise the end of the `dueDate` day.
+const getDue = (comment) => {
+  const due = comment.dueDateTime ? new Date(comment.dueDateTime) : comment.dueDate ? new Date(`${comment.dueDate}T23:59:59`) : null;
+  return due && !Number.isNaN(due.getTime()) ? due : null;
+};
+
+// Leases and the panel write MACs in upper case with colons.
+const normalizeMac = (value) => String(value || '').toUpperCase().replace(/-/g, ':');
+
+module.exports = { IPV4, MAC, UNSAFE_TEXT, parseComment, parseDurationToSeconds, formatDuration, isTrue, getDue, normalizeMac };
@@ -0,0 +1,169 @@
+// In-process job scheduler for the panel server. Jobs register a default
+// interval; admins can change the interval or pause a job (job_settings),
+// and every run is recorded in job_runs so failures are visible in the UI.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+
+const STARTUP_DELAY_MS = 60 * 1000;
+const HISTORY_LIMIT = 100;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+function toRun(row) {
+  if (!row) return null;
+  const { summary_json, ...run } = row;
+  return { ...run, summary: summary_json ? JSON.parse(summary_json) : null };
+}
+
+function createScheduler(db) {
+  const jobs = new Map();
+  let started = false;
+
+  function getJob(name) {
+    const job = jobs.get(name);
+    if (!job) throw Object.assign(new Error(`Unknown job '${name}'`), { status: 404 });
+    return job;
+  }
+
+  // `run` resolves to a summary object for the history. A summary with a
+  // non-empty `errors` array marks the run as failed without losing the
+  // work that did succeed (e.g. one unreachable router out of five).
+  function register(name, { description, intervalMinutes, run }) {
+    jobs.set(name, { name, description, defaultIntervalMinutes: intervalMinutes, run, timer: null, running: false, nextRunAt: null });
+  }
+
+  async function getSettings(job) {
+    const row = await db.get('SELECT enabled, intervalMinutes FROM job_settings WHERE job = ?', [job.name]);
+    return row
+      ? { enabled: !!row.enabled, intervalMinutes: row.intervalMinutes }
+      : { enabled: true, intervalMinutes: job.defaultIntervalMinutes };
+  }
+
+  function arm(job, settings, delayMs) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+    if (!started || !settings.enabled) return;
+    const ms = delayMs !== undefined ? delayMs : settings.intervalMinutes * 60 * 1000;
+    job.nextRunAt = new Date(Date.now() + ms).toISOString();
+    job.timer = setTimeout(async () => {
+      try {
+        await runJob(job.name, 'schedule');
+      } catch (e) {
+        console.error(`Scheduled job ${job.name} could not run:`, e.message);
+      }
+      arm(job, await getSettings(job));
+    }, ms);
+  }
+
+  async function runJob(name, trigger = 'manual') {
+    const job = getJob(name);
+    if (job.running) throw Object.assign(new Error(`Job '${name}' is already running`), { status: 409 });
+    job.running = true;
+    const startedAt = new Date();
+    let status = 'success';
+    let error = null;
+    let summary = null;
+    try {
+      summary = (await job.run()) || null;
+      if (summary && Array.isArray(summary.errors) && summary.errors.length) {
+        status = 'error';
+        error = summary.errors.join('; ');
+      }
+    } catch (e) {
+      status = 'error';
+      error = e.message;
+    } finally {
+      job.running = false;
+    }
+    const durationMs = Date.now() - startedAt.getTime();
+    if (status === 'error') console.error(`Job ${name} failed: ${error}`);
+
+    const { lastID } = await db.run(
+      'INSERT INTO job_runs (job, trigger, startedAt, durationMs, status, error, summary_json) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [name, trigger, startedAt.toISOString(), durationMs, status, error, summary ? JSON.stringify(summary) : null]
+    );
+    // Looked up first: MariaDB can't delete from a table it reads in a subquery.
+    const oldest = await db.get('SELECT id FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT 1 OFFSET ?', [name, HISTORY_LIMIT - 1]);
+    if (oldest) await db.run('DELETE FROM job_runs WHERE job = ? AND id < ?', [name, oldest.id]);
+    return toRun(await db.get('SELECT * FROM job_runs WHERE id = ?', [lastID]));
+  }
+
+  async function describe(job) {
+    const settings = await getSettings(job);
+    const lastRun = await db.get('SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT 1', [job.name]);
+    const lastSuccess = await db.get("SELECT startedAt FROM job_runs WHERE job = ? AND status = 'success' ORDER BY id DESC LIMIT 1", [job.name]);
+    return {
+      name: job.name,
+      description: job.description,
+      ...settings,
+      defaultIntervalMinutes: job.defaultIntervalMinutes,
+      running: job.running,
+      nextRunAt: job.nextRunAt,
+      lastRun: toRun(lastRun),
+      lastSuccessAt: lastSuccess ? lastSuccess.startedAt : null,
+    };
+  }
+
+  async function start() {
+    started = true;
+    for (const job of jobs.values()) arm(job, await getSettings(job), STARTUP_DELAY_MS);
+  }
+
+  function stop() {
+    started = false;
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  const router = express.Router();
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await Promise.all([...jobs.values()].map(describe)));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/:name', async (req, res) => {
+    try {
+      res.json(await describe(getJob(req.params.name)));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/:name/runs', async (req, res) => {
+    try {
+      getJob(req.params.name);
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_LIMIT) {
+        throw new ValidationError('limit', `limit must be an integer between 1 and ${HISTORY_LIMIT}`);
+      }
+      const rows = await db.all('SELECT * FROM job_runs WHERE job = ? ORDER BY id DESC LIMIT ?', [req.params.name, limit]);
+      res.json(rows.map(toRun));
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/:name/run', async (req, res) => {
+    try {
+      res.json(await runJob(req.params.name, 'manual'));
+    } catch (e) { sendError(res, e); }
+  });
+  router.patch('/:name', async (req, res) => {
+    try {
+      const job = getJob(req.params.name);
+      const current = await getSettings(job);
+      const { enabled = current.enabled, intervalMinutes = current.intervalMinutes } = req.body || {};
+      if (typeof enabled !== 'boolean') throw new ValidationError('enabled', "Field 'enabled' must be a boolean");
+      if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > MAX_INTERVAL_MINUTES) {
+        throw new ValidationError('intervalMinutes', `Field 'intervalMinutes' must be an integer between 1 and ${MAX_INTERVAL_MINUTES}`);
+      }
+      await db.run(
+        'INSERT INTO job_settings (job, enabled, intervalMinutes) VALUES (?, ?, ?) ON CONFLICT(job) DO UPDATE SET enabled = excluded.enabled, intervalMinutes = excluded.intervalMinutes',
+        [job.name, enabled ? 1 : 0, intervalMinutes]
+      );
+      arm(job, { enabled, intervalMinutes });
+      res.json(await describe(job));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { register, runJob, start, stop, router };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,290 @@
+// Column whitelist for every table served through the generic /api/db CRUD.
+// Nothing outside these lists ever reaches a SQL string: filters, sort keys
+// and payload fields are checked against them first, and values are
+// coerced to the declared type before they are bound. Fields marked
+// `secret` are stored encrypted and never returned, filtered or sorted on.
+
+// RouterOS simple queue max-limit, "upload/download" with optional k/M/G.
+const MAX_LIMIT_PATTERN = /^\d+[kMG]?\/\d+[kMG]?$/;
+
+const TABLE_SCHEMAS = {
+  routers: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    host: { type: 'string', required: true },
+    user: { type: 'string', required: true },
+    password: { type: 'string', secret: true },
+    port: { type: 'integer', required: true },
+    api_type: { type: 'string', enum: ['rest', 'legacy'] },
+  },
+  notifications: {
+    id: { type: 'string', required: true },
+    type: { type: 'string', required: true },
+    message: { type: 'string', required: true },
+    is_read: { type: 'integer', enum: [0, 1] },
+    timestamp: { type: 'date', required: true },
+    link_to: { type: 'string' },
+    context_json: { type: 'string' },
+  },
+  customers: {
+    id: { type: 'string', required: true },
+    username: { type: 'string', required: true },
+    routerId: { type: 'string', required: true },
+    fullName: { type: 'string' },
+    address: { type: 'string' },
+    contactNumber: { type: 'string' },
+    email: { type: 'string' },
+  },
+  sales_records: {
+    id: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    clientName: { type: 'string', required: true },
+    planName: { type: 'string', required: true },
+    planPrice: { type: 'number', required: true },
+    discountAmount: { type: 'number' },
+    finalAmount: { type: 'number', required: true },
+    routerName: { type: 'string' },
+    currency: { type: 'string' },
+    routerId: { type: 'string' },
+    clientAddress: { type: 'string' },
+    clientContact: { type: 'string' },
+    clientEmail: { type: 'string' },
+  },
+  inventory: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    quantity: { type: 'integer', required: true },
+    price: { type: 'number' },
+    serialNumber: { type: 'string' },
+    dateAdded: { type: 'date' },
+  },
+  expenses: {
+    id: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    category: { type: 'string', required: true },
+    description: { type: 'string' },
+    amount: { type: 'number', required: true },
+  },
+  billing_plans: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    price: { type: 'number', required: true },
+    cycle: { type: 'string', enum: ['Monthly', 'Quarterly', 'Yearly'], required: true },
+    pppoeProfile: { type: 'string', required: true },
+    description: { type: 'string' },
+    currency: { type: 'string' },
+    routerId: { type: 'string' },
+    quotaGb: { type: 'number' },
+    fupLimit: { type: 'string', pattern: MAX_LIMIT_PATTERN, format: 'a RouterOS max-limit such as 2M/2M' },
+  },
+  voucher_plans: {
+    id: { type: 'string', required: true },
+    routerId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    duration_minutes: { type: 'integer', required: true },
+    price: { type: 'number', required: true },
+    currency: { type: 'string' },
+    mikrotik_profile_name: { type: 'string' },
+    data_limit_mb: { type: 'number' },
+  },
+  dhcp_billing_plans: {
+    id: { type: 'string', required: true },
+    routerId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    price: { type: 'number', required: true },
+    cycle_days: { type: 'integer', required: true },
+    speedLimit: { type: 'string' },
+    currency: { type: 'string' },
+    quotaGb: { type: 'number' },
+    fupLimit: { type: 'string', pattern: MAX_LIMIT_PATTERN, format: 'a RouterOS max-limit such as 2M/2M' },
+  },
+  employees: {
+    id: { type: 'string', required: true },
+    fullName: { type: 'string', required: true },
+    role: { type: 'string' },
+    hireDate: { type: 'date' },
+    salaryType: { type: 'string', enum: ['daily', 'monthly'], required: true },
+    rate: { type: 'number', required: true },
+  },
+  employee_benefits: {
+    id: { type: 'string', required: true },
+    employeeId: { type: 'string', required: true },
+    sss: { type: 'boolean' },
+    philhealth: { type: 'boolean' },
+    pagibig: { type: 'boolean' },
+  },
+  time_records: {
+    id: { type: 'string', required: true },
+    employeeId: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    timeIn: { type: 'string' },
+    timeOut: { type: 'string' },
+  },
+  dhcp_clients: {
+    id: { type: 'string', required: true },
+    routerId: { type: 'string', required: true },
+    macAddress: { type: 'string', required: true },
+    customerInfo: { type: 'string' },
+    contactNumber: { type: 'string' },
+    email: { type: 'string' },
+    speedLimit: { type: 'string' },
+    lastSeen: { type: 'date' },
+  },
+};
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  like: 'LIKE',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+const RANGE_TYPES = new Set(['date', 'number', 'integer']);
+const MAX_LIMIT = 1000;
+
+class ValidationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.field = field;
+    this.status = 400;
+  }
+}
+
+function coerce(field, def, value) {
+  if (value === null) return null;
+  switch (def.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') throw new ValidationError(field, `Field '${field}' must be a string`);
+      value = String(value);
+      break;
+    }
+    case 'integer':
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) throw new ValidationError(field, `Field '${field}' must be a number`);
+      if (def.type === 'integer' && !Number.isInteger(n)) throw new ValidationError(field, `Field '${field}' must be an integer`);
+      value = n;
+      break;
+    }
+    case 'boolean': {
+      if (value === true || value === 1 || value === '1' || value === 'true') return 1;
+      if (value === false || value === 0 || value === '0' || value === 'false') return 0;
+      throw new ValidationError(field, `Field '${field}' must be a boolean`);
+    }
+    case 'date': {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) throw new ValidationError(field, `Field '${field}' must be an ISO date`);
+      break;
+    }
+  }
+  if (def.enum && !def.enum.includes(value)) {
+    throw new ValidationError(field, `Field '${field}' must be one of: ${def.enum.join(', ')}`);
+  }
+  if (def.pattern && value !== '' && !def.pattern.test(value)) {
+    throw new ValidationError(field, `Field '${field}' must be ${def.format}`);
+  }
+  return value;
+}
+
+// Validates a request body against a table schema. With `partial` set (PATCH)
+// required fields may be omitted, but none of them may be cleared.
+function validateRecord(table, data, { partial = false } = {}) {
+  const schema = TABLE_SCHEMAS[table];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new ValidationError(null, 'Request body must be a JSON object');
+  const values = {};
+  for (const [field, value] of Object.entries(data)) {
+    const def = schema[field];
+    if (!def) throw new ValidationError(field, `Unknown field '${field}'`);
+    if (value === undefined) continue;
+    values[field] = coerce(field, def, value);
+  }
+  for (const [field, def] of Object.entries(schema)) {
+    if (!def.required) continue;
+    const missing = values[field] === undefined || values[field] === null || values[field] === '';
+    if (missing && (!partial || field in values)) throw new ValidationError(field, `Field '${field}' is required`);
+  }
+  return values;
+}
+
+// Turns the query string of a list request into a parameterised statement.
+//   ?routerId=r1                 equality
+//   ?clientName[like]=%juan%     operator form (eq, ne, like, gt, gte, lt, lte)
+//   ?date[gte]=2024-01-01        range operators on date/number columns only
+//   ?order=date:desc,clientName  sort keys
+//   ?limit=50&offset=100         paging
+function buildListQuery(table, query = {}) {
+  const schema = TABLE_SCHEMAS[table];
+  const where = [];
+  const params = [];
+  for (const [field, raw] of Object.entries(query)) {
+    if (field === 'limit' || field === 'offset' || field === 'order') continue;
+    const def = schema[field];
+    if (!def || def.secret) throw new ValidationError(field, `Unknown filter field '${field}'`);
+    const conditions = raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+    for (const [op, value] of Object.entries(conditions)) {
+      const sqlOp = FILTER_OPERATORS[op];
+      if (!sqlOp) throw new ValidationError(field, `Unsupported operator '${op}' for field '${field}'`);
+      if (['gt', 'gte', 'lt', 'lte'].includes(op) && !RANGE_TYPES.has(def.type)) {
+        throw new ValidationError(field, `Operator '${op}' is not allowed on field '${field}'`);
+      }
+      if (typeof value !== 'string') throw new ValidationError(field, `Filter '${field}' must have a single value`);
+      where.push(`${field} ${sqlOp} ?`);
+      params.push(op === 'like' ? value : coerce(field, { type: def.type }, value));
+    }
+  }
+  const whereSql = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+
+  let orderSql = '';
+  if (query.order) {
+    const keys = String(query.order).split(',').map(k => k.trim()).filter(Boolean).map(k => {
+      const [field, dir = 'asc'] = k.split(':');
+      if (!schema[field] || schema[field].secret) throw new ValidationError('order', `Unknown sort field '${field}'`);
+      if (!['asc', 'desc'].includes(dir.toLowerCase())) throw new ValidationError('order', `Invalid sort direction '${dir}'`);
+      return `${field} ${dir.toUpperCase()}`;
+    });
+    if (keys.length) orderSql = ` ORDER BY ${keys.join(', ')}`;
+  }
+
+  let pageSql = '';
+  const pageParams = [];
+  if (query.limit !== undefined || query.offset !== undefined) {
+    const limit = query.limit === undefined ? MAX_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new ValidationError('limit', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    if (!Number.isInteger(offset) || offset < 0) throw new ValidationError('offset', 'offset must be a non-negative integer');
+    pageSql = ' LIMIT ? OFFSET ?';
+    pageParams.push(limit, offset);
+  }
+
+  return {
+    sql: `SELECT * FROM ${table}${whereSql}${orderSql}${pageSql}`,
+    params: [...params, ...pageParams],
+    countSql: `SELECT COUNT(*) AS total FROM ${table}${whereSql}`,
+    countParams: params,
+  };
+}
+
+// Converts stored values back to the shapes in types.ts (booleans are kept
+// as 0/1 in SQLite) and leaves out secret fields.
+function fromRow(table, row) {
+  if (!row) return row;
+  const schema = TABLE_SCHEMAS[table];
+  const out = { ...row };
+  for (const [field, def] of Object.entries(schema)) {
+    if (def.secret) delete out[field];
+    else if (def.type === 'boolean' && out[field] !== undefined && out[field] !== null) out[field] = !!out[field];
+  }
+  return out;
+}
+
+const secretFields = (table) => Object.keys(TABLE_SCHEMAS[table]).filter(field => TABLE_SCHEMAS[table][field].secret);
+
+// Shared error responder for panel routes: validation failures are 400s,
+// errors carrying a `status` keep it, anything else is a 500.
+function sendError(res, e) {
+  if (e instanceof ValidationError) return res.status(400).json({ message: e.message, field: e.field });
+  res.status(e.status || 500).json({ message: e.message });
+}
+
+module.exports = { TABLE_SCHEMAS, ValidationError, validateRecord, buildListQuery, fromRow, secretFields, sendError };
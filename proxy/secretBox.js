@@ -0,0 +1,139 @@
+// Encryption for secrets kept in panel.db, such as router passwords. The
+// keys live in a keyring file outside the database (proxy/panel.key, or
+// PANEL_KEY_FILE), so a copy of panel.db or a panel backup alone does not
+// reveal them.
+//
+// Values are stored as `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` with
+// AES-256-GCM. The keyring holds every key still in use and names the one
+// new values are written with; rotation adds a key, re-encrypts and then
+// drops the old one. The file is re-read whenever it changes, so a rotation
+// run from the command line is picked up by the running server.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_KEY_FILE = process.env.PANEL_KEY_FILE || path.join(__dirname, 'panel.key');
+const PREFIX = 'enc:v1:';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+function createSecretBox({ keyFile = DEFAULT_KEY_FILE } = {}) {
+  let ring = null;
+  let loadedMtime = null;
+
+  function writeRing(next) {
+    const tmp = `${keyFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(next, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tmp, keyFile);
+    ring = next;
+    loadedMtime = fs.statSync(keyFile).mtimeMs;
+  }
+
+  // The keyring is created with a first key the first time it's needed.
+  function keyring() {
+    let stat = null;
+    try { stat = fs.statSync(keyFile); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+    if (!stat) {
+      const id = crypto.randomBytes(4).toString('hex');
+      writeRing({ current: id, keys: { [id]: crypto.randomBytes(32).toString('base64') } });
+      console.log(`Created a new secret key file at ${keyFile}. Back it up: encrypted router passwords can't be read without it.`);
+    } else if (stat.mtimeMs !== loadedMtime) {
+      const parsed = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      if (!parsed || !parsed.keys || !parsed.keys[parsed.current]) throw new Error(`${keyFile} is not a valid key file`);
+      ring = parsed;
+      loadedMtime = stat.mtimeMs;
+    }
+    return ring;
+  }
+
+  function keyFor(id) {
+    const key = keyring().keys[id];
+    if (!key) throw httpError(500, `A stored secret was encrypted with key ${id}, which is not in ${keyFile}. Restore that key file or enter the secret again.`);
+    return Buffer.from(key, 'base64');
+  }
+
+  // Empty values stay empty; there is nothing to hide in them.
+  function encrypt(plain) {
+    if (plain === null || plain === undefined || plain === '') return plain;
+    const id = keyring().current;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(id), iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return `${PREFIX}${id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+  }
+
+  // Plaintext left over from before encryption is returned as is.
+  function decrypt(stored) {
+    if (!isEncrypted(stored)) return stored;
+    const [id, iv, tag, data] = stored.slice(PREFIX.length).split(':');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(id), Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (e) {
+      if (e.status) throw e;
+      throw httpError(500, `A stored secret could not be decrypted with key ${id}: ${e.message}`);
+    }
+  }
+
+  // Re-encrypts a value with the current key unless it already uses it.
+  function reseal(stored) {
+    if (!stored) return stored;
+    if (isEncrypted(stored) && stored.slice(PREFIX.length).split(':')[0] === keyring().current) return stored;
+    return encrypt(decrypt(stored));
+  }
+
+  // Makes a fresh key current, keeping the old ones for decryption until
+  // `retire` is called.
+  function addKey() {
+    const current = keyring();
+    const id = crypto.randomBytes(4).toString('hex');
+    writeRing({ current: id, keys: { ...current.keys, [id]: crypto.randomBytes(32).toString('base64') } });
+    return id;
+  }
+
+  function retire() {
+    const { current, keys } = keyring();
+    const retired = Object.keys(keys).filter(id => id !== current);
+    writeRing({ current, keys: { [current]: keys[current] } });
+    return retired;
+  }
+
+  return { encrypt, decrypt, reseal, addKey, retire, currentKeyId: () => keyring().current, keyFile };
+}
+
+// Encrypts or re-encrypts every router password with the current key.
+// Used by the migration that introduced encryption and by key rotation.
+async function resealRouterPasswords(db, box) {
+  const rows = await db.all("SELECT id, password FROM routers WHERE password IS NOT NULL AND password != ''");
+  let changed = 0;
+  for (const row of rows) {
+    const sealed = box.reseal(row.password);
+    if (sealed === row.password) continue;
+    await db.run('UPDATE routers SET password = ? WHERE id = ?', [sealed, row.id]);
+    changed++;
+  }
+  return changed;
+}
+
+// Same for router config snapshots, whose content is the gzipped export
+// sealed as base64. Snapshots from before encryption hold the bare gzip
+// bytes.
+async function resealConfigSnapshots(db, box) {
+  const ids = await db.all('SELECT id FROM config_snapshots');
+  let changed = 0;
+  for (const { id } of ids) {
+    const row = await db.get('SELECT content FROM config_snapshots WHERE id = ?', [id]);
+    if (!row) continue;
+    const text = Buffer.from(row.content).toString('utf8');
+    const sealed = box.reseal(isEncrypted(text) ? text : Buffer.from(row.content).toString('base64'));
+    if (sealed === text) continue;
+    await db.run('UPDATE config_snapshots SET content = ? WHERE id = ?', [Buffer.from(sealed), id]);
+    changed++;
+  }
+  return changed;
+}
+
+module.exports = { createSecretBox, resealRouterPasswords, resealConfigSnapshots, isEncrypted };
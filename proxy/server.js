@@ -1,58 +1,56 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const sqlite3 = require('@vscode/sqlite3');
-const { open } = require('sqlite');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const si = require('systeminformation');
 const cors = require('cors');
-const WebSocket = require('ws');
+const { migrate } = require('./migrations');
+const { openStorage, openSqlite, loadStorageConfig } = require('./storage');
+const { ValidationError, validateRecord, buildListQuery, fromRow, secretFields, sendError } = require('./schema');
+const { createLedger } = require('./ledger');
+const { createScheduler } = require('./scheduler');
+const { createNotifier } = require('./notifier');
+const { createRouterClient } = require('./routerClient');
+const { createAudit } = require('./audit');
+const { createVouchers } = require('./vouchers');
+const { createXendit } = require('./xendit');
+const { createTelegram } = require('./telegram');
+const { createSshBridge } = require('./sshBridge');
+const { createEventStream } = require('./eventStream');
+const { createConfigSnapshots } = require('./configSnapshots');
+const { createPanelBackup } = require('./panelBackup');
+const { createMetrics } = require('./metrics');
+const { createUsage } = require('./usage');
+const { createBulkImport } = require('./bulkImport');
+const { createClientPortal } = require('./clientPortal');
+const { createProvisioning } = require('./provisioning');
+const { createStorageAdmin } = require('./storageAdmin');
+const { createDhcpReconcile } = require('./dhcpReconcile');
+const { createSecretBox } = require('./secretBox');
+const { registerNotificationJobs } = require('./notificationJobs');
+const { createRbac, normalizeRouterEndpoint } = require('./rbac');
+const { createAuth, loadJwtSecret } = require('./auth');
 const PORT = 3001;
 const DB_PATH = path.join(__dirname, 'panel.db');
 const BACKUP_DIR = path.join(__dirname, 'backups');
-const SECRET_KEY = process.env.JWT_SECRET || 'dev-secret';
+const PANEL_BACKUP_DIR = path.join(BACKUP_DIR, 'panel');
+const SECRET_KEY = loadJwtSecret();
 if (!fs.existsSync(BACKUP_DIR)) {
   fs.mkdirSync(BACKUP_DIR, { recursive: true });
 }
+const secretBox = createSecretBox();
 let db;
 async function initDb() {
-  db = await open({ filename: DB_PATH, driver: sqlite3.Database });
-  await db.exec('PRAGMA journal_mode = WAL;');
-  await db.exec(`CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE,
-    password_hash TEXT,
-    role TEXT
-  )`);
-  await db.exec(`CREATE TABLE IF NOT EXISTS routers (
-    id TEXT PRIMARY KEY,
-    name TEXT,
-    host TEXT,
-    user TEXT,
-    password TEXT,
-    port INTEGER,
-    api_type TEXT
-  )`);
-  await db.exec(`CREATE TABLE IF NOT EXISTS notifications (
-    id TEXT PRIMARY KEY,
-    type TEXT,
-    message TEXT,
-    is_read INTEGER,
-    timestamp TEXT,
-    link_to TEXT,
-    context_json TEXT
-  )`);
-  await db.exec(`CREATE TABLE IF NOT EXISTS kv_store (
-    key TEXT PRIMARY KEY,
-    value_json TEXT
-  )`);
+  const storage = loadStorageConfig({ secretBox });
+  db = await openStorage(storage, { sqliteFile: DB_PATH });
+  if (db.engine === 'mariadb') console.log(`Using MariaDB database ${storage.mariadb.database} on ${storage.mariadb.host}`);
+  await migrate(db, { secretBox });
   const row = await db.get('SELECT COUNT(*) as c FROM users');
   if ((row?.c || 0) === 0) {
     const id = `user_${Date.now()}`;
     const hash = await bcrypt.hash('admin123', 10);
-    await db.run('INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)', [id, 'superadmin', hash, 'admin']);
+    await db.run('INSERT INTO users (id, username, password_hash, role_id) VALUES (?, ?, ?, ?)', [id, 'superadmin', hash, 'role_superadmin']);
     console.log('Initialized default superadmin user with username "superadmin"');
   }
 }
@@ -64,164 +62,136 @@ function logRequest(req, res, next) {
   });
   next();
 }
-function protect(req, res, next) {
-  try {
-    const h = req.headers.authorization || '';
-    const token = h.startsWith('Bearer ') ? h.slice(7) : null;
-    if (!token) return res.status(401).json({ message: 'Unauthorized' });
-    jwt.verify(token, SECRET_KEY);
-    next();
-  } catch (e) {
-    res.status(401).json({ message: 'Unauthorized' });
-  }
-}
 async function startServer() {
   await initDb();
   const app = express();
+  // Behind nginx or a tunnel on the same host, the client address comes from
+  // X-Forwarded-For; the public rate limits depend on it.
+  app.set('trust proxy', 'loopback');
   app.use(cors());
   app.use(express.json({ limit: '10mb' }));
   app.use(logRequest);
-  const authRouter = express.Router();
-  authRouter.get('/has-users', async (req, res) => {
-    try {
-      const row = await db.get('SELECT COUNT(*) as count FROM users');
-      res.json({ hasUsers: (row?.count || 0) > 0 });
-    } catch (e) {
-      res.status(500).json({ message: e.message });
-    }
-  });
-  authRouter.post('/register', async (req, res) => {
-    try {
-      const { username, password } = req.body || {};
-      if (!username || !password) return res.status(400).json({ message: 'Missing credentials' });
-      const id = `user_${Date.now()}`;
-      const hash = await bcrypt.hash(password, 10);
-      await db.run('INSERT INTO users (id, username, password_hash, role) VALUES (?, ?, ?, ?)', [id, username, hash, 'admin']);
-      const token = jwt.sign({ sub: id, username }, SECRET_KEY, { expiresIn: '7d' });
-      const user = { id, username, role: { id: 'admin', name: 'admin' }, permissions: ['*:*'] };
-      res.json({ token, user });
-    } catch (e) {
-      res.status(500).json({ message: e.message });
-    }
-  });
-  authRouter.post('/login', async (req, res) => {
-    try {
-      const { username, password } = req.body || {};
-      if (!username || !password) return res.status(400).json({ message: 'Missing credentials' });
-      const user = await db.get('SELECT * FROM users WHERE username = ?', [username]);
-      if (!user) return res.status(401).json({ message: 'Invalid credentials' });
-      const ok = await bcrypt.compare(password, user.password_hash);
-      if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
-      const token = jwt.sign({ sub: user.id, username }, SECRET_KEY, { expiresIn: '7d' });
-      const payloadUser = { id: user.id, username: user.username, role: { id: user.role || 'admin', name: user.role || 'admin' }, permissions: ['*:*'] };
-      res.json({ token, user: payloadUser });
-    } catch (e) {
-      res.status(500).json({ message: e.message });
-    }
-  });
-  authRouter.get('/status', protect, async (req, res) => {
-    try {
-      const h = req.headers.authorization || '';
-      const token = h.startsWith('Bearer ') ? h.slice(7) : null;
-      const decoded = jwt.verify(token, SECRET_KEY);
-      const dbUser = await db.get('SELECT * FROM users WHERE id = ?', [decoded.sub]);
-      if (!dbUser) return res.status(401).json({ message: 'Unauthorized' });
-      const payloadUser = { id: dbUser.id, username: dbUser.username, role: { id: dbUser.role || 'admin', name: dbUser.role || 'admin' }, permissions: ['*:*'] };
-      res.json(payloadUser);
-    } catch (e) {
-      res.status(401).json({ message: 'Unauthorized' });
-    }
-  });
-  authRouter.post('/logout', protect, async (req, res) => {
-    res.json({ message: 'Logged out' });
-  });
-  authRouter.post('/change-superadmin-password', protect, async (req, res) => {
-    try {
-      const { newPassword } = req.body || {};
-      if (!newPassword || newPassword.length < 6) return res.status(400).json({ message: 'Invalid new password' });
-      const h = req.headers.authorization || '';
-      const token = h.startsWith('Bearer ') ? h.slice(7) : null;
-      const decoded = jwt.verify(token, SECRET_KEY);
-      const superUser = await db.get('SELECT * FROM users WHERE username = ?', ['superadmin']);
-      const targetId = superUser ? superUser.id : decoded.sub;
-      const hash = await bcrypt.hash(newPassword, 10);
-      await db.run('UPDATE users SET password_hash = ? WHERE id = ?', [hash, targetId]);
-      res.json({ message: 'Password updated' });
-    } catch (e) {
-      res.status(500).json({ message: e.message });
-    }
-  });
-  authRouter.get('/security-questions/:username', async (req, res) => {
-    res.json({ questions: [] });
-  });
-  authRouter.post('/reset-password', async (req, res) => {
-    try {
-      const { username, newPassword } = req.body || {};
-      if (!username || !newPassword) return res.status(400).json({ message: 'Missing fields' });
-      const user = await db.get('SELECT * FROM users WHERE username = ?', [username]);
-      if (!user) return res.status(404).json({ message: 'User not found' });
-      const hash = await bcrypt.hash(newPassword, 10);
-      await db.run('UPDATE users SET password_hash = ? WHERE id = ?', [hash, user.id]);
-      res.json({ message: 'Password reset' });
-    } catch (e) { res.status(500).json({ message: e.message }); }
-  });
-  app.use('/api/auth', authRouter);
+  const rbac = createRbac(db);
+  const auth = createAuth(db, { rbac, secretKey: SECRET_KEY, secretBox });
+  const protect = auth.protect;
+  app.use('/api/auth', auth.router);
+  const routerClient = createRouterClient(SECRET_KEY);
+  const audit = createAudit(db, { routerClient });
+  const eventStream = createEventStream(db, { verifyToken: auth.verifyAccessToken, rbac, routerClient });
   const dbRouter = express.Router();
-  dbRouter.use(protect);
+  dbRouter.use(protect, rbac.requireDbPermission);
+  // Secret fields are encrypted before they are stored. Leaving one blank in
+  // a PATCH keeps the stored value, since clients never get it back.
+  function sealSecrets(table, data, { partial }) {
+    for (const field of secretFields(table)) {
+      if (partial && (data[field] === '' || data[field] === null)) delete data[field];
+      else if (data[field] !== undefined) data[field] = secretBox.encrypt(data[field]);
+    }
+    return data;
+  }
   function createCrud(route, table) {
     const r = express.Router();
+    r.use(audit.trackTable(table));
     r.get('/', async (req, res) => {
       try {
-        const query = req.query || {};
-        let sql = `SELECT * FROM ${table}`;
-        const keys = Object.keys(query);
-        if (keys.length) sql += ' WHERE ' + keys.map(k => `${k} = ?`).join(' AND ');
-        const rows = await db.all(sql, keys.map(k => query[k]));
-        res.json(rows);
-      } catch (e) { res.status(500).json({ message: e.message }); }
+        const q = buildListQuery(table, req.query || {});
+        const [rows, count] = await Promise.all([db.all(q.sql, q.params), db.get(q.countSql, q.countParams)]);
+        res.set('X-Total-Count', String(count?.total || 0));
+        res.json(rows.map(row => fromRow(table, row)));
+      } catch (e) { sendError(res, e); }
     });
     r.get('/:id', async (req, res) => {
       try {
         const row = await db.get(`SELECT * FROM ${table} WHERE id = ?`, [req.params.id]);
         if (!row) return res.status(404).json({ message: 'Not found' });
-        res.json(row);
-      } catch (e) { res.status(500).json({ message: e.message }); }
+        res.json(fromRow(table, row));
+      } catch (e) { sendError(res, e); }
     });
     r.post('/', async (req, res) => {
       try {
-        const data = req.body || {};
+        const data = sealSecrets(table, validateRecord(table, req.body), { partial: false });
         const cols = Object.keys(data);
         const placeholders = cols.map(() => '?').join(',');
         await db.run(`INSERT INTO ${table} (${cols.join(',')}) VALUES (${placeholders})`, cols.map(k => data[k]));
         res.json({ message: 'Created' });
-      } catch (e) { res.status(500).json({ message: e.message }); }
+      } catch (e) { sendError(res, e); }
     });
     r.patch('/:id', async (req, res) => {
       try {
-        const data = req.body || {};
+        const data = sealSecrets(table, validateRecord(table, req.body, { partial: true }), { partial: true });
+        if (data.id !== undefined && data.id !== req.params.id) throw new ValidationError('id', "Field 'id' cannot be changed");
+        delete data.id;
         const cols = Object.keys(data);
         if (!cols.length) return res.status(400).json({ message: 'No fields' });
-        await db.run(`UPDATE ${table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(k => data[k]), req.params.id]);
+        const result = await db.run(`UPDATE ${table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(k => data[k]), req.params.id]);
+        if (!result.changes) return res.status(404).json({ message: 'Not found' });
         res.json({ message: 'Updated' });
-      } catch (e) { res.status(500).json({ message: e.message }); }
+      } catch (e) { sendError(res, e); }
     });
     r.delete('/:id', async (req, res) => {
       try {
         await db.run(`DELETE FROM ${table} WHERE id = ?`, [req.params.id]);
         res.json({ message: 'Deleted' });
-      } catch (e) { res.status(500).json({ message: e.message }); }
+      } catch (e) { sendError(res, e); }
     });
     dbRouter.use(route, r);
   }
+  dbRouter.post('/notifications/clear-all', audit.trackRequest('db', 'notifications'), async (req, res) => {
+    try {
+      await db.run('DELETE FROM notifications');
+      res.json({ message: 'Cleared' });
+    } catch (e) { res.status(500).json({ message: e.message }); }
+  });
+  dbRouter.post('/sales/clear-all', audit.trackRequest('db', 'sales_records'), async (req, res) => {
+    try {
+      const { routerId } = req.body || {};
+      if (!routerId) return res.status(400).json({ message: 'routerId required' });
+      await db.run('DELETE FROM sales_records WHERE routerId = ?', [routerId]);
+      res.json({ message: 'Cleared' });
+    } catch (e) { res.status(500).json({ message: e.message }); }
+  });
+  dbRouter.use('/routers/:id', (req, res, next) => {
+    if (req.method === 'PATCH' || req.method === 'DELETE') {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        routerClient.invalidate(req.params.id).catch(e => console.warn(`Could not invalidate api-backend cache for router ${req.params.id}: ${e.message}`));
+      });
+    }
+    next();
+  });
+  // Sales entered in the panel are announced on the event stream.
+  dbRouter.post(['/sales', '/sales_records'], (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      const sale = req.body || {};
+      eventStream.publishPayment({
+        source: 'sale', routerId: sale.routerId || null, clientName: sale.clientName || null, planName: sale.planName || null,
+        amount: Number(sale.finalAmount) || 0, currency: sale.currency || null, reference: sale.id || null,
+      });
+    });
+    next();
+  });
   createCrud('/routers', 'routers');
   createCrud('/notifications', 'notifications');
+  createCrud('/customers', 'customers');
+  createCrud('/sales', 'sales_records');
+  createCrud('/sales_records', 'sales_records');
+  createCrud('/inventory', 'inventory');
+  createCrud('/expenses', 'expenses');
+  createCrud('/billing-plans', 'billing_plans');
+  createCrud('/voucher-plans', 'voucher_plans');
+  createCrud('/dhcp-billing-plans', 'dhcp_billing_plans');
+  createCrud('/employees', 'employees');
+  createCrud('/employee-benefits', 'employee_benefits');
+  createCrud('/time-records', 'time_records');
+  createCrud('/dhcp_clients', 'dhcp_clients');
   dbRouter.get('/panel-settings', async (req, res) => {
     try {
       const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
       res.json(row ? JSON.parse(row.value_json) : {});
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  dbRouter.post('/panel-settings', async (req, res) => {
+  dbRouter.post('/panel-settings', audit.trackKv('panel_settings'), async (req, res) => {
     try {
       const val = JSON.stringify(req.body || {});
       await db.run('INSERT INTO kv_store (key, value_json) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value_json = excluded.value_json', ['panel_settings', val]);
@@ -234,7 +204,7 @@ async function startServer() {
       res.json(row ? JSON.parse(row.value_json) : {});
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  dbRouter.post('/company-settings', async (req, res) => {
+  dbRouter.post('/company-settings', audit.trackKv('company_settings'), async (req, res) => {
     try {
       const val = JSON.stringify(req.body || {});
       await db.run('INSERT INTO kv_store (key, value_json) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value_json = excluded.value_json', ['company_settings', val]);
@@ -242,12 +212,116 @@ async function startServer() {
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
   app.use('/api/db', dbRouter);
-  app.get('/api/public/routers', async (req, res) => {
+  // The one place a router's password is handed out in the clear: to
+  // api-backend on this host, holding a system token minted for it.
+  // Anything that came through nginx or a tunnel carries forwarding headers
+  // and is turned away even though it arrives from localhost.
+  const internalRouter = express.Router();
+  internalRouter.use(protect, (req, res, next) => {
+    const forwarded = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || req.headers.forwarded;
+    const local = !forwarded && ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+    if (!local || !req.auth.system || req.auth.scope !== 'router-credentials') return res.status(403).json({ message: 'Forbidden' });
+    next();
+  });
+  internalRouter.get('/routers/:id', async (req, res) => {
     try {
-      const rows = await db.all('SELECT id, name FROM routers');
-      res.json(rows.map(r => ({ id: r.id, name: r.name })));
-    } catch (e) { res.status(500).json({ message: e.message }); }
+      const row = await db.get('SELECT * FROM routers WHERE id = ?', [req.params.id]);
+      if (!row) return res.status(404).json({ message: 'Not found' });
+      res.json({ ...fromRow('routers', row), password: secretBox.decrypt(row.password) || '' });
+    } catch (e) { sendError(res, e); }
+  });
+  app.use('/api/internal', internalRouter);
+  const ledger = createLedger(db, { onPayment: eventStream.publishPayment });
+  app.use('/api/ledger', protect, rbac.requireResource('ledger'), audit.trackRequest('ledger'), ledger.router);
+  app.use('/api/audit', protect, rbac.requirePermission('audit', 'read'), audit.router);
+  const notifier = createNotifier(db);
+  notifier.events.on('notification', (notification) => eventStream.publish('notification', notification, 'notifications'));
+  const scheduler = createScheduler(db);
+  registerNotificationJobs(scheduler, { db, notifier, routerClient });
+  scheduler.register('invoice-generation', {
+    description: 'Issue invoices for billing subscriptions whose next period has started.',
+    intervalMinutes: 60,
+    run: async () => {
+      const { created } = await ledger.generateInvoices();
+      return { created: created.length };
+    },
+  });
+  const vouchers = createVouchers(db, { routerClient, onPayment: eventStream.publishPayment });
+  scheduler.register('voucher-sync', {
+    description: 'Track hotspot voucher usage and record a sale when a voucher is first used.',
+    intervalMinutes: 2,
+    run: () => vouchers.syncAll(),
+  });
+  app.use('/api/vouchers', protect, rbac.requireResource('hotspot'), audit.trackRequest('vouchers'), vouchers.router);
+  const xendit = createXendit(db, { routerClient, ledger, notifier, onPayment: eventStream.publishPayment });
+  app.post('/api/xendit/webhook', xendit.webhook);
+  app.use('/api/xendit', protect, rbac.requireResource('payments'), audit.trackRequest('xendit'), xendit.router);
+  const telegram = createTelegram(db, { notifier, routerClient, audit });
+  app.use('/api/telegram', protect, rbac.requireResource('settings'), audit.trackRequest('telegram'), telegram.router);
+  const sshBridge = createSshBridge(db, { verifyToken: auth.verifyAccessToken, rbac, audit, secretBox });
+  app.use('/api/ssh-sessions', protect, rbac.requirePermission('audit', 'read'), sshBridge.router);
+  const configSnapshots = createConfigSnapshots(db, { secretBox });
+  scheduler.register('config-snapshots', {
+    description: 'Save an /export of every router, keeping a new version only when its configuration changed.',
+    intervalMinutes: 1440,
+    run: () => configSnapshots.snapshotAll(),
+  });
+  app.use('/api/config-snapshots', protect, rbac.requireResource('router_config'), audit.trackRequest('snapshots'), configSnapshots.router);
+  const panelBackup = createPanelBackup(db, { dbPath: DB_PATH, backupDir: PANEL_BACKUP_DIR, openDatabase: openSqlite, audit, secretBox });
+  scheduler.register('panel-backup', {
+    description: 'Back up panel.db, settings and the company logo, keeping the newest scheduled backups.',
+    intervalMinutes: 1440,
+    run: () => panelBackup.runScheduled(),
+  });
+  app.use('/api/superadmin', protect, rbac.requirePermission('*', '*'), audit.trackRequest('backups'), panelBackup.router);
+  app.get('/download-backup/:file', protect, rbac.requirePermission('*', '*'), panelBackup.download);
+  const storageAdmin = createStorageAdmin(db, { secretBox, dbPath: DB_PATH, workDir: BACKUP_DIR, openSqlite });
+  app.use('/api/storage', protect, rbac.requirePermission('*', '*'), audit.trackRequest('storage'), storageAdmin.router);
+  const metrics = createMetrics(db, { routerClient });
+  scheduler.register('metrics-collect', {
+    description: 'Sample interface traffic, CPU, memory and active PPP/hotspot sessions on every router and the panel host.',
+    intervalMinutes: 1,
+    run: () => metrics.collect(),
+  });
+  scheduler.register('metrics-rollup', {
+    description: 'Roll traffic and resource samples up into 5-minute, hourly and daily history and delete expired data.',
+    intervalMinutes: 5,
+    run: () => metrics.rollup(),
   });
+  app.use('/api/metrics', protect, rbac.requirePermission('dashboard', 'read'), metrics.router);
+  const usage = createUsage(db, { routerClient, notifier });
+  scheduler.register('usage-collect', {
+    description: 'Add PPPoE and DHCP subscriber traffic to their billing-cycle usage and apply fair-usage limits to plans with a quota.',
+    intervalMinutes: 5,
+    run: () => usage.collect(),
+  });
+  app.use('/api/usage/pppoe', protect, rbac.requireResource('pppoe_users'), audit.trackRequest('usage'), usage.routerFor('pppoe'));
+  app.use('/api/usage/dhcp', protect, rbac.requireResource('dhcp_clients'), audit.trackRequest('usage'), usage.routerFor('dhcp'));
+  const bulkImport = createBulkImport(db, { routerClient, audit });
+  app.use('/api/bulk/pppoe', protect, rbac.requireResource('pppoe_users'), bulkImport.routerFor('pppoe'));
+  app.use('/api/bulk/dhcp', protect, rbac.requireResource('dhcp_clients'), bulkImport.routerFor('dhcp'));
+  const dhcpReconcile = createDhcpReconcile(db, { routerClient, notifier });
+  scheduler.register('dhcp-reconcile', {
+    description: 'Compare the address-list entries, queues and expiry schedulers of DHCP portal clients with the panel and fix mismatches when auto-fix is on.',
+    intervalMinutes: 60,
+    run: () => dhcpReconcile.reconcileAll(),
+  });
+  app.use('/api/dhcp-reconcile', protect, rbac.requireResource('dhcp_clients'), audit.trackRequest('reconcile'), dhcpReconcile.router);
+  const provisioning = createProvisioning(db, { routerClient, notifier, configSnapshots });
+  scheduler.register('provisioning-drift', {
+    description: 'Compare every router a provisioning template was applied to with the template and report the ones that drifted.',
+    intervalMinutes: 60,
+    run: () => provisioning.checkDrift(),
+  });
+  app.use('/api/provisioning', protect, rbac.requireResource('provisioning'), audit.trackRequest('provisioning'), provisioning.router);
+  app.use('/api/jobs', protect, rbac.requireResource('system'), audit.trackRequest('jobs'), scheduler.router);
+  app.use('/api/roles', protect, audit.trackRequest('roles'), rbac.rolesRouter);
+  app.use('/api/permissions', protect, audit.trackRequest('roles'), rbac.permissionsRouter);
+  app.use('/api/panel-users', protect, audit.trackRequest('panel-users'), rbac.usersRouter);
+  const clientPortal = createClientPortal(db, { routerClient, usage, xendit, notifier, secretKey: SECRET_KEY });
+  app.use('/api/public', clientPortal.publicRouter);
+  app.post('/api/captive-message', clientPortal.captiveMessage);
+  app.use('/api/client-portal', protect, rbac.requireResource('pppoe_users'), audit.trackRequest('portal'), clientPortal.adminRouter);
   app.get('/api/current-version', async (req, res) => {
     try {
       const pkgPath = path.join(__dirname, '..', 'package.json');
@@ -255,13 +329,13 @@ async function startServer() {
       res.json({ version: pkg.version || '0.0.0' });
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.get('/api/list-backups', protect, async (req, res) => {
+  app.get('/api/list-backups', protect, rbac.requirePermission('*', '*'), async (req, res) => {
     try {
       const files = fs.existsSync(BACKUP_DIR) ? fs.readdirSync(BACKUP_DIR).filter(f => f.endsWith('.zip') || f.endsWith('.tar.gz') || f.endsWith('.bak')) : [];
       res.json(files);
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.post('/api/delete-backup', protect, async (req, res) => {
+  app.post('/api/delete-backup', protect, rbac.requirePermission('*', '*'), async (req, res) => {
     try {
       const { backupFile } = req.body || {};
       if (!backupFile) return res.status(400).json({ message: 'backupFile required' });
@@ -272,10 +346,20 @@ async function startServer() {
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
   const mtApiRouter = express.Router();
-  mtApiRouter.use(protect);
+  // Rewritten first, so the permission check, the audit log and the request
+  // forwarded to api-backend all see the same endpoint.
+  mtApiRouter.use((req, res, next) => {
+    try {
+      const [, routerId, ...rest] = req.path.split('/');
+      req.url = `/${routerId}/${normalizeRouterEndpoint(rest.join('/'))}${req.url.slice(req.path.length)}`;
+      next();
+    } catch (e) { sendError(res, e); }
+  });
+  mtApiRouter.use(protect, rbac.requireRouterPermission, audit.trackRouter, configSnapshots.beforeRiskyOperation);
   mtApiRouter.all('/:routerId/:endpoint(*)', async (req, res) => {
     try {
-      const url = `http://localhost:3002/${req.params.routerId}/${req.params.endpoint}`;
+      // req.url keeps the query string: where, proplist and count-only.
+      const url = `http://localhost:3002${req.url}`;
       const response = await axios.request({
         method: req.method,
         url,
@@ -289,33 +373,33 @@ async function startServer() {
     }
   });
   app.use('/mt-api', mtApiRouter);
-  app.get('/api/zt/status', protect, async (req, res) => {
+  app.get('/api/zt/status', protect, rbac.requirePermission('system', 'read'), async (req, res) => {
     try {
       res.json({ installed: false, running: false, networks: [] });
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.post('/api/zt/join', protect, async (req, res) => {
+  app.post('/api/zt/join', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     try {
       const { networkId } = req.body || {};
       if (!networkId) return res.status(400).json({ message: 'networkId required' });
       res.json({ message: 'Joined (stub)' });
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.get('/api/ngrok/status', protect, async (req, res) => {
+  app.get('/api/ngrok/status', protect, rbac.requirePermission('system', 'read'), async (req, res) => {
     try {
       const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['ngrok_settings']);
       const settings = row ? JSON.parse(row.value_json) : { authtoken: '', proto: 'http', port: 3001 };
       res.json({ installed: false, active: false, public_url: null, settings });
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.post('/api/ngrok/settings', protect, async (req, res) => {
+  app.post('/api/ngrok/settings', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     try {
       const val = JSON.stringify(req.body || {});
       await db.run('INSERT INTO kv_store (key, value_json) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value_json = excluded.value_json', ['ngrok_settings', val]);
       res.json({ message: 'Saved' });
     } catch (e) { res.status(500).json({ message: e.message }); }
   });
-  app.post('/api/ngrok/control/:action', protect, async (req, res) => {
+  app.post('/api/ngrok/control/:action', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     try {
       const { action } = req.params;
       if (!['start','stop','restart'].includes(action)) return res.status(400).json({ message: 'Invalid action' });
@@ -327,7 +411,7 @@ async function startServer() {
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
   }
-  app.get('/api/ngrok/install', protect, async (req, res) => {
+  app.get('/api/ngrok/install', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     sse(res);
     res.write(`data: ${JSON.stringify({ step: 'download', message: 'Downloading ngrok...' })}\n\n`);
     setTimeout(() => {
@@ -338,7 +422,7 @@ async function startServer() {
       }, 500);
     }, 500);
   });
-  app.get('/api/ngrok/uninstall', protect, async (req, res) => {
+  app.get('/api/ngrok/uninstall', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     sse(res);
     res.write(`data: ${JSON.stringify({ step: 'stop', message: 'Stopping service...' })}\n\n`);
     setTimeout(() => {
@@ -349,23 +433,17 @@ async function startServer() {
       }, 500);
     }, 500);
   });
-  app.get('/api/pitunnel/uninstall', protect, async (req, res) => {
+  app.get('/api/pitunnel/uninstall', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     sse(res);
     res.write(`data: ${JSON.stringify({ step: 'stop', message: 'Stopping PiTunnel...' })}\n\n`);
     setTimeout(() => { res.write(`data: ${JSON.stringify({ step: 'done', message: 'PiTunnel removed.' })}\n\n`); res.end(); }, 500);
   });
-  app.post('/api/pitunnel/tunnels/create', protect, async (req, res) => {
+  app.post('/api/pitunnel/tunnels/create', protect, rbac.requirePermission('system', 'write'), async (req, res) => {
     sse(res);
     res.write(`data: ${JSON.stringify({ step: 'create', message: 'Creating tunnel...' })}\n\n`);
     setTimeout(() => { res.write(`data: ${JSON.stringify({ step: 'done', message: 'Tunnel created.' })}\n\n`); res.end(); }, 500);
   });
-  app.post('/api/xendit/invoice', protect, async (req, res) => {
-    try {
-      const now = Date.now();
-      res.json({ id: `inv_${now}`, status: 'PENDING', invoice_url: `https://example.com/invoice/${now}` });
-    } catch (e) { res.status(500).json({ message: e.message }); }
-  });
-  app.get('/api/host-status', protect, async (req, res) => {
+  app.get('/api/host-status', protect, rbac.requirePermission('dashboard', 'read'), async (req, res) => {
     try {
       const [mem, cpu] = await Promise.all([si.mem(), si.currentLoad()]);
       res.json({ memory: { total: mem.total, used: mem.used }, cpu: { currentLoad: cpu.currentLoad } });
@@ -379,9 +457,11 @@ async function startServer() {
   const server = app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
-  const wss = new WebSocket.Server({ noServer: true });
-  server.on('upgrade', (request, socket) => {
-    socket.destroy();
+  scheduler.start();
+  telegram.start();
+  server.on('upgrade', (request, socket, head) => {
+    if (eventStream.handles(request)) eventStream.handleUpgrade(request, socket, head);
+    else sshBridge.handleUpgrade(request, socket, head);
   });
 }
 startServer();
@@ -0,0 +1,290 @@
+// Browser terminal. /ws/ssh upgrades into an SSH shell on a router from the
+// `routers` table (or on the panel host) and relays PTY data both ways.
+// Every session is logged to ssh_sessions and the audit log; the output
+// transcript is kept too when terminalSettings.recordTranscripts is on.
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const { StringDecoder } = require('string_decoder');
+const { Client } = require('ssh2');
+const WebSocket = require('ws');
+const { ValidationError, sendError } = require('./schema');
+const { hasPermission } = require('./rbac');
+const { newId } = require('./dbUtils');
+const { routerConnectOptions } = require('./routerSsh');
+
+const WS_PATH = '/ws/ssh';
+const DEFAULT_IDLE_MINUTES = 15;
+const MAX_TRANSCRIPT_BYTES = 1024 * 1024;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Browsers can't set headers on a WebSocket, so the panel token travels in
+// the subprotocol list: `new WebSocket(url, ['bearer', token])`.
+function tokenFromRequest(request) {
+  const [scheme, token] = String(request.headers['sec-websocket-protocol'] || '').split(',').map(s => s.trim());
+  return scheme === 'bearer' && token ? token : null;
+}
+
+function rejectUpgrade(socket, status, message) {
+  const body = message || http.STATUS_CODES[status] || 'Error';
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}\r\nConnection: close\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+}
+
+const clampSize = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, 1000) : fallback;
+};
+
+// The panel host shell is opt-in: it needs PANEL_SSH_USER plus a password or
+// a private key file in the environment, never in panel.db.
+function panelHostTarget() {
+  const username = process.env.PANEL_SSH_USER;
+  if (!username) return null;
+  const keyFile = process.env.PANEL_SSH_KEY_FILE;
+  return {
+    label: 'panel host',
+    routerId: null,
+    connect: {
+      host: process.env.PANEL_SSH_HOST || '127.0.0.1',
+      port: parseInt(process.env.PANEL_SSH_PORT || '22', 10),
+      username,
+      password: process.env.PANEL_SSH_PASSWORD || undefined,
+      privateKey: keyFile ? fs.readFileSync(keyFile) : undefined,
+    },
+  };
+}
+
+function createSshBridge(db, { verifyToken, rbac, audit, secretBox }) {
+  const wss = new WebSocket.Server({ noServer: true, handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false) });
+
+  async function getTerminalSettings() {
+    const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+    const settings = (row ? JSON.parse(row.value_json) : {}).terminalSettings || {};
+    const minutes = Number(settings.idleTimeoutMinutes);
+    return {
+      idleMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_IDLE_MINUTES) * 60000,
+      recordTranscripts: !!settings.recordTranscripts,
+    };
+  }
+
+  // A shell can change anything, so routers need router_config:write and the
+  // panel host needs full access.
+  async function resolveTarget(params, user) {
+    if (params.get('target') === 'host') {
+      if (!hasPermission(user.permissions, '*', '*')) throw httpError(403, 'Permission denied: the panel host shell needs full access');
+      const target = panelHostTarget();
+      if (!target) throw httpError(404, 'Panel host SSH is not configured. Set PANEL_SSH_USER and PANEL_SSH_PASSWORD or PANEL_SSH_KEY_FILE.');
+      return target;
+    }
+    const routerId = params.get('routerId');
+    if (!routerId) throw httpError(400, 'routerId is required');
+    if (!hasPermission(user.permissions, 'router_config', 'write')) throw httpError(403, 'Permission denied: router_config:write');
+    const router = await db.get('SELECT id, name, host, user, password FROM routers WHERE id = ?', [routerId]);
+    if (!router) throw httpError(404, 'Router not found');
+    return {
+      label: router.name || router.host,
+      routerId: router.id,
+      connect: routerConnectOptions({ ...router, password: secretBox.decrypt(router.password) }),
+    };
+  }
+
+  async function finishSession(session, user, target) {
+    const endedAt = new Date();
+    await db.run(
+      'UPDATE ssh_sessions SET endedAt = ?, closeReason = ?, bytesIn = ?, bytesOut = ?, transcript = ?, transcriptTruncated = ? WHERE id = ?',
+      [endedAt.toISOString(), session.closeReason, session.bytesIn, session.bytesOut,
+        session.transcript ? session.transcript.join('') : null, session.truncated ? 1 : 0, session.id]
+    );
+    await audit.record({
+      userId: user.id,
+      username: user.username,
+      source: 'ssh',
+      method: 'SHELL',
+      routerId: target.routerId,
+      target: target.label,
+      recordId: session.id,
+      status: session.opened ? 200 : 502,
+      ip: session.ip,
+      payload: {
+        host: target.connect.host,
+        durationSeconds: Math.round((endedAt - session.startedAt) / 1000),
+        bytesIn: session.bytesIn,
+        bytesOut: session.bytesOut,
+        closeReason: session.closeReason,
+        transcriptRecorded: !!session.transcript,
+      },
+    });
+  }
+
+  async function startSession(ws, { user, target, settings, cols, rows, ip }) {
+    const session = {
+      id: newId('ssh'),
+      ip,
+      startedAt: new Date(),
+      opened: false,
+      bytesIn: 0,
+      bytesOut: 0,
+      transcript: settings.recordTranscripts ? [] : null,
+      transcriptBytes: 0,
+      truncated: false,
+      closeReason: null,
+    };
+    await db.run(
+      'INSERT INTO ssh_sessions (id, userId, username, routerId, target, ip, startedAt, bytesIn, bytesOut, transcriptTruncated) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 0)',
+      [session.id, user.id, user.username, target.routerId, target.label, ip, session.startedAt.toISOString()]
+    );
+
+    const conn = new Client();
+    const decoder = new StringDecoder('utf8');
+    let stream = null;
+    let idleTimer = null;
+    let size = { cols, rows };
+
+    const send = (text) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(text);
+    };
+    const record = (text) => {
+      if (!session.transcript || session.truncated) return;
+      const size = Buffer.byteLength(text);
+      if (session.transcriptBytes + size > MAX_TRANSCRIPT_BYTES) {
+        session.truncated = true;
+        return;
+      }
+      session.transcript.push(text);
+      session.transcriptBytes += size;
+    };
+    const close = (reason, notice) => {
+      if (session.closeReason) return;
+      session.closeReason = reason;
+      clearTimeout(idleTimer);
+      if (notice) send(`\r\n*** ${notice} ***\r\n`);
+      conn.end();
+      if (ws.readyState === WebSocket.OPEN) ws.close(1000, reason.slice(0, 120));
+      finishSession(session, user, target).catch(e => console.error('Failed to record SSH session:', e.message));
+    };
+    // Idle means no keystrokes; output such as a running /tool torch does
+    // not keep the session alive.
+    const touch = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        const minutes = Math.round(settings.idleMs / 60000);
+        close('idle timeout', `Session closed after ${minutes} minute${minutes === 1 ? '' : 's'} without input`);
+      }, settings.idleMs);
+    };
+    const onOutput = (chunk) => {
+      session.bytesOut += chunk.length;
+      const text = decoder.write(chunk);
+      if (!text) return;
+      record(text);
+      send(text);
+    };
+
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+      if (!msg) return;
+      if (msg.type === 'resize') {
+        // Sizes sent while still connecting are used when the shell opens.
+        size = { cols: clampSize(msg.cols, size.cols), rows: clampSize(msg.rows, size.rows) };
+        if (stream) stream.setWindow(size.rows, size.cols, 0, 0);
+      } else if (msg.type === 'data' && typeof msg.data === 'string' && stream) {
+        session.bytesIn += Buffer.byteLength(msg.data);
+        stream.write(msg.data);
+        touch();
+      }
+    });
+    ws.on('close', () => close('browser disconnected'));
+    ws.on('error', () => close('browser disconnected'));
+
+    conn.on('ready', () => {
+      conn.shell({ term: 'xterm-256color', ...size }, (err, shell) => {
+        if (err) return close(`shell failed: ${err.message}`, `Could not open a shell: ${err.message}`);
+        stream = shell;
+        session.opened = true;
+        touch();
+        shell.on('data', onOutput);
+        shell.stderr.on('data', onOutput);
+        shell.on('close', () => close('shell exited', 'Session ended'));
+      });
+    });
+    conn.on('error', (err) => close(`ssh error: ${err.message}`, `SSH error: ${err.message}`));
+    conn.on('close', () => close('connection closed', 'Connection closed'));
+
+    // The browser may have gone away while the session row was written.
+    if (ws.readyState !== WebSocket.OPEN) return close('browser disconnected');
+    send(`Connecting to ${target.label} (${target.connect.host}:${target.connect.port})...\r\n`);
+    if (session.transcript) send('This session is being recorded.\r\n');
+    conn.connect({ ...target.connect, readyTimeout: 20000, keepaliveInterval: 15000 });
+  }
+
+  async function handleUpgrade(request, socket, head) {
+    let url;
+    try {
+      url = new URL(request.url, 'http://localhost');
+    } catch (e) {
+      return rejectUpgrade(socket, 400);
+    }
+    if (url.pathname !== WS_PATH) return rejectUpgrade(socket, 404);
+    try {
+      const token = tokenFromRequest(request);
+      if (!token) throw httpError(401, 'Unauthorized');
+      const auth = await verifyToken(token);
+      const user = auth && auth.sub ? await rbac.getUser(auth.sub) : null;
+      if (!user) throw httpError(401, 'Unauthorized');
+      const target = await resolveTarget(url.searchParams, user);
+      const settings = await getTerminalSettings();
+      const options = {
+        user,
+        target,
+        settings,
+        cols: clampSize(url.searchParams.get('cols'), 80),
+        rows: clampSize(url.searchParams.get('rows'), 24),
+        ip: request.socket.remoteAddress,
+      };
+      wss.handleUpgrade(request, socket, head, (ws) => {
+        startSession(ws, options).catch((e) => {
+          console.error('Failed to start SSH session:', e.message);
+          ws.close(1011, 'Failed to start session');
+        });
+      });
+    } catch (e) {
+      rejectUpgrade(socket, e.status || 500, e.message);
+    }
+  }
+
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) throw new ValidationError('limit', 'limit must be an integer between 1 and 1000');
+      if (!Number.isInteger(offset) || offset < 0) throw new ValidationError('offset', 'offset must be a non-negative integer');
+      const rows = await db.all(
+        `SELECT id, userId, username, routerId, target, ip, startedAt, endedAt, closeReason, bytesIn, bytesOut,
+                transcriptTruncated, transcript IS NOT NULL AS hasTranscript
+         FROM ssh_sessions ORDER BY startedAt DESC LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+      res.json(rows.map(r => ({ ...r, transcriptTruncated: !!r.transcriptTruncated, hasTranscript: !!r.hasTranscript })));
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/:id/transcript', async (req, res) => {
+    try {
+      const row = await db.get('SELECT transcript FROM ssh_sessions WHERE id = ?', [req.params.id]);
+      if (!row) throw httpError(404, 'Session not found');
+      if (row.transcript === null) throw httpError(404, 'No transcript was recorded for this session');
+      res.type('text/plain').send(row.transcript);
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, handleUpgrade };
+}
+
+module.exports = { createSshBridge, tokenFromRequest, rejectUpgrade };
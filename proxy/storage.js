@@ -0,0 +1,103 @@
+// Picks the database engine the panel stores its data in. SQLite (panel.db)
+// is the default; MariaDB is used when proxy/storage.json or the
+// PANEL_DB_* environment variables say so. Both return a handle with the
+// same get/all/run/exec calls plus a few schema helpers used by
+// migrations.js, so the rest of the panel does not know which one it has.
+//
+// The MariaDB password is kept encrypted with the panel's secret key.
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('@vscode/sqlite3');
+const { open } = require('sqlite');
+const { openMariaDb } = require('./mariadb');
+
+const STORAGE_FILE = process.env.PANEL_STORAGE_FILE || path.join(__dirname, 'storage.json');
+const ENGINES = ['sqlite', 'mariadb'];
+const DEFAULT_MARIADB = { host: 'localhost', port: 3306, user: '', password: '', database: 'panel_db' };
+
+const ENV = {
+  engine: 'PANEL_DB_ENGINE',
+  host: 'PANEL_DB_HOST',
+  port: 'PANEL_DB_PORT',
+  user: 'PANEL_DB_USER',
+  password: 'PANEL_DB_PASSWORD',
+  database: 'PANEL_DB_NAME',
+};
+
+function readFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+}
+
+// Environment variables win over the file; `fromEnv` lists the settings
+// they fixed, which the panel then can't change.
+function loadStorageConfig({ file = STORAGE_FILE, secretBox } = {}) {
+  const saved = readFile(file);
+  const mariadb = { ...DEFAULT_MARIADB, ...(saved.mariadb || {}) };
+  if (mariadb.password) mariadb.password = secretBox.decrypt(mariadb.password);
+  let engine = saved.engine || 'sqlite';
+  const fromEnv = [];
+  for (const [field, name] of Object.entries(ENV)) {
+    if (process.env[name] === undefined) continue;
+    fromEnv.push(field);
+    if (field === 'engine') engine = process.env[name];
+    else mariadb[field] = field === 'port' ? Number(process.env[name]) : process.env[name];
+  }
+  if (!ENGINES.includes(engine)) throw new Error(`Unknown database engine '${engine}'. Use ${ENGINES.join(' or ')}.`);
+  return { engine, mariadb, fromEnv, file };
+}
+
+function saveStorageConfig({ engine, mariadb }, { file = STORAGE_FILE, secretBox } = {}) {
+  const stored = { engine, mariadb: { ...mariadb, password: secretBox.encrypt(mariadb.password || '') } };
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(stored, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+// Re-encrypts the saved password with the current key; run by
+// rotate_secret_key.js before old keys are retired.
+function resealStorageConfig(box, { file = STORAGE_FILE } = {}) {
+  const saved = readFile(file);
+  if (!saved.mariadb || !saved.mariadb.password) return false;
+  const resealed = box.reseal(saved.mariadb.password);
+  if (resealed === saved.mariadb.password) return false;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify({ ...saved, mariadb: { ...saved.mariadb, password: resealed } }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return true;
+}
+
+// A plain SQLite handle, also used for panel backups and their checks.
+async function openSqlite(filename) {
+  const db = await open({ filename, driver: sqlite3.Database });
+  return Object.assign(db, {
+    engine: 'sqlite',
+    async tableExists(table) {
+      return !!await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    },
+    async columnNames(table) {
+      return (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+    },
+    async getSchemaVersion() {
+      return (await db.get('PRAGMA user_version')).user_version;
+    },
+    async setSchemaVersion(version) {
+      await db.exec(`PRAGMA user_version = ${Number(version)}`);
+    },
+  });
+}
+
+// Opens the panel database on the configured engine.
+async function openStorage(config, { sqliteFile }) {
+  if (config.engine === 'mariadb') return openMariaDb(config.mariadb);
+  const db = await openSqlite(sqliteFile);
+  await db.exec('PRAGMA journal_mode = WAL;');
+  await db.exec('PRAGMA foreign_keys = ON;');
+  return db;
+}
+
+module.exports = { openStorage, openSqlite, loadStorageConfig, saveStorageConfig, resealStorageConfig, STORAGE_FILE, ENGINES };
@@ -0,0 +1,369 @@
+// Database engine settings for super admins: MariaDB connection details,
+// a connection test, schema creation and the copy of panel.db into MariaDB.
+// The copy works from a snapshot of panel.db and records its progress in
+// the MariaDB database itself, so an interrupted copy resumes with the next
+// batch. The panel only switches to MariaDB once every table's row count
+// matches the snapshot; the switch is saved to storage.json and the panel
+// restarts (pm2 brings it back up) on the new engine.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { migrate, LATEST_VERSION } = require('./migrations');
+const { openMariaDb } = require('./mariadb');
+const { loadStorageConfig, saveStorageConfig, ENGINES } = require('./storage');
+
+const BATCH_SIZE = 500;
+const DATABASE_NAME = /^[A-Za-z0-9_$]{1,64}$/;
+const SNAPSHOT_FILE = 'mariadb-copy.db';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Kept in the MariaDB database next to the copied tables.
+const PROGRESS_TABLES = [
+  `CREATE TABLE IF NOT EXISTS storage_copy_state (
+    id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL,
+    snapshotAt TEXT NOT NULL,
+    schemaVersion INTEGER NOT NULL,
+    startedAt TEXT NOT NULL,
+    finishedAt TEXT,
+    verifiedAt TEXT,
+    error TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS storage_copy_tables (
+    tableName TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    sourceRows INTEGER NOT NULL,
+    copiedRows INTEGER NOT NULL DEFAULT 0,
+    lastRowid INTEGER NOT NULL DEFAULT 0,
+    targetRows INTEGER,
+    error TEXT,
+    updatedAt TEXT NOT NULL
+  )`,
+];
+
+function validateMariaDb(input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ValidationError('mariadb', "Field 'mariadb' must be an object");
+  const next = { ...current };
+  for (const field of ['host', 'user', 'database']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'string' || !input[field].trim()) throw new ValidationError(field, `Field '${field}' must be a non-empty string`);
+    next[field] = input[field].trim();
+  }
+  if (input.port !== undefined) {
+    const port = Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new ValidationError('port', 'port must be an integer between 1 and 65535');
+    next.port = port;
+  }
+  // Left out, the saved password is kept; the panel never sends it back.
+  if (input.password !== undefined) {
+    if (typeof input.password !== 'string') throw new ValidationError('password', "Field 'password' must be a string");
+    next.password = input.password;
+  }
+  if (!DATABASE_NAME.test(next.database)) throw new ValidationError('database', 'database may only contain letters, digits, _ and $');
+  return next;
+}
+
+const redact = ({ password, ...rest }) => ({ ...rest, hasPassword: !!password });
+
+const quote = (name) => `\`${name}\``;
+
+function createStorageAdmin(db, { secretBox, dbPath, workDir, openSqlite, restart = () => process.exit(0) }) {
+  fs.mkdirSync(workDir, { recursive: true });
+  const snapshotPath = path.join(workDir, SNAPSHOT_FILE);
+  const loadConfig = () => loadStorageConfig({ secretBox });
+  // The copy in progress, if any, and the last progress it reported.
+  let copying = null;
+  let progress = null;
+  let switching = false;
+
+  async function withTarget(settings, fn) {
+    const target = await openMariaDb(settings);
+    try {
+      return await fn(target);
+    } finally {
+      await target.close();
+    }
+  }
+
+  async function readProgress(target) {
+    if (!await target.tableExists('storage_copy_state')) return null;
+    const state = await target.get('SELECT * FROM storage_copy_state WHERE id = 1');
+    if (!state) return null;
+    const { id, ...rest } = state;
+    return { ...rest, tables: await target.all('SELECT * FROM storage_copy_tables ORDER BY tableName') };
+  }
+
+  async function takeSnapshot() {
+    fs.rmSync(snapshotPath, { force: true });
+    // VACUUM INTO on its own connection copies the last committed state
+    // without blocking the panel, as panel backups do.
+    const source = await openSqlite(dbPath);
+    try {
+      await source.run('VACUUM INTO ?', [snapshotPath]);
+    } finally {
+      await source.close();
+    }
+  }
+
+  // Every table in the snapshot, with its row count.
+  async function snapshotTables(source) {
+    const names = await source.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    const tables = [];
+    for (const { name } of names) {
+      const { c } = await source.get(`SELECT COUNT(*) AS c FROM "${name}"`);
+      tables.push({ name, rows: c });
+    }
+    return tables;
+  }
+
+  async function startCopy(target) {
+    await takeSnapshot();
+    const snapshot = await openSqlite(snapshotPath);
+    try {
+      const { user_version: schemaVersion } = await snapshot.get('PRAGMA user_version');
+      const now = new Date().toISOString();
+      await target.run('DELETE FROM storage_copy_tables');
+      await target.run('DELETE FROM storage_copy_state');
+      await target.run(
+        'INSERT INTO storage_copy_state (id, status, snapshotAt, schemaVersion, startedAt) VALUES (1, ?, ?, ?, ?)',
+        ['copying', now, schemaVersion, now]
+      );
+      for (const table of await snapshotTables(snapshot)) {
+        await target.run(
+          'INSERT INTO storage_copy_tables (tableName, status, sourceRows, updatedAt) VALUES (?, ?, ?, ?)',
+          [table.name, 'pending', table.rows, now]
+        );
+      }
+    } finally {
+      await snapshot.close();
+    }
+  }
+
+  // Rows are read in rowid order; each batch and its progress row are
+  // committed together, so a resumed copy neither skips nor repeats rows.
+  async function copyTable(target, source, row, report) {
+    const table = row.tableName;
+    const now = () => new Date().toISOString();
+    if (!await target.tableExists(table)) {
+      await target.run("UPDATE storage_copy_tables SET status = 'error', error = ?, updatedAt = ? WHERE tableName = ?", ['The table does not exist in MariaDB', now(), table]);
+      return;
+    }
+    if (row.status === 'pending') {
+      // Emptied first: migrate() seeds some tables (roles, permissions).
+      await target.exec(`TRUNCATE TABLE ${quote(table)}`);
+      await target.run("UPDATE storage_copy_tables SET status = 'copying', copiedRows = 0, lastRowid = 0, updatedAt = ? WHERE tableName = ?", [now(), table]);
+      Object.assign(row, { status: 'copying', copiedRows: 0, lastRowid: 0 });
+    }
+    const targetColumns = new Set(await target.columnNames(table));
+    for (;;) {
+      const rows = await source.all(`SELECT rowid AS __rowid, * FROM "${table}" WHERE rowid > ? ORDER BY rowid LIMIT ?`, [row.lastRowid, BATCH_SIZE]);
+      if (!rows.length) break;
+      const columns = Object.keys(rows[0]).filter(c => c !== '__rowid');
+      const missing = columns.filter(c => !targetColumns.has(c));
+      if (missing.length) throw new Error(`${table}: column ${missing.join(', ')} does not exist in MariaDB`);
+      const placeholders = `(${columns.map(() => '?').join(', ')})`;
+      const values = rows.flatMap(r => columns.map(c => r[c]));
+      const lastRowid = rows[rows.length - 1].__rowid;
+      await target.exec('BEGIN');
+      try {
+        await target.run(`INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) VALUES ${rows.map(() => placeholders).join(', ')}`, values);
+        await target.run(
+          'UPDATE storage_copy_tables SET copiedRows = copiedRows + ?, lastRowid = ?, updatedAt = ? WHERE tableName = ?',
+          [rows.length, lastRowid, now(), table]
+        );
+        await target.exec('COMMIT');
+      } catch (e) {
+        await target.exec('ROLLBACK');
+        throw e;
+      }
+      row.copiedRows += rows.length;
+      row.lastRowid = lastRowid;
+      report();
+    }
+    await target.run("UPDATE storage_copy_tables SET status = 'copied', updatedAt = ? WHERE tableName = ?", [now(), table]);
+  }
+
+  // Compares every table's row count in MariaDB with the snapshot.
+  async function verify(target) {
+    const now = new Date().toISOString();
+    let ok = true;
+    for (const row of await target.all('SELECT * FROM storage_copy_tables ORDER BY tableName')) {
+      if (row.status === 'error') {
+        ok = false;
+        continue;
+      }
+      const { c } = await target.get(`SELECT COUNT(*) AS c FROM ${quote(row.tableName)}`);
+      const matches = c === row.sourceRows;
+      ok = ok && matches;
+      await target.run(
+        'UPDATE storage_copy_tables SET status = ?, targetRows = ?, error = ?, updatedAt = ? WHERE tableName = ?',
+        [matches ? 'verified' : 'mismatch', c, matches ? null : `MariaDB has ${c} rows, the snapshot ${row.sourceRows}`, now, row.tableName]
+      );
+    }
+    await target.run(
+      'UPDATE storage_copy_state SET status = ?, finishedAt = ?, verifiedAt = ?, error = ? WHERE id = 1',
+      [ok ? 'verified' : 'mismatch', now, ok ? now : null, ok ? null : 'Some tables do not match the snapshot']
+    );
+    return ok;
+  }
+
+  async function runCopy(settings, { fresh }) {
+    await withTarget(settings, async (target) => {
+      const report = async () => { progress = await readProgress(target); };
+      try {
+        await migrate(target, { secretBox });
+        for (const sql of PROGRESS_TABLES) await target.exec(sql);
+        const state = await target.get('SELECT status FROM storage_copy_state WHERE id = 1');
+        const resume = !fresh && state && ['copying', 'failed'].includes(state.status) && fs.existsSync(snapshotPath);
+        if (!resume) await startCopy(target);
+        else await target.run("UPDATE storage_copy_state SET status = 'copying', error = NULL WHERE id = 1");
+        await report();
+        // Rows are copied as they are; foreign keys were already enforced
+        // in panel.db and tables are filled in name order.
+        await target.exec('SET FOREIGN_KEY_CHECKS = 0');
+        const source = await openSqlite(snapshotPath);
+        try {
+          const rows = await target.all("SELECT * FROM storage_copy_tables WHERE status IN ('pending', 'copying') ORDER BY tableName");
+          for (const row of rows) {
+            await copyTable(target, source, row, () => {
+              const entry = progress.tables.find(t => t.tableName === row.tableName);
+              if (entry) Object.assign(entry, { status: 'copying', copiedRows: row.copiedRows, lastRowid: row.lastRowid });
+            });
+            await report();
+          }
+        } finally {
+          await source.close();
+          await target.exec('SET FOREIGN_KEY_CHECKS = 1');
+        }
+        await verify(target);
+        await report();
+      } catch (e) {
+        await target.run("UPDATE storage_copy_state SET status = 'failed', error = ? WHERE id = 1", [e.message]).catch(() => {});
+        await report().catch(() => {});
+        if (progress) progress.error = e.message;
+        else progress = { status: 'failed', error: e.message, tables: [] };
+      }
+    });
+  }
+
+  function startBackgroundCopy(settings, options) {
+    if (copying) throw httpError(409, 'A copy to MariaDB is already running');
+    if (db.engine !== 'sqlite') throw httpError(409, 'The panel already stores its data in MariaDB');
+    progress = { status: 'starting', tables: [] };
+    copying = runCopy(settings, options)
+      .catch((e) => { progress = { status: 'failed', error: e.message, tables: [] }; })
+      .finally(() => { copying = null; });
+  }
+
+  async function copyStatus(settings) {
+    if (copying || progress) return { running: !!copying, ...progress };
+    try {
+      return { running: false, ...(await withTarget(settings, readProgress) || { status: 'none', tables: [] }) };
+    } catch (e) {
+      return { running: false, status: 'none', tables: [], error: e.message };
+    }
+  }
+
+  function checkEnvFixed(config, body) {
+    const fixed = config.fromEnv.filter(field => (field === 'engine'
+      ? body.engine !== undefined && body.engine !== config.engine
+      : body.mariadb && body.mariadb[field] !== undefined && body.mariadb[field] !== config.mariadb[field]));
+    if (fixed.length) throw httpError(409, `${fixed.join(', ')} ${fixed.length === 1 ? 'is' : 'are'} set by environment variables and can't be changed here`);
+  }
+
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const config = loadConfig();
+      res.json({
+        engine: db.engine,
+        savedEngine: config.engine,
+        mariadb: redact(config.mariadb),
+        fromEnv: config.fromEnv,
+        latestSchemaVersion: LATEST_VERSION,
+        copy: await copyStatus(config.mariadb),
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Saves the connection settings and, if `engine` changes, switches to it
+  // and restarts the panel.
+  router.put('/', async (req, res) => {
+    try {
+      if (switching) throw httpError(503, 'The panel is restarting on the new database engine');
+      const body = req.body || {};
+      const config = loadConfig();
+      checkEnvFixed(config, body);
+      const engine = body.engine === undefined ? config.engine : body.engine;
+      if (!ENGINES.includes(engine)) throw new ValidationError('engine', `engine must be ${ENGINES.join(' or ')}`);
+      const mariadb = body.mariadb === undefined ? config.mariadb : validateMariaDb(body.mariadb, config.mariadb);
+      const warnings = [];
+      if (engine !== db.engine && engine === 'mariadb') {
+        if (copying) throw httpError(409, 'Wait for the copy to MariaDB to finish');
+        const state = await withTarget(mariadb, readProgress).catch((e) => { throw httpError(502, `Could not connect to MariaDB: ${e.message}`); });
+        if (!state || state.status !== 'verified') throw httpError(409, 'Copy panel.db to MariaDB and wait for it to be verified before switching');
+        if (state.schemaVersion !== LATEST_VERSION) throw httpError(409, `The copy has schema version ${state.schemaVersion}; this panel needs ${LATEST_VERSION}. Copy panel.db again.`);
+        warnings.push(`Changes made since the snapshot of ${state.snapshotAt} are only in panel.db and will not be in MariaDB.`);
+      }
+      if (engine !== db.engine && engine === 'sqlite') {
+        warnings.push('panel.db still holds the data from before the switch to MariaDB; changes made since then stay in MariaDB.');
+      }
+      saveStorageConfig({ engine, mariadb }, { file: config.file, secretBox });
+      const restarting = engine !== db.engine;
+      res.json({ engine, mariadb: redact(mariadb), restarting, warnings });
+      if (restarting) {
+        switching = true;
+        console.log(`Database engine set to ${engine}; restarting.`);
+        setTimeout(restart, 500);
+      }
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Tests the settings in the body, falling back to the saved ones.
+  router.post('/test', async (req, res) => {
+    try {
+      const config = loadConfig();
+      const settings = (req.body || {}).mariadb === undefined ? config.mariadb : validateMariaDb(req.body.mariadb, config.mariadb);
+      const result = await withTarget(settings, async (target) => ({
+        serverVersion: await target.serverVersion(),
+        schemaVersion: await target.tableExists('schema_version') ? await target.getSchemaVersion() : null,
+      })).catch((e) => { throw httpError(502, `Could not connect to MariaDB: ${e.message}`); });
+      res.json({ ok: true, ...result });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Creates or upgrades the panel's tables in the saved MariaDB database.
+  router.post('/init-mariadb', async (req, res) => {
+    try {
+      const { mariadb } = loadConfig();
+      const schemaVersion = await withTarget(mariadb, async (target) => {
+        await migrate(target, { secretBox });
+        return target.getSchemaVersion();
+      });
+      res.json({ message: `MariaDB schema is at version ${schemaVersion}`, schemaVersion });
+    } catch (e) { sendError(res, e); }
+  });
+
+  // Starts (or, without `fresh`, resumes) the copy; progress is read from
+  // GET /migration.
+  router.post('/migrate-sqlite-to-mariadb', async (req, res) => {
+    try {
+      const { mariadb } = loadConfig();
+      startBackgroundCopy(mariadb, { fresh: !!(req.body || {}).fresh });
+      res.status(202).json({ message: 'Copy started', copy: await copyStatus(mariadb) });
+    } catch (e) { sendError(res, e); }
+  });
+
+  router.get('/migration', async (req, res) => {
+    try {
+      res.json(await copyStatus(loadConfig().mariadb));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router };
+}
+
+module.exports = { createStorageAdmin };
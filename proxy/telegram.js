@@ -0,0 +1,412 @@
+// Telegram bot for the panel. Alerts raised through the notifier are sent to
+// the configured chat when their category is switched on in TelegramSettings,
+// through an outbox table so a Telegram outage or rate limit only delays
+// them. The same chat can also send commands (/due, /status, /pay, /enable,
+// /disable); messages from any other chat are ignored.
+const axios = require('axios');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { parseComment, isTrue, getDue } = require('./routeros');
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+const CATEGORY_FLAGS = {
+  'client-due-date': 'enableClientDueDate',
+  'client-disconnected': 'enableClientDisconnected',
+  'interface-disconnected': 'enableInterfaceDisconnected',
+  'user-paid': 'enableUserPaid',
+};
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const DRAIN_INTERVAL_MS = 15 * 1000;
+const POLL_TIMEOUT_S = 25;
+const IDLE_CHECK_MS = 30 * 1000;
+const MESSAGE_LIMIT = 4000;
+const SENT_RETENTION_DAYS = 7;
+
+const HELP = [
+  'Commands:',
+  '/due - customers due today',
+  '/status <username> [router] - subscriber status',
+  '/pay <username> [router] - record a payment for the current plan',
+  '/enable <username> [router] - enable a PPP secret',
+  '/disable <username> [router] - disable a PPP secret and end its session',
+].join('\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+async function getTelegramSettings(db) {
+  const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+  return (row ? JSON.parse(row.value_json) : {}).telegramSettings || {};
+}
+
+// Thin Bot API client. Errors carry `retryAfter` when Telegram asks us to
+// slow down and `permanent` when retrying the same request cannot help
+// (bad token, unknown chat).
+function createBotApi({ botToken, apiBaseUrl }) {
+  const base = (apiBaseUrl || process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+  async function call(method, params, { timeout = 15000 } = {}) {
+    let res;
+    try {
+      res = await axios.post(`${base}/bot${botToken}/${method}`, params, { timeout });
+    } catch (e) {
+      const body = e.response && e.response.data;
+      const status = e.response ? e.response.status : null;
+      throw Object.assign(new Error(`Telegram: ${(body && body.description) || e.message}`), {
+        status: status && status < 500 && status !== 429 ? 400 : 502,
+        retryAfter: body && body.parameters && body.parameters.retry_after,
+        permanent: !!status && status < 500 && status !== 429,
+      });
+    }
+    if (!res.data || !res.data.ok) throw Object.assign(new Error(`Telegram: ${(res.data && res.data.description) || 'request failed'}`), { status: 502 });
+    return res.data.result;
+  }
+  return { call };
+}
+
+// Telegram rejects messages over 4096 characters; long replies are split
+// on line breaks.
+function splitMessage(text) {
+  const parts = [];
+  let current = '';
+  for (const line of String(text).split('\n')) {
+    if (current && current.length + line.length + 1 > MESSAGE_LIMIT) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line.slice(0, MESSAGE_LIMIT);
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+const formatDue = (due) => (due ? due.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : 'no due date');
+
+function createTelegram(db, { notifier, routerClient, audit }) {
+  let running = false;
+  let drainTimer = null;
+  let draining = null;
+  let drainAgain = false;
+
+  // --- Outgoing messages ---
+
+  async function enqueue(text, { chatId, category } = {}) {
+    const settings = await getTelegramSettings(db);
+    const target = chatId || settings.chatId;
+    if (!target) return 0;
+    const now = new Date().toISOString();
+    for (const part of splitMessage(text)) {
+      await db.run(
+        'INSERT INTO telegram_outbox (chatId, text, category, status, attempts, nextAttemptAt, createdAt) VALUES (?, ?, ?, ?, 0, ?, ?)',
+        [String(target), part, category || null, 'pending', now, now]
+      );
+    }
+    drain();
+    return 1;
+  }
+
+  async function drainQueue() {
+    const settings = await getTelegramSettings(db);
+    if (!settings.botToken) return;
+    const bot = createBotApi(settings);
+    const now = new Date();
+    const due = await db.all(
+      "SELECT * FROM telegram_outbox WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY id LIMIT 50",
+      [now.toISOString()]
+    );
+    for (const msg of due) {
+      try {
+        await bot.call('sendMessage', { chat_id: msg.chatId, text: msg.text, disable_web_page_preview: true });
+        await db.run("UPDATE telegram_outbox SET status = 'sent', attempts = attempts + 1, sentAt = ?, lastError = NULL WHERE id = ?", [new Date().toISOString(), msg.id]);
+      } catch (e) {
+        const attempts = msg.attempts + 1;
+        const delay = e.retryAfter ? e.retryAfter * 1000 : RETRY_BASE_MS * Math.pow(2, attempts - 1);
+        const failed = e.permanent || attempts >= MAX_ATTEMPTS;
+        await db.run(
+          'UPDATE telegram_outbox SET status = ?, attempts = ?, nextAttemptAt = ?, lastError = ? WHERE id = ?',
+          [failed ? 'failed' : 'pending', attempts, new Date(Date.now() + delay).toISOString(), e.message, msg.id]
+        );
+        if (failed) console.error(`[Telegram] Giving up on message ${msg.id}: ${e.message}`);
+        // Rate limited or unreachable: everything else would fail the same way.
+        if (!e.permanent) break;
+      }
+    }
+    const cutoff = new Date(now.getTime() - SENT_RETENTION_DAYS * 86400 * 1000).toISOString();
+    await db.run("DELETE FROM telegram_outbox WHERE status = 'sent' AND sentAt < ?", [cutoff]);
+  }
+
+  // Messages queued while a delivery round is running get another round
+  // straight after it instead of waiting for the timer.
+  function drain() {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+    draining = drainQueue()
+      .catch(e => console.error('[Telegram] Outbox delivery failed:', e.message))
+      .finally(() => {
+        draining = null;
+        if (drainAgain) {
+          drainAgain = false;
+          drain();
+        }
+      });
+    return draining;
+  }
+
+  // Alerts follow the per-category switches; notifications without a
+  // category are panel-only.
+  async function onNotification(notification, { category } = {}) {
+    const settings = await getTelegramSettings(db);
+    const flag = CATEGORY_FLAGS[category];
+    if (!settings.enabled || !flag || !settings[flag]) return;
+    await enqueue(notification.message, { category });
+  }
+
+  // --- Commands ---
+
+  // A username can exist on several routers; the optional router name
+  // after it picks one.
+  async function findSecret(username, routerName) {
+    let routers = await db.all('SELECT id, name FROM routers ORDER BY name');
+    if (routerName) routers = routers.filter(r => r.name.toLowerCase() === routerName.toLowerCase());
+    if (!routers.length) throw new Error(`No router named '${routerName}'.`);
+    const where = encodeURIComponent(JSON.stringify({ name: username }));
+    const found = [];
+    for (const router of routers) {
+      const secrets = await routerClient.call(router.id, `ppp/secret/print?where=${where}`).catch(() => []);
+      const secret = [].concat(secrets || [])[0];
+      if (secret) found.push({ router, secret });
+    }
+    if (found.length > 1) {
+      throw new Error(`'${username}' exists on ${found.map(f => f.router.name).join(', ')}. Add the router name, e.g. /status ${username} ${found[0].router.name}`);
+    }
+    return found[0] || null;
+  }
+
+  async function findDhcpClient(name, routerName) {
+    let routers = await db.all('SELECT id, name FROM routers ORDER BY name');
+    if (routerName) routers = routers.filter(r => r.name.toLowerCase() === routerName.toLowerCase());
+    const where = encodeURIComponent(JSON.stringify({ list: 'authorized-dhcp-users' }));
+    for (const router of routers) {
+      const entries = await routerClient.call(router.id, `ip/firewall/address-list/print?where=${where}`).catch(() => []);
+      for (const entry of [].concat(entries || [])) {
+        const comment = parseComment(entry.comment);
+        if ((comment.customerInfo || '').toLowerCase() === name.toLowerCase()) return { router, entry, comment };
+      }
+    }
+    return null;
+  }
+
+  async function record(command, { router, target, recordId, customer, status = 200, payload }) {
+    if (!audit) return;
+    await audit.record({
+      username: 'telegram', source: 'telegram', method: 'POST', routerId: router.id,
+      target, recordId, customer, status, payload: { command, ...payload },
+    }).catch(e => console.error('Failed to write audit log entry:', e.message));
+  }
+
+  async function dueToday() {
+    const routers = await db.all('SELECT id, name FROM routers ORDER BY name');
+    const today = new Date().toDateString();
+    const isToday = (comment) => {
+      const due = getDue(comment);
+      return due && due.toDateString() === today;
+    };
+    const lines = [];
+    for (const router of routers) {
+      try {
+        const secrets = [].concat(await routerClient.call(router.id, 'ppp/secret/print?proplist=name,comment,disabled') || []);
+        const where = encodeURIComponent(JSON.stringify({ list: 'authorized-dhcp-users' }));
+        const entries = [].concat(await routerClient.call(router.id, `ip/firewall/address-list/print?where=${where}`) || []);
+        const due = [
+          ...secrets.filter(s => isToday(parseComment(s.comment))).map(s => {
+            const comment = parseComment(s.comment);
+            return `  PPPoE ${s.name} - ${comment.plan || 'no plan'} at ${formatDue(getDue(comment))}`;
+          }),
+          ...entries.filter(e => isToday(parseComment(e.comment))).map(e => {
+            const comment = parseComment(e.comment);
+            return `  DHCP ${comment.customerInfo || e.address} - ${comment.planName || 'no plan'} at ${formatDue(getDue(comment))}`;
+          }),
+        ];
+        if (due.length) lines.push(`${router.name}:`, ...due);
+      } catch (e) {
+        lines.push(`${router.name}: could not be reached (${e.message})`);
+      }
+    }
+    return lines.length ? `Due today:\n${lines.join('\n')}` : 'Nobody is due today.';
+  }
+
+  async function status(username, routerName) {
+    const found = await findSecret(username, routerName);
+    if (found) {
+      const { router, secret } = found;
+      const comment = parseComment(secret.comment);
+      const due = getDue(comment);
+      const where = encodeURIComponent(JSON.stringify({ name: secret.name }));
+      const [session] = [].concat(await routerClient.call(router.id, `ppp/active/print?where=${where}`).catch(() => []) || []);
+      return [
+        `PPPoE ${secret.name} on ${router.name}`,
+        `Profile: ${secret.profile}${isTrue(secret.disabled) ? ' (disabled)' : ''}`,
+        `Plan: ${comment.plan || 'none'}`,
+        `Due: ${formatDue(due)}${due && due < new Date() ? ' (overdue)' : ''}`,
+        session ? `Online: ${session.address || ''} for ${session.uptime}` : 'Offline',
+      ].join('\n');
+    }
+    const dhcp = await findDhcpClient(username, routerName);
+    if (dhcp) {
+      const due = getDue(dhcp.comment);
+      return [
+        `DHCP ${dhcp.comment.customerInfo} on ${dhcp.router.name}`,
+        `Address: ${dhcp.entry.address}`,
+        `Plan: ${dhcp.comment.planName || 'none'}`,
+        `Due: ${formatDue(due)}${due && due < new Date() ? ' (overdue)' : ''}`,
+      ].join('\n');
+    }
+    return `No subscriber named '${username}' was found.`;
+  }
+
+  // Renews the subscriber on the plan named in their secret's comment, the
+  // same way a payment taken in the panel does (including the sale record).
+  async function pay(username, routerName) {
+    const found = await findSecret(username, routerName);
+    if (!found) return `No PPPoE subscriber named '${username}' was found.`;
+    const { router, secret } = found;
+    const comment = parseComment(secret.comment);
+    if (!comment.plan) return `${secret.name} has no plan on record; take this payment in the panel.`;
+    const plan = await db.get(
+      "SELECT * FROM billing_plans WHERE name = ? AND (routerId = ? OR routerId IS NULL OR routerId = '') ORDER BY routerId DESC LIMIT 1",
+      [comment.plan, router.id]
+    );
+    if (!plan) return `Billing plan '${comment.plan}' no longer exists; take this payment in the panel.`;
+    const customer = await db.get('SELECT * FROM customers WHERE routerId = ? AND username = ?', [router.id, secret.name]);
+    const result = await routerClient.call(router.id, 'ppp/payment/process', 'POST', {
+      secret: { name: secret.name, customer: customer || undefined },
+      plan,
+    });
+    await record('pay', { router, target: 'ppp/payment/process', recordId: secret.id, customer: secret.name, payload: { plan: plan.name, price: plan.price } });
+    return `Payment of ${plan.currency || ''} ${plan.price} recorded for ${secret.name} (${plan.name}). Next due: ${formatDue(new Date(result.dueDateTime))}.`;
+  }
+
+  async function setEnabled(username, routerName, enabled) {
+    const found = await findSecret(username, routerName);
+    if (!found) return `No PPPoE subscriber named '${username}' was found.`;
+    const { router, secret } = found;
+    const verb = enabled ? 'enable' : 'disable';
+    await routerClient.call(router.id, `ppp/secret/${verb}`, 'POST', { '.id': secret.id });
+    if (!enabled) {
+      const where = encodeURIComponent(JSON.stringify({ name: secret.name }));
+      const sessions = [].concat(await routerClient.call(router.id, `ppp/active/print?where=${where}`).catch(() => []) || []);
+      for (const session of sessions) await routerClient.call(router.id, 'ppp/active/remove', 'POST', { '.id': session.id }).catch(() => {});
+    }
+    await record(verb, { router, target: `ppp/secret/${verb}`, recordId: secret.id, customer: secret.name });
+    return `${secret.name} is now ${enabled ? 'enabled' : 'disabled'} on ${router.name}.`;
+  }
+
+  async function runCommand(text) {
+    const [rawCommand, username, ...rest] = text.trim().split(/\s+/);
+    const command = rawCommand.replace(/@.*$/, '').toLowerCase();
+    const routerName = rest.join(' ') || undefined;
+    if (command === '/due') return dueToday();
+    if (['/status', '/pay', '/enable', '/disable'].includes(command) && !username) return `Usage: ${command} <username> [router]`;
+    switch (command) {
+      case '/status': return status(username, routerName);
+      case '/pay': return pay(username, routerName);
+      case '/enable': return setEnabled(username, routerName, true);
+      case '/disable': return setEnabled(username, routerName, false);
+      default: return HELP;
+    }
+  }
+
+  async function handleUpdate(update, settings) {
+    const message = update.message;
+    if (!message || typeof message.text !== 'string') return;
+    if (String(message.chat && message.chat.id) !== String(settings.chatId)) {
+      console.warn(`[Telegram] Ignoring message from unauthorised chat ${message.chat && message.chat.id}`);
+      return;
+    }
+    let reply;
+    try {
+      reply = await runCommand(message.text);
+    } catch (e) {
+      reply = `Error: ${e.message}`;
+    }
+    await enqueue(reply, { chatId: message.chat.id });
+  }
+
+  // Long-polls getUpdates while the bot is enabled. The offset is stored per
+  // bot so a restart doesn't replay commands and a new token starts fresh.
+  async function pollLoop() {
+    while (running) {
+      const settings = await getTelegramSettings(db).catch(() => ({}));
+      if (!settings.enabled || !settings.botToken || !settings.chatId) {
+        await sleep(IDLE_CHECK_MS);
+        continue;
+      }
+      const offsetKey = `telegram_offset:${settings.botToken.split(':')[0]}`;
+      try {
+        const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', [offsetKey]);
+        const updates = await createBotApi(settings).call(
+          'getUpdates',
+          { offset: row ? JSON.parse(row.value_json) : undefined, timeout: POLL_TIMEOUT_S, allowed_updates: ['message'] },
+          { timeout: (POLL_TIMEOUT_S + 10) * 1000 }
+        );
+        for (const update of updates) {
+          await db.run(
+            'INSERT INTO kv_store (key, value_json) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value_json = excluded.value_json',
+            [offsetKey, JSON.stringify(update.update_id + 1)]
+          );
+          await handleUpdate(update, settings).catch(e => console.error('[Telegram] Command failed:', e.message));
+        }
+      } catch (e) {
+        console.error('[Telegram] Polling failed:', e.message);
+        await sleep(e.retryAfter ? e.retryAfter * 1000 : IDLE_CHECK_MS);
+      }
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    if (notifier) {
+      notifier.events.on('notification', (notification, meta) => {
+        onNotification(notification, meta).catch(e => console.error('[Telegram] Could not queue alert:', e.message));
+      });
+    }
+    drainTimer = setInterval(drain, DRAIN_INTERVAL_MS);
+    drainTimer.unref();
+    pollLoop();
+  }
+
+  function stop() {
+    running = false;
+    clearInterval(drainTimer);
+  }
+
+  const router = express.Router();
+  // Sends straight away rather than through the outbox so the admin sees
+  // the real error for a wrong token or chat id. A base URL from the request
+  // is only used with a token from the request too; the saved token only
+  // ever goes to the saved or configured one.
+  router.post('/test', async (req, res) => {
+    try {
+      const settings = await getTelegramSettings(db);
+      const body = req.body || {};
+      const botToken = body.botToken || settings.botToken;
+      const chatId = body.chatId || settings.chatId;
+      if (!botToken || !chatId) throw new ValidationError(botToken ? 'chatId' : 'botToken', 'Bot token and chat ID are required.');
+      const apiBaseUrl = botToken === settings.botToken ? settings.apiBaseUrl : body.apiBaseUrl;
+      await createBotApi({ botToken, apiBaseUrl }).call('sendMessage', { chat_id: chatId, text: `Test message from the panel. Send /help here to see the bot commands.` });
+      res.json({ message: `Test message sent to chat ${chatId}.` });
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/outbox', async (req, res) => {
+    try {
+      const rows = await db.all("SELECT * FROM telegram_outbox WHERE status != 'sent' ORDER BY id DESC LIMIT 100");
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, start, stop, enqueue, runCommand };
+}
+
+module.exports = { createTelegram };
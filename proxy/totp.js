@@ -0,0 +1,71 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 30-second steps, 6 digits, secrets shared as base32.
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function toBase32(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function fromBase32(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+const generateSecret = () => toBase32(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the step the code belongs to, or null. One step either side is
+// accepted for clock drift; steps at or before `afterStep` are refused so a
+// code can't be used twice.
+function verify(secret, code, { afterStep = -1, window = 1, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= afterStep) continue;
+    const expected = codeAt(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return s;
+  }
+  return null;
+}
+
+const otpauthUrl = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = { generateSecret, verify, otpauthUrl, codeAt, currentStep };
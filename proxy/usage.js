@@ -0,0 +1,310 @@
+// Per-subscriber data usage. A job reads the byte counters of PPPoE sessions
+// (their dynamic <pppoe-name> interface) and of the simple queues that
+// dhcp-client/update creates for DHCP portal clients, and adds whatever was
+// used since the previous reading to the subscriber's current billing cycle.
+// A cycle ends when the due date in the subscriber's comment moves, i.e. at
+// renewal. Plans with a quota get their fair-usage limit once the quota is
+// used up, until the next cycle: a DHCP client's simple queue gets it as its
+// `max-limit`, and a PPPoE secret is moved to a copy of its profile with it
+// as the `rate-limit`. RouterOS builds the dynamic <pppoe-name> queue from
+// the profile on every connect and refuses edits to it.
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction } = require('./dbUtils');
+const { parseComment, getDue } = require('./routeros');
+
+const KINDS = ['pppoe', 'dhcp'];
+const GB = 1000 * 1000 * 1000;
+const FUP_PROFILE_MARK = '-fup-';
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+const idOf = (item) => item['.id'] || item.id;
+const where = (filter) => encodeURIComponent(JSON.stringify(filter));
+
+// 'gold' throttled to 1M/1M is 'gold-fup-1M_1M'.
+const fupProfileName = (profile, fupLimit) => `${profile}${FUP_PROFILE_MARK}${String(fupLimit).replace(/[^\w.-]/g, '_')}`;
+const baseProfile = (profile) => String(profile || '').split(FUP_PROFILE_MARK)[0];
+
+// Subscribers without a due date are accounted per calendar month.
+function cycleOf(due, now = new Date()) {
+  if (due && !isNaN(due)) return { cycleKey: due.toISOString(), cycleEnd: due.toISOString() };
+  const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  return { cycleKey: `month:${month}`, cycleEnd: new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString() };
+}
+
+// Simple queue `bytes` reads "upload/download" from the target's side.
+function queueBytes(queue) {
+  const [up, down] = String(queue.bytes || '').split('/').map(Number);
+  return Number.isFinite(up) && Number.isFinite(down) ? { up, down } : null;
+}
+
+const toCycle = (row) => row && {
+  ...row,
+  throttled: !!row.throttled,
+  totalBytes: row.uploadBytes + row.downloadBytes,
+};
+
+function createUsage(db, { routerClient, notifier }) {
+  async function findPlan(kind, routerId, planName, profile) {
+    if (kind === 'dhcp') {
+      return planName ? db.get('SELECT * FROM dhcp_billing_plans WHERE routerId = ? AND name = ?', [routerId, planName]) : null;
+    }
+    const scope = "(routerId = ? OR routerId IS NULL OR routerId = '')";
+    return (planName && await db.get(`SELECT * FROM billing_plans WHERE name = ? AND ${scope}`, [planName, routerId]))
+      || (profile && await db.get(`SELECT * FROM billing_plans WHERE pppoeProfile = ? AND ${scope}`, [profile, routerId]))
+      || null;
+  }
+
+  // Everything the job needs about one router's subscribers: who they are,
+  // their cycle, current counters and where their limit is applied.
+  async function readPppoe(routerId) {
+    const [secrets, active, interfaces] = await Promise.all([
+      routerClient.call(routerId, 'ppp/secret/print?proplist=name,profile,comment'),
+      routerClient.call(routerId, 'ppp/active/print?proplist=name,address,session-id'),
+      routerClient.call(routerId, 'interface/stats'),
+    ]);
+    const stats = new Map(interfaces.map(i => [i.name, i]));
+    const sessions = new Map(active.map(s => [s.name, s]));
+    return secrets.map(secret => {
+      const comment = parseComment(secret.comment);
+      const session = sessions.get(secret.name);
+      const iface = session && stats.get(`<pppoe-${secret.name}>`);
+      // The router receives what the subscriber uploads.
+      const counters = iface && Number.isFinite(Number(iface['rx-byte'])) && Number.isFinite(Number(iface['tx-byte']))
+        ? { up: Number(iface['rx-byte']), down: Number(iface['tx-byte']), sessionKey: session['session-id'] || idOf(session) }
+        : null;
+      return {
+        subscriber: secret.name,
+        label: secret.name,
+        due: getDue(comment),
+        planName: comment.plan,
+        secretId: idOf(secret),
+        profile: secret.profile,
+        session: session || null,
+        counters,
+      };
+    });
+  }
+
+  async function readDhcp(routerId) {
+    const [entries, queues] = await Promise.all([
+      routerClient.call(routerId, 'ip/firewall/address-list/print?where={"list":"authorized-dhcp-users"}'),
+      routerClient.call(routerId, 'queue/simple/print?proplist=name,target,bytes,max-limit'),
+    ]);
+    return entries.map(entry => {
+      const comment = parseComment(entry.comment);
+      const queue = queues.find(q => String(q.target || '').split(',').some(t => t === entry.address || t === `${entry.address}/32`))
+        || (comment.customerInfo && queues.find(q => q.name === comment.customerInfo))
+        || null;
+      const bytes = queue && queueBytes(queue);
+      return {
+        subscriber: entry.address,
+        label: comment.customerInfo || entry.address,
+        due: getDue(comment),
+        planName: comment.planName,
+        counters: bytes ? { ...bytes, sessionKey: idOf(queue) } : null,
+        queue,
+      };
+    });
+  }
+
+  async function setMaxLimit(routerId, queue, maxLimit) {
+    await routerClient.call(routerId, 'queue/simple/set', 'POST', { '.id': idOf(queue), 'max-limit': maxLimit });
+    queue['max-limit'] = maxLimit;
+  }
+
+  async function ensureFupProfile(routerId, profile, fupLimit) {
+    const name = fupProfileName(profile, fupLimit);
+    const found = await routerClient.call(routerId, `ppp/profile/print?where=${where({ name })}`);
+    if (!found.length) await routerClient.call(routerId, 'ppp/profile/add', 'POST', { 'copy-from': profile, name, 'rate-limit': fupLimit });
+    return name;
+  }
+
+  // The new profile's rate applies from the next connect, so the live
+  // session is dropped and the client dials straight back in.
+  async function setPppProfile(routerId, sub, profile) {
+    await routerClient.call(routerId, 'ppp/secret/set', 'POST', { '.id': sub.secretId, profile });
+    if (sub.session) await routerClient.call(routerId, 'ppp/active/remove', 'POST', { '.id': idOf(sub.session) });
+    sub.profile = profile;
+  }
+
+  // Bytes used since the last reading. The first reading of a subscriber is
+  // only a baseline; a new session or queue, or counters that went
+  // backwards, count from zero. Traffic between the last reading and a
+  // disconnect is not seen.
+  async function readDelta(routerId, kind, subscriber, counters, now) {
+    const prev = await db.get('SELECT * FROM usage_counters WHERE routerId = ? AND kind = ? AND subscriber = ?', [routerId, kind, subscriber]);
+    await db.run(
+      `INSERT INTO usage_counters (routerId, kind, subscriber, sessionKey, upload, download, readAt) VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (routerId, kind, subscriber) DO UPDATE SET sessionKey = excluded.sessionKey, upload = excluded.upload, download = excluded.download, readAt = excluded.readAt`,
+      [routerId, kind, subscriber, String(counters.sessionKey), counters.up, counters.down, now]
+    );
+    if (!prev) return { up: 0, down: 0 };
+    if (prev.sessionKey !== String(counters.sessionKey) || counters.up < prev.upload || counters.down < prev.download) {
+      return { up: counters.up, down: counters.down };
+    }
+    return { up: counters.up - prev.upload, down: counters.down - prev.download };
+  }
+
+  async function currentCycle(routerId, kind, sub, plan, now) {
+    const { cycleKey, cycleEnd } = cycleOf(sub.due);
+    const quotaBytes = plan && Number(plan.quotaGb) > 0 ? Math.round(Number(plan.quotaGb) * GB) : null;
+    await db.run(
+      `INSERT INTO usage_cycles (routerId, kind, subscriber, label, cycleKey, cycleStart, cycleEnd, planName, quotaBytes, fupLimit, uploadBytes, downloadBytes, throttled, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, ?)
+       ON CONFLICT (routerId, kind, subscriber, cycleKey) DO UPDATE SET label = excluded.label, cycleEnd = excluded.cycleEnd,
+         planName = excluded.planName, quotaBytes = excluded.quotaBytes, fupLimit = excluded.fupLimit`,
+      [routerId, kind, sub.subscriber, sub.label, cycleKey, now, cycleEnd, plan ? plan.name : sub.planName || null, quotaBytes,
+        plan && plan.fupLimit ? plan.fupLimit : null, now]
+    );
+    return db.get('SELECT * FROM usage_cycles WHERE routerId = ? AND kind = ? AND subscriber = ? AND cycleKey = ?', [routerId, kind, sub.subscriber, cycleKey]);
+  }
+
+  // Puts back the profile or queue limit the subscriber had before it was
+  // throttled, unless someone has changed it since (a renewal sets the
+  // plan's profile itself).
+  async function release(routerId, kind, cycle, sub) {
+    if (kind === 'pppoe') {
+      if (cycle.normalProfile && cycle.fupLimit && sub.profile === fupProfileName(cycle.normalProfile, cycle.fupLimit)) {
+        await setPppProfile(routerId, sub, cycle.normalProfile);
+      }
+    } else if (sub.queue && cycle.normalMaxLimit && sub.queue['max-limit'] === cycle.fupLimit) {
+      await setMaxLimit(routerId, sub.queue, cycle.normalMaxLimit);
+    }
+    await db.run('UPDATE usage_cycles SET throttled = 0 WHERE id = ?', [cycle.id]);
+  }
+
+  // Checked on every run: an admin may move a PPPoE secret back to its plan
+  // profile, and dhcp-client/update may rewrite a DHCP queue. A limit found
+  // in place of ours becomes the one to restore.
+  async function enforce(router, kind, sub, cycle) {
+    const over = cycle.quotaBytes && cycle.fupLimit && cycle.uploadBytes + cycle.downloadBytes >= cycle.quotaBytes;
+    if (!over) {
+      if (cycle.throttled) await release(router.id, kind, cycle, sub);
+      return 0;
+    }
+    if (kind === 'pppoe') {
+      if (!sub.profile) throw new Error(`${sub.label} is over quota but its PPP secret has no profile to limit`);
+      const normal = baseProfile(sub.profile);
+      if (sub.profile !== fupProfileName(normal, cycle.fupLimit)) {
+        await db.run('UPDATE usage_cycles SET normalProfile = ? WHERE id = ?', [normal, cycle.id]);
+        await setPppProfile(router.id, sub, await ensureFupProfile(router.id, normal, cycle.fupLimit));
+      }
+    } else if (!sub.queue) {
+      throw new Error(`${sub.label} is over quota but has no simple queue to limit`);
+    } else if (sub.queue['max-limit'] !== cycle.fupLimit) {
+      await db.run('UPDATE usage_cycles SET normalMaxLimit = ? WHERE id = ?', [sub.queue['max-limit'] || null, cycle.id]);
+      await setMaxLimit(router.id, sub.queue, cycle.fupLimit);
+    }
+    if (cycle.throttled) return 0;
+    await db.run('UPDATE usage_cycles SET throttled = 1, throttledAt = ? WHERE id = ?', [new Date().toISOString(), cycle.id]);
+    await notifier.notify({
+      key: `fup-throttled:${router.id}:${kind}:${sub.subscriber}:${cycle.cycleKey}`,
+      type: 'warning',
+      message: `${sub.label} on ${router.name} used ${((cycle.uploadBytes + cycle.downloadBytes) / GB).toFixed(2)} GB of a ${(cycle.quotaBytes / GB).toFixed(2)} GB quota; speed limited to ${cycle.fupLimit}.`,
+      linkTo: kind === 'pppoe' ? 'pppoe' : 'dhcp-portal',
+      context: { routerId: router.id, kind, subscriber: sub.subscriber, cycleKey: cycle.cycleKey },
+      debounceMinutes: Infinity,
+    });
+    return 1;
+  }
+
+  async function collectRouter(router, summary) {
+    const now = new Date().toISOString();
+    for (const kind of KINDS) {
+      const subscribers = kind === 'pppoe' ? await readPppoe(router.id) : await readDhcp(router.id);
+      for (const sub of subscribers) {
+        try {
+          const plan = await findPlan(kind, router.id, sub.planName, baseProfile(sub.profile));
+          const cycle = await withTransaction(db, async () => {
+            const delta = sub.counters ? await readDelta(router.id, kind, sub.subscriber, sub.counters, now) : { up: 0, down: 0 };
+            const row = await currentCycle(router.id, kind, sub, plan, now);
+            await db.run(
+              'UPDATE usage_cycles SET uploadBytes = uploadBytes + ?, downloadBytes = downloadBytes + ?, updatedAt = ? WHERE id = ?',
+              [delta.up, delta.down, now, row.id]
+            );
+            summary.bytes += delta.up + delta.down;
+            return db.get('SELECT * FROM usage_cycles WHERE id = ?', [row.id]);
+          });
+          // A renewal starts a new cycle; limits from the old one come off.
+          const previous = await db.all(
+            'SELECT * FROM usage_cycles WHERE routerId = ? AND kind = ? AND subscriber = ? AND id != ? AND throttled = 1',
+            [router.id, kind, sub.subscriber, cycle.id]
+          );
+          for (const old of previous) await release(router.id, kind, old, sub);
+          summary.throttled += await enforce(router, kind, sub, cycle);
+          summary.subscribers++;
+        } catch (e) {
+          summary.errors.push(`${router.name}: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  async function collect() {
+    const routers = await db.all('SELECT id, name FROM routers');
+    const summary = { routers: routers.length, subscribers: 0, bytes: 0, throttled: 0, errors: [] };
+    for (const router of routers) {
+      try {
+        await collectRouter(router, summary);
+      } catch (e) {
+        summary.errors.push(`${router.name}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  // Current cycle of every subscriber on a router.
+  async function listCurrent(routerId, kind) {
+    const rows = await db.all(
+      `SELECT c.* FROM usage_cycles c
+       WHERE c.routerId = ? AND c.kind = ? AND c.id = (
+         SELECT id FROM usage_cycles WHERE routerId = c.routerId AND kind = c.kind AND subscriber = c.subscriber ORDER BY cycleStart DESC, id DESC LIMIT 1)
+       ORDER BY c.label`,
+      [routerId, kind]
+    );
+    return rows.map(toCycle);
+  }
+
+  async function listCycles(routerId, kind, subscriber, limit = 12) {
+    const rows = await db.all(
+      'SELECT * FROM usage_cycles WHERE routerId = ? AND kind = ? AND subscriber = ? ORDER BY cycleStart DESC, id DESC LIMIT ?',
+      [routerId, kind, subscriber, limit]
+    );
+    return rows.map(toCycle);
+  }
+
+  function routerFor(kind) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+      try {
+        if (!req.query.routerId) throw new ValidationError('routerId', 'routerId is required');
+        res.json(await listCurrent(String(req.query.routerId), kind));
+      } catch (e) { sendError(res, e); }
+    });
+
+    router.get('/:routerId/:subscriber/cycles', async (req, res) => {
+      try {
+        res.json(await listCycles(req.params.routerId, kind, req.params.subscriber));
+      } catch (e) { sendError(res, e); }
+    });
+
+    // Starts the current cycle's count over, e.g. after selling a top-up.
+    // The next run lifts the fair-usage limit.
+    router.post('/:routerId/:subscriber/reset', async (req, res) => {
+      try {
+        const [cycle] = await listCycles(req.params.routerId, kind, req.params.subscriber, 1);
+        if (!cycle) throw notFound('No usage recorded for this subscriber');
+        await db.run('UPDATE usage_cycles SET uploadBytes = 0, downloadBytes = 0, updatedAt = ? WHERE id = ?', [new Date().toISOString(), cycle.id]);
+        res.json(toCycle(await db.get('SELECT * FROM usage_cycles WHERE id = ?', [cycle.id])));
+      } catch (e) { sendError(res, e); }
+    });
+
+    return router;
+  }
+
+  return { routerFor, collect, listCurrent, listCycles };
+}
+
+module.exports = { createUsage };
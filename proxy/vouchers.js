@@ -0,0 +1,316 @@
+// Hotspot vouchers: batches generated from a voucher plan are pushed to the
+// router's /ip/hotspot/user list, and a periodic sync reads hotspot users
+// and active sessions back to track each voucher as unused, active, sold
+// (used, time or data left) or expired. A voucher's sale is recorded the
+// first time it is seen in use.
+const crypto = require('crypto');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { withTransaction, newId } = require('./dbUtils');
+const { parseDurationToSeconds, formatDuration } = require('./routeros');
+
+// Look-alike characters (0/O, 1/I/L) are left out of the letter sets.
+const CHARSETS = {
+  numeric: '0123456789',
+  alpha: 'ABCDEFGHJKMNPQRSTUVWXYZ',
+  alphanumeric: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+  lowercase: 'abcdefghjkmnpqrstuvwxyz23456789',
+};
+const PASSWORD_MODES = ['same', 'separate'];
+const STATUSES = ['unused', 'active', 'sold', 'expired'];
+const MAX_BATCH = 500;
+const VOUCHER_COMMENT = (batchId) => `voucher:${batchId}`;
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+function intOption(value, field, { min, max, fallback }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new ValidationError(field, `Field '${field}' must be an integer between ${min} and ${max}`);
+  return n;
+}
+
+const randomCode = (charset, length) => Array.from({ length }, () => charset[crypto.randomInt(charset.length)]).join('');
+
+function createVouchers(db, { routerClient, onPayment }) {
+  async function getPlan(routerId, planId) {
+    if (!planId) throw new ValidationError('planId', "Field 'planId' is required");
+    const plan = await db.get('SELECT * FROM voucher_plans WHERE id = ? AND routerId = ?', [planId, routerId]);
+    if (!plan) throw notFound('Voucher plan not found for this router');
+    return plan;
+  }
+
+  async function generateBatch(body, user) {
+    const { routerId } = body;
+    if (!routerId) throw new ValidationError('routerId', "Field 'routerId' is required");
+    const router = await db.get('SELECT id FROM routers WHERE id = ?', [routerId]);
+    if (!router) throw notFound('Router not found');
+    const plan = await getPlan(routerId, body.planId);
+    const count = intOption(body.count, 'count', { min: 1, max: MAX_BATCH, fallback: 10 });
+    const codeLength = intOption(body.codeLength, 'codeLength', { min: 4, max: 16, fallback: 6 });
+    const charsetName = body.charset || 'numeric';
+    const charset = CHARSETS[charsetName];
+    if (!charset) throw new ValidationError('charset', `Field 'charset' must be one of ${Object.keys(CHARSETS).join(', ')}`);
+    const passwordMode = body.passwordMode || 'same';
+    if (!PASSWORD_MODES.includes(passwordMode)) throw new ValidationError('passwordMode', "Field 'passwordMode' must be 'same' or 'separate'");
+    const prefix = body.prefix ? String(body.prefix) : '';
+    if (!/^[A-Za-z0-9]{0,6}$/.test(prefix)) throw new ValidationError('prefix', "Field 'prefix' must be up to 6 letters or digits");
+    // Keep random codes sparse so they can't be guessed by counting up.
+    if (Math.pow(charset.length, codeLength) < count * 1000) {
+      throw new ValidationError('codeLength', `Codes of ${codeLength} characters are too short for ${count} vouchers; use a longer code or a larger character set`);
+    }
+
+    const limitUptime = plan.duration_minutes > 0 ? formatDuration(plan.duration_minutes * 60) : null;
+    const limitBytes = plan.data_limit_mb > 0 ? Math.round(plan.data_limit_mb * 1024 * 1024) : null;
+    const profile = plan.mikrotik_profile_name || 'default';
+
+    // Codes must not clash with any hotspot user already on the router.
+    const existing = await routerClient.call(routerId, 'ip/hotspot/user/print?proplist=name');
+    const taken = new Set((Array.isArray(existing) ? existing : [existing]).map(u => u.name));
+    (await db.all('SELECT code FROM vouchers WHERE routerId = ?', [routerId])).forEach(v => taken.add(v.code));
+    const codes = [];
+    while (codes.length < count) {
+      const code = prefix + randomCode(charset, codeLength);
+      if (taken.has(code)) continue;
+      taken.add(code);
+      codes.push(code);
+    }
+
+    const batch = {
+      id: newId('vbatch'),
+      routerId,
+      planId: plan.id,
+      planName: plan.name,
+      price: plan.price,
+      currency: plan.currency || null,
+      profile,
+      limitUptime,
+      limitBytes,
+      codeLength,
+      charset: charsetName,
+      passwordMode,
+      count: 0,
+      createdAt: new Date().toISOString(),
+      createdBy: user ? user.username : null,
+    };
+    const cols = Object.keys(batch);
+    await db.run(`INSERT INTO voucher_batches (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`, cols.map(c => batch[c]));
+
+    const failed = [];
+    for (const code of codes) {
+      const password = passwordMode === 'same' ? code : randomCode(charset, codeLength);
+      const item = { name: code, password, profile, comment: VOUCHER_COMMENT(batch.id) };
+      if (limitUptime) item['limit-uptime'] = limitUptime;
+      if (limitBytes) item['limit-bytes-total'] = limitBytes;
+      try {
+        const added = await routerClient.call(routerId, 'ip/hotspot/user/add', 'POST', item);
+        await db.run(
+          'INSERT INTO vouchers (id, batchId, routerId, code, password, status, routerUserId, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [newId('vch'), batch.id, routerId, code, password, 'unused', (added && added.id) || null, batch.createdAt]
+        );
+        batch.count++;
+      } catch (e) {
+        failed.push({ code, error: e.message });
+        // An unreachable router fails every remaining push the same way.
+        if (e.status === 502 || e.status === 503) break;
+      }
+    }
+    if (!batch.count) {
+      await db.run('DELETE FROM voucher_batches WHERE id = ?', [batch.id]);
+      throw Object.assign(new Error(`No vouchers could be created: ${failed[0] ? failed[0].error : 'unknown error'}`), { status: 502 });
+    }
+    await db.run('UPDATE voucher_batches SET count = ? WHERE id = ?', [batch.count, batch.id]);
+    return { batch, created: batch.count, failed, skipped: count - batch.count - failed.length };
+  }
+
+  async function recordSale(voucher, batch, routerName, usedAt) {
+    const sale = {
+      id: newId('sale'),
+      date: usedAt,
+      clientName: `Voucher ${voucher.code}`,
+      planName: batch.planName,
+      planPrice: batch.price,
+      discountAmount: 0,
+      finalAmount: batch.price,
+      routerName,
+      currency: batch.currency,
+      routerId: voucher.routerId,
+    };
+    const cols = Object.keys(sale);
+    await db.run(`INSERT INTO sales_records (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`, cols.map(c => sale[c]));
+    if (onPayment) {
+      onPayment({
+        source: 'voucher', routerId: sale.routerId, clientName: sale.clientName, planName: sale.planName,
+        amount: sale.finalAmount, currency: sale.currency || null, reference: sale.id,
+      });
+    }
+    return sale.id;
+  }
+
+  const limitReached = (user, batch, uptime, bytes) => {
+    const uptimeLimit = parseDurationToSeconds(user['limit-uptime']) || parseDurationToSeconds(batch.limitUptime);
+    const bytesLimit = Number(user['limit-bytes-total']) || batch.limitBytes;
+    return (uptimeLimit > 0 && uptime >= uptimeLimit) || (bytesLimit > 0 && bytes >= bytesLimit);
+  };
+
+  // Reads the router's hotspot users and sessions and moves each tracked
+  // voucher to its current status. Expired vouchers are final.
+  async function syncRouter(routerId) {
+    const router = await db.get('SELECT id, name FROM routers WHERE id = ?', [routerId]);
+    if (!router) throw notFound('Router not found');
+    const vouchers = await db.all("SELECT * FROM vouchers WHERE routerId = ? AND status != 'expired'", [routerId]);
+    const summary = { checked: vouchers.length, changed: 0, sold: 0 };
+    if (!vouchers.length) return summary;
+
+    const toList = (r) => (Array.isArray(r) ? r : [r]);
+    const users = toList(await routerClient.call(routerId, 'ip/hotspot/user/print?proplist=name,uptime,bytes-in,bytes-out,limit-uptime,limit-bytes-total'));
+    const sessions = toList(await routerClient.call(routerId, 'ip/hotspot/active/print?proplist=user,uptime'));
+    const userByName = new Map(users.map(u => [u.name, u]));
+    const online = new Set(sessions.map(s => s.user));
+    const batches = new Map((await db.all('SELECT * FROM voucher_batches WHERE routerId = ?', [routerId])).map(b => [b.id, b]));
+    const now = new Date().toISOString();
+
+    for (const v of vouchers) {
+      const user = userByName.get(v.code);
+      const batch = batches.get(v.batchId);
+      const uptime = user ? parseDurationToSeconds(user.uptime) || 0 : v.uptimeSeconds;
+      const bytes = user ? (Number(user['bytes-in']) || 0) + (Number(user['bytes-out']) || 0) : v.bytesUsed;
+      const isOnline = online.has(v.code);
+      const used = isOnline || uptime > 0 || bytes > 0 || !!v.firstUsedAt;
+      let status;
+      // A voucher removed from the router can't be used any more.
+      if (!user) status = 'expired';
+      else if (isOnline) status = 'active';
+      else if (used && limitReached(user, batch, uptime, bytes)) status = 'expired';
+      else status = used ? 'sold' : 'unused';
+
+      const update = { status, uptimeSeconds: uptime, bytesUsed: bytes };
+      if (isOnline) update.lastSeenAt = now;
+      const firstUse = used && !v.firstUsedAt && !!user;
+      if (!firstUse && !Object.keys(update).some(k => update[k] !== v[k])) continue;
+      update.updatedAt = now;
+      // The sale and the voucher's first-use mark are written together so a
+      // voucher is never billed twice.
+      await withTransaction(db, async () => {
+        if (firstUse) {
+          update.firstUsedAt = now;
+          update.saleId = await recordSale(v, batch, router.name, now);
+        }
+        const cols = Object.keys(update);
+        await db.run(`UPDATE vouchers SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(c => update[c]), v.id]);
+      });
+      if (firstUse) summary.sold++;
+      if (update.status !== v.status) summary.changed++;
+    }
+    return summary;
+  }
+
+  // Scheduler entry point: every router that still has live vouchers.
+  async function syncAll() {
+    const routers = await db.all("SELECT DISTINCT routerId FROM vouchers WHERE status != 'expired'");
+    const summary = { routers: routers.length, changed: 0, sold: 0, errors: [] };
+    for (const { routerId } of routers) {
+      try {
+        const r = await syncRouter(routerId);
+        summary.changed += r.changed;
+        summary.sold += r.sold;
+      } catch (e) {
+        summary.errors.push(`${routerId}: ${e.message}`);
+      }
+    }
+    return summary;
+  }
+
+  async function listBatches(routerId) {
+    const batches = await db.all(
+      `SELECT * FROM voucher_batches ${routerId ? 'WHERE routerId = ?' : ''} ORDER BY createdAt DESC`,
+      routerId ? [routerId] : []
+    );
+    const counts = await db.all('SELECT batchId, status, COUNT(*) AS n FROM vouchers GROUP BY batchId, status');
+    return batches.map(b => {
+      const statusCounts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+      counts.filter(c => c.batchId === b.id).forEach(c => { statusCounts[c.status] = c.n; });
+      return { ...b, statusCounts };
+    });
+  }
+
+  // Unused vouchers are withdrawn from the router; used ones stay as the
+  // record of what was sold, so a batch with sales is never fully deleted.
+  async function deleteBatch(id) {
+    const batch = await db.get('SELECT * FROM voucher_batches WHERE id = ?', [id]);
+    if (!batch) throw notFound('Voucher batch not found');
+    const unused = await db.all("SELECT * FROM vouchers WHERE batchId = ? AND status = 'unused'", [id]);
+    const errors = [];
+    let removed = 0;
+    for (const v of unused) {
+      try {
+        if (v.routerUserId) await routerClient.call(batch.routerId, 'ip/hotspot/user/remove', 'POST', { '.id': v.routerUserId });
+        await db.run('DELETE FROM vouchers WHERE id = ?', [v.id]);
+        removed++;
+      } catch (e) {
+        errors.push({ code: v.code, error: e.message });
+      }
+    }
+    const { n: kept } = await db.get('SELECT COUNT(*) AS n FROM vouchers WHERE batchId = ?', [id]);
+    if (!kept) await db.run('DELETE FROM voucher_batches WHERE id = ?', [id]);
+    return { removed, kept, errors };
+  }
+
+  const router = express.Router();
+  router.get('/batches', async (req, res) => {
+    try {
+      res.json(await listBatches(req.query.routerId));
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/batches', async (req, res) => {
+    try {
+      res.status(201).json(await generateBatch(req.body || {}, req.user));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/batches/:id', async (req, res) => {
+    try {
+      const batch = await db.get('SELECT * FROM voucher_batches WHERE id = ?', [req.params.id]);
+      if (!batch) throw notFound('Voucher batch not found');
+      const vouchers = await db.all('SELECT * FROM vouchers WHERE batchId = ? ORDER BY code', [batch.id]);
+      res.json({ ...batch, vouchers });
+    } catch (e) { sendError(res, e); }
+  });
+  router.delete('/batches/:id', async (req, res) => {
+    try {
+      res.json(await deleteBatch(req.params.id));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/', async (req, res) => {
+    try {
+      const where = [];
+      const params = [];
+      for (const field of ['routerId', 'batchId', 'status']) {
+        if (!req.query[field]) continue;
+        if (field === 'status' && !STATUSES.includes(req.query.status)) throw new ValidationError('status', `Field 'status' must be one of ${STATUSES.join(', ')}`);
+        where.push(`${field} = ?`);
+        params.push(String(req.query[field]));
+      }
+      if (req.query.code) {
+        where.push('code LIKE ?');
+        params.push(`%${req.query.code}%`);
+      }
+      const limit = intOption(req.query.limit, 'limit', { min: 1, max: 1000, fallback: 200 });
+      const offset = intOption(req.query.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+      const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const rows = await db.all(`SELECT * FROM vouchers ${clause} ORDER BY createdAt DESC, code LIMIT ? OFFSET ?`, [...params, limit, offset]);
+      const { total } = await db.get(`SELECT COUNT(*) AS total FROM vouchers ${clause}`, params);
+      res.set('X-Total-Count', String(total));
+      res.json(rows);
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/sync', async (req, res) => {
+    try {
+      const { routerId } = req.body || {};
+      res.json(routerId ? await syncRouter(routerId) : await syncAll());
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, syncRouter, syncAll, generateBatch };
+}
+
+module.exports = { createVouchers, CHARSETS };
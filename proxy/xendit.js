@@ -0,0 +1,422 @@
+// Xendit invoicing for subscriber renewals. An invoice is created for a
+// PPPoE customer (billing plan) or a DHCP client (DHCP billing plan) and kept
+// in payment_invoices. When Xendit reports it PAID, through the callback or
+// when a pending invoice is polled, the subscriber is renewed on the router:
+// PPPoE through ppp/payment/process, DHCP through dhcp-client/update.
+//
+// Callbacks are authenticated with the webhook token from the Xendit
+// dashboard and may arrive more than once; activation is claimed with a
+// conditional UPDATE so a subscriber is only ever extended once per invoice.
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const { ValidationError, sendError } = require('./schema');
+const { newId } = require('./dbUtils');
+const { parseComment } = require('./routeros');
+
+const DEFAULT_BASE_URL = 'https://api.xendit.co';
+const DEFAULT_INVOICE_DURATION = 24 * 3600;
+const REFRESH_INTERVAL_MS = 10 * 1000;
+const PAID_STATUSES = ['PAID', 'SETTLED'];
+// An activation still 'running' after this long was cut short, by a restart
+// or a failure that could not be saved, and an admin may retry it.
+const STALE_ACTIVATION_MS = 10 * 60 * 1000;
+const STATUSES = ['PENDING', 'PAID', 'SETTLED', 'EXPIRED'];
+const PAYMENT_METHODS = ['BANK_TRANSFER', 'EWALLET', 'RETAIL_OUTLET', 'QR_CODE', 'VIRTUAL_ACCOUNT', 'CREDIT_CARD', 'DIRECT_DEBIT', 'PAYLATER'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+async function getXenditSettings(db) {
+  const row = await db.get('SELECT value_json FROM kv_store WHERE key = ?', ['panel_settings']);
+  const settings = row ? JSON.parse(row.value_json) : {};
+  return { xendit: settings.xenditSettings || {}, currency: settings.currency };
+}
+
+// The response shape of Xendit's own invoice API, so the frontend can treat
+// a stored invoice and a fresh one alike.
+const toResponse = (inv) => ({
+  id: inv.xenditId,
+  external_id: inv.externalId,
+  status: inv.status,
+  amount: inv.amount,
+  currency: inv.currency,
+  description: inv.description,
+  payer_email: inv.payerEmail,
+  invoice_url: inv.invoiceUrl,
+  expiry_date: inv.expiresAt,
+  created: inv.createdAt,
+  updated: inv.updatedAt,
+  paid_at: inv.paidAt,
+  payment_method: inv.paymentMethod,
+  payment_channel: inv.paymentChannel,
+  localId: inv.id,
+  customerId: inv.customerId,
+  dhcpClientId: inv.dhcpClientId,
+  routerId: inv.routerId,
+  planSource: inv.planSource,
+  planId: inv.planId,
+  planName: inv.planName,
+  activationStatus: inv.activationStatus,
+  activationError: inv.activationError,
+  activationStartedAt: inv.activationStartedAt,
+  activatedAt: inv.activatedAt,
+  dueDateTime: inv.dueDateTime,
+});
+
+function createXendit(db, { routerClient, ledger, notifier, onPayment }) {
+  async function gateway() {
+    const { xendit, currency } = await getXenditSettings(db);
+    if (!xendit.enabled || !xendit.secretKey) throw httpError(400, 'Xendit payments are not enabled. Configure them in System Settings.');
+    const baseURL = (xendit.apiBaseUrl || process.env.XENDIT_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const client = axios.create({ baseURL, auth: { username: xendit.secretKey, password: '' }, timeout: 20000 });
+    const request = async (method, url, data) => {
+      try {
+        return (await client.request({ method, url, data })).data;
+      } catch (e) {
+        const body = e.response && e.response.data;
+        throw httpError(502, `Xendit: ${(body && (body.message || body.error_code)) || e.message}`);
+      }
+    };
+    return { request, currency };
+  }
+
+  // Who is paying for what. PPPoE invoices belong to a customer record,
+  // DHCP invoices to a dhcp_clients record; the plan must be on the same
+  // router as the subscriber.
+  async function resolveSubject({ customerId, dhcpClientId, planId }) {
+    if (!planId) throw new ValidationError('planId', "Field 'planId' is required");
+    if (customerId) {
+      const customer = await db.get('SELECT * FROM customers WHERE id = ?', [customerId]);
+      if (!customer) throw httpError(404, 'Customer not found');
+      const plan = await db.get('SELECT * FROM billing_plans WHERE id = ?', [planId]);
+      if (!plan) throw httpError(404, 'Billing plan not found');
+      if (plan.routerId && plan.routerId !== customer.routerId) throw new ValidationError('planId', 'The plan belongs to a different router than the customer');
+      if (!plan.pppoeProfile) throw new ValidationError('planId', 'The billing plan has no PPPoE profile');
+      return {
+        planSource: 'pppoe', routerId: customer.routerId, customerId: customer.id, dhcpClientId: null, plan,
+        name: customer.fullName || customer.username, email: customer.email, phone: customer.contactNumber,
+      };
+    }
+    if (dhcpClientId) {
+      const client = await db.get('SELECT * FROM dhcp_clients WHERE id = ?', [dhcpClientId]);
+      if (!client) throw httpError(404, 'DHCP client not found');
+      const plan = await db.get('SELECT * FROM dhcp_billing_plans WHERE id = ? AND routerId = ?', [planId, client.routerId]);
+      if (!plan) throw httpError(404, 'DHCP billing plan not found for this router');
+      return {
+        planSource: 'dhcp', routerId: client.routerId, customerId: null, dhcpClientId: client.id, plan,
+        name: client.customerInfo || client.macAddress, email: client.email, phone: client.contactNumber,
+      };
+    }
+    throw new ValidationError('customerId', "Either 'customerId' or 'dhcpClientId' is required");
+  }
+
+  async function createInvoice(body, user) {
+    const subject = await resolveSubject(body);
+    const { request, currency } = await gateway();
+    const amount = Number(subject.plan.price);
+    if (!(amount > 0)) throw new ValidationError('planId', 'The plan has no price to charge');
+    const duration = body.invoiceDuration === undefined ? DEFAULT_INVOICE_DURATION : Number(body.invoiceDuration);
+    if (!Number.isInteger(duration) || duration < 60 || duration > 31 * 86400) throw new ValidationError('invoiceDuration', "Field 'invoiceDuration' must be a number of seconds between 60 and 2678400");
+    const methods = body.paymentMethods || [];
+    if (!Array.isArray(methods) || methods.some(m => !PAYMENT_METHODS.includes(m))) {
+      throw new ValidationError('paymentMethods', `Field 'paymentMethods' may only contain ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const id = newId('xinv');
+    const email = body.payerEmail || subject.email || undefined;
+    const invoice = {
+      external_id: id,
+      amount,
+      currency: subject.plan.currency || currency || 'PHP',
+      description: body.description || `${subject.plan.name} - ${subject.name}`,
+      invoice_duration: duration,
+      customer: { given_names: subject.name, email, mobile_number: subject.phone || undefined },
+      payer_email: email,
+      success_redirect_url: body.successRedirectUrl || undefined,
+      failure_redirect_url: body.failureRedirectUrl || undefined,
+      payment_methods: methods.length ? methods : undefined,
+    };
+    const created = await request('POST', '/v2/invoices', invoice);
+    const now = new Date().toISOString();
+    const row = {
+      id,
+      externalId: id,
+      xenditId: created.id,
+      customerId: subject.customerId,
+      dhcpClientId: subject.dhcpClientId,
+      routerId: subject.routerId,
+      planSource: subject.planSource,
+      planId: subject.plan.id,
+      planName: subject.plan.name,
+      amount,
+      currency: created.currency || invoice.currency,
+      description: invoice.description,
+      payerEmail: email || null,
+      status: created.status || 'PENDING',
+      invoiceUrl: created.invoice_url,
+      expiresAt: created.expiry_date || null,
+      activationStatus: 'pending',
+      createdAt: now,
+      createdBy: user ? user.username : null,
+      updatedAt: now,
+      lastCheckedAt: now,
+    };
+    const cols = Object.keys(row);
+    await db.run(`INSERT INTO payment_invoices (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`, cols.map(c => row[c]));
+    return db.get('SELECT * FROM payment_invoices WHERE id = ?', [id]);
+  }
+
+  async function findInvoice(id) {
+    const inv = await db.get('SELECT * FROM payment_invoices WHERE xenditId = ? OR id = ?', [id, id]);
+    if (!inv) throw httpError(404, 'Invoice not found');
+    return inv;
+  }
+
+  // --- Activation ---
+
+  async function extendPppoe(inv) {
+    const customer = await db.get('SELECT * FROM customers WHERE id = ?', [inv.customerId]);
+    if (!customer) throw new Error('Customer no longer exists');
+    const plan = await db.get('SELECT * FROM billing_plans WHERE id = ?', [inv.planId]);
+    if (!plan) throw new Error('Billing plan no longer exists');
+    // Also records the sale, exactly as a payment taken in the panel does.
+    const result = await routerClient.call(inv.routerId, 'ppp/payment/process', 'POST', {
+      secret: { name: customer.username, customer },
+      plan: { ...plan, price: inv.amount },
+    });
+    return result.dueDateTime;
+  }
+
+  async function extendDhcp(inv) {
+    const client = await db.get('SELECT * FROM dhcp_clients WHERE id = ?', [inv.dhcpClientId]);
+    if (!client) throw new Error('DHCP client no longer exists');
+    const plan = await db.get('SELECT * FROM dhcp_billing_plans WHERE id = ?', [inv.planId]);
+    if (!plan) throw new Error('DHCP billing plan no longer exists');
+    const where = (filter) => encodeURIComponent(JSON.stringify(filter));
+    const leases = [].concat(await routerClient.call(inv.routerId, `ip/dhcp-server/lease/print?where=${where({ 'mac-address': client.macAddress })}`) || []);
+    const lease = leases.find(l => l.address);
+    if (!lease) throw new Error(`No DHCP lease found for ${client.macAddress}`);
+    const entries = [].concat(await routerClient.call(inv.routerId, `ip/firewall/address-list/print?where=${where({ address: lease.address, list: 'authorized-dhcp-users' })}`) || []);
+    const comment = parseComment(entries[0] && entries[0].comment) || {};
+
+    // Paying early adds a full cycle on top of the time left.
+    const current = comment.dueDateTime ? new Date(comment.dueDateTime) : null;
+    const from = current && !Number.isNaN(current.getTime()) && current > new Date() ? current : new Date();
+    const expiresAt = new Date(from.getTime() + (plan.cycle_days || 30) * 86400 * 1000);
+    await routerClient.call(inv.routerId, 'dhcp-client/update', 'POST', {
+      macAddress: client.macAddress,
+      address: lease.address,
+      customerInfo: client.customerInfo || comment.customerInfo || client.macAddress,
+      contactNumber: client.contactNumber || comment.contactNumber,
+      email: client.email || comment.email,
+      plan,
+      planType: comment.planType || 'prepaid',
+      expiresAt: expiresAt.toISOString(),
+      speedLimit: plan.speedLimit || client.speedLimit || undefined,
+    });
+
+    const router = await db.get('SELECT name FROM routers WHERE id = ?', [inv.routerId]);
+    await db.run(
+      `INSERT INTO sales_records (id, date, clientName, planName, planPrice, discountAmount, finalAmount, routerName, currency, routerId, clientContact, clientEmail)
+       VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+      [newId('sale'), new Date().toISOString(), client.customerInfo || client.macAddress, plan.name, inv.amount, inv.amount,
+        router ? router.name : null, inv.currency, inv.routerId, client.contactNumber || null, client.email || null]
+    );
+    await db.run('UPDATE dhcp_clients SET speedLimit = COALESCE(?, speedLimit), lastSeen = ? WHERE id = ?', [plan.speedLimit || null, new Date().toISOString(), client.id]);
+    return expiresAt.toISOString();
+  }
+
+  // Renews the subscriber for a paid invoice. Only the caller that moves
+  // activationStatus out of `from` does the work, so repeated callbacks and
+  // a concurrent poll cannot extend twice. A failure is kept on the invoice
+  // and can be retried by an admin once the cause is fixed; a retry also
+  // takes over a stale 'running' claim.
+  async function activate(invoiceId, { from = 'pending' } = {}) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - STALE_ACTIVATION_MS).toISOString();
+    const claim = await db.run(
+      `UPDATE payment_invoices SET activationStatus = 'running', activationError = NULL, activationStartedAt = ?, updatedAt = ?
+       WHERE id = ? AND (activationStatus = ?${from === 'failed' ? " OR (activationStatus = 'running' AND (activationStartedAt IS NULL OR activationStartedAt < ?))" : ''})`,
+      [now.toISOString(), now.toISOString(), invoiceId, from, ...(from === 'failed' ? [staleBefore] : [])]
+    );
+    const inv = await db.get('SELECT * FROM payment_invoices WHERE id = ?', [invoiceId]);
+    if (!claim.changes) return inv;
+    const label = inv.planSource === 'dhcp' ? `DHCP client ${inv.dhcpClientId}` : `customer ${inv.customerId}`;
+    try {
+      const dueDateTime = inv.planSource === 'dhcp' ? await extendDhcp(inv) : await extendPppoe(inv);
+      await db.run(
+        "UPDATE payment_invoices SET activationStatus = 'done', activatedAt = ?, dueDateTime = ?, updatedAt = ? WHERE id = ?",
+        [new Date().toISOString(), dueDateTime || null, new Date().toISOString(), inv.id]
+      );
+    } catch (e) {
+      console.error(`[Xendit] Could not renew ${label} for invoice ${inv.xenditId}:`, e.message);
+      await db.run(
+        "UPDATE payment_invoices SET activationStatus = 'failed', activationError = ?, updatedAt = ? WHERE id = ?",
+        [e.message, new Date().toISOString(), inv.id]
+      );
+      if (notifier) {
+        await notifier.notify({
+          key: `xendit-activation:${inv.id}`,
+          type: 'error',
+          message: `Xendit invoice ${inv.xenditId} was paid but the subscriber could not be renewed: ${e.message}`,
+          linkTo: inv.planSource === 'dhcp' ? 'dhcp-portal' : 'pppoe',
+          context: { routerId: inv.routerId, invoiceId: inv.id },
+        }).catch(() => {});
+      }
+    }
+    return db.get('SELECT * FROM payment_invoices WHERE id = ?', [inv.id]);
+  }
+
+  // Customers billed through the ledger get the payment on their statement
+  // too. A failure here is logged but does not hold up the renewal.
+  async function recordLedgerPayment(inv, data) {
+    if (!inv.customerId || !ledger) return;
+    const sub = await db.get('SELECT id FROM billing_subscriptions WHERE customerId = ? AND active = 1 LIMIT 1', [inv.customerId]);
+    if (!sub) return;
+    try {
+      const entry = await ledger.recordPayment({
+        customerId: inv.customerId, amount: inv.amount, currency: inv.currency,
+        reference: inv.xenditId, note: `Xendit ${data.payment_channel || data.payment_method || 'payment'}`,
+      });
+      await db.run('UPDATE payment_invoices SET ledgerEntryId = ? WHERE id = ?', [entry.id, inv.id]);
+    } catch (e) {
+      console.error(`[Xendit] Could not record ledger payment for invoice ${inv.xenditId}:`, e.message);
+    }
+  }
+
+  // A payment short of the invoice amount is kept as UNDERPAID instead of
+  // renewing the subscriber. Its activation is left failed, so an admin who
+  // settles the difference another way can still retry it.
+  async function markUnderpaid(inv, data, paidAmount) {
+    const now = new Date().toISOString();
+    const reason = `Underpaid: ${paidAmount} of ${inv.amount} ${inv.currency || ''}`.trim();
+    const claim = await db.run(
+      `UPDATE payment_invoices SET status = 'UNDERPAID', paidAt = ?, paymentMethod = ?, paymentChannel = ?,
+         activationStatus = 'failed', activationError = ?, updatedAt = ?
+       WHERE id = ? AND paidAt IS NULL`,
+      [data.paid_at || now, data.payment_method || null, data.payment_channel || null, reason, now, inv.id]
+    );
+    if (claim.changes && notifier) {
+      await notifier.notify({
+        key: `xendit-underpaid:${inv.id}`,
+        type: 'warning',
+        message: `Xendit invoice ${inv.xenditId} was underpaid (${paidAmount} of ${inv.amount}); the subscriber was not renewed.`,
+        linkTo: inv.planSource === 'dhcp' ? 'dhcp-portal' : 'pppoe',
+        context: { routerId: inv.routerId, invoiceId: inv.id },
+      }).catch(() => {});
+    }
+    return db.get('SELECT * FROM payment_invoices WHERE id = ?', [inv.id]);
+  }
+
+  // Applies a status reported by Xendit (callback or fetch). Moving to PAID
+  // happens once; the first report wins and later ones change nothing.
+  async function applyStatus(inv, data) {
+    const status = String(data.status || '').toUpperCase();
+    if (!STATUSES.includes(status)) return inv;
+    const now = new Date().toISOString();
+    if (PAID_STATUSES.includes(status)) {
+      const paidAmount = Number(data.paid_amount !== undefined ? data.paid_amount : data.amount);
+      if (Number.isFinite(paidAmount) && paidAmount + 0.005 < inv.amount) return markUnderpaid(inv, data, paidAmount);
+      const claim = await db.run(
+        `UPDATE payment_invoices SET status = ?, paidAt = ?, paymentMethod = ?, paymentChannel = ?, updatedAt = ?
+         WHERE id = ? AND paidAt IS NULL`,
+        [status, data.paid_at || now, data.payment_method || null, data.payment_channel || null, now, inv.id]
+      );
+      if (claim.changes) {
+        if (onPayment) {
+          onPayment({
+            source: 'xendit', routerId: inv.routerId, clientName: null, planName: inv.planName,
+            amount: inv.amount, currency: inv.currency, reference: inv.xenditId,
+          });
+        }
+        await recordLedgerPayment(inv, data);
+      } else if (status === 'SETTLED' && inv.status !== 'SETTLED') {
+        await db.run("UPDATE payment_invoices SET status = 'SETTLED', updatedAt = ? WHERE id = ?", [now, inv.id]);
+      }
+      return activate(inv.id);
+    }
+    if (!inv.paidAt && status !== inv.status) {
+      await db.run('UPDATE payment_invoices SET status = ?, updatedAt = ? WHERE id = ? AND paidAt IS NULL', [status, now, inv.id]);
+    }
+    return db.get('SELECT * FROM payment_invoices WHERE id = ?', [inv.id]);
+  }
+
+  // Pending invoices are re-read from Xendit (at most every few seconds) so
+  // a payment is picked up even if the callback never reaches the panel.
+  async function getInvoice(id) {
+    let inv = await findInvoice(id);
+    if (inv.status === 'PENDING' && Date.now() - new Date(inv.lastCheckedAt || 0).getTime() > REFRESH_INTERVAL_MS) {
+      const { request } = await gateway();
+      const remote = await request('GET', `/v2/invoices/${encodeURIComponent(inv.xenditId)}`);
+      await db.run('UPDATE payment_invoices SET lastCheckedAt = ? WHERE id = ?', [new Date().toISOString(), inv.id]);
+      inv = await applyStatus(inv, remote);
+    }
+    return inv;
+  }
+
+  // POST /api/xendit/webhook, called by Xendit without a panel session.
+  async function webhook(req, res) {
+    try {
+      const { xendit } = await getXenditSettings(db);
+      const token = req.get('x-callback-token');
+      if (!xendit.webhookToken || !token || !safeEqual(token, xendit.webhookToken)) {
+        return res.status(401).json({ message: 'Invalid callback token' });
+      }
+      const data = req.body || {};
+      const inv = await db.get('SELECT * FROM payment_invoices WHERE xenditId = ? OR externalId = ?', [data.id || '', data.external_id || '']);
+      // Invoices made elsewhere on the same Xendit account are none of ours;
+      // acknowledge them so Xendit stops retrying.
+      if (!inv) return res.json({ message: 'Ignored: unknown invoice' });
+      if (data.id && inv.xenditId !== data.id) return res.status(400).json({ message: 'Invoice id does not match external_id' });
+      const updated = await applyStatus(inv, data);
+      res.json({ message: 'OK', status: updated.status, activationStatus: updated.activationStatus });
+    } catch (e) { sendError(res, e); }
+  }
+
+  const router = express.Router();
+  router.post('/invoice', async (req, res) => {
+    try {
+      res.status(201).json(toResponse(await createInvoice(req.body || {}, req.user)));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/invoice/:id', async (req, res) => {
+    try {
+      res.json(toResponse(await getInvoice(req.params.id)));
+    } catch (e) { sendError(res, e); }
+  });
+  router.get('/invoices', async (req, res) => {
+    try {
+      const where = [];
+      const params = [];
+      for (const field of ['customerId', 'dhcpClientId', 'routerId', 'status', 'activationStatus']) {
+        if (!req.query[field]) continue;
+        where.push(`${field} = ?`);
+        params.push(String(req.query[field]));
+      }
+      const rows = await db.all(
+        `SELECT * FROM payment_invoices ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY createdAt DESC LIMIT 500`,
+        params
+      );
+      res.json(rows.map(toResponse));
+    } catch (e) { sendError(res, e); }
+  });
+  router.post('/invoice/:id/activate', async (req, res) => {
+    try {
+      const inv = await findInvoice(req.params.id);
+      if (!inv.paidAt) throw httpError(409, 'The invoice has not been paid');
+      const stale = inv.activationStatus === 'running' && Date.now() - new Date(inv.activationStartedAt || 0).getTime() >= STALE_ACTIVATION_MS;
+      if (inv.activationStatus !== 'failed' && !stale) throw httpError(409, `Activation is ${inv.activationStatus}, only a failed or stalled activation can be retried`);
+      res.json(toResponse(await activate(inv.id, { from: 'failed' })));
+    } catch (e) { sendError(res, e); }
+  });
+
+  return { router, webhook, createInvoice, getInvoice };
+}
+
+module.exports = { createXendit };
@@ -0,0 +1,53 @@
+import type { AccountSecurity, AuthSession, PasswordResetCode, SecurityQuestionAnswer, TotpSetup } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const post = <T>(path: string, body: object) => fetchData<T>(path, { method: 'POST', body: JSON.stringify(body) });
+
+export const getAccountSecurity = () => fetchData<AccountSecurity>('/auth/account');
+
+export const getSessions = () => fetchData<AuthSession[]>('/auth/sessions');
+
+export const revokeSession = (id: string) =>
+    fetchData<{ message: string }>(`/auth/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// Signs out every other session; this one stays logged in.
+export const changePassword = (currentPassword: string, newPassword: string) =>
+    post<{ message: string }>('/auth/change-password', { currentPassword, newPassword });
+
+export const saveSecurityQuestions = (currentPassword: string, securityQuestions: SecurityQuestionAnswer[]) =>
+    fetchData<{ message: string }>('/auth/security-questions', { method: 'PUT', body: JSON.stringify({ currentPassword, securityQuestions }) });
+
+// Two-factor is only turned on by enableTotp, once a code from the new secret checks out.
+export const setupTotp = (currentPassword: string) => post<TotpSetup>('/auth/totp/setup', { currentPassword });
+
+export const enableTotp = (code: string) => post<{ message: string }>('/auth/totp/enable', { code });
+
+export const disableTotp = (currentPassword: string, code: string) => post<{ message: string }>('/auth/totp/disable', { currentPassword, code });
+
+// Admin side: a one-time code a panel user can reset a forgotten password with.
+export const createPasswordResetCode = (userId: string) =>
+    post<PasswordResetCode>(`/panel-users/${encodeURIComponent(userId)}/reset-code`, {});
@@ -0,0 +1,42 @@
+import type { BulkImportKind, BulkImportResult } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const request = async (path: string, options: RequestInit = {}): Promise<Response> => {
+    const response = await fetch(`/api/bulk${path}`, {
+        ...options,
+        headers: {
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response;
+};
+
+export const exportSubscribersCsv = async (kind: BulkImportKind, routerId: string): Promise<string> =>
+    (await request(`/${kind}/export.csv?routerId=${encodeURIComponent(routerId)}`)).text();
+
+export const getImportTemplateCsv = async (kind: BulkImportKind): Promise<string> =>
+    (await request(`/${kind}/template.csv`)).text();
+
+// With `dryRun` nothing is written; the result shows what each row would do.
+export const importSubscribersCsv = async (kind: BulkImportKind, routerId: string, csv: string, dryRun: boolean): Promise<BulkImportResult> => {
+    const params = new URLSearchParams({ routerId, dryRun: String(dryRun) });
+    const response = await request(`/${kind}/import?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: csv,
+    });
+    return response.json();
+};
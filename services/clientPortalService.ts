@@ -0,0 +1,86 @@
+import type { ClientInvoice, ClientPayment, ClientPortalCode, ClientSession, ClientStatus, ClientUsage } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const SESSION_KEY = 'clientPortalSession';
+
+// Subscriber-side requests carry the client token, never the panel's own.
+const clientFetch = async <T>(path: string, session: ClientSession | null, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/public${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(session ? { 'Authorization': `Bearer ${session.token}` } : {}),
+            ...options.headers,
+        },
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        if (response.status === 401 && session) clearClientSession();
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+// Kept for the browser tab only, so the subscriber is still logged in when
+// they come back from the payment page.
+export const loadClientSession = (): ClientSession | null => {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null') as ClientSession | null;
+        return session && new Date(session.expiresAt) > new Date() ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearClientSession = () => sessionStorage.removeItem(SESSION_KEY);
+
+const startSession = (session: ClientSession) => {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+};
+
+export const getPortalRouters = () => clientFetch<{ id: string; name: string }[]>('/routers', null);
+
+// Accepts the PPPoE password or a portal password set with a one-time code.
+export const clientLogin = async (routerId: string, username: string, password: string) =>
+    startSession(await clientFetch<ClientSession>('/client-portal/login', null, {
+        method: 'POST',
+        body: JSON.stringify({ routerId, username, password }),
+    }));
+
+export const clientRegister = async (routerId: string, username: string, code: string, password: string) =>
+    startSession(await clientFetch<ClientSession>('/client-portal/register', null, {
+        method: 'POST',
+        body: JSON.stringify({ routerId, username, code, password }),
+    }));
+
+export const getClientStatus = (session: ClientSession) => clientFetch<ClientStatus>('/ppp/status', session);
+
+export const getClientPayments = (session: ClientSession) => clientFetch<ClientPayment[]>('/client/payments', session);
+
+export const getClientUsage = (session: ClientSession) => clientFetch<ClientUsage>('/client/usage', session);
+
+export const renewSubscription = (session: ClientSession, returnUrl: string) =>
+    clientFetch<ClientInvoice>('/client/renew', session, {
+        method: 'POST',
+        body: JSON.stringify({ successRedirectUrl: returnUrl, failureRedirectUrl: returnUrl }),
+    });
+
+export const getClientInvoice = (session: ClientSession, id: string) =>
+    clientFetch<ClientInvoice>(`/client/invoices/${encodeURIComponent(id)}`, session);
+
+// Admin side: a one-time code the subscriber uses to register in the portal.
+export const createPortalCode = async (routerId: string, username: string): Promise<ClientPortalCode> => {
+    const response = await fetch('/api/client-portal/codes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeader() },
+        body: JSON.stringify({ routerId, username }),
+    });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+    return response.json();
+};
@@ -0,0 +1,41 @@
+import type { ConfigRestoreOptions, ConfigRestorePreview, ConfigRestoreResult, ConfigSnapshot, ConfigSnapshotDetail, ConfigSnapshotDiff } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/config-snapshots${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const post = <T>(path: string, data: any) => fetchData<T>(path, { method: 'POST', body: JSON.stringify(data) });
+
+export const getConfigSnapshots = (routerId: string) => fetchData<ConfigSnapshot[]>(`?routerId=${encodeURIComponent(routerId)}`);
+export const getConfigSnapshot = (id: string) => fetchData<ConfigSnapshotDetail>(`/${id}`);
+export const takeConfigSnapshot = (routerId: string, note?: string) => post<ConfigSnapshot>('', { routerId, note });
+export const deleteConfigSnapshot = (id: string) => fetchData<{ message: string }>(`/${id}`, { method: 'DELETE' });
+export const diffConfigSnapshots = (fromId: string, toId: string) =>
+    fetchData<ConfigSnapshotDiff>(`/diff?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`);
+
+// Restoring is two steps: the preview returns the exact script and a token
+// that only confirms that script.
+export const previewConfigRestore = (id: string, options: ConfigRestoreOptions) => post<ConfigRestorePreview>(`/${id}/restore/preview`, options);
+export const restoreConfigSnapshot = (id: string, options: ConfigRestoreOptions, confirmToken: string) =>
+    post<ConfigRestoreResult>(`/${id}/restore`, { ...options, confirmToken });
@@ -56,12 +56,4 @@ export const getPanelSettings = (): Promise<PanelSettings> => {
 
 export const savePanelSettings = (settings: Partial<PanelSettings>): Promise<{ message: string }> => {
     return dbApi.post<{ message: string }>('/panel-settings', settings);
-};
-
-export const initMariaDb = (): Promise<{ message: string }> => {
-    return dbApi.post<{ message: string }>('/init-mariadb', {});
-};
-
-export const migrateSqliteToMariaDb = (): Promise<{ message: string }> => {
-    return dbApi.post<{ message: string }>('/migrate-sqlite-to-mariadb', {});
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+import type { DhcpReconcileFixResult, DhcpReconcileReport } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/dhcp-reconcile${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+export const getDhcpReconciliation = (routerId: string) => fetchData<DhcpReconcileReport>(`/${encodeURIComponent(routerId)}`);
+
+// Without `issueIds` every issue with a fix is fixed. The router is checked
+// again first, and the returned report is taken after the fixes.
+export const fixDhcpReconciliation = (routerId: string, issueIds?: string[]) =>
+    fetchData<{ results: DhcpReconcileFixResult[]; report: DhcpReconcileReport }>(`/${encodeURIComponent(routerId)}/fix`, {
+        method: 'POST',
+        body: JSON.stringify({ issues: issueIds }),
+    });
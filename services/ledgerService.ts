@@ -0,0 +1,54 @@
+import type { Invoice, LedgerEntry, BillingSubscription, CustomerStatement } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/ledger${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const post = <T>(path: string, data: any) => fetchData<T>(path, { method: 'POST', body: JSON.stringify(data) });
+
+// --- Subscriptions ---
+export const getSubscriptions = (customerId: string) => fetchData<BillingSubscription[]>(`/subscriptions?customerId=${encodeURIComponent(customerId)}`);
+export const createSubscription = (data: { customerId: string; planSource: 'pppoe' | 'dhcp'; planId: string; planType: 'prepaid' | 'postpaid'; startDate?: string }) => post<BillingSubscription>('/subscriptions', data);
+export const updateSubscription = (id: string, data: Partial<Pick<BillingSubscription, 'planId' | 'planType' | 'active'>>) => fetchData<BillingSubscription>(`/subscriptions/${id}`, { method: 'PATCH', body: JSON.stringify(data) });
+
+// --- Invoices ---
+export const getInvoices = (filters: { customerId?: string; routerId?: string; status?: string } = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v) as [string, string][]).toString();
+    return fetchData<Invoice[]>(`/invoices${query ? `?${query}` : ''}`);
+};
+export const getInvoice = (id: string) => fetchData<Invoice & { customer: any; balanceDue: number }>(`/invoices/${id}`);
+export const generateInvoices = (asOf?: string, routerId?: string) => post<{ created: Invoice[]; skipped: { subscriptionId: string; reason: string }[] }>('/invoices/generate', { asOf, routerId });
+export const voidInvoice = (id: string, reason: string) => post<LedgerEntry>(`/invoices/${id}/void`, { reason });
+
+// --- Payments, credits and adjustments ---
+export const recordPayment = (data: { customerId: string; amount: number; date?: string; reference?: string; note?: string; currency?: string }) => post<LedgerEntry>('/payments', data);
+export const addCredit = (data: { customerId: string; amount: number; note?: string; currency?: string }) => post<LedgerEntry>('/credits', data);
+export const addAdjustment = (data: { customerId: string; amount: number; note: string; currency?: string }) => post<LedgerEntry>('/adjustments', data);
+export const voidLedgerEntry = (id: string, reason: string) => post<LedgerEntry>(`/entries/${id}/void`, { reason });
+
+// --- Statements ---
+export const getCustomerStatement = (customerId: string, range: { from?: string; to?: string } = {}) => {
+    const query = new URLSearchParams(Object.entries(range).filter(([, v]) => v) as [string, string][]).toString();
+    return fetchData<CustomerStatement>(`/customers/${customerId}/statement${query ? `?${query}` : ''}`);
+};
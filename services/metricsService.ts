@@ -0,0 +1,33 @@
+import type { MetricsHistory, MetricsRange } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string): Promise<T> => {
+    const response = await fetch(`/api/metrics${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+        },
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+// History collected by the panel server. The panel host's own CPU and memory
+// are under the routerId 'host'.
+export const getMetricsHistory = (routerId: string, range: MetricsRange, options: { metrics?: string[]; series?: string } = {}) => {
+    const params = new URLSearchParams({ range });
+    if (options.metrics) params.set('metrics', options.metrics.join(','));
+    if (options.series !== undefined) params.set('series', options.series);
+    return fetchData<MetricsHistory>(`/${encodeURIComponent(routerId)}?${params}`);
+};
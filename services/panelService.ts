@@ -1,4 +1,4 @@
-import type { PanelHostStatus, PanelNtpStatus } from '../types.ts';
+import type { PanelHostStatus, PanelNtpStatus, ScheduledJob, JobRun, AuditLogEntry, AuditLogFilters } from '../types.ts';
 import { getAuthHeader } from './databaseService.ts';
 
 
@@ -60,6 +60,47 @@ export const togglePanelNtp = (enabled: boolean): Promise<{ message: string }> =
     });
 };
 
+// --- Scheduled Jobs ---
+export const getScheduledJobs = (): Promise<ScheduledJob[]> => {
+    return fetchData<ScheduledJob[]>('/api/jobs');
+};
+
+export const getJobRuns = (name: string, limit = 20): Promise<JobRun[]> => {
+    return fetchData<JobRun[]>(`/api/jobs/${encodeURIComponent(name)}/runs?limit=${limit}`);
+};
+
+export const runScheduledJob = (name: string): Promise<JobRun> => {
+    return fetchData<JobRun>(`/api/jobs/${encodeURIComponent(name)}/run`, { method: 'POST' });
+};
+
+export const updateScheduledJob = (name: string, updates: { enabled?: boolean; intervalMinutes?: number }): Promise<ScheduledJob> => {
+    return fetchData<ScheduledJob>(`/api/jobs/${encodeURIComponent(name)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates),
+    });
+};
+
+// --- Audit Log ---
+const auditQuery = (filters: AuditLogFilters, extra: Record<string, string> = {}): string => {
+    const params = new URLSearchParams(extra);
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params.toString();
+};
+
+export const getAuditLog = (filters: AuditLogFilters, limit = 100, offset = 0): Promise<AuditLogEntry[]> => {
+    return fetchData<AuditLogEntry[]>(`/api/audit?${auditQuery(filters, { limit: String(limit), offset: String(offset) })}`);
+};
+
+export const exportAuditLogCsv = (filters: AuditLogFilters): Promise<string> => {
+    return fetchData<string>(`/api/audit/export.csv?${auditQuery(filters)}`);
+};
+
+export const getSshTranscript = (sessionId: string): Promise<string> => {
+    return fetchData<string>(`/api/ssh-sessions/${encodeURIComponent(sessionId)}/transcript`);
+};
+
 
 // --- Database Backup Services ---
 export const createDatabaseBackup = (): Promise<{ message: string }> => {
@@ -0,0 +1,50 @@
+import type {
+    ProvisioningApplyResult, ProvisioningAssignment, ProvisioningPlan, ProvisioningRun, ProvisioningSectionInfo,
+    ProvisioningSections, ProvisioningTemplate,
+} from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/provisioning${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const send = <T>(method: string, path: string, data?: any) => fetchData<T>(path, { method, body: data === undefined ? undefined : JSON.stringify(data) });
+
+type TemplateInput = Pick<ProvisioningTemplate, 'name' | 'description' | 'sections'>;
+
+export const getProvisioningSections = () => fetchData<ProvisioningSectionInfo[]>('/sections');
+export const getProvisioningTemplates = () => fetchData<ProvisioningTemplate[]>('/templates');
+export const createProvisioningTemplate = (template: TemplateInput) => send<ProvisioningTemplate>('POST', '/templates', template);
+export const updateProvisioningTemplate = (id: string, template: TemplateInput) => send<ProvisioningTemplate>('PUT', `/templates/${id}`, template);
+export const deleteProvisioningTemplate = (id: string) => send<{ message: string }>('DELETE', `/templates/${id}`);
+export const setProvisioningRouters = (id: string, routerIds: string[]) => send<ProvisioningAssignment[]>('PUT', `/templates/${id}/routers`, { routerIds });
+export const checkProvisioningDrift = (id: string) => send<{ checked: number; inSync: number; drifted: number; errors: string[] }>('POST', `/templates/${id}/check`);
+export const captureProvisioningSections = (routerId: string, sections: string[]) =>
+    fetchData<{ sections: ProvisioningSections }>(`/capture?routerId=${encodeURIComponent(routerId)}&sections=${encodeURIComponent(sections.join(','))}`);
+export const getProvisioningRuns = (templateId: string) => fetchData<ProvisioningRun[]>(`/runs?templateId=${encodeURIComponent(templateId)}`);
+
+// Applying is two steps: the plan is a dry run, and its per-router hashes
+// make the apply refuse routers that changed after the preview.
+export const planProvisioning = (id: string, routerIds: string[]) => send<ProvisioningPlan[]>('POST', `/templates/${id}/plan`, { routerIds });
+export const applyProvisioning = (id: string, routerIds: string[], expected: Record<string, string>) =>
+    send<ProvisioningApplyResult[]>('POST', `/templates/${id}/apply`, { routerIds, expected });
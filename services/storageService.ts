@@ -0,0 +1,44 @@
+import type { DatabaseEngine, MariaDbSettings, StorageCopyStatus, StorageStatus } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/storage${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const send = <T>(method: string, path: string, data?: any) => fetchData<T>(path, { method, body: data === undefined ? undefined : JSON.stringify(data) });
+
+type MariaDbInput = Partial<Omit<MariaDbSettings, 'hasPassword'>>;
+
+export const getStorageStatus = () => fetchData<StorageStatus>('/');
+export const testMariaDb = (mariadb?: MariaDbInput) =>
+    send<{ ok: boolean; serverVersion: string; schemaVersion: number | null }>('POST', '/test', { mariadb });
+export const initMariaDb = () => send<{ message: string; schemaVersion: number }>('POST', '/init-mariadb', {});
+export const getStorageCopyStatus = () => fetchData<StorageCopyStatus>('/migration');
+
+// Without `fresh` an interrupted copy carries on from its last batch.
+export const migrateSqliteToMariaDb = (fresh = false) => send<{ message: string; copy: StorageCopyStatus }>('POST', '/migrate-sqlite-to-mariadb', { fresh });
+
+// Changing the engine restarts the panel; switching to MariaDB needs a
+// verified copy.
+export const saveStorageSettings = (settings: { engine?: DatabaseEngine; mariadb?: MariaDbInput }) =>
+    send<{ engine: DatabaseEngine; mariadb: MariaDbSettings; restarting: boolean; warnings: string[] }>('PUT', '/', settings);
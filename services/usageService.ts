@@ -0,0 +1,40 @@
+import type { UsageCycle } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/usage${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+type UsageKind = UsageCycle['kind'];
+
+// Current billing cycle of every subscriber on a router. PPPoE subscribers
+// are keyed by username, DHCP clients by address.
+export const getCurrentUsage = (kind: UsageKind, routerId: string) =>
+    fetchData<UsageCycle[]>(`/${kind}?routerId=${encodeURIComponent(routerId)}`);
+
+export const getUsageCycles = (kind: UsageKind, routerId: string, subscriber: string) =>
+    fetchData<UsageCycle[]>(`/${kind}/${encodeURIComponent(routerId)}/${encodeURIComponent(subscriber)}/cycles`);
+
+// Zeroes the current cycle; a fair-usage limit is lifted on the next collection run.
+export const resetUsage = (kind: UsageKind, routerId: string, subscriber: string) =>
+    fetchData<UsageCycle>(`/${kind}/${encodeURIComponent(routerId)}/${encodeURIComponent(subscriber)}/reset`, { method: 'POST' });
@@ -0,0 +1,46 @@
+import type { Voucher, VoucherBatch, VoucherBatchParams, VoucherStatus } from '../types.ts';
+import { getAuthHeader } from './databaseService.ts';
+
+const fetchData = async <T>(path: string, options: RequestInit = {}): Promise<T> => {
+    const response = await fetch(`/api/vouchers${path}`, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...getAuthHeader(),
+            ...options.headers,
+        },
+        ...options,
+    });
+
+    if (response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.reload();
+        throw new Error('Session expired. Please log in again.');
+    }
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: `Request failed with status ${response.status}` }));
+        throw new Error(errorData.message);
+    }
+
+    return response.json() as Promise<T>;
+};
+
+const post = <T>(path: string, data: any) => fetchData<T>(path, { method: 'POST', body: JSON.stringify(data) });
+
+// --- Batches ---
+export const getVoucherBatches = (routerId: string) => fetchData<VoucherBatch[]>(`/batches?routerId=${encodeURIComponent(routerId)}`);
+export const getVoucherBatch = (id: string) => fetchData<VoucherBatch & { vouchers: Voucher[] }>(`/batches/${id}`);
+export const generateVoucherBatch = (params: VoucherBatchParams) =>
+    post<{ batch: VoucherBatch; created: number; failed: { code: string; error: string }[]; skipped: number }>('/batches', params);
+// Unused vouchers are removed from the router; used ones are kept as sales records.
+export const deleteVoucherBatch = (id: string) =>
+    fetchData<{ removed: number; kept: number; errors: { code: string; error: string }[] }>(`/batches/${id}`, { method: 'DELETE' });
+
+// --- Vouchers ---
+export const getVouchers = (filters: { routerId?: string; batchId?: string; status?: VoucherStatus | ''; code?: string; limit?: number } = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v !== undefined && v !== '').map(([k, v]) => [k, String(v)])).toString();
+    return fetchData<Voucher[]>(`/${query ? `?${query}` : ''}`);
+};
+
+// Reads hotspot users and sessions from the router now instead of waiting for the scheduled sync.
+export const syncVouchers = (routerId: string) => post<{ checked: number; changed: number; sold: number }>('/sync', { routerId });
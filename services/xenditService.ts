@@ -7,7 +7,7 @@ export interface XenditInvoiceResponse {
   id: string;
   external_id: string;
   user_id: string;
-  status: 'PENDING' | 'PAID' | 'SETTLED' | 'EXPIRED';
+  status: 'PENDING' | 'PAID' | 'SETTLED' | 'EXPIRED' | 'UNDERPAID';
   merchant_name: string;
   merchant_profile_picture_url: string;
   amount: number;
@@ -18,21 +18,39 @@ export interface XenditInvoiceResponse {
   created: string;
   updated: string;
   currency: string;
+  paid_at?: string | null;
+  payment_method?: string | null;
+  payment_channel?: string | null;
+  // Panel-side record of the invoice
+  localId?: string;
+  customerId?: string | null;
+  dhcpClientId?: string | null;
+  routerId?: string;
+  planSource?: 'pppoe' | 'dhcp';
+  planId?: string;
+  planName?: string;
+  activationStatus?: 'pending' | 'running' | 'done' | 'failed';
+  activationError?: string | null;
+  activationStartedAt?: string | null;
+  activatedAt?: string | null;
+  dueDateTime?: string | null;
 }
 
 // Xendit Payment Method Types
 export type PaymentMethod = 'BANK_TRANSFER' | 'EWALLET' | 'RETAIL_OUTLET' | 'QR_CODE' | 'VIRTUAL_ACCOUNT';
 
+// The amount and currency come from the plan on the server; an invoice is
+// for either a PPPoE customer or a DHCP client.
 export interface CreateInvoiceParams {
-  externalId: string;
-  amount: number;
-  description: string;
-  customerEmail: string;
-  customerName: string;
+  planId: string;
+  customerId?: string;
+  dhcpClientId?: string;
+  description?: string;
+  payerEmail?: string;
   paymentMethods?: PaymentMethod[];
   successRedirectUrl?: string;
   failureRedirectUrl?: string;
-  currency?: string;
+  invoiceDuration?: number;
 }
 
 export interface XenditServiceConfig {
@@ -53,19 +71,11 @@ export class XenditService {
   async createInvoice(params: CreateInvoiceParams): Promise<XenditInvoiceResponse> {
     try {
       const invoiceData = {
-        externalID: params.externalId,
-        amount: params.amount,
-        description: params.description,
-        customer: {
-          email: params.customerEmail,
-          given_names: params.customerName,
-        },
-        customer_email: params.customerEmail,
-        invoice_duration: 86400, // 24 hours in seconds
-        success_redirect_url: params.successRedirectUrl || `${window.location.origin}/payment/success`,
-        failure_redirect_url: params.failureRedirectUrl || `${window.location.origin}/payment/failed`,
-        currency: params.currency || 'PHP',
-        payment_methods: params.paymentMethods || ['BANK_TRANSFER', 'EWALLET', 'RETAIL_OUTLET'],
+        ...params,
+        invoiceDuration: params.invoiceDuration || 86400, // 24 hours in seconds
+        successRedirectUrl: params.successRedirectUrl || `${window.location.origin}/payment/success`,
+        failureRedirectUrl: params.failureRedirectUrl || `${window.location.origin}/payment/failed`,
+        paymentMethods: params.paymentMethods || ['BANK_TRANSFER', 'EWALLET', 'RETAIL_OUTLET'],
       };
 
       const response = await fetch('/api/xendit/invoice', {
@@ -94,7 +104,7 @@ export class XenditService {
    */
   async getInvoice(invoiceId: string): Promise<XenditInvoiceResponse> {
     try {
-      const response = await fetch(`/api/xendit/invoice/${invoiceId}`, {
+      const response = await fetch(`/api/xendit/invoice/${encodeURIComponent(invoiceId)}`, {
           headers: getAuthHeader()
       });
 
@@ -110,6 +120,34 @@ export class XenditService {
     }
   }
 
+  /**
+   * List invoices stored by the panel
+   */
+  async listInvoices(filters: { customerId?: string; dhcpClientId?: string; routerId?: string; status?: string } = {}): Promise<XenditInvoiceResponse[]> {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v) as [string, string][]).toString();
+    const response = await fetch(`/api/xendit/invoices${query ? `?${query}` : ''}`, { headers: getAuthHeader() });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Backend failed to list invoices');
+    }
+    return response.json();
+  }
+
+  /**
+   * Retry renewing the subscriber of a paid invoice whose activation failed
+   */
+  async retryActivation(invoiceId: string): Promise<XenditInvoiceResponse> {
+    const response = await fetch(`/api/xendit/invoice/${encodeURIComponent(invoiceId)}/activate`, {
+      method: 'POST',
+      headers: getAuthHeader(),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Backend failed to retry activation');
+    }
+    return response.json();
+  }
+
   /**
    * Create billing invoice for PPPoE client
    */
@@ -118,22 +156,24 @@ export class XenditService {
     plan: BillingPlanWithId,
     settings: PanelSettings
   ): Promise<XenditInvoiceResponse> {
-    const externalId = `billing-${client.name}-${Date.now()}`;
-    const description = `${plan.name} - ${plan.description || 'Internet Service'}`;
-    // Use client comment if email-like, else fallback settings or dummy
-    const customerEmail = (client.comment && client.comment.includes('@')) ? client.comment : (settings.telegramSettings?.chatId ? `user_${settings.telegramSettings.chatId}@example.com` : 'customer@example.com');
-    const customerName = client.name;
-
+    if (!client.customer?.id) {
+      throw new Error(`Save customer details for ${client.name} before requesting an online payment.`);
+    }
     return this.createInvoice({
-      externalId,
-      amount: plan.price,
-      description,
-      customerEmail,
-      customerName,
-      currency: plan.currency,
+      customerId: client.customer.id,
+      planId: plan.id,
+      description: `${plan.name} - ${plan.description || 'Internet Service'}`,
+      payerEmail: client.customer.email || undefined,
       paymentMethods: ['BANK_TRANSFER', 'EWALLET', 'RETAIL_OUTLET', 'QR_CODE'],
     });
   }
+
+  /**
+   * Create billing invoice for a DHCP portal client
+   */
+  async createDhcpInvoice(dhcpClientId: string, planId: string): Promise<XenditInvoiceResponse> {
+    return this.createInvoice({ dhcpClientId, planId, paymentMethods: ['BANK_TRANSFER', 'EWALLET', 'RETAIL_OUTLET', 'QR_CODE'] });
+  }
 }
 
 // Singleton instance
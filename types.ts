@@ -26,7 +26,9 @@ export type View =
   | 'license'
   | 'super_admin'
   | 'dhcp-portal'
-  | 'notifications';
+  | 'notifications'
+  | 'account'
+  | 'provisioning';
 
 export interface Notification {
   id: string;
@@ -50,6 +52,7 @@ export interface RouterConfig {
   name: string;
   host: string;
   user: string;
+  // Write-only: the panel stores it encrypted and never returns it.
   password?: string;
   port: number;
   api_type?: 'rest' | 'legacy';
@@ -84,6 +87,33 @@ export interface TrafficHistoryPoint {
   tx: number;
 }
 
+// Server-side history from /api/metrics. Traffic metrics (rx_bps, tx_bps)
+// have the interface name as their series; cpu and memory are percentages.
+export type MetricsRange = '1h' | '24h' | '7d' | '30d' | '1y';
+
+export interface MetricPoint {
+  ts: number; // bucket start, ms since epoch
+  avg: number;
+  min: number;
+  max: number;
+}
+
+export interface MetricSeries {
+  metric: 'rx_bps' | 'tx_bps' | 'cpu' | 'memory' | 'ppp_active' | 'hotspot_active';
+  series: string;
+  points: MetricPoint[];
+}
+
+export interface MetricsHistory {
+  routerId: string;
+  range: MetricsRange;
+  resolution: 'raw' | '5m' | '1h' | '1d';
+  bucketSeconds: number | null;
+  from: string;
+  to: string;
+  series: MetricSeries[];
+}
+
 export interface InterfaceWithHistory extends Interface {
   trafficHistory: TrafficHistoryPoint[];
 }
@@ -205,6 +235,8 @@ export interface BillingPlan {
     description: string;
     currency: string;
     routerId?: string;
+    quotaGb?: number | null; // data allowance per billing cycle
+    fupLimit?: string | null; // max-limit applied once the quota is used up, e.g. "2M/2M"
 }
 
 export interface BillingPlanWithId extends BillingPlan {
@@ -218,12 +250,62 @@ export interface VoucherPlan {
     price: number;
     currency: string;
     mikrotik_profile_name: string;
+    data_limit_mb?: number;
 }
 
 export interface VoucherPlanWithId extends VoucherPlan {
     id: string;
 }
 
+export type VoucherStatus = 'unused' | 'active' | 'sold' | 'expired';
+export type VoucherCharset = 'numeric' | 'alpha' | 'alphanumeric' | 'lowercase';
+
+export interface VoucherBatch {
+    id: string;
+    routerId: string;
+    planId: string;
+    planName: string;
+    price: number;
+    currency: string | null;
+    profile: string;
+    limitUptime: string | null;
+    limitBytes: number | null;
+    codeLength: number;
+    charset: VoucherCharset;
+    passwordMode: 'same' | 'separate';
+    count: number;
+    createdAt: string;
+    createdBy: string | null;
+    statusCounts?: Record<VoucherStatus, number>;
+}
+
+export interface Voucher {
+    id: string;
+    batchId: string;
+    routerId: string;
+    code: string;
+    password: string;
+    status: VoucherStatus;
+    routerUserId: string | null;
+    uptimeSeconds: number;
+    bytesUsed: number;
+    firstUsedAt: string | null;
+    lastSeenAt: string | null;
+    saleId: string | null;
+    createdAt: string;
+    updatedAt: string | null;
+}
+
+export interface VoucherBatchParams {
+    routerId: string;
+    planId: string;
+    count: number;
+    codeLength: number;
+    charset: VoucherCharset;
+    passwordMode: 'same' | 'separate';
+    prefix?: string;
+}
+
 export interface DhcpBillingPlan {
     routerId: string;
     name: string;
@@ -231,6 +313,8 @@ export interface DhcpBillingPlan {
     cycle_days: number;
     speedLimit?: string;
     currency: string;
+    quotaGb?: number | null;
+    fupLimit?: string | null;
 }
 
 export interface DhcpBillingPlanWithId extends DhcpBillingPlan {
@@ -317,6 +401,64 @@ export interface SaleRecord {
     clientEmail?: string;
 }
 
+export type InvoiceStatus = 'open' | 'partial' | 'paid' | 'void';
+
+export interface Invoice {
+    id: string;
+    customerId: string;
+    subscriptionId?: string;
+    routerId?: string;
+    planName: string;
+    periodStart: string; // YYYY-MM-DD
+    periodEnd: string; // YYYY-MM-DD, inclusive
+    issueDate: string;
+    dueDate: string;
+    amount: number;
+    currency: string;
+    status: InvoiceStatus;
+    voidReason?: string;
+    paidAmount?: number;
+}
+
+export interface LedgerEntry {
+    id: string;
+    customerId: string;
+    invoiceId?: string | null;
+    type: 'invoice' | 'payment' | 'credit' | 'adjustment' | 'void';
+    amount: number; // positive = charge, negative = payment/credit
+    currency?: string | null;
+    date: string;
+    reference?: string | null;
+    note?: string | null;
+    voidedAt?: string | null;
+    voidsEntryId?: string | null;
+    createdAt: string;
+    balance?: number; // running balance, only set in statements
+}
+
+export interface BillingSubscription {
+    id: string;
+    customerId: string;
+    planSource: 'pppoe' | 'dhcp';
+    planId: string;
+    planType: 'prepaid' | 'postpaid';
+    nextPeriodStart: string;
+    anchorDay?: number;
+    active: boolean;
+}
+
+export interface CustomerStatement {
+    customer: Customer;
+    from: string | null;
+    to: string | null;
+    generatedAt: string;
+    currency: string | null;
+    openingBalance: number;
+    closingBalance: number; // above zero = owed, below zero = advance credit
+    entries: LedgerEntry[];
+    openInvoices: Invoice[];
+}
+
 export interface InventoryItem {
     id: string;
     name: string;
@@ -408,6 +550,7 @@ export interface TelegramSettings {
     enabled: boolean;
     botToken: string;
     chatId: string;
+    apiBaseUrl?: string; // defaults to https://api.telegram.org
     enableClientDueDate: boolean;
     enableClientDisconnected: boolean;
     enableInterfaceDisconnected: boolean;
@@ -419,24 +562,504 @@ export interface XenditSettings {
     secretKey: string;
     publicKey: string;
     webhookToken: string;
+    apiBaseUrl?: string; // defaults to https://api.xendit.co
+}
+
+export interface TerminalSettings {
+    idleTimeoutMinutes?: number; // defaults to 15
+    recordTranscripts?: boolean;
 }
 
 export interface PanelSettings {
     language: 'en' | 'fil' | 'es' | 'pt';
     currency: 'USD' | 'PHP' | 'EUR' | 'BRL';
     geminiApiKey?: string;
-    databaseEngine?: 'sqlite' | 'mariadb';
-    dbHost?: string;
-    dbPort?: number;
-    dbUser?: string;
-    dbPassword?: string;
-    dbName?: string;
     notificationSettings?: {
         debounceMinutes: number;
         dhcpNearExpiryHours: number;
     };
     telegramSettings?: TelegramSettings;
     xenditSettings?: XenditSettings;
+    terminalSettings?: TerminalSettings;
+    configSnapshotSettings?: {
+        keepPerRouter: number; // defaults to 30
+    };
+    panelBackupSettings?: {
+        keepScheduled: number; // defaults to 7
+    };
+    metricsSettings?: {
+        rawHours?: number; // defaults to 24
+        fiveMinuteDays?: number; // defaults to 7
+        hourlyDays?: number; // defaults to 90
+        dailyDays?: number; // defaults to 730
+    };
+    dhcpReconcileSettings?: {
+        autoFix: boolean; // the hourly check fixes what it can instead of only reporting
+    };
+}
+
+// Bytes a subscriber used in one billing cycle, as counted by the panel server.
+export interface UsageCycle {
+    id: number;
+    routerId: string;
+    kind: 'pppoe' | 'dhcp';
+    subscriber: string; // PPPoE username or DHCP client address
+    label: string;
+    cycleKey: string;
+    cycleStart: string;
+    cycleEnd: string | null;
+    planName: string | null;
+    quotaBytes: number | null;
+    fupLimit: string | null;
+    uploadBytes: number;
+    downloadBytes: number;
+    totalBytes: number;
+    throttled: boolean;
+    throttledAt: string | null;
+    normalMaxLimit: string | null;
+    normalProfile: string | null;
+    updatedAt: string;
+}
+
+export interface ClientUsage {
+    current: UsageCycle | null;
+    previous: UsageCycle[];
+}
+
+// A subscriber logged in to the client portal. The token is only accepted
+// by the /api/public client endpoints.
+export interface ClientSession {
+    token: string;
+    expiresAt: string;
+    routerId: string;
+    username: string;
+}
+
+export interface ClientStatus {
+    username: string;
+    routerId: string;
+    routerName: string;
+    fullName: string | null;
+    profile: string;
+    disabled: boolean;
+    plan: string | null;
+    price: number | null;
+    currency: string | null;
+    planType: string | null;
+    dueDateTime: string | null;
+    online: boolean;
+    address: string | null;
+    uptime: string | null;
+    lastLoggedOut: string | null;
+    canRenew: boolean;
+}
+
+export interface ClientPayment {
+    id: string;
+    date: string;
+    planName: string;
+    planPrice: number;
+    discountAmount: number | null;
+    finalAmount: number;
+    currency: string | null;
+}
+
+export interface ClientInvoice {
+    id: string;
+    status: 'PENDING' | 'PAID' | 'SETTLED' | 'EXPIRED' | 'UNDERPAID';
+    amount: number;
+    currency: string;
+    planName: string;
+    invoiceUrl: string;
+    expiresAt: string | null;
+    paidAt: string | null;
+    activationStatus: string;
+    dueDateTime: string | null;
+}
+
+export interface ClientPortalCode {
+    username: string;
+    code: string;
+    expiresAt: string;
+}
+
+// The signed-in panel user's own security settings.
+export interface AccountSecurity {
+    username: string;
+    totpEnabled: boolean;
+    passwordChangedAt: string | null;
+    securityQuestions: string[];
+}
+
+export interface AuthSession {
+    id: string;
+    createdAt: string;
+    lastUsedAt: string;
+    expiresAt: string;
+    ip: string | null;
+    userAgent: string | null;
+    current: boolean;
+}
+
+export interface TotpSetup {
+    secret: string;
+    otpauthUrl: string;
+}
+
+export interface SecurityQuestionAnswer {
+    question: string;
+    answer: string;
+}
+
+// A single-use password reset code an admin hands to a panel user.
+export interface PasswordResetCode {
+    code: string;
+    expiresAt: string;
+}
+
+export type BulkImportKind = 'pppoe' | 'dhcp';
+
+// One CSV row of a bulk import. `status` is only set when the import was
+// applied rather than previewed.
+export interface BulkImportRow {
+    line: number;
+    key: string; // username or client address
+    action: 'create' | 'update' | 'unchanged' | 'conflict';
+    changes: { field: string; from?: string; to?: string }[];
+    problems: string[];
+    warnings: string[];
+    status?: 'created' | 'updated' | 'skipped' | 'failed';
+    message?: string;
+}
+
+export interface BulkImportResult {
+    dryRun: boolean;
+    summary: { total: number; create: number; update: number; unchanged: number; conflict: number; applied?: number; failed?: number };
+    rows: BulkImportRow[];
+}
+
+export interface JobRun {
+    id: number;
+    job: string;
+    trigger: 'schedule' | 'manual';
+    startedAt: string;
+    durationMs: number;
+    status: 'success' | 'error';
+    error: string | null;
+    summary: Record<string, any> | null;
+}
+
+export interface ScheduledJob {
+    name: string;
+    description: string;
+    enabled: boolean;
+    intervalMinutes: number;
+    defaultIntervalMinutes: number;
+    running: boolean;
+    nextRunAt: string | null;
+    lastRun: JobRun | null;
+    lastSuccessAt: string | null;
+}
+
+// A versioned `/export terse` of one router, stored compressed by the panel.
+export interface ConfigSnapshot {
+    id: string;
+    routerId: string;
+    version: number;
+    reason: string; // 'manual', 'scheduled', 'before restore', 'before configure-wan-failover', ...
+    note: string | null;
+    createdAt: string;
+    createdBy: string | null;
+    hash: string;
+    lineCount: number;
+    size: number;
+    compressedSize: number;
+    rosVersion: string | null;
+    unchanged?: boolean; // set when a new snapshot matches the previous one
+}
+
+export interface ConfigSnapshotDetail extends ConfigSnapshot {
+    content: string;
+    redacted: boolean; // passwords and keys hidden for users without router_config:write
+    sections: { section: string; lines: number }[];
+}
+
+export interface ConfigDiffLine {
+    type: ' ' | '+' | '-';
+    text: string;
+}
+
+export interface ConfigSnapshotDiff {
+    from: ConfigSnapshot;
+    to: ConfigSnapshot;
+    added: number;
+    removed: number;
+    sections: { section: string; added: number; removed: number }[];
+    hunks: { oldStart: number; oldLines: number; newStart: number; newLines: number; lines: ConfigDiffLine[] }[];
+}
+
+export interface ConfigRestoreOptions {
+    sections?: string[];
+    replace?: boolean; // empty list sections before re-adding their items
+}
+
+export interface ConfigRestorePreview {
+    snapshot: ConfigSnapshot;
+    script: string;
+    lineCount: number;
+    confirmToken: string;
+}
+
+export interface ConfigRestoreResult {
+    success: boolean;
+    output: string;
+    snapshotBefore: ConfigSnapshot;
+}
+
+// Desired-state provisioning: a template lists items routers should have,
+// keyed by menu ('ip/pool', 'ppp/profile', 'ip/firewall/filter', ...).
+export interface ProvisioningSectionInfo {
+    menu: string;
+    key: 'name' | 'comment'; // the field items are matched on
+    label: string;
+    ordered?: boolean;
+}
+
+export interface ProvisioningSection {
+    prune: boolean; // remove router items the template doesn't list
+    items: Record<string, string>[];
+}
+
+export type ProvisioningSections = Record<string, ProvisioningSection>;
+
+export interface ProvisioningAssignment {
+    templateId: string;
+    routerId: string;
+    status: 'unchecked' | 'in-sync' | 'drift' | 'error';
+    summary: ProvisioningCounts | null;
+    error: string | null;
+    checkedAt: string | null;
+    appliedAt: string | null;
+}
+
+export interface ProvisioningTemplate {
+    id: string;
+    name: string;
+    description: string | null;
+    sections: ProvisioningSections;
+    createdAt: string;
+    updatedAt: string;
+    updatedBy: string | null;
+    assignments?: ProvisioningAssignment[];
+}
+
+export interface ProvisioningCounts {
+    add: number;
+    change: number;
+    remove: number;
+}
+
+export interface ProvisioningStep {
+    op: 'add' | 'set' | 'remove' | 'restore';
+    menu: string;
+    key: string;
+    id?: string;
+    data?: Record<string, string>;
+    placeBefore?: string;
+    changes?: { field: string; from: string | null; to: string }[];
+    result?: 'done' | 'failed' | 'undone';
+    error?: string;
+}
+
+export interface ProvisioningPlan {
+    routerId: string;
+    routerName: string | null;
+    steps?: ProvisioningStep[];
+    summary?: ProvisioningCounts;
+    hash?: string; // passed back on apply so a changed router isn't touched
+    error?: string;
+}
+
+export interface ProvisioningApplyResult {
+    routerId: string;
+    routerName?: string;
+    status: 'applied' | 'unchanged' | 'rolled-back' | 'rollback-failed' | 'stale' | 'failed';
+    error?: string | null;
+    snapshotId?: string | null;
+    steps?: ProvisioningStep[];
+}
+
+export interface ProvisioningRun {
+    id: string;
+    templateId: string;
+    templateName: string;
+    routerId: string;
+    status: ProvisioningApplyResult['status'];
+    steps: ProvisioningStep[];
+    error: string | null;
+    snapshotId: string | null;
+    startedAt: string;
+    finishedAt: string;
+    createdBy: string | null;
+}
+
+export type DatabaseEngine = 'sqlite' | 'mariadb';
+
+export interface MariaDbSettings {
+    host: string;
+    port: number;
+    user: string;
+    database: string;
+    hasPassword?: boolean; // the saved password is never sent back
+    password?: string; // leave out to keep the saved one
+}
+
+export interface StorageCopyTable {
+    tableName: string;
+    status: 'pending' | 'copying' | 'copied' | 'verified' | 'mismatch' | 'error';
+    sourceRows: number;
+    copiedRows: number;
+    targetRows: number | null;
+    error: string | null;
+    updatedAt: string;
+}
+
+export interface StorageCopyStatus {
+    running: boolean;
+    status: 'none' | 'starting' | 'copying' | 'verified' | 'mismatch' | 'failed';
+    snapshotAt?: string;
+    schemaVersion?: number;
+    startedAt?: string;
+    finishedAt?: string | null;
+    verifiedAt?: string | null;
+    error?: string | null;
+    tables: StorageCopyTable[];
+}
+
+export interface StorageStatus {
+    engine: DatabaseEngine; // the engine the panel is running on
+    savedEngine: DatabaseEngine; // the one it starts on next
+    mariadb: MariaDbSettings;
+    fromEnv: string[]; // settings fixed by PANEL_DB_* environment variables
+    latestSchemaVersion: number;
+    copy: StorageCopyStatus;
+}
+
+export type DhcpReconcileIssueType =
+    | 'clock-skew'
+    | 'record-mismatch'
+    | 'missing-record'
+    | 'ip-changed'
+    | 'no-due-date'
+    | 'expired-authorized'
+    | 'missing-scheduler'
+    | 'scheduler-mismatch'
+    | 'missing-queue'
+    | 'queue-target'
+    | 'orphan-scheduler';
+
+// A place where a DHCP portal client's billing state on the router disagrees
+// with itself or with the panel.
+export interface DhcpReconcileIssue {
+    id: string; // `${type}:${address}`, stable between checks
+    type: DhcpReconcileIssueType;
+    address: string | null;
+    newAddress?: string; // ip-changed: the address the client's MAC now leases
+    macAddress?: string | null;
+    customerInfo?: string | null;
+    dueDateTime?: string | null;
+    message: string;
+    fix: string | null; // what fixing it does; null when it needs a person
+}
+
+export interface DhcpReconcileReport {
+    routerId: string;
+    checkedAt: string;
+    clients: number; // authorized address-list entries
+    issues: DhcpReconcileIssue[];
+}
+
+export interface DhcpReconcileFixResult {
+    id: string;
+    status: 'fixed' | 'failed' | 'skipped' | 'resolved';
+    error?: string;
+}
+
+// --- Live event stream (/ws/events) ---
+export type RouterStreamTopic = 'stats' | 'ppp' | 'hotspot';
+
+export interface StreamEvent<T = any> {
+    type: string; // a topic, or 'session', 'interface', 'notification', 'payment', 'router-error', 'error', 'ready'
+    routerId?: string;
+    topic?: RouterStreamTopic; // router-error: the topic whose poll failed
+    topics?: RouterStreamTopic[]; // error: the topics a refused watch asked for
+    data: T;
+    at: string;
+}
+
+export interface RouterStatsEvent {
+    resource: SystemInfo;
+    interfaces: any[]; // interface/stats rows as the router returns them
+}
+
+export interface PppActiveEvent {
+    active: PppActiveConnection[];
+}
+
+export interface HotspotActiveEvent {
+    active: HotspotActiveUser[];
+    hosts: HotspotHost[] | null; // null when the router would not list them
+}
+
+export interface SessionEvent {
+    kind: 'ppp' | 'hotspot';
+    action: 'connected' | 'disconnected';
+    name: string | null;
+    address: string | null;
+    callerId: string | null; // PPP caller-id or hotspot MAC address
+}
+
+export interface InterfaceStateEvent {
+    name: string;
+    running: boolean;
+    disabled: boolean;
+}
+
+export interface PaymentEvent {
+    source: 'sale' | 'voucher' | 'xendit' | 'ledger';
+    routerId: string | null;
+    clientName: string | null;
+    planName: string | null;
+    amount: number;
+    currency: string | null;
+    reference: string | null; // sale, ledger entry or Xendit invoice id
+}
+
+export interface AuditLogEntry {
+    id: number;
+    timestamp: string;
+    userId: string | null;
+    username: string | null;
+    source: 'db' | 'router' | 'ledger' | 'vouchers' | 'xendit' | 'telegram' | 'ssh' | 'snapshots' | 'backups' | 'usage' | 'imports' | 'portal' | 'provisioning' | 'storage' | 'reconcile' | 'roles' | 'panel-users' | 'jobs';
+    method: string;
+    routerId: string | null;
+    target: string;
+    recordId: string | null;
+    customer: string | null;
+    status: number | null;
+    ip: string | null;
+    payload: any;
+    before: any;
+    after: any;
+}
+
+export interface AuditLogFilters {
+    username?: string;
+    routerId?: string;
+    customer?: string;
+    source?: string;
+    from?: string;
+    to?: string;
 }
 
 export interface PanelNtpStatus {